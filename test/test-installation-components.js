@@ -12,9 +12,48 @@
  */
 
 const path = require('node:path');
+const { spawnSync } = require('node:child_process');
 const fs = require('fs-extra');
 const { YamlXmlBuilder } = require('../tools/cli/lib/yaml-xml-builder');
 const { ManifestGenerator } = require('../tools/cli/installers/lib/core/manifest-generator');
+const { ConfigCollector } = require('../tools/cli/installers/lib/core/config-collector');
+const { InstallAnswers } = require('../tools/cli/lib/install-answers');
+const { Lockfile } = require('../tools/cli/installers/lib/core/lockfile');
+const { Doctor } = require('../tools/cli/installers/lib/core/doctor');
+const { InstallTransaction } = require('../tools/cli/installers/lib/core/install-transaction');
+const { FileMerger } = require('../tools/cli/installers/lib/core/file-merger');
+const { UpdatePlanner } = require('../tools/cli/installers/lib/core/update-planner');
+const { WebBundler } = require('../tools/cli/bundlers/web-bundler');
+const { IdeManager } = require('../tools/cli/installers/lib/ide/manager');
+const { DeclarativeIdeSetup } = require('../tools/cli/installers/lib/ide/_declarative-ide');
+const { compileAgentFile } = require('../tools/cli/lib/agent/compiler');
+const { validateModuleFile } = require('../tools/schema/module');
+const { validateWorkflowFile, checkWorkflowReferences } = require('../tools/schema/workflow');
+const { processTemplate, processAgentYaml } = require('../tools/cli/lib/agent/template-engine');
+const { resolveAgentExtends } = require('../tools/cli/lib/agent/inheritance');
+const { validateAgentFile } = require('../tools/schema/agent');
+const { compileTeam, compileTeamFile } = require('../tools/cli/lib/team-compiler');
+const { validateTeamFile } = require('../tools/schema/team');
+const { AgentCommandGenerator } = require('../tools/cli/installers/lib/ide/shared/agent-command-generator');
+const { applyAgentLocale, getLocaleCoverage, isAgentLocaleFile } = require('../tools/cli/lib/agent/locale');
+const { t, setLocale, resolveLocale, listCatalogLocales, loadCatalog } = require('../tools/cli/lib/i18n');
+const { findMapping, getAgentSourceMapPath, getCompiledAgentPath, resolveSourcePath } = require('../tools/cli/lib/agent/source-map');
+const { countTokens } = require('../tools/cli/lib/tokenizer');
+const { loadAgentStructure, diffAgents } = require('../tools/cli/lib/agent/agent-diff');
+const { AgentHistory, HISTORY_LIMIT } = require('../tools/cli/installers/lib/core/agent-history');
+const { SprintStatus } = require('../tools/cli/lib/sprint-status');
+const { BeadsClient } = require('../tools/cli/lib/beads');
+const { BeadsSync } = require('../tools/cli/lib/beads-sync');
+const { createTracker } = require('../tools/cli/lib/tracker/manager');
+const { readItems } = require('../tools/cli/lib/tracker/export-file');
+const { loadProgress, renderHtml, workflowCommand, loadWorkflowModules } = require('../tools/cli/lib/project-progress');
+const { SizeAnalyzer } = require('../tools/cli/installers/lib/core/size-analyzer');
+const { aggregateFileContents } = require('../tools/flattener/aggregate');
+const { generateXMLOutput, readXMLBlocks } = require('../tools/flattener/xml');
+const { loadCache, saveCache } = require('../tools/flattener/cache');
+const { estimateCompressibility } = require('../tools/flattener/stats.helpers');
+const { Installer } = require('../tools/cli/installers/lib/core/installer');
+const { DevWatcher } = require('../tools/cli/installers/lib/core/dev-watcher');
 
 // ANSI colors
 const colors = {
@@ -45,6 +84,41 @@ function assert(condition, testName, errorMessage = '') {
   }
 }
 
+/**
+ * Test helper: write a stub bd executable that keeps its issues in db.json
+ */
+async function writeBeadsStub(dir) {
+  const bd = path.join(dir, 'bd');
+  await fs.writeFile(
+    bd,
+    [
+      '#!/usr/bin/env node',
+      "const fs = require('node:fs');",
+      "const db = fs.existsSync('db.json') ? JSON.parse(fs.readFileSync('db.json', 'utf8')) : [];",
+      "const args = process.argv.slice(2).filter((arg) => arg !== '--json');",
+      'const flag = (name) => args[args.indexOf(name) + 1];',
+      'const issue = (id) => db.find((candidate) => candidate.id === id);',
+      'let out = null;',
+      "if (args[0] === 'list') out = db;",
+      "if (args[0] === 'ready') out = db.filter((candidate) => candidate.status === 'open');",
+      "if (args[0] === 'show') out = [issue(args[1])];",
+      "if (args[0] === 'create') db.push((out = { id: `bd-${db.length + 1}`, title: args[1], issue_type: flag('-t'), status: 'open', labels: [] }));",
+      "if (args[0] === 'label' && args[1] === 'add') issue(args[2]).labels.push(args[3]);",
+      "if (args[0] === 'label' && args[1] === 'remove') issue(args[2]).labels = issue(args[2]).labels.filter((l) => l !== args[3]);",
+      "if (args[0] === 'update') issue(args[1]).status = flag('--status');",
+      "if (args[0] === 'close') issue(args[1]).status = 'closed';",
+      "if (args[0] === 'comments' && args[1] === 'add') (issue(args[2]).comments ||= []).push(args[3]);",
+      "if (args[0] === 'comments' && args[1] !== 'add') out = (issue(args[1]).comments || []).map((text) => ({ text }));",
+      "if (args[0] === 'dep') issue(args[3])[flag('--type')] = args[2];",
+      "fs.writeFileSync('db.json', JSON.stringify(db));",
+      'console.log(JSON.stringify(out ?? { ok: true }));',
+      '',
+    ].join('\n'),
+    { mode: 0o755 },
+  );
+  return bd;
+}
+
 /**
  * Test Suite
  */
@@ -188,6 +262,1934 @@ async function runTests() {
 
   console.log('');
 
+  // ============================================================
+  // Test 6: Non-Interactive Config Answers
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 6: Non-Interactive Config Answers${colors.reset}\n`);
+
+  try {
+    const yaml = require('yaml');
+    const moduleConfig = yaml.parse(await fs.readFile(path.join(projectRoot, 'src/modules/bmm/module.yaml'), 'utf8'));
+
+    const buildBmmQuestions = async (collector) => {
+      collector.currentProjectDir = path.join(__dirname, 'sample-project');
+      collector.allAnswers = { core_output_folder: '{project-root}/_bmad-output' };
+      const questions = [];
+      for (const [key, item] of Object.entries(moduleConfig)) {
+        if (item && typeof item === 'object' && item.prompt) {
+          questions.push(await collector.buildQuestion('bmm', key, item, moduleConfig));
+        }
+      }
+      return questions;
+    };
+
+    const collector = new ConfigCollector();
+    collector.setPresetAnswers({ bmm: { user_skill_level: 'expert' } });
+    const answers = await collector.promptQuestions('bmm', await buildBmmQuestions(collector));
+
+    assert(answers.bmm_user_skill_level === 'expert', 'Preset answer is used instead of prompting');
+    assert(answers.bmm_project_name === 'sample-project', 'Unanswered question falls back to its default');
+
+    const invalidCollector = new ConfigCollector();
+    invalidCollector.setPresetAnswers({ bmm: { user_skill_level: 'guru' } });
+    try {
+      await invalidCollector.promptQuestions('bmm', await buildBmmQuestions(invalidCollector));
+      assert(false, 'Invalid preset answer is rejected', 'No error thrown');
+    } catch (error) {
+      assert(error.message.includes('bmm.user_skill_level'), 'Invalid preset answer is rejected with the config key', error.message);
+    }
+
+    const listResult = InstallAnswers.parseList(' bmm, cis ,,');
+    assert(listResult.length === 2 && listResult[1] === 'cis', 'Comma-separated CLI lists are parsed');
+  } catch (error) {
+    assert(false, 'Non-interactive config answers test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 7: Lockfile Source Hashing
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 7: Lockfile Source Hashing${colors.reset}\n`);
+
+  try {
+    const lockfile = new Lockfile();
+    const tempSource = path.join(__dirname, 'temp-lock-source');
+    await fs.remove(tempSource);
+    await fs.outputFile(path.join(tempSource, 'module.yaml'), 'code: demo\n');
+    await fs.outputFile(path.join(tempSource, 'agents', 'demo.agent.yaml'), 'agent: {}\n');
+
+    const firstHash = await lockfile.hashSource(tempSource);
+    assert(firstHash === (await lockfile.hashSource(tempSource)), 'Source hash is stable across runs');
+
+    await fs.outputFile(path.join(tempSource, 'agents', 'demo.agent.yaml'), 'agent: { changed: true }\n');
+    assert(firstHash !== (await lockfile.hashSource(tempSource)), 'Source hash changes when a source file changes');
+
+    const lock = {
+      version: require(path.join(projectRoot, 'package.json')).version,
+      modules: { demo: { source: 'temp-lock-source', custom: true, hash: firstHash } },
+    };
+    const drift = await lockfile.findDrift(lock, __dirname, null);
+    assert(drift.length === 1 && drift[0].startsWith('demo:'), 'Drifted module source is reported', drift.join('; '));
+
+    await fs.remove(tempSource);
+  } catch (error) {
+    assert(false, 'Lockfile test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 8: Doctor Installation Audit
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 8: Doctor Installation Audit${colors.reset}\n`);
+
+  try {
+    const doctor = new Doctor();
+    const tempProject = path.join(__dirname, 'temp-doctor-project');
+    const bmadDir = path.join(tempProject, '_bmad');
+    await fs.remove(tempProject);
+
+    await fs.outputFile(path.join(bmadDir, 'demo', 'kept.md'), 'kept\n');
+    await fs.outputFile(path.join(bmadDir, 'demo', 'edited.md'), 'original\n');
+    await fs.outputFile(path.join(bmadDir, 'demo', 'config.yaml'), 'user_name: Jane\n');
+    await fs.outputFile(
+      path.join(bmadDir, 'demo', 'workflows', 'demo', 'workflow.yaml'),
+      'config_source: "{project-root}/_bmad/demo/config.yaml"\nuser_name: "{config_source}:user_name"\nfolder: "{config_source}:missing_key"\n',
+    );
+
+    const rows = [];
+    for (const file of ['demo/kept.md', 'demo/edited.md', 'demo/gone.md']) {
+      const hash = (await fs.pathExists(path.join(bmadDir, file)))
+        ? await doctor.manifestGenerator.calculateFileHash(path.join(bmadDir, file))
+        : 'x';
+      rows.push(`"md","${path.basename(file, '.md')}","demo","${file}","${hash}"`);
+    }
+    await fs.outputFile(path.join(bmadDir, '_config', 'files-manifest.csv'), `type,name,module,path,hash\n${rows.join('\n')}\n`);
+
+    await fs.outputFile(path.join(bmadDir, 'demo', 'edited.md'), 'changed\n');
+    await fs.outputFile(path.join(bmadDir, 'demo', 'stray.txt'), 'stray\n');
+
+    const files = await doctor.checkFiles(bmadDir);
+    assert(files.modified.length === 1 && files.modified[0] === 'demo/edited.md', 'Doctor flags modified tracked files');
+    assert(files.missing.length === 1 && files.missing[0] === 'demo/gone.md', 'Doctor flags missing tracked files');
+    assert(
+      files.orphaned.includes('demo/stray.txt') &&
+        files.orphaned.includes('demo/workflows/demo/workflow.yaml') &&
+        !files.orphaned.includes('demo/config.yaml'),
+      'Doctor flags orphaned files but not generated config.yaml',
+      files.orphaned.join(', '),
+    );
+
+    const configRefs = await doctor.checkConfigReferences(tempProject, bmadDir);
+    assert(
+      configRefs.checked === 2 && configRefs.unresolved.length === 1 && configRefs.unresolved[0].key === 'missing_key',
+      'Doctor flags unresolved {config_source}:key references',
+    );
+
+    await fs.remove(tempProject);
+  } catch (error) {
+    assert(false, 'Doctor test setup', error.message);
+  }
+
+  try {
+    const cli = path.join(__dirname, '..', 'tools', 'cli', 'bmad-cli.js');
+    const tempProject = path.join(__dirname, 'temp-doctor-install');
+    await fs.remove(tempProject);
+    await fs.ensureDir(tempProject);
+
+    const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', input: '', timeout: 120_000 });
+    const install = run('install', '-d', tempProject, '--modules', 'bmm', '--yes');
+    const doctor = run('doctor', '-d', tempProject);
+    assert(
+      install.status === 0 && doctor.status === 0,
+      'A clean install passes bmad doctor',
+      `install exit ${install.status}, doctor exit ${doctor.status}\n${doctor.stdout}`,
+    );
+
+    await fs.remove(tempProject);
+  } catch (error) {
+    assert(false, 'Doctor clean install test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 9: Install Rollback
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 9: Install Rollback${colors.reset}\n`);
+
+  try {
+    const tempProject = path.join(__dirname, 'temp-rollback-project');
+    await fs.remove(tempProject);
+    await fs.outputFile(path.join(tempProject, '_bmad', 'core', 'config.yaml'), 'user_name: Jane\n');
+    await fs.outputFile(path.join(tempProject, '.github', 'workflows', 'ci.yml'), 'name: ci\n');
+
+    const transaction = new InstallTransaction(tempProject, ['_bmad', '.github', '.cursor']);
+    await transaction.begin();
+
+    // Simulate a half-written install
+    await fs.remove(path.join(tempProject, '_bmad'));
+    await fs.outputFile(path.join(tempProject, '_bmad', 'bmm', 'partial.md'), 'partial\n');
+    await fs.outputFile(path.join(tempProject, '.github', 'agents', 'pm.md'), 'launcher\n');
+    await fs.outputFile(path.join(tempProject, '.cursor', 'rules', 'pm.mdc'), 'launcher\n');
+
+    await transaction.rollback();
+
+    assert(
+      (await fs.readFile(path.join(tempProject, '_bmad', 'core', 'config.yaml'), 'utf8')) === 'user_name: Jane\n' &&
+        !(await fs.pathExists(path.join(tempProject, '_bmad', 'bmm'))),
+      'Rollback restores the previous _bmad tree exactly',
+    );
+    assert(
+      (await fs.pathExists(path.join(tempProject, '.github', 'workflows', 'ci.yml'))) &&
+        !(await fs.pathExists(path.join(tempProject, '.github', 'agents'))),
+      'Rollback restores existing IDE folders',
+    );
+    assert(!(await fs.pathExists(path.join(tempProject, '.cursor'))), 'Rollback removes IDE folders created by the failed run');
+    assert(!transaction.isActive, 'Rollback releases the snapshot');
+
+    await fs.remove(tempProject);
+  } catch (error) {
+    assert(false, 'Install rollback test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 10: Three-Way Merge of Modified Files
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 10: Three-Way Merge${colors.reset}\n`);
+
+  try {
+    const merger = new FileMerger();
+    const base = 'title\nstep one\nstep two\nstep three\n';
+
+    const clean = merger.merge(
+      base,
+      'title\nstep one (my note)\nstep two\nstep three\n',
+      'title\nstep one\nstep two\nstep three\nstep four\n',
+    );
+    assert(
+      clean.conflicts === 0 && clean.content === 'title\nstep one (my note)\nstep two\nstep three\nstep four\n',
+      'Non-overlapping edits merge cleanly',
+    );
+
+    const conflicted = merger.merge(base, 'title\nmine\nstep two\nstep three\n', 'title\ntheirs\nstep two\nstep three\n', {
+      theirs: 'bmad 9.9.9',
+    });
+    assert(
+      conflicted.conflicts === 1 && conflicted.content.includes('<<<<<<< yours\nmine\n=======\ntheirs\n>>>>>>> bmad 9.9.9\n'),
+      'Overlapping edits produce conflict markers',
+    );
+    assert(
+      merger.takeSide(conflicted.content, 'yours') === 'title\nmine\nstep two\nstep three\n' &&
+        !merger.hasConflictMarkers(merger.takeSide(conflicted.content, 'theirs')),
+      'Conflicts can be resolved by taking one side',
+    );
+
+    // Full update cycle: markdown gets inline markers, YAML gets a sidecar
+    const tempBmad = path.join(__dirname, 'temp-merge-bmad');
+    const backupDir = path.join(__dirname, 'temp-merge-backup');
+    await fs.remove(tempBmad);
+    await fs.remove(backupDir);
+    await fs.outputFile(path.join(tempBmad, 'bmm', 'steps.md'), base);
+    await fs.outputFile(path.join(tempBmad, 'bmm', 'workflow.yaml'), 'name: dev\nmode: fast\n');
+    await merger.saveOriginals(tempBmad, [path.join(tempBmad, 'bmm', 'steps.md'), path.join(tempBmad, 'bmm', 'workflow.yaml')]);
+
+    const modifiedFiles = [{ relativePath: 'bmm/steps.md' }, { relativePath: 'bmm/workflow.yaml' }];
+    await fs.outputFile(path.join(backupDir, 'bmm', 'steps.md'), 'title\nmine\nstep two\nstep three\n');
+    await fs.outputFile(path.join(backupDir, 'bmm', 'workflow.yaml'), 'name: dev\nmode: careful\n');
+    for (const modifiedFile of modifiedFiles) {
+      await merger.backupOriginal(tempBmad, modifiedFile, backupDir);
+    }
+
+    // The update installs new upstream versions
+    await fs.outputFile(path.join(tempBmad, 'bmm', 'steps.md'), 'title\ntheirs\nstep two\nstep three\n');
+    await fs.outputFile(path.join(tempBmad, 'bmm', 'workflow.yaml'), 'name: dev\nmode: slow\n');
+    const result = await merger.mergeModifiedFiles(tempBmad, modifiedFiles, backupDir, '9.9.9');
+
+    assert(result.conflicted.length === 2, 'Conflicting updates are recorded', JSON.stringify(result));
+
+    await merger.writeConflicts(tempBmad, [
+      ...(await merger.readConflicts(tempBmad)),
+      { path: 'bmm/steps.md', conflictFile: 'bmm/steps.md', hunks: 2, version: '9.9.10' },
+    ]);
+    const recorded = await merger.readConflicts(tempBmad);
+    assert(
+      recorded.length === 2 && recorded.find((entry) => entry.path === 'bmm/steps.md').version === '9.9.10',
+      'Each conflicting file is recorded once, with its latest merge',
+      JSON.stringify(recorded),
+    );
+    assert(
+      (await fs.readFile(path.join(tempBmad, 'bmm', 'workflow.yaml'), 'utf8')) === 'name: dev\nmode: slow\n' &&
+        merger.hasConflictMarkers(await fs.readFile(path.join(tempBmad, 'bmm', 'workflow.yaml.bmad-conflict'), 'utf8')),
+      'Structured files keep the new version and get a .bmad-conflict sidecar',
+    );
+
+    await merger.resolve(tempBmad, 'bmm/workflow.yaml', 'yours');
+    let resolveError = null;
+    try {
+      await merger.resolve(tempBmad, 'bmm/steps.md');
+    } catch (error) {
+      resolveError = error;
+    }
+    assert(
+      (await fs.readFile(path.join(tempBmad, 'bmm', 'workflow.yaml'), 'utf8')) === 'name: dev\nmode: careful\n' &&
+        !(await fs.pathExists(path.join(tempBmad, 'bmm', 'workflow.yaml.bmad-conflict'))),
+      'Resolving a sidecar conflict installs the chosen content',
+    );
+    assert(
+      resolveError !== null && (await merger.readConflicts(tempBmad)).length === 1,
+      'Files with remaining markers cannot be marked resolved',
+    );
+
+    await fs.remove(tempBmad);
+    await fs.remove(backupDir);
+  } catch (error) {
+    assert(false, 'Three-way merge test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 11: Update Plan
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 11: Update Plan${colors.reset}\n`);
+
+  try {
+    const planner = new UpdatePlanner(() => null);
+    const current = path.join(__dirname, 'temp-plan-current');
+    const updated = path.join(__dirname, 'temp-plan-updated');
+    await fs.remove(current);
+    await fs.remove(updated);
+    await fs.outputFile(path.join(current, 'core', 'kept.md'), 'same\n');
+    await fs.outputFile(path.join(current, 'core', 'edited.md'), 'one\ntwo\nthree\n');
+    await fs.outputFile(path.join(current, 'core', 'removed.md'), 'gone\n');
+    await fs.outputFile(path.join(updated, 'core', 'kept.md'), 'same\n');
+    await fs.outputFile(path.join(updated, 'core', 'edited.md'), 'one\n2\nthree\n');
+    await fs.outputFile(path.join(updated, 'core', 'added.md'), 'new\n');
+    const header = (date) => `# CORE Module Configuration\n# Generated by BMAD installer\n# Date: ${date}\n\nuser_name: Jane\n`;
+    await fs.outputFile(path.join(current, 'core', 'config.yaml'), header('2026-01-01T00:00:00.000Z'));
+    await fs.outputFile(path.join(updated, 'core', 'config.yaml'), header('2026-02-01T00:00:00.000Z'));
+    const filesManifest = (configHash, keptHash, editedHash) =>
+      [
+        'type,name,module,path,hash',
+        `"yaml","config","core","core/config.yaml","${configHash}"`,
+        `"md","edited","core","core/edited.md","${editedHash}"`,
+        `"md","kept","core","core/kept.md","${keptHash}"`,
+        '',
+      ].join('\n');
+    await fs.outputFile(path.join(current, '_config', 'files-manifest.csv'), filesManifest('aaa', 'kkk', 'eee'));
+    await fs.outputFile(path.join(updated, '_config', 'files-manifest.csv'), filesManifest('bbb', 'kkk', 'fff'));
+
+    const changes = await planner.compare(current, updated, '_bmad', true);
+    assert(
+      JSON.stringify(changes.map((change) => `${change.action} ${change.path}`)) ===
+        JSON.stringify(['add _bmad/core/added.md', 'change _bmad/core/edited.md', 'delete _bmad/core/removed.md']),
+      'Plan lists added, changed and deleted files, ignoring date headers and manifest hashes of files already listed',
+      JSON.stringify(changes),
+    );
+
+    await fs.outputFile(path.join(updated, '_config', 'files-manifest.csv'), filesManifest('bbb', 'lll', 'fff'));
+    const manifestChanges = await planner.compare(current, updated, '_bmad');
+    assert(
+      manifestChanges[0].path === '_bmad/_config/files-manifest.csv' && manifestChanges.length === 4,
+      'Plan still lists the files manifest when the hash of another file changed',
+      JSON.stringify(manifestChanges),
+    );
+    assert(
+      changes[1].diff === '--- a/_bmad/core/edited.md\n+++ b/_bmad/core/edited.md\n@@ -1,3 +1,3 @@\n one\n-two\n+2\n three',
+      'Plan includes unified diffs',
+      changes[1].diff,
+    );
+
+    await fs.remove(current);
+    await fs.remove(updated);
+  } catch (error) {
+    assert(false, 'Update plan test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 12: Web Bundles
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 12: Web Bundles${colors.reset}\n`);
+
+  try {
+    const xml2js = require('xml2js');
+    const outputDir = path.join(__dirname, 'temp-web-bundles');
+    await fs.remove(outputDir);
+    const bundler = new WebBundler({ outputDir });
+    const originalLog = console.log;
+    console.log = () => {};
+    let bundlePath;
+    let skipped;
+    try {
+      bundlePath = await bundler.bundleAgent('bmm', 'pm');
+      skipped = await bundler.bundleAgent('bmm', 'dev');
+    } finally {
+      console.log = originalLog;
+    }
+
+    const bundle = await xml2js.parseStringPromise(await fs.readFile(bundlePath, 'utf8'), { strict: true });
+    const ids = new Set(bundle['agent-bundle'].files[0].file.map((file) => file.$.id));
+    const commands = bundle['agent-bundle'].agent[0].menu[0].item.map((item) => item.$.cmd);
+    assert(ids.has('_bmad/bmm/workflows/2-plan-workflows/prd/steps/step-01-init.md'), 'Agent bundle inlines workflow files');
+    assert(ids.has('_bmad/core/tasks/advanced-elicitation-methods.csv'), 'Agent bundle inlines transitive dependencies');
+    assert(!commands.includes('*workflow-status'), 'Agent bundle drops workflows with web_bundle: false', commands.join(', '));
+    assert(skipped === null && !(await fs.pathExists(path.join(outputDir, 'bmm', 'agents', 'dev.xml'))), 'webskip agents are not bundled');
+
+    await fs.remove(outputDir);
+  } catch (error) {
+    assert(false, 'Web bundle test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 13: IDE Plugins
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 13: IDE Plugins${colors.reset}\n`);
+
+  try {
+    const projectDir = path.join(__dirname, 'temp-ide-plugins');
+    const pluginDir = path.join(projectDir, '_bmad', '_config', 'ide-plugins');
+    await fs.remove(projectDir);
+    await fs.outputFile(
+      path.join(pluginDir, 'helix.js'),
+      `module.exports = {
+        platform: { name: 'Helix Editor', category: 'ide' },
+        createHandler: ({ BaseIdeSetup }) =>
+          class extends BaseIdeSetup {
+            constructor() { super('helix'); }
+            async setup() {}
+          },
+      };`,
+    );
+    await fs.outputFile(
+      path.join(pluginDir, 'clash.js'),
+      `module.exports = ({ createHandler: ({ BaseIdeSetup }) => class extends BaseIdeSetup {
+        constructor() { super('cursor'); }
+        async setup() {}
+      } });`,
+    );
+    await fs.outputFile(path.join(pluginDir, 'incomplete.js'), `module.exports = class { constructor() { this.name = 'vim'; } };`);
+    await fs.symlink(path.join(projectDir, 'missing.js'), path.join(pluginDir, 'dangling.js'));
+    await fs.symlink(path.join(projectDir, 'missing'), path.join(pluginDir, 'dangling-dir'));
+
+    const ideManager = new IdeManager();
+    const originalLog = console.log;
+    const warnings = [];
+    console.log = (message) => warnings.push(message);
+    let loaded;
+    try {
+      loaded = ideManager.loadPlugins(projectDir);
+    } finally {
+      console.log = originalLog;
+    }
+
+    const helix = ideManager.getAvailableIdes().find((ide) => ide.value === 'helix');
+    assert(JSON.stringify(loaded) === '["helix"]', 'Valid IDE plugin is loaded', JSON.stringify(loaded));
+    assert(helix && helix.name === 'Helix Editor' && helix.plugin, 'Plugin platform metadata is used for tool selection');
+    assert(
+      warnings.length === 4 &&
+        warnings.some((line) => line.includes('already provided')) &&
+        warnings.some((line) => line.includes('setup()')) &&
+        warnings.filter((line) => line.includes('dangling')).length === 2,
+      'Plugins breaking the handler contract and dangling symlinks are skipped',
+      warnings.join('\n'),
+    );
+
+    await fs.remove(projectDir);
+  } catch (error) {
+    assert(false, 'IDE plugin test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 14: Declarative IDE Targets
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 14: Declarative IDE Targets${colors.reset}\n`);
+
+  try {
+    const ideManager = new IdeManager();
+    const ported = ['auggie', 'crush', 'iflow', 'kilo', 'qwen', 'roo', 'trae'];
+    assert(
+      ported.every((ide) => ideManager.handlers.get(ide) instanceof DeclarativeIdeSetup),
+      'Built-in targets/*.yaml are loaded as IDE handlers',
+    );
+
+    const projectDir = path.join(__dirname, 'temp-ide-targets');
+    await fs.remove(projectDir);
+    const handler = new DeclarativeIdeSetup({
+      code: 'sample',
+      name: 'Sample',
+      outputs: [
+        {
+          artifacts: 'tasks',
+          dir: '.sample/{{module}}',
+          filename: '{{name}}.toml',
+          format: 'toml',
+          vars: { label: [{ when: '<task', match: 'name="([^"]+)"', value: 'Task {{match}}' }, '{{name|title}}'] },
+          frontmatter: { description: '{{label}}' },
+          template: '{{content|trim}}',
+        },
+        { artifacts: 'agents', file: '.sample/modes.yaml', list: 'modes', id: 'bmad-{{name}}', template: ' - slug: bmad-{{name}}\n' },
+      ],
+    });
+    const contexts = [
+      { module: 'core', name: 'shard-doc', content: '<task name="Shard">{{not-a-var}}</task>\n' },
+      { module: 'core', name: 'index-docs', content: 'plain' },
+    ];
+    await handler.writeOutput(handler.target.outputs[0], contexts, projectDir);
+    await handler.writeOutput(handler.target.outputs[1], contexts, projectDir);
+    await handler.writeOutput(handler.target.outputs[1], contexts.slice(0, 1), projectDir);
+
+    const toml = await fs.readFile(path.join(projectDir, '.sample', 'core', 'shard-doc.toml'), 'utf8');
+    const fallback = await fs.readFile(path.join(projectDir, '.sample', 'core', 'index-docs.toml'), 'utf8');
+    const modes = await fs.readFile(path.join(projectDir, '.sample', 'modes.yaml'), 'utf8');
+    assert(
+      toml === 'description = "Task Shard"\nprompt = """\n<task name="Shard">{{not-a-var}}</task>\n"""\n',
+      'Targets render TOML from variables without expanding artifact content',
+      toml,
+    );
+    assert(fallback.startsWith('description = "Index Docs"'), 'Variable rules fall through to the first that applies', fallback);
+    assert(modes === 'modes:\n - slug: bmad-shard-doc\n - slug: bmad-index-docs\n', 'Appended entries are written once per id', modes);
+
+    let rejected = false;
+    try {
+      new DeclarativeIdeSetup({ code: 'broken', name: 'Broken', outputs: [{ artifacts: 'skills', dir: '.x' }] });
+    } catch (error) {
+      rejected = error.message.includes('artifacts must be one of') && error.message.includes("'dir' and 'filename'");
+    }
+    assert(rejected, 'Invalid target definitions are rejected');
+
+    await fs.remove(projectDir);
+  } catch (error) {
+    assert(false, 'Declarative IDE target test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 15: Dev Sync
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 15: Dev Sync${colors.reset}\n`);
+
+  try {
+    const bmadDir = path.join(__dirname, 'temp-dev-sync', '_bmad');
+    const cfgDir = path.join(bmadDir, '_config');
+    await fs.remove(path.dirname(bmadDir));
+
+    const compiledPath = path.join(bmadDir, 'bmm', 'agents', 'pm.md');
+    await fs.ensureDir(path.dirname(compiledPath));
+    const result = await compileAgentFile(path.join(projectRoot, 'src/modules/bmm/agents/pm.agent.yaml'), {
+      outputPath: compiledPath,
+      targetPath: 'pm.agent.yaml',
+      bmadFolderName: '_bmad',
+    });
+    const written = await fs.readFile(compiledPath, 'utf8');
+    assert(
+      result.xml.includes('<agent id="pm.agent.yaml"') && written === result.xml,
+      'compileAgentFile awaits compilation and writes the agent',
+    );
+
+    await fs.outputFile(
+      path.join(cfgDir, 'agent-manifest.csv'),
+      [
+        'name,displayName,title,icon,role,identity,communicationStyle,principles,module,path',
+        '"bmad-master","BMad Master","Master","🧙","","","","","core","_bmad/core/agents/bmad-master.md"',
+        '"pm","John","Old Title","📋","","","","","bmm","_bmad/bmm/agents/pm.md"',
+        '"sm","Bob","Scrum Master","🏃","","","","","bmm","_bmad/bmm/agents/sm.md"',
+      ].join('\n') + '\n',
+    );
+    await fs.outputFile(
+      path.join(cfgDir, 'files-manifest.csv'),
+      'type,name,module,path,hash\n"md","pm","bmm","bmm/agents/pm.md","stale"\n"md","sm","bmm","bmm/agents/sm.md","kept"\n',
+    );
+
+    const generator = new ManifestGenerator();
+    await generator.refreshAgentEntries(bmadDir, [
+      { module: 'bmm', file: compiledPath },
+      { module: 'core', file: path.join(bmadDir, 'core', 'agents', 'bmad-master.md') },
+    ]);
+    const agentRows = (await fs.readFile(path.join(cfgDir, 'agent-manifest.csv'), 'utf8')).trim().split('\n');
+    assert(
+      agentRows.length === 3 && agentRows[1].startsWith('"pm","John","Product Manager"') && agentRows[2].startsWith('"sm","Bob"'),
+      'Only the refreshed agent rows change, removed agents are dropped',
+      agentRows.join('\n'),
+    );
+
+    await generator.refreshFileHashes(bmadDir, [compiledPath, path.join(bmadDir, 'bmm', 'untracked.md')]);
+    const fileRows = (await fs.readFile(path.join(cfgDir, 'files-manifest.csv'), 'utf8')).trim().split('\n');
+    const hash = await generator.calculateFileHash(compiledPath);
+    assert(
+      fileRows.length === 3 && fileRows[1].endsWith(`"${hash}"`) && fileRows[2].endsWith('"kept"'),
+      'Tracked file hashes are refreshed in place, untracked files are ignored',
+      fileRows.join('\n'),
+    );
+
+    await fs.remove(path.dirname(bmadDir));
+  } catch (error) {
+    assert(false, 'Dev sync test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 16: Typed Config Questions
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 16: Typed Config Questions${colors.reset}\n`);
+
+  try {
+    const schema = {
+      tracker: { prompt: 'Issue tracker?', default: 'none', 'single-select': ['none', 'jira'] },
+      jira_url: { prompt: 'Jira URL?', type: 'url', when: { tracker: 'jira' }, required: true },
+      jira_token: { prompt: 'Jira token?', secret: true, when: { tracker: 'jira' }, required: true, result: '{value}' },
+      max_parallel: {
+        prompt: 'Parallel agents?',
+        type: 'number',
+        default: 2,
+        validate: [{ min: 1, max: 8, message: 'Pick 1 to 8 agents' }],
+      },
+      docs_path: { prompt: 'Docs folder?', type: 'path', default: 'docs' },
+    };
+    const askDemo = async (presets) => {
+      const collector = new ConfigCollector();
+      collector.setPresetAnswers({ demo: presets });
+      collector.allAnswers = {};
+      const questions = [];
+      for (const [key, item] of Object.entries(schema)) {
+        questions.push(await collector.buildQuestion('demo', key, item, schema));
+      }
+      return { collector, answers: await collector.promptQuestions('demo', questions) };
+    };
+
+    const { answers } = await askDemo({ max_parallel: '4' });
+    assert(
+      !('demo_jira_url' in answers) && !('demo_jira_token' in answers) && answers.demo_max_parallel === 4,
+      'Questions whose when: condition fails are skipped, numbers are parsed',
+    );
+
+    try {
+      await askDemo({ tracker: 'jira', jira_url: 'jira.local', max_parallel: 12, docs_path: '../elsewhere' });
+      assert(false, 'Invalid typed answers are rejected', 'No error thrown');
+    } catch (error) {
+      assert(
+        error.message.includes('demo.jira_url') &&
+          error.message.includes('Enter a valid URL') &&
+          error.message.includes('Pick 1 to 8 agents') &&
+          error.message.includes('relative to its root') &&
+          error.message.includes('BMAD_DEMO_JIRA_TOKEN'),
+        'Invalid typed answers are rejected with custom messages',
+        error.message,
+      );
+    }
+
+    process.env.BMAD_DEMO_JIRA_TOKEN = 's3cret';
+    const bmadDir = path.join(__dirname, 'temp-secrets', '_bmad');
+    try {
+      const { collector, answers: jiraAnswers } = await askDemo({ tracker: 'jira', jira_url: 'https://jira.example.com' });
+      for (const [name, value] of Object.entries(jiraAnswers)) {
+        const key = name.slice('demo_'.length);
+        collector.storeAnswer('demo', key, schema[key], value);
+      }
+
+      await fs.ensureDir(path.join(bmadDir, 'demo'));
+      const secretsPath = await collector.writeSecrets(bmadDir);
+      const stored = (await fs.readFile(secretsPath, 'utf8')).includes('jira_token: s3cret');
+      const mode = (await fs.stat(secretsPath)).mode & 0o777;
+      const ignored = (await fs.readFile(path.join(bmadDir, '_config', '.gitignore'), 'utf8')).includes('secrets.yaml');
+      assert(
+        stored && !('jira_token' in collector.collectedConfig.demo) && ignored && (process.platform === 'win32' || mode === 0o600),
+        'Secret answers are written to _config/secrets.yaml instead of config.yaml',
+      );
+    } finally {
+      delete process.env.BMAD_DEMO_JIRA_TOKEN;
+      await fs.remove(path.dirname(bmadDir));
+    }
+  } catch (error) {
+    assert(false, 'Typed config questions test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 17: Module Schema
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 17: Module Schema${colors.reset}\n`);
+
+  try {
+    const coreKeys = ['code', 'name', 'user_name', 'output_folder'];
+    const validModule = {
+      code: 'demo',
+      name: 'Demo',
+      tracker: { prompt: 'Tracker?', default: 'none', 'single-select': ['none', 'jira'], result: '{value}' },
+      jira_url: { prompt: 'URL?', type: 'url', when: { tracker: 'jira' }, result: '{value}' },
+      reports: { prompt: 'Reports?', default: '{output_folder}/reports', result: '{project-root}/{value}' },
+    };
+    const valid = validateModuleFile('src/modules/demo/module.yaml', validModule, { coreKeys });
+    assert(valid.success, 'Valid module.yaml passes the module schema', valid.success ? '' : valid.error.message);
+
+    const broken = {
+      ...validModule,
+      code: 'other',
+      tracker: { ...validModule.tracker, default: 'linear' },
+      jira_url: { ...validModule.jira_url, when: { trackr: 'jira' } },
+      reports: { ...validModule.reports, result: '{project-root}/{vaule}' },
+      max_parallel: { prompt: 'Parallel?', type: 'number', validate: [{ min: 5, max: 1 }], result: '{value}' },
+    };
+    const result = validateModuleFile('src/modules/demo/module.yaml', broken, { coreKeys });
+    const issues = result.success ? [] : result.error.issues.map((issue) => `${issue.path.join('.')}: ${issue.message}`);
+    const expected = [
+      'code:',
+      'tracker.default:',
+      'jira_url.when:',
+      'reports.result: unknown placeholder {vaule}',
+      'max_parallel.validate.0:',
+    ];
+    assert(
+      expected.every((prefix) => issues.some((issue) => issue.startsWith(prefix))),
+      'Module schema reports wrong code, select defaults, references, placeholders and rules',
+      issues.join('; '),
+    );
+
+    const unknownType = validateModuleFile('src/modules/demo/module.yaml', { ...validModule, jira_url: { prompt: 'URL?', type: 'uri' } });
+    assert(
+      !unknownType.success && unknownType.error.issues.some((issue) => issue.path.join('.') === 'jira_url.type'),
+      'Module schema rejects unknown question types',
+    );
+
+    const { buildModuleJsonSchema } = require('../tools/schema/module');
+    const jsonSchema = await fs.readJson(path.join(__dirname, '..', 'tools', 'schema', 'module.schema.json'));
+    assert(
+      jsonSchema.title === buildModuleJsonSchema().title && jsonSchema.additionalProperties.properties.type.enum.includes('multi-select'),
+      'Editor JSON Schema describes module questions',
+    );
+  } catch (error) {
+    assert(false, 'Module schema test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 18: Workflow Schema
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 18: Workflow Schema${colors.reset}\n`);
+
+  const workflowRoot = path.join(__dirname, 'temp-workflow-schema');
+  try {
+    const workflowDir = path.join(workflowRoot, 'src', 'modules', 'demo', 'workflows', 'plan');
+    await fs.ensureDir(workflowDir);
+    await fs.writeFile(path.join(workflowDir, 'instructions.md'), '# Plan\n');
+    const getModuleKeys = (moduleName) => ({ core: new Set(['user_name']), demo: new Set(['code', 'plans_folder']) })[moduleName] || null;
+    const workflow = {
+      name: 'plan',
+      description: 'Plan the work',
+      config_source: '{project-root}/_bmad/demo/config.yaml',
+      user_name: '{config_source}:user_name',
+      plans_folder: '{config_source}:plans_folder',
+      installed_path: '{project-root}/_bmad/demo/workflows/plan',
+      instructions: '{installed_path}/instructions.md',
+      template: false,
+      standalone: true,
+    };
+
+    const valid = validateWorkflowFile('src/modules/demo/workflows/plan/workflow.yaml', workflow);
+    const validRefs = checkWorkflowReferences(workflow, { projectRoot: workflowRoot, getModuleKeys });
+    assert(valid.success && validRefs.length === 0, 'Valid workflow.yaml passes schema and reference checks', JSON.stringify(validRefs));
+
+    const moved = validateWorkflowFile('src/modules/demo/workflows/plan/workflow.yaml', {
+      ...workflow,
+      installed_path: '{project-root}/_bmad/demo/workflows/old-plan',
+    });
+    assert(
+      !moved.success && moved.error.issues.some((issue) => issue.path[0] === 'installed_path'),
+      'installed_path that does not match the workflow location is rejected',
+    );
+
+    const broken = { ...workflow, template: '{installed_path}/template.md', plans_folder: '{config_source}:plan_folder' };
+    const messages = checkWorkflowReferences(broken, { projectRoot: workflowRoot, getModuleKeys }).map((issue) => issue.message);
+    assert(
+      messages.some((message) => message.includes('template.md does not exist')) &&
+        messages.some((message) => message.includes('{config_source}:plan_folder is not defined')),
+      'Missing referenced files and unknown {config_source} keys are reported',
+      messages.join('; '),
+    );
+  } catch (error) {
+    assert(false, 'Workflow schema test setup', error.message);
+  } finally {
+    await fs.remove(workflowRoot);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 19: Agent Template Engine
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 19: Agent Template Engine${colors.reset}\n`);
+
+  try {
+    const legacy =
+      '1. Step\n{{#if detailed}}\n2. More for {{name}}\n{{/if}}\n{{#unless detailed}}Short{{/unless}} {{#if style == "pro"}}Pro{{/if}} {user_name}';
+    assert(
+      processTemplate(legacy, { detailed: true, name: 'Ada', style: 'pro' }) === '1. Step\n\n2. More for Ada\n\n Pro {user_name}' &&
+        processTemplate(legacy, { detailed: false, style: 'casual' }) === '1. Step\n\nShort  {user_name}',
+      'Existing if/unless/equals templates render as before',
+    );
+
+    const nested =
+      '{{#if tools}}{{#each tools}}{{#if @first}}Tools: {{else}}, {{/if}}{{name}}{{#if beta}} (beta){{/if}}{{/each}}{{else if mode != "off"}}No tools{{else}}Off{{/if}}';
+    assert(
+      processTemplate(nested, { tools: [{ name: 'git' }, { name: 'jq', beta: true }] }) === 'Tools: git, jq (beta)' &&
+        processTemplate(nested, { tools: [], mode: 'on' }) === 'No tools' &&
+        processTemplate(nested, { mode: 'off' }) === 'Off',
+      'Nested blocks, else branches and {{#each}} render',
+    );
+
+    const withPartial = processTemplate('{{> handler-action}}', {});
+    const partialSource = await fs.readFile(path.join(projectRoot, 'src', 'utility', 'agent-components', 'handler-action.txt'), 'utf8');
+    assert(withPartial === partialSource, 'Partials are loaded from src/utility/agent-components');
+
+    let message = '';
+    try {
+      processAgentYaml({ agent: { persona: { identity: 'Line one\n{{#if detailed}}\nNever closed' } } }, {});
+    } catch (error) {
+      message = error.message;
+    }
+    assert(
+      message === 'agent.persona.identity, line 2: {{#if detailed}} is never closed with {{/if}}',
+      'Template errors name the field and line',
+      message,
+    );
+  } catch (error) {
+    assert(false, 'Template engine test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 20: Agent Inheritance
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 20: Agent Inheritance${colors.reset}\n`);
+
+  try {
+    const yaml = require('yaml');
+    const agentsDir = path.join(__dirname, 'temp-agent-extends', 'src', 'modules', 'demo', 'agents');
+    await fs.remove(path.join(__dirname, 'temp-agent-extends'));
+
+    await fs.outputFile(
+      path.join(agentsDir, 'dev.agent.yaml'),
+      [
+        'agent:',
+        '  metadata: { id: "_bmad/demo/agents/dev.md", name: Amelia, title: Developer, icon: "💻", module: demo }',
+        '  persona: { role: Developer, identity: Writes code., communication_style: Terse., principles: [Tests first] }',
+        '  critical_actions: [Load project-context.md]',
+        '  menu:',
+        '    - { trigger: dev-story, workflow: "{project-root}/_bmad/demo/dev/workflow.yaml", description: Develop a story }',
+        '    - { trigger: code-review, workflow: "{project-root}/_bmad/demo/review/workflow.yaml", description: Review code }',
+      ].join('\n'),
+    );
+    await fs.outputFile(
+      path.join(agentsDir, 'mixins', 'party.mixin.yaml'),
+      'agent:\n  menu:\n    - { trigger: party-mode, exec: "{project-root}/_bmad/core/workflows/party-mode/workflow.md", description: Bring in experts }\n',
+    );
+    const soloPath = path.join(agentsDir, 'solo.agent.yaml');
+    await fs.outputFile(
+      soloPath,
+      [
+        'agent:',
+        '  extends: [dev.agent.yaml, mixins/party.mixin.yaml]',
+        '  metadata: { id: "_bmad/demo/agents/solo.md", name: Barry, title: Solo Dev, icon: "🚀", module: demo }',
+        '  persona: { role: Solo Developer, principles: [Ship early] }',
+        '  critical_actions: [Load project-context.md, Work alone]',
+        '  menu:',
+        '    - { trigger: code-review, workflow: "{project-root}/_bmad/demo/review/workflow.yaml", description: Review your own code }',
+        '    - { trigger: dev-story, remove: true }',
+      ].join('\n'),
+    );
+
+    const merged = resolveAgentExtends(yaml.parse(await fs.readFile(soloPath, 'utf8')), soloPath);
+    assert(
+      merged.agent.persona.role === 'Solo Developer' &&
+        merged.agent.persona.identity === 'Writes code.' &&
+        merged.agent.persona.principles.join('|') === 'Tests first|Ship early' &&
+        merged.agent.critical_actions.join('|') === 'Load project-context.md|Work alone' &&
+        merged.agent.menu.map((item) => item.description).join('|') === 'Review your own code|Bring in experts',
+      'extends overrides persona fields and appends or replaces lists by key',
+    );
+
+    const validation = validateAgentFile('src/modules/demo/agents/solo.agent.yaml', merged);
+    assert(validation.success, 'Merged agent passes the agent schema', validation.error?.issues?.[0]?.message);
+
+    const { xml } = await compileAgentFile(soloPath, { outputPath: path.join(agentsDir, 'solo.md') });
+    assert(
+      xml.includes('<role>Solo Developer</role>') && xml.includes('party-mode') && !xml.includes('dev-story'),
+      'Compiler resolves extends before building the XML',
+    );
+
+    await fs.outputFile(path.join(agentsDir, 'mixins', 'party.mixin.yaml'), 'agent:\n  extends: ../solo.agent.yaml\n');
+    let message = '';
+    try {
+      await compileAgentFile(soloPath, { outputPath: path.join(agentsDir, 'solo.md') });
+    } catch (error) {
+      message = error.message;
+    }
+    assert(
+      message.startsWith('Agent inheritance cycle:') && message.includes('party.mixin.yaml -> ') && message.endsWith('solo.agent.yaml'),
+      'Inheritance cycles are reported with the chain of files',
+      message,
+    );
+
+    await fs.remove(path.join(__dirname, 'temp-agent-extends'));
+  } catch (error) {
+    assert(false, 'Agent inheritance test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 21: Team Launchers
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 21: Team Launchers${colors.reset}\n`);
+
+  try {
+    const tempDir = path.join(__dirname, 'temp-teams');
+    const moduleDir = path.join(tempDir, 'src', 'modules', 'demo');
+    const bmadDir = path.join(tempDir, 'project', '_bmad');
+    await fs.remove(tempDir);
+
+    for (const [name, displayName] of [
+      ['analyst', 'Mary'],
+      ['dev', 'Amelia'],
+    ]) {
+      await fs.outputFile(
+        path.join(moduleDir, 'agents', `${name}.agent.yaml`),
+        `agent:\n  metadata: { id: "_bmad/demo/agents/${name}.md", name: ${displayName}, title: ${name}, icon: "🧪", module: demo }\n`,
+      );
+    }
+    await fs.outputFile(path.join(moduleDir, 'workflows', '1-analysis', 'brief', 'workflow.yaml'), 'name: brief\n');
+    const teamPath = path.join(moduleDir, 'teams', 'team-demo.yaml');
+    await fs.outputFile(
+      teamPath,
+      'bundle: { name: Team Demo, icon: "🧪", description: Analysis then code }\nagents: [analyst, dev]\nworkflows: [brief]\n',
+    );
+
+    const { content } = await compileTeamFile(teamPath, {
+      moduleName: 'demo',
+      moduleSourcePath: moduleDir,
+      outputPath: path.join(bmadDir, 'demo', 'teams', 'team-demo.md'),
+    });
+    assert(
+      content.includes('{project-root}/_bmad/core/resources/team-handoff.md') &&
+        content.includes('name="analyst" displayName="Mary"') &&
+        content.includes('file="{project-root}/_bmad/demo/agents/dev.md"') &&
+        content.includes('name="brief" file="{project-root}/_bmad/demo/workflows/1-analysis/brief/workflow.yaml"'),
+      'Team compiles with handoff protocol, member personas and workflow sequence',
+    );
+
+    const quoted = compileTeam(
+      { bundle: { name: 'Ship "it": fast' } },
+      { teamName: 'team-ship', moduleName: 'demo', members: [], workflows: [] },
+    );
+    assert(
+      require('yaml').parse(quoted.split('---\n')[1]).description === 'Ship "it": fast',
+      'Team frontmatter quotes names that YAML would misread',
+      quoted.split('---\n')[1],
+    );
+    assert(
+      content.includes('name and title, then the workflow sequence</step>') && !quoted.includes('workflow sequence'),
+      'Team greeting mentions the workflow sequence only when the team has one',
+    );
+
+    const { artifacts } = await new AgentCommandGenerator('_bmad').collectAgentArtifacts(bmadDir, ['demo']);
+    const launcher = artifacts.find((artifact) => artifact.team && artifact.name === 'team-demo');
+    assert(
+      launcher &&
+        launcher.relativePath === path.join('demo', 'teams', 'team-demo.md') &&
+        launcher.content.includes('_bmad/demo/teams/team-demo.md'),
+      'IDE artifacts include a launcher for each compiled team',
+    );
+
+    const generator = new ManifestGenerator();
+    generator.bmadDir = bmadDir;
+    generator.bmadFolderName = '_bmad';
+    generator.updatedModules = ['demo'];
+    await generator.collectTeams();
+    const manifestPath = await generator.writeTeamManifest(path.join(tempDir, 'project'));
+    const rows = (await fs.readFile(manifestPath, 'utf8')).trim().split('\n');
+    assert(
+      rows.length === 2 &&
+        rows[1] === '"team-demo","Team Demo","🧪","Analysis then code","demo","analyst;dev","brief","_bmad/demo/teams/team-demo.md"',
+      'Team manifest lists members and workflows of each team',
+      rows.join('\n'),
+    );
+
+    const invalid = validateTeamFile(
+      'team-demo.yaml',
+      { bundle: { name: 'T', icon: 'x', description: 'd' }, agents: ['analyst', 'qa'] },
+      { agents: ['analyst', 'dev'] },
+    );
+    assert(
+      !invalid.success && invalid.error.issues[0].message === 'agent "qa" is not part of the team\'s module',
+      'Team schema rejects agents the module does not provide',
+    );
+
+    const clashPath = path.join(moduleDir, 'teams', 'dev.yaml');
+    await fs.outputFile(clashPath, 'bundle: { name: Dev, icon: "🧪", description: d }\nagents: "*"\n');
+    let clashError = null;
+    try {
+      await compileTeamFile(clashPath, { moduleName: 'demo', moduleSourcePath: moduleDir });
+    } catch (error) {
+      clashError = error;
+    }
+    assert(
+      clashError && clashError.message.includes('team "dev" has the name of an agent of its module'),
+      'Teams named like an agent of their module are rejected',
+      clashError ? clashError.message : 'compiled',
+    );
+
+    await fs.remove(tempDir);
+  } catch (error) {
+    assert(false, 'Team launcher test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 22: Localisation
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 22: Localisation${colors.reset}\n`);
+
+  try {
+    const yaml = require('yaml');
+    const agentsDir = path.join(__dirname, 'temp-locale', 'agents');
+    const agentPath = path.join(agentsDir, 'dev.agent.yaml');
+    await fs.remove(path.join(__dirname, 'temp-locale'));
+
+    await fs.outputFile(
+      agentPath,
+      [
+        'agent:',
+        '  metadata: { id: "_bmad/demo/agents/dev.md", name: Amelia, title: Developer, icon: "💻", module: demo }',
+        '  persona: { role: Developer, identity: Writes code., communication_style: Terse., principles: [Tests first] }',
+        '  menu:',
+        '    - { trigger: dev-story, action: "#dev", description: Develop a story }',
+        '    - { trigger: code-review, action: "#review", description: Review code }',
+      ].join('\n'),
+    );
+    await fs.outputFile(
+      path.join(agentsDir, 'dev.agent.vi.yaml'),
+      'agent:\n  persona: { role: Lập trình viên }\n  menu:\n    - { trigger: dev-story, description: Phát triển một story }\n',
+    );
+    const agentYaml = yaml.parse(await fs.readFile(agentPath, 'utf8'));
+
+    const translated = applyAgentLocale(agentYaml, agentPath, 'Vietnamese');
+    assert(
+      translated.agent.persona.role === 'Lập trình viên' &&
+        translated.agent.persona.identity === 'Writes code.' &&
+        translated.agent.menu[0].description === 'Phát triển một story' &&
+        translated.agent.menu[0].action === '#dev' &&
+        applyAgentLocale(agentYaml, agentPath, 'vi-VN') !== agentYaml &&
+        applyAgentLocale(agentYaml, agentPath, 'English') === agentYaml,
+      'Locale overlay translates text of the configured language and keeps behaviour',
+    );
+
+    const { missing } = getLocaleCoverage(agentYaml, path.join(agentsDir, 'dev.agent.vi.yaml'));
+    assert(
+      missing.join('|') === 'metadata.title|persona.identity|persona.communication_style|persona.principles|menu.code-review',
+      'Coverage lists what an overlay leaves untranslated',
+      missing.join('|'),
+    );
+
+    await fs.outputFile(path.join(agentsDir, 'dev.agent.fr.yaml'), 'agent:\n  menu:\n    - { trigger: deploy, description: Déployer }\n');
+    let message = '';
+    try {
+      applyAgentLocale(agentYaml, agentPath, 'fr');
+    } catch (error) {
+      message = error.message;
+    }
+    assert(
+      message.endsWith('menu trigger "deploy" is not defined by the agent') &&
+        isAgentLocaleFile('dev.agent.fr.yaml') &&
+        !isAgentLocaleFile('dev.agent.yaml'),
+      'Overlays cannot add menu items the agent does not define',
+      message,
+    );
+
+    const reference = loadCatalog('en');
+    const sources = ['../tools/cli/lib/ui.js', '../tools/cli/lib/cli-utils.js'].map((file) =>
+      fs.readFileSync(path.join(__dirname, file), 'utf8'),
+    );
+    const usedKeys = sources.flatMap((source) => [...source.matchAll(/\bt\('([\w.]+)'/g)].map((match) => match[1]));
+    const unknownKeys = usedKeys.filter((key) => !(key in reference));
+    const strayKeys = listCatalogLocales().flatMap((locale) => Object.keys(loadCatalog(locale)).filter((key) => !(key in reference)));
+    assert(
+      usedKeys.length > 0 && unknownKeys.length === 0 && strayKeys.length === 0,
+      'Installer messages are defined in the English catalog',
+      [...unknownKeys, ...strayKeys].join(', '),
+    );
+
+    setLocale('Vietnamese');
+    const vietnamese = t('directory.contains', { count: 3 });
+    setLocale('en');
+    assert(
+      vietnamese === 'Thư mục đã tồn tại và có 3 mục' &&
+        t('directory.contains', { count: 3 }) === 'Directory exists and contains 3 item(s)' &&
+        resolveLocale('pt_BR.UTF-8') === 'pt-BR' &&
+        resolveLocale('English Pirate') === null,
+      'Installer messages follow the locale and fall back to English',
+    );
+
+    await fs.remove(path.join(__dirname, 'temp-locale'));
+  } catch (error) {
+    assert(false, 'Localisation test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 23: Agent Source Maps
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 23: Agent Source Maps${colors.reset}\n`);
+
+  try {
+    const bmadDir = path.join(__dirname, 'temp-source-maps', '_bmad');
+    const agentsDir = path.join(__dirname, 'temp-source-maps', 'src', 'agents');
+    const basePath = path.join(agentsDir, 'dev.agent.yaml');
+    const soloPath = path.join(agentsDir, 'solo.agent.yaml');
+    await fs.remove(path.join(__dirname, 'temp-source-maps'));
+
+    await fs.outputFile(
+      basePath,
+      [
+        'agent:',
+        '  metadata: { id: "_bmad/demo/agents/dev.md", name: Amelia, title: Developer, icon: "💻", module: demo }',
+        '  persona:',
+        '    role: Developer',
+        '    identity: Writes code.',
+        '    communication_style: Terse.',
+        '    principles: [Tests first]',
+        '  critical_actions: [Load project-context.md]',
+        '  menu:',
+        '    - trigger: dev-story',
+        '      workflow: "{project-root}/_bmad/demo/dev/workflow.yaml"',
+        '      description: Develop a story',
+      ].join('\n'),
+    );
+    await fs.outputFile(
+      soloPath,
+      [
+        'agent:',
+        '  extends: dev.agent.yaml',
+        '  metadata: { id: "_bmad/demo/agents/solo.md", name: Barry, title: Solo Dev, icon: "🚀", module: demo }',
+        '  persona: { role: Solo Developer }',
+        '  critical_actions: [Work alone]',
+      ].join('\n'),
+    );
+    await fs.outputFile(path.join(agentsDir, 'solo.agent.vi.yaml'), 'agent:\n  persona:\n    role: Lập trình viên độc lập\n');
+
+    const outputPath = path.join(bmadDir, 'demo', 'agents', 'solo.md');
+    const sourceMapPath = getAgentSourceMapPath(bmadDir, outputPath);
+    await fs.ensureDir(path.dirname(outputPath));
+    const { xml } = await compileAgentFile(soloPath, { outputPath, locale: 'vi', bmadFolderName: '_bmad', sourceMapPath });
+    const sourceMap = await fs.readJson(sourceMapPath);
+    const lines = xml.split('\n');
+    const lineOf = (text) => lines.findIndex((line) => line.includes(text)) + 1;
+    const sourceOf = (mapping) => path.basename(sourceMap.sources[mapping.source]);
+
+    const role = findMapping(sourceMap, lineOf('<role>'));
+    const identity = findMapping(sourceMap, lineOf('<identity>'));
+    assert(
+      role.path === 'agent.persona.role' &&
+        sourceOf(role) === 'solo.agent.yaml' &&
+        role.sourceLines.join('-') === '4-4' &&
+        path.basename(sourceMap.sources[role.translation.source]) === 'solo.agent.vi.yaml' &&
+        identity.path === 'agent.persona.identity' &&
+        sourceOf(identity) === 'dev.agent.yaml' &&
+        identity.sourceLines.join('-') === '5-5',
+      'Persona lines map to the agent, base or overlay that defined them',
+    );
+
+    const menuItem = findMapping(sourceMap, lineOf('cmd="*dev-story"'));
+    const criticalAction = findMapping(sourceMap, lineOf('Work alone'));
+    assert(
+      menuItem.path === 'agent.menu[0]' &&
+        menuItem.label === 'trigger: dev-story' &&
+        sourceOf(menuItem) === 'dev.agent.yaml' &&
+        menuItem.sourceLines.join('-') === '10-12' &&
+        criticalAction.path === 'agent.critical_actions[0]' &&
+        sourceOf(criticalAction) === 'solo.agent.yaml',
+      'Menu items and critical actions map to their YAML nodes',
+    );
+
+    assert(
+      findMapping(sourceMap, lineOf('<activation')).generated === 'activation-steps.txt' &&
+        findMapping(sourceMap, lineOf('cmd="*dismiss"')).generated === 'compiler' &&
+        findMapping(sourceMap, lines.length + 1) === null &&
+        getCompiledAgentPath(bmadDir, sourceMapPath) === outputPath,
+      'Lines the compiler adds are marked as generated',
+    );
+
+    assert(
+      sourceMap.sources.every((source) => source.startsWith('{project-root}/src/agents/')) &&
+        resolveSourcePath(bmadDir, sourceMap.sources[0]) === path.join(agentsDir, sourceOf(role)) &&
+        resolveSourcePath(bmadDir, '{bmad-source}/src/core/agents/bmad-master.agent.yaml') ===
+          path.join(projectRoot, 'src', 'core', 'agents', 'bmad-master.agent.yaml'),
+      'Source maps store sources relative to the project or the BMAD package',
+      JSON.stringify(sourceMap.sources),
+    );
+
+    await fs.remove(path.join(__dirname, 'temp-source-maps'));
+  } catch (error) {
+    assert(false, 'Agent source map test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 24: Token Budgets
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 24: Token Budgets${colors.reset}\n`);
+
+  try {
+    const prose = 'The product manager writes a requirements document for the team. '.repeat(20);
+    assert(
+      countTokens('') === 0 &&
+        countTokens('hello world') === 2 &&
+        countTokens(prose) === 221 &&
+        countTokens('日本語のテキスト') === 6 &&
+        countTokens('<|endoftext|>') > 1,
+      'Tokenizer counts o200k_base tokens of words, long text, non-Latin text and special token markers',
+      `${countTokens(prose)} tokens of prose`,
+    );
+
+    const projectDir = path.join(__dirname, 'temp-size');
+    const bmadDir = path.join(projectDir, '_bmad');
+    const workflowDir = path.join(bmadDir, 'demo', 'workflows', 'plan');
+    await fs.remove(projectDir);
+    await fs.outputFile(path.join(bmadDir, '_config', 'agent-manifest.csv'), 'name,path\n"dev","_bmad/demo/agents/dev.md"\n');
+    await fs.outputFile(
+      path.join(bmadDir, '_config', 'workflow-manifest.csv'),
+      'name,path\n"plan","_bmad/demo/workflows/plan/workflow.yaml"\n',
+    );
+    await fs.outputFile(path.join(bmadDir, 'demo', 'agents', 'dev.md'), prose);
+    await fs.outputFile(path.join(bmadDir, 'demo', 'config.yaml'), 'output_folder: "{project-root}/docs"\n');
+    await fs.outputFile(path.join(bmadDir, 'core', 'tasks', 'workflow.xml'), '<task>engine</task>');
+    await fs.outputFile(path.join(workflowDir, 'instructions.md'), prose);
+    await fs.outputFile(
+      path.join(workflowDir, 'workflow.yaml'),
+      [
+        'name: plan',
+        'config_source: "{project-root}/_bmad/demo/config.yaml"',
+        'output_folder: "{config_source}:output_folder"',
+        'instructions: "{installed_path}/instructions.md"',
+        'template: false',
+        'input_file_patterns:',
+        '  prd: { description: PRD, whole: "{output_folder}/*prd*.md", sharded: "{output_folder}/*prd*/index.md", load_strategy: FULL_LOAD }',
+        '  epics: { description: Epics, sharded_single: "{output_folder}/epics/epic-{{epic_num}}.md", load_strategy: SELECTIVE_LOAD }',
+      ].join('\n'),
+    );
+    await fs.outputFile(path.join(projectDir, 'docs', 'prd.md'), 'whole document');
+    await fs.outputFile(path.join(projectDir, 'docs', 'prd', 'index.md'), 'index');
+    await fs.outputFile(path.join(projectDir, 'docs', 'prd', 'goals.md'), 'goals');
+    await fs.outputFile(path.join(projectDir, 'docs', 'epics', 'epic-1.md'), 'short');
+    await fs.outputFile(path.join(projectDir, 'docs', 'epics', 'epic-2.md'), prose);
+
+    const analyzer = new SizeAnalyzer();
+    const report = await analyzer.analyze(projectDir, bmadDir);
+    const byId = Object.fromEntries(report.artifacts.map((artifact) => [artifact.id, artifact]));
+    const workflowId = '_bmad/demo/workflows/plan/workflow.yaml';
+    assert(
+      byId[workflowId].files.map((file) => path.basename(file.path)).join('|') === 'workflow.yaml|workflow.xml|instructions.md' &&
+        byId[`${workflowId}#inputs`].files.map((file) => file.path).join('|') ===
+          'docs/prd/goals.md|docs/prd/index.md|docs/epics/epic-2.md' &&
+        byId['_bmad/demo/agents/dev.md'].tokens === countTokens(prose),
+      'Workflows count the files they load and the shards their load strategy reads',
+    );
+
+    const budgets = await analyzer.loadBudgets();
+    budgets.files = { '_bmad/demo/**': 10 };
+    const baseline = analyzer.createBaseline(report);
+    baseline.artifacts['_bmad/demo/agents/dev.md'] = 100;
+    const result = analyzer.check(report, budgets, baseline, 5);
+    assert(
+      !result.ok &&
+        result.overBudget.map((artifact) => artifact.id).join('|') === `_bmad/demo/agents/dev.md|${workflowId}|${workflowId}#inputs` &&
+        result.regressions.length === 1 &&
+        result.regressions[0].baseline === 100 &&
+        analyzer.check(report, await analyzer.loadBudgets(), analyzer.createBaseline(report)).ok,
+      'Budgets and baseline regressions fail the check',
+    );
+
+    await fs.remove(projectDir);
+  } catch (error) {
+    assert(false, 'Token budget test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 25: Agent Diff
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 25: Agent Diff${colors.reset}\n`);
+
+  try {
+    const tempDir = path.join(__dirname, 'temp-agent-diff');
+    await fs.remove(tempDir);
+    const agentYaml = (role, actions, menu, prompt) =>
+      [
+        'agent:',
+        '  metadata: { id: demo, name: Dee, title: Demo Agent, icon: "🧪", module: demo }',
+        `  persona: { role: "${role}", identity: Tester, communication_style: Terse, principles: [Check twice] }`,
+        `  critical_actions: [${actions.map((action) => `"${action}"`).join(', ')}]`,
+        `  prompts: [{ id: brief, content: "${prompt}" }]`,
+        '  menu:',
+        ...menu.map(([trigger, target]) => `    - { trigger: ${trigger}, workflow: "${target}", description: ${trigger} }`),
+      ].join('\n');
+
+    const oldPath = path.join(tempDir, 'old', 'demo.agent.yaml');
+    const newPath = path.join(tempDir, 'new', 'demo.agent.yaml');
+    await fs.outputFile(
+      oldPath,
+      agentYaml(
+        'Builder',
+        ['Load A', 'Load B', 'Load C'],
+        [
+          ['plan', 'plan.yaml'],
+          ['ship', 'ship.yaml'],
+          ['old', 'old.yaml'],
+        ],
+        'Line one',
+      ),
+    );
+    await fs.outputFile(
+      newPath,
+      agentYaml(
+        'Reviewer',
+        ['Load B', 'Load A', 'Load C'],
+        [
+          ['plan', 'plan-v2.yaml'],
+          ['ship', 'ship.yaml'],
+          ['new', 'new.yaml'],
+        ],
+        'Line two',
+      ),
+    );
+
+    const before = await loadAgentStructure(oldPath, { moduleName: 'demo' });
+    const after = await loadAgentStructure(newPath, { moduleName: 'demo' });
+    assert(
+      before.criticalActions.join('|') === 'Load A|Load B|Load C' &&
+        before.menu.map((item) => item.trigger).join('|') === 'plan|ship|old' &&
+        before.prompts[0].id === 'brief' &&
+        diffAgents(before, before).changed === false,
+      'Agent sources are compiled and parsed into persona, menu, critical actions and prompts',
+    );
+
+    const diff = diffAgents(before, after);
+    assert(
+      diff.changed &&
+        diff.persona.map((change) => `${change.field}:${change.before}>${change.after}`).join('|') === 'role:Builder>Reviewer' &&
+        diff.menu.added.map((item) => item.trigger).join('|') === 'new' &&
+        diff.menu.removed.map((item) => item.trigger).join('|') === 'old' &&
+        diff.menu.retargeted.map((entry) => `${entry.trigger}:${entry.after.workflow}`).join('|') === 'plan:plan-v2.yaml' &&
+        diff.criticalActions.added.length === 0 &&
+        diff.criticalActions.moved.length === 1 &&
+        diff.prompts.edited.map((entry) => entry.id).join('|') === 'brief',
+      'Persona changes, menu triggers added/removed/retargeted, reordered actions and edited prompts are reported',
+      JSON.stringify(diff),
+    );
+
+    const bmadDir = path.join(tempDir, '_bmad');
+    const history = new AgentHistory();
+    await fs.outputFile(path.join(bmadDir, 'demo', 'agents', 'demo.md'), '<agent id="demo"></agent>');
+    await fs.outputFile(path.join(bmadDir, 'demo', 'agents', 'demo-sidecar', 'notes.md'), 'memories');
+    for (let index = 0; index <= HISTORY_LIMIT; index++) {
+      await history.snapshot(bmadDir, `1.0.${index}`);
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    }
+    const snapshots = await history.list(bmadDir);
+    assert(
+      snapshots.length === HISTORY_LIMIT &&
+        snapshots[0].version === `1.0.${HISTORY_LIMIT}` &&
+        (await history.findVersion(bmadDir, '1.0.0')) === null &&
+        (await history.listAgents(snapshots[0].dir)).join('|') === 'demo/agents/demo.md',
+      'Updates keep the compiled agents of the last versions',
+    );
+
+    await fs.remove(tempDir);
+  } catch (error) {
+    assert(false, 'Agent diff test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 26: Sprint Status
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 26: Sprint Status${colors.reset}\n`);
+
+  try {
+    const sprintYaml = [
+      '# STATUS DEFINITIONS: kept as is',
+      'project: Demo',
+      '',
+      'development_status:',
+      '  epic-1: backlog # first epic',
+      '  1-1-login: ready-for-dev',
+      '  1-2-signup: "backlog"',
+      '  epic-1-retrospective: optional',
+      '',
+      '  epic-2: contexted',
+      '  2-1-search: drafted',
+      '  epic-2-retrospective: done',
+      '',
+    ].join('\n');
+
+    const status = new SprintStatus(sprintYaml);
+    const changes = status.move('1.1', 'in-progress');
+    assert(
+      changes.map((change) => `${change.key}:${change.from}>${change.to}`).join('|') ===
+        '1-1-login:ready-for-dev>in-progress|epic-1:backlog>in-progress' &&
+        status.toString() ===
+          sprintYaml.replace('epic-1: backlog', 'epic-1: in-progress').replace('1-1-login: ready-for-dev', '1-1-login: in-progress'),
+      'Moving a story rewrites only its value and starts its epic',
+      status.toString(),
+    );
+
+    const rejects = (fn) => {
+      try {
+        fn();
+        return false;
+      } catch {
+        return true;
+      }
+    };
+    assert(
+      rejects(() => status.move('1-2-signup', 'done')) &&
+        rejects(() => status.move('epic-1', 'done')) &&
+        rejects(() => status.move('1-1-login', 'shipped')) &&
+        rejects(() => status.move('9-9', 'done')) &&
+        status.move('1-2-signup', 'done', { force: true }).length === 1 &&
+        status.move('epic-2-retrospective', 'completed').length === 1,
+      'Transitions outside the state machine are refused unless forced',
+    );
+
+    const broken = new SprintStatus(sprintYaml.replace('1-2-signup: "backlog"', '1-2-signup: started\n  3-1-orphan: backlog'));
+    const result = broken.validate();
+    assert(
+      result.errors.length === 2 &&
+        result.errors.some((error) => error.startsWith('1-2-signup')) &&
+        result.errors.some((error) => error.startsWith('3-1-orphan')) &&
+        result.warnings.length === 4 &&
+        new SprintStatus(sprintYaml).next().key === '1-1-login' &&
+        new SprintStatus(sprintYaml).next().workflow === 'dev-story' &&
+        new SprintStatus('development_status:\n  epic-1: done\n  1-1-a: done\n  epic-1-retrospective: optional\n').next().workflow ===
+          'retrospective',
+      'Validation reports unknown statuses, orphan stories and legacy values; next follows the workflow priority',
+      JSON.stringify(result),
+    );
+  } catch (error) {
+    assert(false, 'Sprint status test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 27: Beads Sync
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 27: Beads Sync${colors.reset}\n`);
+
+  try {
+    const tempDir = path.join(__dirname, 'temp-beads');
+    await fs.remove(tempDir);
+    await fs.ensureDir(tempDir);
+
+    const bd = await writeBeadsStub(tempDir);
+
+    const sprintPath = path.join(tempDir, 'sprint-status.yaml');
+    await fs.writeFile(
+      sprintPath,
+      [
+        'development_status:',
+        '  epic-1: in-progress',
+        '  1-1-login: review',
+        '  1-2-signup: backlog',
+        '  epic-1-retrospective: optional',
+        '',
+      ].join('\n'),
+    );
+
+    const client = new BeadsClient({ bin: bd, cwd: tempDir });
+    const sync = new BeadsSync(client);
+    const statePath = sync.getStatePath(sprintPath);
+    const run = async (options = {}) => {
+      const status = new SprintStatus(await fs.readFile(sprintPath, 'utf8'), sprintPath);
+      const state = await sync.loadState(statePath);
+      const plan = await sync.plan(status, state, options);
+      const { entries } = await sync.apply(status, plan, state);
+      await fs.writeFile(sprintPath, status.toString());
+      await sync.saveState(statePath, { entries });
+      return plan;
+    };
+
+    const first = await run();
+    const issues = await client.listIssues();
+    const login = issues.find((issue) => issue.labels.includes('story-1-1'));
+    const second = await run();
+    assert(
+      first.actions.filter((action) => action.type === 'create').length === 3 &&
+        issues.find((issue) => issue.labels.includes('epic-1')).status === 'in_progress' &&
+        login.labels.includes('needs-review') &&
+        login['parent-child'] === issues.find((issue) => issue.labels.includes('bmad-epic')).id &&
+        second.actions.length === 0 &&
+        second.conflicts.length === 0,
+      'First sync creates epics and stories with status labels; a second sync changes nothing',
+      JSON.stringify({ first, second, issues }),
+    );
+
+    // Beads moves 1-1 to done, the file moves 1-2 to ready-for-dev
+    await client.close(login.id, 'merged');
+    await fs.writeFile(sprintPath, (await fs.readFile(sprintPath, 'utf8')).replace('1-2-signup: backlog', '1-2-signup: ready-for-dev'));
+    const third = await run();
+    const signup = (await client.listIssues()).find((issue) => issue.labels.includes('story-1-2'));
+    assert(
+      third.actions.map((action) => `${action.type}:${action.key}:${action.to}`).join('|') ===
+        'pull:1-1-login:done|push:1-2-signup:ready-for-dev' &&
+        (await fs.readFile(sprintPath, 'utf8')).includes('1-1-login: done') &&
+        signup.labels.includes('ready-for-dev') &&
+        !signup.labels.includes('needs-spec'),
+      'Changes on one side are carried to the other',
+      JSON.stringify({ third, signup }),
+    );
+
+    // Both sides move 1-2 to different statuses
+    await client.updateStatus(signup.id, 'in_progress');
+    await client.addLabel(signup.id, 'in-dev');
+    await fs.writeFile(sprintPath, (await fs.readFile(sprintPath, 'utf8')).replace('1-2-signup: ready-for-dev', '1-2-signup: backlog'));
+    const conflicted = await run();
+    const resolved = await run({ prefer: 'beads' });
+    assert(
+      conflicted.conflicts.length === 1 &&
+        conflicted.conflicts[0].key === '1-2-signup' &&
+        conflicted.actions.length === 0 &&
+        resolved.actions.length === 1 &&
+        (await fs.readFile(sprintPath, 'utf8')).includes('1-2-signup: in-progress') &&
+        (await run()).actions.length === 0,
+      'Changes on both sides are reported as conflicts until resolved with --prefer',
+      JSON.stringify({ conflicted, resolved }),
+    );
+
+    await fs.remove(tempDir);
+  } catch (error) {
+    assert(false, 'Beads sync test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 28: Tracker Adapters
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 28: Tracker Adapters${colors.reset}\n`);
+
+  try {
+    const tempDir = path.join(__dirname, 'temp-tracker');
+    await fs.remove(tempDir);
+    await fs.ensureDir(tempDir);
+
+    const sprintPath = path.join(tempDir, 'sprint-status.yaml');
+    await fs.writeFile(
+      sprintPath,
+      ['development_status:', '  epic-1: in-progress', '  1-1-login: ready-for-dev', '  epic-1-retrospective: optional', ''].join('\n'),
+    );
+    await fs.writeFile(path.join(tempDir, '1-1-login.md'), '# Story 1.1: Login\n');
+
+    const files = createTracker('file-system', { sprintStatusPath: sprintPath });
+    const ready = await files.listReady();
+    await files.updateStatus('1-1', 'in-progress');
+    await files.addComment('1-1-login', 'Form done');
+    const followUp = await files.createFollowUp('1-1-login', 'Handle expired sessions');
+    const sprintText = await fs.readFile(sprintPath, 'utf8');
+    assert(
+      ready.length === 1 &&
+        ready[0].id === '1-1-login' &&
+        sprintText.includes(
+          '1-1-login: in-progress\n  1-2-handle-expired-sessions: backlog # follow-up of 1-1-login\n  epic-1-retrospective',
+        ) &&
+        followUp.id === '1-2-handle-expired-sessions' &&
+        (await fs.readFile(path.join(tempDir, '1-1-login.md'), 'utf8')).includes('## Comments') &&
+        (await files.getComments('1-1')).join('|') === 'Form done',
+      'File-system tracker updates sprint-status.yaml and comments in the story file',
+      sprintText,
+    );
+
+    const csvPath = path.join(tempDir, 'items.csv');
+    const exported = createTracker('csv', { trackerFile: csvPath });
+    await fs.writeFile(
+      csvPath,
+      'id,key,title,status,parent,labels,comments\nPROJ-1,1-1-login,"Login, with SSO",ready-for-dev,,bmad-story;web,\n',
+    );
+    await exported.updateStatus('PROJ-1', 'review');
+    await exported.addComment('1-1-login', 'Looks good');
+    await exported.createFollowUp('PROJ-1', 'Rate limit');
+    const items = await readItems(csvPath);
+    assert(
+      items.length === 2 &&
+        items[0].title === 'Login, with SSO' &&
+        items[0].status === 'review' &&
+        items[0].labels.join(',') === 'bmad-story,web' &&
+        items[0].comments[0].endsWith(' Looks good') &&
+        items[1].parent === 'PROJ-1' &&
+        items[1].status === 'backlog',
+      'CSV tracker round-trips items, labels and comments',
+      JSON.stringify(items),
+    );
+
+    const bd = await writeBeadsStub(tempDir);
+    const client = new BeadsClient({ bin: bd, cwd: tempDir });
+    const story = await client.createIssue('Story 1.1: Login', { labels: ['bmad-story', 'story-1-1', 'ready-for-dev'] });
+    const fix = await client.createIssue('Story 1.2: Signup', { labels: ['bmad-story', 'story-1-2', 'needs-fix'] });
+    const beads = createTracker('beads', { bd, projectDir: tempDir });
+    const queue = await beads.listReady();
+    await beads.updateStatus(story.id, 'review');
+    await beads.addComment(story.id, 'BMAD PROGRESS v1');
+    const beadsFollowUp = await beads.createFollowUp(story.id, 'Cleanup', { blocks: true });
+    const reviewed = await client.showIssue(story.id);
+    await beads.updateStatus(story.id, 'in-progress');
+    const sentBack = await client.showIssue(story.id);
+    await beads.updateStatus(fix.id, 'blocked');
+    assert(
+      queue.map((item) => item.id).join(',') === `${fix.id},${story.id}` &&
+        queue[1].key === '1-1' &&
+        reviewed.labels.includes('needs-review') &&
+        !reviewed.labels.includes('ready-for-dev') &&
+        reviewed.comments.length === 1 &&
+        reviewed['discovered-from'] === beadsFollowUp.id &&
+        reviewed.blocks === beadsFollowUp.id &&
+        sentBack.labels.includes('needs-fix') &&
+        !sentBack.labels.includes('needs-review') &&
+        sentBack.status === 'open' &&
+        (await client.showIssue(fix.id)).status === 'blocked',
+      'Beads tracker queues fixes first, maps statuses to labels, sends reviews back as needs-fix and blocks issues',
+      JSON.stringify({ queue, reviewed, sentBack }),
+    );
+
+    // The spec steps of create-story-beads and validate-story-beads, through the CLI with tracking_system: beads
+    const profile = await client.createIssue('Story 1.3: Profile', { labels: ['bmad-story', 'story-1-3', 'needs-spec'] });
+    const beadsSprintPath = path.join(tempDir, 'beads-sprint-status.yaml');
+    await fs.writeFile(beadsSprintPath, 'tracking_system: beads\ndevelopment_status:\n  epic-1: in-progress\n');
+    const cli = path.join(__dirname, '..', 'tools', 'cli', 'bmad-cli.js');
+    const tracker = (...args) => {
+      const result = spawnSync(process.execPath, [cli, 'tracker', ...args, '-d', tempDir, '-f', beadsSprintPath, '--bd', bd, '--json'], {
+        encoding: 'utf8',
+        timeout: 120_000,
+      });
+      return JSON.parse(result.stdout || 'null');
+    };
+    const needsSpec = tracker('list', '--status', 'backlog', '--label', 'needs-spec');
+    tracker('comment', profile.id, 'BMAD STORY SPEC v1');
+    const labelled = tracker('label', profile.id, '--add', 'needs-validation', '--remove', 'ready-for-dev,needs-spec');
+    const toValidate = tracker('list', '--status', 'backlog', '--label', 'needs-validation');
+    const shown = tracker('show', profile.id, '--comments');
+    tracker('status', profile.id, 'ready-for-dev');
+    const validated = await client.showIssue(profile.id);
+    assert(
+      needsSpec.map((item) => item.id).join(',') === profile.id &&
+        labelled.tracker === 'beads' &&
+        labelled.labels.join(',') === 'bmad-story,story-1-3,needs-validation' &&
+        toValidate.map((item) => item.id).join(',') === profile.id &&
+        shown.comments.join('|') === 'BMAD STORY SPEC v1' &&
+        validated.labels.includes('ready-for-dev') &&
+        !validated.labels.includes('needs-validation'),
+      'bmad tracker filters lists, shows comments and moves labels on the tracker of tracking_system',
+      JSON.stringify({ needsSpec, labelled, toValidate, shown, validated }),
+    );
+
+    await fs.remove(tempDir);
+  } catch (error) {
+    assert(false, 'Tracker adapter test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 29: Project Progress
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 29: Project Progress${colors.reset}\n`);
+
+  try {
+    const tempDir = path.join(__dirname, 'temp-progress');
+    const bmadDir = path.join(tempDir, '_bmad');
+    await fs.remove(tempDir);
+    await fs.outputFile(
+      path.join(bmadDir, 'bmm', 'config.yaml'),
+      'project_name: Demo\noutput_folder: "{project-root}/docs"\nplanning_artifacts: "{project-root}/docs/planning"\nimplementation_artifacts: "{project-root}/docs/impl"\n',
+    );
+    await fs.outputFile(
+      path.join(tempDir, 'docs', 'bmm-workflow-status.yaml'),
+      [
+        'project: "Demo <app>"',
+        'selected_track: method',
+        'field_type: greenfield',
+        'workflow_status:',
+        '  prd: docs/planning/prd.md',
+        '  create-ux-design: skipped',
+        '  create-architecture: required',
+        '  create-epics-and-stories: docs/planning/epics.md',
+        '  implementation-readiness: required',
+        '  sprint-planning: required',
+        '',
+      ].join('\n'),
+    );
+    await fs.outputFile(path.join(tempDir, 'docs', 'planning', 'prd.md'), '# PRD\n');
+    await fs.outputFile(path.join(tempDir, 'docs', 'planning', 'architecture.md'), '# Architecture\n');
+
+    const report = await loadProgress({ projectDir: tempDir, bmadDir });
+    const states = Object.fromEntries(report.phases.flatMap((phase) => phase.workflows).map((workflow) => [workflow.id, workflow.state]));
+    assert(
+      report.pathName === 'method-greenfield' &&
+        states.prd === 'done' &&
+        states['create-ux-design'] === 'skipped' &&
+        states['create-architecture'] === 'done' &&
+        states['create-epics-and-stories'] === 'missing' &&
+        !('product-brief' in states) &&
+        report.next.workflow === 'create-epics-and-stories' &&
+        report.next.agent === 'pm' &&
+        renderHtml(report).includes('Demo &#60;app&#62;'),
+      'Progress follows the workflow path, finds unrecorded artifacts and flags recorded ones that are missing',
+      JSON.stringify({ states, next: report.next }),
+    );
+
+    await fs.outputFile(path.join(tempDir, 'docs', 'planning', 'epics.md'), '# Epics\n');
+    await fs.outputFile(path.join(tempDir, 'docs', 'planning', 'implementation-readiness-report.md'), '# Ready\n');
+    await fs.outputFile(
+      path.join(tempDir, 'docs', 'impl', 'sprint-status.yaml'),
+      'development_status:\n  epic-1: in-progress\n  1-1-login: review\n',
+    );
+    const implementing = await loadProgress({ projectDir: tempDir, bmadDir });
+    assert(
+      implementing.summary.done === 5 &&
+        implementing.next.workflow === 'code-review' &&
+        implementing.next.key === '1-1-login' &&
+        implementing.sprint.file === path.join('docs', 'impl', 'sprint-status.yaml'),
+      'Once planning is done the next step comes from sprint-status.yaml',
+      JSON.stringify(implementing.next),
+    );
+
+    await fs.remove(tempDir);
+  } catch (error) {
+    assert(false, 'Project progress test setup', error.message);
+  }
+
+  try {
+    const cli = path.join(__dirname, '..', 'tools', 'cli', 'bmad-cli.js');
+    const yaml = require('yaml');
+    const tempProject = path.join(__dirname, 'temp-progress-launchers');
+    await fs.remove(tempProject);
+    await fs.ensureDir(tempProject);
+
+    const install = spawnSync(process.execPath, [cli, 'install', '-d', tempProject, '--modules', 'bmm', '--ides', 'claude-code', '--yes'], {
+      encoding: 'utf8',
+      input: '',
+      timeout: 120_000,
+    });
+    const modules = await loadWorkflowModules(path.join(tempProject, '_bmad'));
+    const pathsDir = path.join(__dirname, '..', 'src', 'modules', 'bmm', 'workflows', 'workflow-status', 'paths');
+    const missing = [];
+    for (const file of await fs.readdir(pathsDir)) {
+      const workflowPath = yaml.parse(await fs.readFile(path.join(pathsDir, file), 'utf8'));
+      for (const workflow of (workflowPath.phases || []).flatMap((phase) => phase.workflows || [])) {
+        const [, module, , name] = workflowCommand(workflow.command || workflow.id, modules).split(':');
+        const launcher = path.join(tempProject, '.claude', 'commands', 'bmad', module, 'workflows', `${name}.md`);
+        if (!(await fs.pathExists(launcher))) missing.push(`${file}: ${workflow.id}`);
+      }
+    }
+    assert(
+      install.status === 0 && missing.length === 0,
+      'Every command bmad progress recommends has an installed launcher',
+      `install exit ${install.status}; missing: ${missing.join(', ')}`,
+    );
+
+    await fs.remove(tempProject);
+  } catch (error) {
+    assert(false, 'Progress launcher test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 30: Incremental Flattening
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 30: Incremental Flattening${colors.reset}\n`);
+
+  try {
+    const tempDir = path.join(__dirname, 'temp-flatten');
+    await fs.remove(tempDir);
+    const srcDir = path.join(tempDir, 'src');
+    await fs.outputFile(path.join(srcDir, 'a.txt'), 'hello\nworld\n');
+    await fs.outputFile(path.join(srcDir, 'b.js'), 'if (a < b && c) {}\n');
+    await fs.outputFile(path.join(srcDir, "it's", 'c.md'), '# C\n');
+    await fs.outputFile(path.join(srcDir, 'empty.txt'), '');
+    const cachePath = path.join(tempDir, 'out.flatten-cache.json');
+    const outputPath = path.join(tempDir, 'out.xml');
+    const freshPath = path.join(tempDir, 'fresh.xml');
+    const listFiles = async () =>
+      (await fs.readdir(srcDir, { recursive: true })).map((f) => path.join(srcDir, f)).filter((f) => fs.statSync(f).isFile());
+    const relative = (files) => files.map((f) => path.relative(srcDir, f));
+
+    let cache = await loadCache(cachePath);
+    let files = await listFiles();
+    await generateXMLOutput(await aggregateFileContents(files, srcDir, null, { cache }), outputPath);
+    await saveCache(cachePath, cache, relative(files));
+
+    await fs.outputFile(path.join(srcDir, 'a.txt'), 'hello\nagain\n');
+    await fs.remove(path.join(srcDir, 'empty.txt'));
+    await fs.outputFile(path.join(srcDir, 'd.txt'), 'new ]]> file\n');
+    cache = await loadCache(cachePath);
+    files = await listFiles();
+    const updated = await aggregateFileContents(files, srcDir, null, { cache, reuse: await readXMLBlocks(outputPath) });
+    await generateXMLOutput(updated, outputPath);
+    const full = await aggregateFileContents(files, srcDir);
+    await generateXMLOutput(full, freshPath);
+    await saveCache(cachePath, cache, relative(files));
+
+    const savedCache = await fs.readJson(cachePath);
+    assert(
+      updated.cachedFiles === 2 &&
+        updated.textFiles.filter((f) => f.xml).length === 2 &&
+        (await fs.readFile(outputPath, 'utf8')) === (await fs.readFile(freshPath, 'utf8')) &&
+        !('empty.txt' in savedCache.files) &&
+        savedCache.files['d.txt'].lines === 2 &&
+        estimateCompressibility(updated.textFiles) === estimateCompressibility(full.textFiles),
+      'An update reuses the blocks of unchanged files and matches a full flatten, statistics included',
+      `cached: ${updated.cachedFiles}`,
+    );
+
+    // A checkout touches b.js without changing it; a.txt really changed
+    await fs.utimes(path.join(srcDir, 'b.js'), new Date(), new Date(Date.now() + 5000));
+    await fs.outputFile(path.join(srcDir, 'a.txt'), 'hello\nthird\n');
+    const blocks = await readXMLBlocks(outputPath);
+    const since = await aggregateFileContents(files, srcDir, null, {
+      cache,
+      reuse: blocks,
+      changed: new Set(['a.txt']),
+    });
+    assert(
+      blocks.has(path.join("it's", 'c.md')) &&
+        since.cachedFiles === files.length - 1 &&
+        since.textFiles.find((f) => f.path === 'a.txt').content === 'hello\nthird\n',
+      'With a set of changed files, others are reused even when their mtime moved',
+      `cached: ${since.cachedFiles}`,
+    );
+
+    await fs.remove(tempDir);
+  } catch (error) {
+    assert(false, 'Incremental flattening test setup', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 31: Dev Watcher
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 31: Dev Watcher${colors.reset}\n`);
+
+  try {
+    const cli = path.join(__dirname, '..', 'tools', 'cli', 'bmad-cli.js');
+    const tempProject = path.join(__dirname, 'temp-dev-watcher');
+    await fs.remove(tempProject);
+    await fs.ensureDir(tempProject);
+
+    const install = spawnSync(process.execPath, [cli, 'install', '-d', tempProject, '--modules', 'bmm', '--ides', 'claude-code', '--yes'], {
+      encoding: 'utf8',
+      input: '',
+      timeout: 120_000,
+    });
+    const bmadDir = path.join(tempProject, '_bmad');
+    const watcher = new DevWatcher(new Installer());
+    await watcher.load(tempProject);
+
+    // Edit a copy of the bmm sources instead of src/
+    const sourceDir = path.join(tempProject, 'bmm-source');
+    await fs.copy(path.join(projectRoot, 'src', 'modules', 'bmm'), sourceDir);
+    watcher.modules = [{ name: 'bmm', sourcePath: sourceDir, custom: false }];
+    const workflowDir = path.join(sourceDir, 'workflows', '4-implementation', 'sprint-status');
+    const workflowYaml = path.join(workflowDir, 'workflow.yaml');
+    await fs.writeFile(
+      workflowYaml,
+      (await fs.readFile(workflowYaml, 'utf8')).replace(/^description: .*$/m, 'description: "Summarize the sprint board."'),
+    );
+    await fs.appendFile(path.join(workflowDir, 'instructions.md'), '\nEdited while watching.\n');
+    const teamYaml = path.join(sourceDir, 'teams', 'team-fullstack.yaml');
+    await fs.writeFile(
+      teamYaml,
+      (await fs.readFile(teamYaml, 'utf8')).replace(/description: .*/, 'description: Team edited while watching.'),
+    );
+
+    const workflowRows = async () => (await fs.readFile(path.join(bmadDir, '_config', 'workflow-manifest.csv'), 'utf8')).split('\n');
+    const rowsBefore = await workflowRows();
+    const result = await watcher.sync([
+      { module: 'bmm', file: workflowYaml, kind: 'workflow' },
+      { module: 'bmm', file: path.join(workflowDir, 'instructions.md'), kind: 'workflow' },
+      { module: 'bmm', file: path.join(workflowDir, 'config.yaml'), kind: 'workflow' },
+      { module: 'bmm', file: teamYaml, kind: 'team' },
+    ]);
+    const installedWorkflow = path.join(bmadDir, 'bmm', 'workflows', '4-implementation', 'sprint-status');
+    const installedInstructions = path.join(installedWorkflow, 'instructions.md');
+    const rowsAfter = await workflowRows();
+    const filesManifest = await fs.readFile(path.join(bmadDir, '_config', 'files-manifest.csv'), 'utf8');
+    const launcher = await fs.readFile(
+      path.join(tempProject, '.claude', 'commands', 'bmad', 'bmm', 'workflows', 'sprint-status.md'),
+      'utf8',
+    );
+    assert(
+      install.status === 0 &&
+        result.workflows.map((entry) => `${entry.action} ${path.basename(entry.path)}`).join(',') ===
+          'copied workflow.yaml,copied instructions.md' &&
+        !(await fs.readFile(path.join(installedWorkflow, 'workflow.yaml'), 'utf8')).includes('web_bundle') &&
+        (await fs.readFile(installedInstructions, 'utf8')).endsWith('Edited while watching.\n') &&
+        filesManifest.includes(
+          `"bmm/workflows/4-implementation/sprint-status/instructions.md","${await new ManifestGenerator().calculateFileHash(installedInstructions)}"`,
+        ) &&
+        rowsAfter.length === rowsBefore.length &&
+        rowsAfter.findIndex((row) => row.startsWith('"sprint-status",')) ===
+          rowsBefore.findIndex((row) => row.startsWith('"sprint-status",')) &&
+        rowsAfter.some((row) => row.startsWith('"sprint-status","Summarize the sprint board."')) &&
+        launcher.includes('Summarize the sprint board.'),
+      'bmad dev copies changed workflow files the way install does and refreshes their manifest rows and launcher',
+      `install exit ${install.status}; ${JSON.stringify(result.workflows)}`,
+    );
+
+    assert(
+      result.teams.length === 1 &&
+        result.teams[0].action === 'compiled' &&
+        (await fs.readFile(path.join(bmadDir, 'bmm', 'teams', 'team-fullstack.md'), 'utf8')).includes('Team edited while watching.') &&
+        (await fs.readFile(path.join(bmadDir, '_config', 'team-manifest.csv'), 'utf8')).includes('Team edited while watching.') &&
+        result.launchers.length > 0 &&
+        result.launchers.every((change) => /(sprint-status|team-fullstack)\./.test(path.basename(change.path))),
+      'bmad dev recompiles changed teams and writes back only the launchers of the changed workflows and teams',
+      JSON.stringify(result.launchers),
+    );
+
+    const watched = watcher.watch({});
+    watcher.close();
+    assert(
+      ['agents', 'workflows', 'teams'].every((folder) => watched.includes(path.join(sourceDir, folder))),
+      'bmad dev --watch watches the agents, workflows and teams folders of each module',
+      watched.join(', '),
+    );
+
+    await fs.remove(tempProject);
+  } catch (error) {
+    assert(false, 'Dev watcher test setup', error.message);
+  }
+
+  console.log('');
+
   // ============================================================
   // Summary
   // ============================================================
@@ -0,0 +1,64 @@
+const { Command } = require('commander');
+const chalk = require('chalk');
+const { WebBundler } = require('./web-bundler');
+
+/**
+ * Print totals after bundling several modules
+ */
+function printTotals(totals) {
+  console.log(chalk.green(`\n✨ Bundled ${totals.agents} agent(s) and ${totals.teams} team(s)`));
+  if (totals.skipped > 0) {
+    console.log(chalk.dim(`${totals.skipped} agent(s) marked webskip were not bundled`));
+  }
+}
+
+/**
+ * Wrap a bundler call so failures print an error and exit non-zero
+ */
+function run(fn) {
+  return async (...args) => {
+    try {
+      await fn(...args);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  };
+}
+
+const program = new Command();
+
+program.name('bundle-web').description('Build self-contained XML web bundles into web-bundles/');
+
+program
+  .command('all')
+  .description('Bundle every agent and team')
+  .action(run(async () => printTotals(await new WebBundler().bundleAll())));
+
+program
+  .command('rebundle')
+  .description('Remove web-bundles/ and bundle everything again')
+  .action(run(async () => printTotals(await new WebBundler().rebundle())));
+
+program
+  .command('module <module>')
+  .description('Bundle the agents and teams of one module')
+  .action(run(async (moduleName) => printTotals(await new WebBundler().bundleModule(moduleName))));
+
+program
+  .command('agent <module> <agent>')
+  .description('Bundle a single agent')
+  .action(
+    run(async (moduleName, agentName) => {
+      if (!(await new WebBundler().bundleAgent(moduleName, agentName))) {
+        throw new Error(`Agent ${moduleName}/${agentName} is marked webskip`);
+      }
+    }),
+  );
+
+program
+  .command('team <module> <team>')
+  .description('Bundle a single team')
+  .action(run(async (moduleName, teamName) => new WebBundler().bundleTeam(moduleName, teamName)));
+
+program.parse(process.argv);
@@ -0,0 +1,475 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+const { YamlXmlBuilder } = require('../lib/yaml-xml-builder');
+const { DependencyResolver } = require('../installers/lib/core/dependency-resolver');
+const { getProjectRoot, getSourcePath, getModulePath } = require('../lib/project-root');
+const { escapeXml } = require('../../lib/xml-utils');
+
+const WORKFLOW_ENTRY_FILES = new Set(['workflow.yaml', 'workflow.md']);
+const TEXT_EXTENSIONS = new Set(['.md', '.yaml', '.yml', '.xml', '.json', '.txt', '.csv']);
+
+const BUNDLE_INSTRUCTIONS = `Files referenced as {project-root}/_bmad/<path> are included in this bundle as <file id="_bmad/<path>">.
+  Read them from here instead of a file system. There is no config.yaml on the web: take user_name,
+  communication_language and the other config values from your instructions, or ask the user for them.`;
+
+/**
+ * Builds self-contained XML bundles of agents and teams for web chat UIs
+ *
+ * Each agent bundle holds the agent compiled for the web plus every file its menu
+ * reaches, resolved transitively with DependencyResolver. Team bundles do the same for
+ * all agents of a team. Agents with `webskip: true` and workflows with `web_bundle: false`
+ * are left out; workflows with a `web_bundle` section contribute only their web files.
+ */
+class WebBundler {
+  /**
+   * @param {Object} options - { outputDir } (defaults to web-bundles/ in the project root)
+   */
+  constructor(options = {}) {
+    this.sourceRoot = getProjectRoot();
+    this.outputDir = options.outputDir || path.join(this.sourceRoot, 'web-bundles');
+    this.builder = new YamlXmlBuilder();
+    this.resolver = new DependencyResolver();
+    this.workflowModes = new Map();
+  }
+
+  /**
+   * Bundle every module
+   * @returns {Object} Totals { agents, teams, skipped }
+   */
+  async bundleAll() {
+    const totals = { agents: 0, teams: 0, skipped: 0 };
+    for (const moduleName of await this.listModules()) {
+      const result = await this.bundleModule(moduleName);
+      totals.agents += result.agents;
+      totals.teams += result.teams;
+      totals.skipped += result.skipped;
+    }
+    return totals;
+  }
+
+  /**
+   * Remove previous bundles, then bundle every module
+   * @returns {Object} Totals { agents, teams, skipped }
+   */
+  async rebundle() {
+    await fs.remove(this.outputDir);
+    return this.bundleAll();
+  }
+
+  /**
+   * Bundle all agents and teams of one module
+   * @param {string} moduleName - Module name (core, bmm, ...)
+   * @returns {Object} Counts { agents, teams, skipped }
+   */
+  async bundleModule(moduleName) {
+    if (!(await fs.pathExists(getModulePath(moduleName)))) {
+      throw new Error(`Module not found: ${moduleName}`);
+    }
+
+    const result = { agents: 0, teams: 0, skipped: 0 };
+    for (const agentName of await this.listAgents(moduleName)) {
+      if (await this.bundleAgent(moduleName, agentName)) {
+        result.agents++;
+      } else {
+        result.skipped++;
+      }
+    }
+
+    for (const teamName of await this.listTeams(moduleName)) {
+      await this.bundleTeam(moduleName, teamName);
+      result.teams++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Bundle a single agent
+   * @param {string} moduleName - Module name
+   * @param {string} agentName - Agent name (file name without .agent.yaml)
+   * @returns {string|null} Path of the written bundle, or null if the agent is marked webskip
+   */
+  async bundleAgent(moduleName, agentName) {
+    const agent = await this.buildAgent(moduleName, agentName);
+    if (!agent) {
+      console.log(chalk.dim(`  - ${moduleName}/${agentName} skipped (webskip)`));
+      return null;
+    }
+
+    const files = await this.collectFiles(agent.roots);
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!-- Powered by BMAD-CORE™ -->',
+      `<agent-bundle>`,
+      `  <instructions>${escapeXml(BUNDLE_INSTRUCTIONS)}</instructions>`,
+      this.indent(agent.xml, 2),
+      this.renderFiles(files),
+      '</agent-bundle>',
+      '',
+    ].join('\n');
+
+    const outputPath = path.join(this.outputDir, moduleName, 'agents', `${agentName}.xml`);
+    await fs.outputFile(outputPath, xml, 'utf8');
+    console.log(`${chalk.green('✓')} ${path.relative(this.sourceRoot, outputPath)} ${chalk.dim(`(${files.size} files)`)}`);
+    return outputPath;
+  }
+
+  /**
+   * Bundle a team definition from <module>/teams/<team>.yaml
+   * @param {string} moduleName - Module name
+   * @param {string} teamName - Team file name without extension
+   * @returns {string} Path of the written bundle
+   */
+  async bundleTeam(moduleName, teamName) {
+    const teamPath = getModulePath(moduleName, 'teams', `${teamName}.yaml`);
+    if (!(await fs.pathExists(teamPath))) {
+      throw new Error(`Team not found: ${moduleName}/${teamName}`);
+    }
+    const team = yaml.parse(await fs.readFile(teamPath, 'utf8')) || {};
+    const info = team.bundle || {};
+
+    const agentNames = team.agents === '*' ? await this.listAgents(moduleName) : team.agents || [];
+    const agents = [];
+    const roots = new Set();
+    for (const agentName of agentNames) {
+      const agent = await this.buildAgent(moduleName, agentName);
+      if (!agent) {
+        console.log(chalk.dim(`  - ${moduleName}/${agentName} left out of ${teamName} (webskip)`));
+        continue;
+      }
+      agents.push(agent.xml);
+      for (const root of agent.roots) {
+        roots.add(root);
+      }
+    }
+
+    for (const workflowName of team.workflows || []) {
+      const entry = await this.findWorkflow(moduleName, workflowName);
+      if (!entry) {
+        throw new Error(`Workflow "${workflowName}" listed in team ${teamName} was not found in ${moduleName}`);
+      }
+      roots.add(entry);
+    }
+
+    if (team.party) {
+      roots.add(path.resolve(path.dirname(teamPath), team.party));
+    }
+
+    const files = await this.collectFiles(roots);
+    const attrs = [`name="${escapeXml(info.name || teamName)}"`, `icon="${escapeXml(info.icon || '')}"`];
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!-- Powered by BMAD-CORE™ -->',
+      `<team-bundle ${attrs.join(' ')}>`,
+      `  <description>${escapeXml(info.description || '')}</description>`,
+      `  <instructions>${escapeXml(BUNDLE_INSTRUCTIONS)}</instructions>`,
+      '  <agents>',
+      ...agents.map((agentXml) => this.indent(agentXml, 4)),
+      '  </agents>',
+      this.renderFiles(files),
+      '</team-bundle>',
+      '',
+    ].join('\n');
+
+    const outputPath = path.join(this.outputDir, moduleName, 'teams', `${teamName}.xml`);
+    await fs.outputFile(outputPath, xml, 'utf8');
+    console.log(
+      `${chalk.green('✓')} ${path.relative(this.sourceRoot, outputPath)} ${chalk.dim(`(${agents.length} agents, ${files.size} files)`)}`,
+    );
+    return outputPath;
+  }
+
+  /**
+   * Compile an agent for the web and find the files its menu points at
+   * @param {string} moduleName - Module name
+   * @param {string} agentName - Agent name
+   * @returns {Object|null} { xml, roots } or null if the agent is marked webskip
+   */
+  async buildAgent(moduleName, agentName) {
+    const agentPath = getModulePath(moduleName, 'agents', `${agentName}.agent.yaml`);
+    if (!(await fs.pathExists(agentPath))) {
+      throw new Error(`Agent not found: ${moduleName}/${agentName}`);
+    }
+
+    const agentYaml = await this.builder.loadAndMergeAgent(agentPath);
+    if (agentYaml.agent.webskip === true) {
+      return null;
+    }
+
+    // Drop menu items whose workflow opted out of web bundles, so the bundle has no dead commands
+    const menuKey = agentYaml.agent.menu ? 'menu' : 'commands';
+    const menuItems = [];
+    for (const item of agentYaml.agent[menuKey] || []) {
+      const target = item['workflow-install'] || item.workflow || item.exec;
+      const targetFile = target ? (await this.resolveReference(target, agentPath))[0] : null;
+      if (!targetFile || (await this.getWorkflowMode(targetFile)) !== 'skip') {
+        menuItems.push(item);
+      }
+    }
+    agentYaml.agent[menuKey] = menuItems;
+
+    const compiled = await this.builder.convertToXml(agentYaml, {
+      sourceFile: path.basename(agentPath),
+      forWebBundle: true,
+      module: moduleName,
+    });
+    const xml = compiled.match(/<agent [\s\S]*<\/agent>/)[0];
+
+    const roots = await this.resolveDependencies(xml, agentPath);
+    return { xml, roots };
+  }
+
+  /**
+   * Collect the transitive closure of files reachable from a set of roots
+   * @param {Iterable<string>} roots - Absolute paths in the source tree
+   * @returns {Map<string, string>} Bundle file id -> content, in discovery order
+   */
+  async collectFiles(roots) {
+    const files = new Map();
+    const queue = [...roots];
+    const seen = new Set();
+
+    while (queue.length > 0) {
+      const filePath = queue.shift();
+      if (seen.has(filePath) || !(await fs.pathExists(filePath))) {
+        continue;
+      }
+      seen.add(filePath);
+
+      const mode = await this.getWorkflowMode(filePath);
+      if (mode === 'skip') {
+        continue;
+      }
+
+      let content = await fs.readFile(filePath, 'utf8');
+      const deps = await this.resolveDependencies(content, filePath);
+
+      if (mode === 'web-bundle') {
+        // The web_bundle section replaces the install-time workflow config and lists the files to ship
+        const webBundle = yaml.parse(content).web_bundle;
+        content = yaml.stringify(webBundle);
+        deps.clear();
+        for (const file of webBundle.web_bundle_files || []) {
+          for (const resolved of await this.resolveReference(file, filePath)) {
+            deps.add(resolved);
+          }
+        }
+      } else if (mode === 'workflow') {
+        // Workflows refer to their own files through variables such as {installed_path}
+        for (const file of await this.listWorkflowFiles(path.dirname(filePath))) {
+          deps.add(file);
+        }
+      }
+
+      files.set(this.toBundleId(filePath), content);
+      queue.push(...deps);
+    }
+
+    return files;
+  }
+
+  /**
+   * Find the files referenced from some content
+   * @param {string} content - Content to scan
+   * @param {string} fromPath - File the content belongs to (relative references resolve against it)
+   * @returns {Set<string>} Absolute paths of existing files
+   */
+  async resolveDependencies(content, fromPath) {
+    const deps = this.resolver.parseContentDependencies(content, { path: fromPath, name: path.basename(fromPath) });
+    return this.resolver.resolveDependencyPaths(this.sourceRoot, deps);
+  }
+
+  /**
+   * Resolve a single reference ({project-root}/_bmad/..., _bmad/... or relative)
+   * @param {string} reference - Reference as written in the source
+   * @param {string} fromPath - File containing the reference
+   * @returns {Array<string>} Matching files
+   */
+  async resolveReference(reference, fromPath) {
+    return [...(await this.resolveDependencies(`"${reference}"`, fromPath))];
+  }
+
+  /**
+   * How a file takes part in web bundles
+   * @param {string} filePath - Absolute path
+   * @returns {string} 'skip' (web_bundle: false or webskip), 'web-bundle' (workflow with a web_bundle
+   *   section), 'workflow' (other workflow entry file) or 'file'
+   */
+  async getWorkflowMode(filePath) {
+    if (this.workflowModes.has(filePath)) {
+      return this.workflowModes.get(filePath);
+    }
+
+    let mode = 'file';
+    const content = await fs.readFile(filePath, 'utf8');
+    const isEntry = WORKFLOW_ENTRY_FILES.has(path.basename(filePath));
+
+    if (filePath.endsWith('.yaml') && isEntry) {
+      const webBundle = (yaml.parse(content) || {}).web_bundle;
+      if (webBundle === false) {
+        mode = 'skip';
+      } else if (webBundle && typeof webBundle === 'object') {
+        mode = 'web-bundle';
+      } else {
+        mode = 'workflow';
+      }
+    } else if (filePath.endsWith('.md')) {
+      const frontmatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+      const skip = frontmatter && /^web_bundle:\s*false\s*$/m.test(frontmatter[1]);
+      mode = skip ? 'skip' : isEntry ? 'workflow' : 'file';
+    } else if (filePath.endsWith('.xml') && /^<[a-z-]+\s[^>]*\bwebskip="true"/m.test(content)) {
+      mode = 'skip';
+    }
+
+    this.workflowModes.set(filePath, mode);
+    return mode;
+  }
+
+  /**
+   * Text files of a workflow directory, leaving out nested workflows (they are bundled when referenced)
+   * @param {string} workflowDir - Directory containing the workflow entry file
+   * @returns {Array<string>} Absolute paths
+   */
+  async listWorkflowFiles(workflowDir) {
+    const files = [];
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isFile() && TEXT_EXTENSIONS.has(path.extname(entry.name))) {
+          files.push(fullPath);
+        } else if (entry.isDirectory() && !(await this.isWorkflowDir(fullPath))) {
+          await walk(fullPath);
+        }
+      }
+    };
+    await walk(workflowDir);
+    return files.sort();
+  }
+
+  /**
+   * Whether a directory holds a workflow entry file
+   * @param {string} dir - Directory path
+   * @returns {boolean} True if workflow.yaml or workflow.md exists in it
+   */
+  async isWorkflowDir(dir) {
+    for (const file of WORKFLOW_ENTRY_FILES) {
+      if (await fs.pathExists(path.join(dir, file))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Find a workflow entry file by directory name within a module
+   * @param {string} moduleName - Module name
+   * @param {string} workflowName - Workflow directory name
+   * @returns {string|null} Path of workflow.yaml or workflow.md
+   */
+  async findWorkflow(moduleName, workflowName) {
+    const walk = async (dir) => {
+      if (!(await fs.pathExists(dir))) {
+        return null;
+      }
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) {
+          continue;
+        }
+        const fullPath = path.join(dir, entry.name);
+        if (entry.name === workflowName) {
+          for (const file of WORKFLOW_ENTRY_FILES) {
+            if (await fs.pathExists(path.join(fullPath, file))) {
+              return path.join(fullPath, file);
+            }
+          }
+        }
+        const found = await walk(fullPath);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+    return walk(getModulePath(moduleName, 'workflows'));
+  }
+
+  /**
+   * Modules in the source tree (core first)
+   * @returns {Array<string>} Module names
+   */
+  async listModules() {
+    const modulesDir = getSourcePath('modules');
+    const entries = await fs.readdir(modulesDir, { withFileTypes: true });
+    return ['core', ...entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name)];
+  }
+
+  /**
+   * Agents defined by a module
+   * @param {string} moduleName - Module name
+   * @returns {Array<string>} Agent names
+   */
+  async listAgents(moduleName) {
+    return this.listNames(getModulePath(moduleName, 'agents'), '.agent.yaml');
+  }
+
+  /**
+   * Teams defined by a module
+   * @param {string} moduleName - Module name
+   * @returns {Array<string>} Team names
+   */
+  async listTeams(moduleName) {
+    return this.listNames(getModulePath(moduleName, 'teams'), '.yaml');
+  }
+
+  /**
+   * File names in a directory with a given suffix, suffix removed
+   */
+  async listNames(dir, suffix) {
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+    const files = await fs.readdir(dir);
+    return files
+      .filter((file) => file.endsWith(suffix))
+      .map((file) => file.slice(0, -suffix.length))
+      .sort();
+  }
+
+  /**
+   * Map a source path to the id it has in bundles (its installed location)
+   * @param {string} filePath - Absolute path below src/
+   * @returns {string} e.g. _bmad/bmm/workflows/prd/workflow.md
+   */
+  toBundleId(filePath) {
+    const parts = path.relative(getSourcePath(), filePath).split(path.sep);
+    const installed = parts[0] === 'modules' ? parts.slice(1) : parts;
+    return ['_bmad', ...installed].join('/');
+  }
+
+  /**
+   * Render bundled files as XML
+   * @param {Map<string, string>} files - Bundle file id -> content
+   * @returns {string} <files> element
+   */
+  renderFiles(files) {
+    const lines = ['  <files>'];
+    for (const [id, content] of files) {
+      // "]]>" cannot appear inside CDATA, so split it across two sections
+      const data = content.replaceAll(']]>', ']]]]><![CDATA[>');
+      lines.push(`    <file id="${escapeXml(id)}"><![CDATA[${data}]]></file>`);
+    }
+    lines.push('  </files>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Indent every non-empty line
+   */
+  indent(text, spaces) {
+    return this.builder.activationBuilder.indent(text, spaces);
+  }
+}
+
+module.exports = { WebBundler };
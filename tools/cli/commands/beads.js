@@ -0,0 +1,100 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const fs = require('fs-extra');
+const { Installer } = require('../installers/lib/core/installer');
+const { loadSprintStatus, findSprintStatusFile, SPRINT_STATUS_FILE } = require('../lib/sprint-status');
+const { BeadsClient } = require('../lib/beads');
+const { BeadsSync } = require('../lib/beads-sync');
+
+const installer = new Installer();
+
+function printPlan(plan, dryRun) {
+  const verb = dryRun ? 'would ' : '';
+  for (const action of plan.actions) {
+    switch (action.type) {
+      case 'create': {
+        console.log(chalk.green(`  + ${action.key}: ${verb}create "${action.title}" (${action.status})`));
+        break;
+      }
+      case 'push': {
+        console.log(chalk.cyan(`  → ${action.key}: Beads ${action.issue} ${verb}move ${action.from} → ${action.to}`));
+        break;
+      }
+      case 'pull': {
+        console.log(chalk.cyan(`  ← ${action.key}: file ${verb}move ${action.from} → ${action.to} (from ${action.issue})`));
+        break;
+      }
+    }
+  }
+  for (const conflict of plan.conflicts) {
+    console.log(chalk.red(`  ✗ ${conflict.key}: ${conflict.reason}`));
+  }
+  for (const issue of plan.onlyInBeads) {
+    console.log(chalk.yellow(`  ⚠ ${issue.issue} "${issue.title}" is only in Beads`));
+  }
+}
+
+module.exports = {
+  command: 'beads <action>',
+  description: 'Two-way sync between sprint-status.yaml and a Beads database: sync',
+  options: [
+    ['-d, --directory <path>', 'Project directory (where .beads/ lives)', '.'],
+    ['-f, --file <path>', `Path of ${SPRINT_STATUS_FILE} (default: from the bmm configuration)`],
+    ['--bd <path>', 'Beads executable', 'bd'],
+    ['--prefer <side>', 'Resolve conflicts in favour of "file" or "beads"'],
+    ['--dry-run', 'Show what would change without changing anything'],
+    ['--json', 'Output as JSON'],
+  ],
+  action: async (action, options) => {
+    try {
+      if (action !== 'sync') {
+        throw new Error(`Unknown action "${action}". Use sync.`);
+      }
+      if (options.prefer && !['file', 'beads'].includes(options.prefer)) {
+        throw new Error(`--prefer must be "file" or "beads", not "${options.prefer}"`);
+      }
+
+      const projectDir = path.resolve(options.directory);
+      const filePath = options.file
+        ? path.resolve(options.file)
+        : await findSprintStatusFile(projectDir, (await installer.findBmadDir(projectDir)).bmadDir);
+      const status = await loadSprintStatus(filePath);
+      if (status.errors.length > 0) {
+        throw new Error(`${filePath} is not valid YAML: ${status.errors[0]}`);
+      }
+
+      const sync = new BeadsSync(new BeadsClient({ bin: options.bd, cwd: projectDir }));
+      const statePath = sync.getStatePath(filePath);
+      const state = await sync.loadState(statePath);
+      const plan = await sync.plan(status, state, { prefer: options.prefer });
+
+      if (!options.dryRun) {
+        const before = status.toString();
+        const { entries } = await sync.apply(status, plan, state);
+        if (status.toString() !== before) {
+          await fs.writeFile(filePath, status.toString(), 'utf8');
+        }
+        if (JSON.stringify(entries) !== JSON.stringify(state.entries)) {
+          await sync.saveState(statePath, { entries });
+        }
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({ file: filePath, dryRun: Boolean(options.dryRun), ...plan, agreed: undefined }, null, 2));
+      } else {
+        console.log(chalk.cyan(`\n🔗 Beads Sync${options.dryRun ? ' (dry run)' : ''}\n`));
+        printPlan(plan, options.dryRun);
+        if (plan.actions.length === 0 && plan.conflicts.length === 0) {
+          console.log(chalk.green(`✓ ${SPRINT_STATUS_FILE} and Beads are in sync`));
+        }
+        if (plan.conflicts.length > 0) {
+          console.log(chalk.dim('\nChange one side, or run again with --prefer file|beads.'));
+        }
+      }
+      process.exit(plan.conflicts.length === 0 ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
@@ -0,0 +1,76 @@
+const chalk = require('chalk');
+const { Installer } = require('../installers/lib/core/installer');
+const { DevWatcher } = require('../installers/lib/core/dev-watcher');
+
+const ACTIONS = { compiled: 'Compiled', copied: 'Copied', removed: 'Removed' };
+
+/**
+ * Print the agents, workflow files, teams and launcher files touched by one sync
+ */
+function printResult(result) {
+  const entries = [
+    ...result.agents.map((agent) => ({ ...agent, label: `${agent.module}/${agent.name}` })),
+    ...result.workflows.map((file) => ({ ...file, label: `${file.module}/${file.path}` })),
+    ...result.teams.map((team) => ({ ...team, label: `team ${team.module}/${team.name}` })),
+  ];
+  for (const entry of entries) {
+    if (entry.action === 'failed') {
+      console.log(`${chalk.red('✗')} ${entry.label} ${chalk.red(entry.error)}`);
+    } else {
+      console.log(`${chalk.green('✓')} ${ACTIONS[entry.action]} ${entry.label}`);
+    }
+  }
+
+  for (const change of result.launchers) {
+    console.log(chalk.dim(`    ${change.ide}: ${change.action} ${change.path}`));
+  }
+}
+
+module.exports = {
+  command: 'dev',
+  description: 'Recompile agents, teams and IDE launchers from module sources, optionally watching for changes',
+  options: [
+    ['-d, --directory <path>', 'Installation directory', '.'],
+    ['--watch', 'Keep running and sync whenever an agent, workflow or team source changes'],
+  ],
+  action: async (options) => {
+    try {
+      const watcher = new DevWatcher(new Installer());
+      const { missing } = await watcher.load(options.directory);
+
+      for (const moduleName of missing) {
+        console.log(chalk.yellow(`⚠️  Source for module '${moduleName}' not found, its agents, workflows and teams are not synced`));
+      }
+
+      if (!options.watch) {
+        const result = await watcher.syncAll();
+        printResult(result);
+        console.log(
+          chalk.green(
+            `\n✨ Synced ${result.agents.length} agent(s) and ${result.teams.length} team(s), ${result.launchers.length} launcher file(s) updated`,
+          ),
+        );
+        process.exit([...result.agents, ...result.teams].some((entry) => entry.action === 'failed') ? 1 : 0);
+      }
+
+      const watched = watcher.watch({
+        onSync: printResult,
+        onError: (error) => console.error(chalk.red('Error:'), error.message),
+      });
+
+      console.log(chalk.cyan('\n👀 Watching module sources:'));
+      for (const dir of watched) {
+        console.log(chalk.dim(`  ${dir}`));
+      }
+      console.log(chalk.dim('\nPress Ctrl+C to stop\n'));
+
+      process.on('SIGINT', () => {
+        watcher.close();
+        process.exit(0);
+      });
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
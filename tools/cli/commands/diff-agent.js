@@ -0,0 +1,195 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { glob } = require('glob');
+const { Installer } = require('../installers/lib/core/installer');
+const { AgentHistory } = require('../installers/lib/core/agent-history');
+const { loadAgentStructure, diffAgents } = require('../lib/agent/agent-diff');
+
+const installer = new Installer();
+const history = new AgentHistory();
+
+const PERSONA_LABELS = { communicationStyle: 'communication_style' };
+
+/**
+ * Find a compiled agent given as a name ("pm") or module/name ("bmm/pm") in an installation or snapshot
+ * @returns {Object|null} { file, moduleName }
+ */
+async function findCompiledAgent(root, moduleName, agentName) {
+  const matches = (await history.listAgents(root)).filter((file) => {
+    const parts = file.split('/');
+    return path.basename(file, '.md') === agentName && (!moduleName || parts[0] === moduleName);
+  });
+  if (matches.length > 1) {
+    throw new Error(`"${agentName}" matches several agents: ${matches.map((file) => `${file.split('/')[0]}/${agentName}`).join(', ')}`);
+  }
+  return matches.length === 1 ? { file: path.join(root, matches[0]), moduleName: matches[0].split('/')[0] } : null;
+}
+
+/**
+ * Find an agent source (<name>.agent.yaml) anywhere below a directory, e.g. a BMAD checkout
+ */
+async function findAgentSource(dir, moduleName, agentName) {
+  const matches = (await glob(`**/${agentName}.agent.yaml`, { cwd: dir, ignore: ['**/node_modules/**'] })).filter(
+    (file) => !moduleName || file.split(/[/\\]/).includes(moduleName),
+  );
+  if (matches.length > 1) {
+    throw new Error(`"${agentName}" matches several agent sources in ${dir}: ${matches.join(', ')}`);
+  }
+  return matches.length === 1 ? { file: path.join(dir, matches[0]), moduleName: moduleName || '' } : null;
+}
+
+/**
+ * Resolve --from/--to: a snapshot version, an agent file (.md or .agent.yaml) or a directory
+ * holding an installation, a snapshot or agent sources
+ */
+async function resolveSide(value, bmadDir, moduleName, agentName) {
+  const target = path.resolve(value);
+  if (await fs.pathExists(target)) {
+    if ((await fs.stat(target)).isFile()) {
+      return { file: target, moduleName: moduleName || '', label: displayPath(target) };
+    }
+
+    const { bmadDir: otherBmadDir } = await installer.findBmadDir(target);
+    const root = (await fs.pathExists(otherBmadDir)) ? otherBmadDir : target;
+    const found = (await findCompiledAgent(root, moduleName, agentName)) || (await findAgentSource(target, moduleName, agentName));
+    if (!found) {
+      throw new Error(`No agent "${agentName}" found in ${displayPath(target)}`);
+    }
+    return { ...found, label: displayPath(found.file) };
+  }
+
+  const snapshot = await history.findVersion(bmadDir, value);
+  if (!snapshot) {
+    const versions = (await history.list(bmadDir)).map((entry) => entry.version);
+    throw new Error(
+      `"${value}" is neither a file nor a recorded version` + (versions.length > 0 ? ` (recorded: ${versions.join(', ')})` : ''),
+    );
+  }
+  return snapshotSide(snapshot, moduleName, agentName);
+}
+
+async function snapshotSide(snapshot, moduleName, agentName) {
+  const found = await findCompiledAgent(snapshot.dir, moduleName, agentName);
+  if (!found) {
+    throw new Error(`Agent "${agentName}" did not exist in ${snapshot.version}`);
+  }
+  return { ...found, label: snapshot.version };
+}
+
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return relative.startsWith('..') ? filePath : relative;
+}
+
+function formatTargets(targets) {
+  const entries = Object.entries(targets);
+  return entries.length > 0 ? entries.map(([key, value]) => `${key}: ${value}`).join(', ') : 'no target';
+}
+
+function printSection(title, lines) {
+  if (lines.length > 0) {
+    console.log(chalk.bold(`\n${title}`));
+    for (const line of lines) console.log(line);
+  }
+}
+
+function printDiff(diff) {
+  const fieldLines = (changes, labels = {}) =>
+    changes.flatMap((change) => [
+      chalk.yellow(`  ~ ${labels[change.field] || change.field}`),
+      chalk.red(`    - ${change.before || ''}`),
+      chalk.green(`    + ${change.after || ''}`),
+    ]);
+
+  printSection('Metadata', fieldLines(diff.metadata));
+  printSection('Persona', fieldLines(diff.persona, PERSONA_LABELS));
+  printSection('Menu', [
+    ...diff.menu.added.map((item) => chalk.green(`  + *${item.trigger} → ${formatTargets(item.targets)}`)),
+    ...diff.menu.removed.map((item) => chalk.red(`  - *${item.trigger} → ${formatTargets(item.targets)}`)),
+    ...diff.menu.retargeted.flatMap((entry) => [
+      chalk.yellow(`  ~ *${entry.trigger} retargeted`),
+      chalk.red(`    - ${formatTargets(entry.before)}`),
+      chalk.green(`    + ${formatTargets(entry.after)}`),
+    ]),
+    ...diff.menu.redescribed.map((entry) => chalk.yellow(`  ~ *${entry.trigger} description: "${entry.before}" → "${entry.after}"`)),
+  ]);
+  printSection('Critical actions', [
+    ...diff.criticalActions.added.map((action) => chalk.green(`  + ${action}`)),
+    ...diff.criticalActions.removed.map((action) => chalk.red(`  - ${action}`)),
+    ...diff.criticalActions.moved.map((entry) => chalk.yellow(`  ↕ #${entry.before} → #${entry.after}: ${entry.action}`)),
+  ]);
+  printSection('Prompts', [
+    ...diff.prompts.added.map((id) => chalk.green(`  + ${id}`)),
+    ...diff.prompts.removed.map((id) => chalk.red(`  - ${id}`)),
+    ...diff.prompts.edited.map(
+      (entry) => chalk.yellow(`  ~ ${entry.id}`) + chalk.dim(` (+${entry.linesAdded} -${entry.linesRemoved} lines)`),
+    ),
+  ]);
+}
+
+module.exports = {
+  command: 'diff-agent <name>',
+  description: "Show how an agent's persona, menu, critical actions and prompts changed between versions",
+  options: [
+    ['-d, --directory <path>', 'Installation directory', '.'],
+    ['--from <version|path>', 'Earlier side: a version recorded by an update, an agent file or a directory (default: the last update)'],
+    ['--to <path>', 'Later side: an agent file or a directory (default: the installed agent)'],
+    ['--json', 'Output the differences as JSON'],
+  ],
+  action: async (name, options) => {
+    try {
+      const projectDir = path.resolve(options.directory);
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      const [moduleName, agentName] = name.includes('/') ? name.split('/') : [null, name];
+
+      let to;
+      if (options.to) {
+        to = await resolveSide(options.to, bmadDir, moduleName, agentName);
+      } else {
+        const installed = (await fs.pathExists(bmadDir)) ? await findCompiledAgent(bmadDir, moduleName, agentName) : null;
+        if (!installed) {
+          throw new Error(`Agent "${name}" is not installed in ${projectDir}`);
+        }
+        to = { ...installed, label: 'installed' };
+      }
+
+      let from;
+      if (options.from) {
+        from = await resolveSide(options.from, bmadDir, moduleName || to.moduleName, agentName);
+      } else {
+        const [latest] = await history.list(bmadDir);
+        if (!latest) {
+          throw new Error('No earlier version recorded - snapshots are taken when an update replaces the agents. Use --from <path>.');
+        }
+        from = await snapshotSide(latest, moduleName || to.moduleName, agentName);
+      }
+
+      // Agent sources are compiled in the installation's language so they compare with compiled agents
+      const coreConfigPath = path.join(bmadDir, 'core', 'config.yaml');
+      const locale = (await fs.pathExists(coreConfigPath))
+        ? yaml.parse(await fs.readFile(coreConfigPath, 'utf8'))?.communication_language
+        : undefined;
+      const load = (side) => loadAgentStructure(side.file, { moduleName: side.moduleName, agentName, locale });
+      const diff = diffAgents(await load(from), await load(to));
+
+      if (options.json) {
+        console.log(JSON.stringify({ agent: name, from: from.label, to: to.label, ...diff }, null, 2));
+        process.exit(0);
+      }
+
+      console.log(chalk.cyan(`\n🔍 ${name}: ${from.label} → ${to.label}`));
+      if (diff.changed) {
+        printDiff(diff);
+      } else {
+        console.log(chalk.green('\n✓ No behavioural changes'));
+      }
+      console.log('');
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
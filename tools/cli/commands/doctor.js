@@ -0,0 +1,87 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const { Installer } = require('../installers/lib/core/installer');
+const { Doctor } = require('../installers/lib/core/doctor');
+
+const installer = new Installer();
+const doctor = new Doctor();
+
+/**
+ * Print a titled list of findings, or a pass line when empty
+ */
+function printSection(title, items, format) {
+  if (items.length === 0) {
+    console.log(`${chalk.green('✓')} ${title}`);
+    return;
+  }
+
+  console.log(`${chalk.red('✗')} ${title} ${chalk.dim(`(${items.length})`)}`);
+  for (const item of items) {
+    console.log(chalk.dim(`    ${format(item)}`));
+  }
+}
+
+module.exports = {
+  command: 'doctor',
+  description: 'Audit an installation for modified, missing or orphaned files and broken references',
+  options: [
+    ['-d, --directory <path>', 'Installation directory', '.'],
+    ['--json', 'Output the report as JSON'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = path.resolve(options.directory);
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      const status = await installer.getStatus(projectDir);
+
+      if (!status.installed) {
+        if (options.json) {
+          console.log(JSON.stringify({ projectDir, ok: false, error: 'No BMAD installation found' }, null, 2));
+        } else {
+          console.log(chalk.yellow('\n⚠️  No BMAD installation found in:'), projectDir);
+        }
+        process.exit(1);
+      }
+
+      const report = await doctor.run(projectDir, bmadDir);
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        process.exit(report.ok ? 0 : 1);
+      }
+
+      console.log(chalk.cyan('\n🩺 BMAD Doctor\n'));
+      console.log(chalk.bold('Location:'), bmadDir);
+      console.log(chalk.bold('Version:'), status.version, '\n');
+
+      const { files, launchers, configRefs } = report;
+      console.log(chalk.bold(`Files (${files.checked} tracked)`));
+      printSection('Modified files', files.modified, (file) => file);
+      printSection('Missing files', files.missing, (file) => file);
+      printSection('Orphaned files (not in files-manifest.csv)', files.orphaned, (file) => file);
+
+      console.log(chalk.bold(`\nIDE launchers (${launchers.checked} checked)`));
+      printSection('Launcher targets', launchers.broken, (entry) =>
+        entry.target ? `${entry.launcher} → ${entry.target}` : `${entry.ide}: ${entry.launcher}/ is missing`,
+      );
+      if (launchers.skipped.length > 0) {
+        console.log(chalk.dim(`  Skipped (launchers outside the project): ${launchers.skipped.join(', ')}`));
+      }
+
+      console.log(chalk.bold(`\nConfig references (${configRefs.checked} checked)`));
+      printSection('{config_source}:key references', configRefs.unresolved, (entry) => `${entry.file}: ${entry.key} - ${entry.reason}`);
+
+      if (report.ok) {
+        console.log(chalk.green('\n✨ No problems found'));
+      } else {
+        console.log(chalk.red(`\n${report.issueCount} problem(s) found`));
+        console.log(chalk.dim('Run "bmad install" and choose Quick Update or Update to repair the installation.'));
+      }
+
+      process.exit(report.ok ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
@@ -0,0 +1,143 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const fs = require('fs-extra');
+const { glob } = require('glob');
+const { Installer } = require('../installers/lib/core/installer');
+const { findMapping, getAgentSourceMapPath, getCompiledAgentPath, resolveSourcePath } = require('../lib/agent/source-map');
+
+const installer = new Installer();
+
+/**
+ * Find the source map of an agent given as a name ("pm"), module/name ("bmm/pm") or path to its .md file
+ */
+async function findSourceMap(agent, projectDir, bmadDir) {
+  const compiledPath = path.resolve(projectDir, agent);
+  if (agent.endsWith('.md') && (await fs.pathExists(compiledPath))) {
+    return getAgentSourceMapPath(bmadDir, compiledPath);
+  }
+
+  const [moduleName, agentName] = agent.includes('/') ? agent.split('/') : [null, agent];
+  const mapsDir = path.join(bmadDir, '_config', 'source-maps');
+  const candidates = (await glob('*/agents/**/*.md.map.json', { cwd: mapsDir })).filter((file) => {
+    const parts = file.split(/[/\\]/);
+    return path.basename(file, '.md.map.json') === agentName && (!moduleName || parts[0] === moduleName);
+  });
+
+  if (candidates.length > 1) {
+    const names = candidates.map((file) => `${file.split(/[/\\]/)[0]}/${agentName}`);
+    throw new Error(`"${agent}" matches several agents: ${names.join(', ')}`);
+  }
+  if (candidates.length === 0) {
+    throw new Error(`No source map found for agent "${agent}". Source maps are written when agents are compiled (bmad install).`);
+  }
+  return path.join(mapsDir, candidates[0]);
+}
+
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return relative.startsWith('..') ? filePath : relative;
+}
+
+function formatRange([from, to]) {
+  return from === to ? `${from}` : `${from}-${to}`;
+}
+
+/**
+ * One-line description of where a mapping comes from
+ */
+function describe(mapping, sourceMap) {
+  if (mapping.generated) {
+    return mapping.generated === 'compiler'
+      ? chalk.dim('generated by the compiler')
+      : chalk.dim(`generated from src/utility/agent-components/${mapping.generated}`);
+  }
+
+  const label = mapping.label ? chalk.dim(` (${mapping.label})`) : '';
+  const source = mapping.sourceLines ? ` ${displayPath(sourceMap.sources[mapping.source])}:${formatRange(mapping.sourceLines)}` : '';
+  return `${chalk.cyan(mapping.path)}${label}${source}`;
+}
+
+/**
+ * Print a range of a source file with line numbers
+ */
+async function printSnippet(file, [from, to]) {
+  if (!(await fs.pathExists(file))) {
+    console.log(chalk.yellow(`    ${displayPath(file)} no longer exists`));
+    return;
+  }
+  const lines = (await fs.readFile(file, 'utf8')).split('\n');
+  const width = String(to).length;
+  for (let line = from; line <= to; line++) {
+    console.log(chalk.dim(`    ${String(line).padStart(width)} │ `) + lines[line - 1]);
+  }
+}
+
+module.exports = {
+  command: 'explain <agent>',
+  description: 'Show which agent YAML produced each part of a compiled agent',
+  options: [
+    ['-d, --directory <path>', 'Installation directory', '.'],
+    ['-l, --line <number>', 'Line of the compiled agent (.md) to explain'],
+    ['--json', 'Output the mapping as JSON'],
+  ],
+  action: async (agent, options) => {
+    try {
+      const projectDir = path.resolve(options.directory);
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      const mapPath = await findSourceMap(agent, projectDir, bmadDir);
+      if (!(await fs.pathExists(mapPath))) {
+        throw new Error(`No source map for ${displayPath(getCompiledAgentPath(bmadDir, mapPath))}. Recompile agents to create it.`);
+      }
+
+      const sourceMap = await fs.readJson(mapPath);
+      sourceMap.sources = sourceMap.sources.map((source) => resolveSourcePath(bmadDir, source));
+      const compiledPath = getCompiledAgentPath(bmadDir, mapPath);
+
+      // Whole file: one line per mapping
+      if (options.line === undefined) {
+        if (options.json) {
+          console.log(JSON.stringify(sourceMap, null, 2));
+          process.exit(0);
+        }
+        console.log(chalk.bold(`\n${displayPath(compiledPath)}\n`));
+        const width = Math.max(...sourceMap.mappings.map((mapping) => formatRange(mapping.lines).length));
+        for (const mapping of sourceMap.mappings) {
+          console.log(`  ${formatRange(mapping.lines).padEnd(width)}  ${describe(mapping, sourceMap)}`);
+        }
+        console.log(chalk.dim('\nUse --line <number> to see the YAML behind a line.'));
+        process.exit(0);
+      }
+
+      const line = Number(options.line);
+      const mapping = Number.isInteger(line) ? findMapping(sourceMap, line) : null;
+      if (!mapping) {
+        throw new Error(`Line ${options.line} is not part of ${displayPath(compiledPath)} (1-${sourceMap.mappings.at(-1)?.lines[1] ?? 0})`);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({ file: compiledPath, line, ...mapping, sources: sourceMap.sources }, null, 2));
+        process.exit(0);
+      }
+
+      const compiledLines = (await fs.readFile(compiledPath, 'utf8')).split('\n');
+      console.log(chalk.bold(`\n${displayPath(compiledPath)}:${line}`));
+      console.log(chalk.dim('    ') + compiledLines[line - 1]?.trim());
+      console.log(`\n← ${describe(mapping, sourceMap)}`);
+      if (mapping.sourceLines) {
+        await printSnippet(sourceMap.sources[mapping.source], mapping.sourceLines);
+      }
+
+      if (mapping.translation) {
+        const { translation } = mapping;
+        const overlay = sourceMap.sources[translation.source];
+        console.log(`\n← translated by ${chalk.cyan(translation.path)} ${displayPath(overlay)}:${formatRange(translation.sourceLines)}`);
+        await printSnippet(overlay, translation.sourceLines);
+      }
+      console.log('');
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
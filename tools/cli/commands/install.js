@@ -2,6 +2,7 @@ const chalk = require('chalk');
 const path = require('node:path');
 const { Installer } = require('../installers/lib/core/installer');
 const { UI } = require('../lib/ui');
+const { InstallAnswers } = require('../lib/install-answers');
 
 const installer = new Installer();
 const ui = new UI();
@@ -9,10 +10,18 @@ const ui = new UI();
 module.exports = {
   command: 'install',
   description: 'Install BMAD Core agents and tools',
-  options: [],
+  options: [
+    ['-d, --directory <path>', 'Installation directory (non-interactive mode)'],
+    ['--modules <list>', 'Comma-separated module IDs to install, e.g. bmm,cis (non-interactive mode)'],
+    ['--ides <list>', 'Comma-separated IDE IDs to configure, e.g. claude-code,cursor (non-interactive mode)'],
+    ['--answers <file>', 'YAML/JSON file with module config and IDE answers (non-interactive mode)'],
+    ['--action <type>', 'Action for an existing installation: update, quick-update, reinstall, compile'],
+    ['--frozen', 'Reproduce the install recorded in bmad.lock exactly; fails if sources drifted'],
+    ['-y, --yes', 'Run without prompts, accepting defaults and confirming destructive actions'],
+  ],
   action: async (options) => {
     try {
-      const config = await ui.promptInstall();
+      const config = InstallAnswers.isRequested(options) ? await InstallAnswers.buildConfig(options) : await ui.promptInstall();
 
       // Handle cancel
       if (config.actionType === 'cancel') {
@@ -60,8 +69,13 @@ module.exports = {
         console.log(chalk.yellow('\nThank you for helping test the early release version of the new BMad Core and BMad Method!'));
         console.log(chalk.cyan('Stable Beta coming soon - please read the full README.md and linked documentation to get started!'));
 
-        // Run AgentVibes installer if needed
-        if (result.needsAgentVibes) {
+        // AgentVibes has its own interactive installer - just point at it
+        if (result.needsAgentVibes && config.nonInteractive) {
+          console.log(chalk.magenta('\n🎙️  AgentVibes TTS Setup'));
+          console.log(chalk.cyan('Run the AgentVibes installer to finish TTS setup:'));
+          console.log(chalk.green(`  cd ${result.projectDir}`));
+          console.log(chalk.green('  npx agentvibes install\n'));
+        } else if (result.needsAgentVibes) {
           console.log(chalk.magenta('\n🎙️  AgentVibes TTS Setup'));
           console.log(chalk.cyan('AgentVibes provides voice synthesis for BMAD agents with:'));
           console.log(chalk.dim('  • ElevenLabs AI (150+ premium voices)'));
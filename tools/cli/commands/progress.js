@@ -0,0 +1,96 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const fs = require('fs-extra');
+const { Installer } = require('../installers/lib/core/installer');
+const { loadProgress, renderHtml, STATUS_FILE } = require('../lib/project-progress');
+
+const installer = new Installer();
+
+const MARKS = {
+  done: chalk.green('✓'),
+  skipped: chalk.dim('-'),
+  missing: chalk.yellow('!'),
+  pending: chalk.dim('○'),
+};
+
+function printReport(report) {
+  console.log(chalk.cyan(`\n📊 ${report.project}\n`));
+  console.log(chalk.bold('Path:'), `${report.pathName}${report.method ? ` (${report.method})` : ''}`);
+  console.log(chalk.bold('Status file:'), report.statusFile || chalk.dim(`none - run workflow-init to create ${STATUS_FILE}`));
+
+  for (const phase of report.phases) {
+    const title = phase.phase === 'prerequisite' ? phase.name : `Phase ${phase.phase}: ${phase.name}`;
+    console.log(`\n${chalk.bold(title)}`);
+    for (const workflow of phase.workflows) {
+      let detail;
+      switch (workflow.state) {
+        case 'done': {
+          detail = chalk.dim(`${workflow.artifact}${workflow.detected ? ' (found, not in status file)' : ''}`);
+          break;
+        }
+        case 'missing': {
+          detail = chalk.yellow(`${workflow.artifact} is recorded but missing`);
+          break;
+        }
+        case 'skipped': {
+          detail = chalk.dim('skipped');
+          break;
+        }
+        default: {
+          detail = chalk.dim(workflow.requirement);
+        }
+      }
+      console.log(`  ${MARKS[workflow.state]} ${workflow.id.padEnd(26)} ${chalk.dim((workflow.agent || '').padEnd(12))} ${detail}`);
+    }
+  }
+
+  const { done, skipped, total } = report.summary;
+  console.log(chalk.bold('\nProgress:'), `${done}/${total} done${skipped > 0 ? `, ${skipped} skipped` : ''}`);
+  if (report.sprint) {
+    console.log(chalk.bold('Sprint:'), report.sprint.file);
+  }
+  if (report.next) {
+    const target = report.next.key ? ` ${report.next.key}` : '';
+    console.log(
+      chalk.bold('Next:'),
+      `${chalk.cyan(report.next.command)}${target}${report.next.agent ? ` (agent: ${report.next.agent})` : ''}`,
+    );
+  } else {
+    console.log(chalk.green('✓ All workflows of the path are done'));
+  }
+}
+
+module.exports = {
+  command: 'progress',
+  description: 'Show project progress through the workflow-status path, with the next workflow and agent',
+  options: [
+    ['-d, --directory <path>', 'Project directory', '.'],
+    ['--status-file <path>', `Path of ${STATUS_FILE} (default: in output_folder)`],
+    ['--path <name>', 'Workflow path to use (method-greenfield, enterprise-brownfield, ...)'],
+    ['--json', 'Output as JSON'],
+    ['--html <file>', 'Also write a static HTML report'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = path.resolve(options.directory);
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      const report = await loadProgress({ projectDir, bmadDir, statusFile: options.statusFile, pathName: options.path });
+
+      if (options.html) {
+        await fs.outputFile(path.resolve(options.html), renderHtml(report), 'utf8');
+      }
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        printReport(report);
+        if (options.html) {
+          console.log(chalk.dim(`\nHTML report: ${options.html}`));
+        }
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
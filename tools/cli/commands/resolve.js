@@ -0,0 +1,84 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const { Installer } = require('../installers/lib/core/installer');
+const { FileMerger, CONFLICT_SUFFIX } = require('../installers/lib/core/file-merger');
+
+const installer = new Installer();
+const fileMerger = new FileMerger();
+
+/**
+ * Map a user-supplied path (project-relative, bmad-relative or a .bmad-conflict sidecar) to a path relative to bmadDir
+ */
+function toBmadRelative(file, projectDir, bmadDir) {
+  const absolute = path.resolve(projectDir, file);
+  const relative = absolute.startsWith(bmadDir + path.sep) ? path.relative(bmadDir, absolute) : file;
+  const normalized = relative.split(path.sep).join('/');
+  return normalized.endsWith(CONFLICT_SUFFIX) ? normalized.slice(0, -CONFLICT_SUFFIX.length) : normalized;
+}
+
+module.exports = {
+  command: 'resolve [files...]',
+  description: 'List or finish merge conflicts left by an update',
+  options: [
+    ['-d, --directory <path>', 'Installation directory', '.'],
+    ['--yours', 'Resolve by keeping your side of every conflict'],
+    ['--theirs', 'Resolve by taking the new BMAD version of every conflict'],
+    ['--all', 'Apply to every recorded conflict'],
+  ],
+  action: async (files, options) => {
+    try {
+      if (options.yours && options.theirs) {
+        throw new Error('Use either --yours or --theirs, not both');
+      }
+
+      const projectDir = path.resolve(options.directory);
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      const conflicts = await fileMerger.listConflicts(bmadDir);
+
+      const targets = options.all ? conflicts.map((entry) => entry.path) : files.map((file) => toBmadRelative(file, projectDir, bmadDir));
+
+      if (targets.length === 0) {
+        if (conflicts.length === 0) {
+          console.log(chalk.green('✓ No merge conflicts'));
+          process.exit(0);
+        }
+
+        console.log(chalk.yellow(`\n${conflicts.length} file(s) with merge conflicts:\n`));
+        for (const entry of conflicts) {
+          let state = chalk.yellow('markers remaining');
+          if (entry.missing) {
+            state = chalk.red('conflict file missing');
+          } else if (entry.resolved) {
+            state = chalk.green('ready');
+          }
+          const where = entry.conflictFile === entry.path ? '' : chalk.dim(` (edit ${entry.conflictFile})`);
+          console.log(`  ${entry.path}${where} - ${state}`);
+        }
+        console.log(chalk.dim('\nEdit the markers, then run "bmad resolve <file>", or use --yours / --theirs.'));
+        process.exit(1);
+      }
+
+      const side = (options.yours && 'yours') || (options.theirs && 'theirs') || null;
+      let failed = 0;
+      for (const target of targets) {
+        try {
+          const conflict = await fileMerger.resolve(bmadDir, target, side);
+          console.log(`${chalk.green('✓')} Resolved ${conflict.path}`);
+        } catch (error) {
+          failed++;
+          console.error(`${chalk.red('✗')} ${error.message}`);
+        }
+      }
+
+      const remaining = await fileMerger.readConflicts(bmadDir);
+      if (remaining.length > 0) {
+        console.log(chalk.dim(`\n${remaining.length} conflict(s) remaining`));
+      }
+
+      process.exit(failed > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
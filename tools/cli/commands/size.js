@@ -0,0 +1,115 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const fs = require('fs-extra');
+const { Installer } = require('../installers/lib/core/installer');
+const { SizeAnalyzer } = require('../installers/lib/core/size-analyzer');
+const { CLIUtils } = require('../lib/cli-utils');
+
+const installer = new Installer();
+const analyzer = new SizeAnalyzer();
+
+const BUDGETS_FILE = 'bmad-size.yaml';
+const LARGEST_SHOWN = 15;
+
+function formatTokens(tokens) {
+  return tokens.toLocaleString('en-US');
+}
+
+module.exports = {
+  command: 'size',
+  description: 'Estimate the tokens of compiled agents, workflows, their input documents and bundles and check them against budgets',
+  options: [
+    ['-d, --directory <path>', 'Installation directory', '.'],
+    ['--bundles <path>', 'Also measure the web bundles in this directory'],
+    ['--budgets <file>', `Budgets file (default: ${BUDGETS_FILE} in the project, if present)`],
+    ['--baseline <file>', 'Fail on artifacts that grew more than --tolerance since this baseline'],
+    ['--tolerance <percent>', 'Growth over the baseline allowed, in percent', '5'],
+    ['--update-baseline', 'Write the current counts to the --baseline file'],
+    ['--markdown <file>', 'Also write the report as Markdown'],
+    ['--json', 'Output the report as JSON'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = path.resolve(options.directory);
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      if (!(await fs.pathExists(bmadDir))) {
+        throw new Error(`No BMAD installation found in ${projectDir}`);
+      }
+      if (options.updateBaseline && !options.baseline) {
+        throw new Error('--update-baseline needs --baseline <file>');
+      }
+
+      const defaultBudgets = path.join(projectDir, BUDGETS_FILE);
+      const budgetsPath = options.budgets || ((await fs.pathExists(defaultBudgets)) ? defaultBudgets : null);
+      const budgets = await analyzer.loadBudgets(budgetsPath);
+      const bundlesDir = options.bundles ? path.resolve(options.bundles) : null;
+      const report = await analyzer.analyze(projectDir, bmadDir, { bundlesDir });
+
+      if (options.updateBaseline) {
+        await fs.outputFile(options.baseline, JSON.stringify(analyzer.createBaseline(report), null, 2) + '\n', 'utf8');
+        console.log(chalk.green(`✓ Baseline of ${report.artifacts.length} artifacts written to ${options.baseline}`));
+        process.exit(0);
+      }
+
+      const baseline = options.baseline ? await fs.readJson(options.baseline) : null;
+      const result = analyzer.check(report, budgets, baseline, Number(options.tolerance));
+
+      if (options.markdown) {
+        await fs.outputFile(options.markdown, analyzer.buildMarkdownReport(report), 'utf8');
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({ ...report, ...result }, null, 2));
+        process.exit(result.ok ? 0 : 1);
+      }
+
+      console.log(chalk.cyan('\n📏 BMAD Token Budgets\n'));
+      console.log(chalk.bold('Location:'), bmadDir);
+      console.log(chalk.bold('Tokenizer:'), report.tokenizer, chalk.dim('(local BPE)'));
+      console.log(chalk.bold('Budgets:'), budgetsPath || chalk.dim('defaults'), '\n');
+
+      CLIUtils.displayTable(
+        report.summary.byKind.map((entry) => [
+          entry.kind,
+          entry.count,
+          formatTokens(entry.median),
+          formatTokens(entry.p90),
+          formatTokens(entry.max),
+          formatTokens(budgets[entry.kind]),
+        ]),
+        { head: ['Kind', 'Artifacts', 'Median', 'p90', 'Largest', 'Budget'] },
+      );
+
+      console.log(chalk.bold(`\nLargest artifacts`), chalk.dim('(tokens)'));
+      for (const artifact of [...report.artifacts].sort((a, b) => b.tokens - a.tokens).slice(0, LARGEST_SHOWN)) {
+        const share = artifact.budget ? chalk.dim(` ${((artifact.tokens / artifact.budget) * 100).toFixed(0)}% of budget`) : '';
+        console.log(`  ${formatTokens(artifact.tokens).padStart(9)}  ${artifact.id}${share}`);
+      }
+
+      if (result.overBudget.length > 0) {
+        console.log(chalk.red(`\n✗ Over budget (${result.overBudget.length})`));
+        for (const artifact of result.overBudget) {
+          console.log(chalk.dim(`    ${artifact.id}: ${formatTokens(artifact.tokens)} > ${formatTokens(artifact.budget)}`));
+        }
+      }
+      if (result.regressions.length > 0) {
+        console.log(chalk.red(`\n✗ Grew more than ${options.tolerance}% since the baseline (${result.regressions.length})`));
+        for (const entry of result.regressions) {
+          console.log(
+            chalk.dim(`    ${entry.id}: ${formatTokens(entry.baseline)} → ${formatTokens(entry.tokens)} (+${entry.growth.toFixed(1)}%)`),
+          );
+        }
+      }
+
+      if (result.ok) {
+        console.log(chalk.green(`\n✨ ${report.artifacts.length} artifacts within budget`));
+      } else if (result.regressions.length > 0) {
+        console.log(chalk.dim('\nIf the growth is intended, run again with --update-baseline.'));
+      }
+      process.exit(result.ok ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
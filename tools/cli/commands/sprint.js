@@ -0,0 +1,143 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const fs = require('fs-extra');
+const { Installer } = require('../installers/lib/core/installer');
+const { loadSprintStatus, findSprintStatusFile, SPRINT_STATUS_FILE } = require('../lib/sprint-status');
+
+const installer = new Installer();
+
+const STATUS_COLORS = {
+  backlog: chalk.dim,
+  optional: chalk.dim,
+  'ready-for-dev': chalk.cyan,
+  'in-progress': chalk.yellow,
+  review: chalk.magenta,
+  done: chalk.green,
+  completed: chalk.green,
+};
+
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return relative.startsWith('..') ? filePath : relative;
+}
+
+function colorStatus(state, status) {
+  return (STATUS_COLORS[status] || chalk.red)(state);
+}
+
+function describeNext(next) {
+  return next.key ? `${next.workflow} ${next.key} (${next.agent})` : `${next.workflow} - all stories and retrospectives are done`;
+}
+
+function printStatus(status) {
+  console.log(chalk.cyan('\n🏃 Sprint Status\n'));
+  console.log(chalk.bold('File:'), displayPath(status.filePath));
+  if (status.getField('project')) {
+    console.log(chalk.bold('Project:'), status.getField('project'));
+  }
+
+  const counts = {};
+  for (const entry of status.entries) {
+    if (entry.kind === 'epic') {
+      console.log(`\n${chalk.bold(entry.key)}  ${colorStatus(entry.state, entry.status)}`);
+    } else {
+      console.log(`  ${entry.key.padEnd(40)} ${colorStatus(entry.state, entry.status)}`);
+    }
+    if (entry.kind === 'story') {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+  }
+
+  const summary = Object.entries(counts).map(([state, count]) => `${count} ${state}`);
+  console.log(chalk.bold('\nStories:'), summary.length > 0 ? summary.join(', ') : chalk.dim('none'));
+  console.log(chalk.bold('Next:'), describeNext(status.next()));
+}
+
+function toJson(status) {
+  return {
+    file: status.filePath,
+    entries: status.entries.map(({ key, kind, epic, state, status: current }) => ({ key, kind, epic, state, status: current })),
+    next: status.next(),
+  };
+}
+
+module.exports = {
+  command: 'sprint <action> [args...]',
+  description: 'Read and update sprint-status.yaml: status, move <story> <state>, next, validate',
+  options: [
+    ['-d, --directory <path>', 'Project directory', '.'],
+    ['-f, --file <path>', `Path of ${SPRINT_STATUS_FILE} (default: from the bmm configuration)`],
+    ['--force', 'move: allow any status change'],
+    ['--json', 'Output as JSON'],
+  ],
+  action: async (action, args, options) => {
+    try {
+      const projectDir = path.resolve(options.directory);
+      const filePath = options.file
+        ? path.resolve(options.file)
+        : await findSprintStatusFile(projectDir, (await installer.findBmadDir(projectDir)).bmadDir);
+      const status = await loadSprintStatus(filePath);
+
+      switch (action) {
+        case 'status': {
+          if (options.json) {
+            console.log(JSON.stringify(toJson(status), null, 2));
+          } else {
+            printStatus(status);
+          }
+          process.exit(0);
+          break;
+        }
+        case 'move': {
+          if (args.length !== 2) {
+            throw new Error('Usage: bmad sprint move <story> <state>');
+          }
+          if (status.errors.length > 0) {
+            throw new Error(`${displayPath(filePath)} is not valid YAML: ${status.errors[0]}`);
+          }
+          const changes = status.move(args[0], args[1], { force: options.force });
+          if (changes.length > 0) {
+            await fs.writeFile(filePath, status.toString(), 'utf8');
+          }
+          if (options.json) {
+            console.log(JSON.stringify({ file: filePath, changes }, null, 2));
+          } else if (changes.length === 0) {
+            console.log(chalk.dim(`${status.findEntry(args[0]).key} is already ${args[1]}`));
+          } else {
+            for (const change of changes) {
+              console.log(chalk.green(`✓ ${change.key}: ${change.from} → ${change.to}`));
+            }
+          }
+          process.exit(0);
+          break;
+        }
+        case 'next': {
+          const next = status.next();
+          console.log(options.json ? JSON.stringify(next, null, 2) : describeNext(next));
+          process.exit(0);
+          break;
+        }
+        case 'validate': {
+          const result = status.validate();
+          if (options.json) {
+            console.log(JSON.stringify({ file: filePath, valid: result.errors.length === 0, ...result }, null, 2));
+            process.exit(result.errors.length === 0 ? 0 : 1);
+          }
+          for (const error of result.errors) console.log(chalk.red(`  ✗ ${error}`));
+          for (const warning of result.warnings) console.log(chalk.yellow(`  ⚠ ${warning}`));
+          if (result.errors.length === 0) {
+            console.log(chalk.green(`✓ ${displayPath(filePath)} is valid (${status.entries.length} entries)`));
+          }
+          process.exit(result.errors.length === 0 ? 0 : 1);
+          break;
+        }
+        default: {
+          throw new Error(`Unknown action "${action}". Use status, move, next or validate.`);
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
@@ -0,0 +1,214 @@
+const chalk = require('chalk');
+const path = require('node:path');
+const fs = require('fs-extra');
+const { Installer } = require('../installers/lib/core/installer');
+const { loadSprintStatus, findSprintStatusFile, SPRINT_STATUS_FILE } = require('../lib/sprint-status');
+const { createTracker, TRACKER_NAMES } = require('../lib/tracker/manager');
+const { readItems, writeItems } = require('../lib/tracker/export-file');
+
+const installer = new Installer();
+
+const USAGE = {
+  list: 'bmad tracker list',
+  ready: 'bmad tracker ready',
+  show: 'bmad tracker show <id>',
+  status: 'bmad tracker status <id> <status>',
+  comment: 'bmad tracker comment <id> <text>',
+  label: 'bmad tracker label <id> --add <labels> --remove <labels>',
+  'follow-up': 'bmad tracker follow-up <id> <title>',
+  export: 'bmad tracker export <file.json|file.csv>',
+  import: 'bmad tracker import <file.json|file.csv>',
+};
+
+/**
+ * Pick the tracker from --tracker, or tracking_system and tracker_file in sprint-status.yaml
+ */
+async function resolveTracker(options) {
+  const projectDir = path.resolve(options.directory);
+  let sprintStatusPath = options.file ? path.resolve(options.file) : null;
+  if (!sprintStatusPath) {
+    try {
+      sprintStatusPath = await findSprintStatusFile(projectDir, (await installer.findBmadDir(projectDir)).bmadDir);
+    } catch {
+      // No bmm configuration: only trackers that do not need sprint-status.yaml can be used
+    }
+  }
+
+  const status = sprintStatusPath && (await fs.pathExists(sprintStatusPath)) ? await loadSprintStatus(sprintStatusPath) : null;
+  const name = options.tracker || status?.getField('tracking_system') || 'file-system';
+  const baseDir = sprintStatusPath ? path.dirname(sprintStatusPath) : projectDir;
+  let trackerFile = options.trackerFile ? path.resolve(options.trackerFile) : null;
+  if (!trackerFile && status?.getField('tracker_file')) {
+    trackerFile = path.resolve(baseDir, status.getField('tracker_file'));
+  } else if (!trackerFile && (name === 'json' || name === 'csv')) {
+    trackerFile = path.join(baseDir, `tracker.${name}`);
+  }
+
+  return createTracker(name, { projectDir, sprintStatusPath, trackerFile, bd: options.bd });
+}
+
+// Comma-separated option value as a list
+function listOption(value) {
+  return value ? value.split(',').map((entry) => entry.trim()) : [];
+}
+
+/**
+ * Keep the items matching --status and carrying every label of --label
+ */
+function filterItems(items, options) {
+  const labels = listOption(options.label);
+  return items.filter(
+    (item) => (!options.status || item.status === options.status) && labels.every((label) => (item.labels || []).includes(label)),
+  );
+}
+
+function printItems(items) {
+  if (items.length === 0) {
+    console.log(chalk.dim('  (none)'));
+  }
+  for (const item of items) {
+    const key = item.key && item.key !== item.id ? chalk.dim(` [${item.key}]`) : '';
+    console.log(`  ${chalk.bold(item.id)}${key}  ${item.title}  ${chalk.cyan(item.status)}`);
+  }
+}
+
+/**
+ * Apply the statuses of an interchange file to the tracker, matching items by key, then id
+ */
+async function importItems(tracker, filePath, force) {
+  const targets = await tracker.listItems();
+  const changes = [];
+  const unmatched = [];
+  for (const item of await readItems(filePath)) {
+    const target = targets.find((candidate) => (item.key && candidate.key === item.key) || candidate.id === item.id);
+    if (!target) {
+      unmatched.push(item.id);
+      continue;
+    }
+    if (target.status !== item.status) {
+      changes.push(...(await tracker.updateStatus(target.id, item.status, { force })));
+    }
+  }
+  return { changes, unmatched };
+}
+
+module.exports = {
+  command: 'tracker <action> [args...]',
+  description:
+    'Work with the sprint tracker (file-system, beads, json, csv): list, ready, show, status, comment, label, follow-up, export, import',
+  options: [
+    ['-d, --directory <path>', 'Project directory', '.'],
+    ['-f, --file <path>', `Path of ${SPRINT_STATUS_FILE} (default: from the bmm configuration)`],
+    ['--tracker <name>', `Tracker to use instead of tracking_system in ${SPRINT_STATUS_FILE} (${TRACKER_NAMES.join(', ')})`],
+    ['--tracker-file <path>', 'Item file of the json and csv trackers'],
+    ['--bd <path>', 'Beads executable', 'bd'],
+    ['--status <status>', 'list, ready: only items with this status'],
+    ['--label <labels>', 'list, ready: only items with all of these labels (comma-separated)'],
+    ['--comments', 'show: include the comments of the item'],
+    ['--add <labels>', 'label: labels to add (comma-separated)'],
+    ['--remove <labels>', 'label: labels to remove (comma-separated)'],
+    ['--description <text>', 'follow-up: description of the new item'],
+    ['--blocks', 'follow-up: the item it comes from waits for the new one (beads)'],
+    ['--force', 'status, import: skip state machine checks'],
+    ['--json', 'Output as JSON'],
+  ],
+  action: async (action, args, options) => {
+    try {
+      const usage = USAGE[action];
+      if (!usage) {
+        throw new Error(`Unknown action "${action}". Use ${Object.keys(USAGE).join(', ')}.`);
+      }
+      const expected = usage.split(' ').filter((word) => word.startsWith('<') && !word.startsWith('<labels')).length;
+      if (args.length < expected || (args.length > expected && !['comment', 'follow-up'].includes(action))) {
+        throw new Error(`Usage: ${usage}`);
+      }
+
+      const tracker = await resolveTracker(options);
+      const print = (result, human) => {
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          human();
+        }
+      };
+
+      switch (action) {
+        case 'list':
+        case 'ready': {
+          const items = filterItems(action === 'ready' ? await tracker.listReady() : await tracker.listItems(), options);
+          print(items, () => {
+            console.log(chalk.cyan(`\n📋 ${action === 'ready' ? 'Ready items' : 'Items'} (${tracker.name})\n`));
+            printItems(items);
+          });
+          break;
+        }
+        case 'show': {
+          const item = await tracker.getItem(args[0]);
+          if (options.comments) {
+            item.comments = await tracker.getComments(item.id);
+          }
+          print(item, () => {
+            printItems([item]);
+            for (const comment of item.comments || []) console.log(`\n${comment}`);
+          });
+          break;
+        }
+        case 'status': {
+          const changes = await tracker.updateStatus(args[0], args[1], { force: options.force });
+          print({ tracker: tracker.name, changes }, () => {
+            if (changes.length === 0) console.log(chalk.dim(`${args[0]} is already ${args[1]}`));
+            for (const change of changes) console.log(chalk.green(`✓ ${change.id}: ${change.from} → ${change.to}`));
+          });
+          break;
+        }
+        case 'comment': {
+          await tracker.addComment(args[0], args.slice(1).join(' '));
+          print({ tracker: tracker.name, id: args[0], commented: true }, () => console.log(chalk.green(`✓ Comment added to ${args[0]}`)));
+          break;
+        }
+        case 'label': {
+          if (!options.add && !options.remove) {
+            throw new Error(`Usage: ${usage}`);
+          }
+          const labels = await tracker.updateLabels(args[0], { add: listOption(options.add), remove: listOption(options.remove) });
+          print({ tracker: tracker.name, id: args[0], labels }, () => console.log(chalk.green(`✓ ${args[0]}: ${labels.join(', ')}`)));
+          break;
+        }
+        case 'follow-up': {
+          const item = await tracker.createFollowUp(args[0], args.slice(1).join(' '), {
+            description: options.description,
+            blocks: options.blocks,
+          });
+          print(item, () => console.log(chalk.green(`✓ Follow-up ${item.id} created from ${args[0]}`)));
+          break;
+        }
+        case 'export': {
+          const filePath = path.resolve(args[0]);
+          const items = await tracker.listItems();
+          await writeItems(filePath, items);
+          print({ tracker: tracker.name, file: filePath, items: items.length }, () =>
+            console.log(chalk.green(`✓ Exported ${items.length} items from ${tracker.name} to ${args[0]}`)),
+          );
+          break;
+        }
+        case 'import': {
+          const filePath = path.resolve(args[0]);
+          if (!(await fs.pathExists(filePath))) {
+            throw new Error(`${filePath} not found`);
+          }
+          const result = await importItems(tracker, filePath, options.force);
+          print({ tracker: tracker.name, file: filePath, ...result }, () => {
+            for (const change of result.changes) console.log(chalk.green(`✓ ${change.id}: ${change.from} → ${change.to}`));
+            for (const id of result.unmatched) console.log(chalk.yellow(`  ⚠ ${id} has no match in ${tracker.name}`));
+            if (result.changes.length === 0) console.log(chalk.dim('No status changes'));
+          });
+          break;
+        }
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  },
+};
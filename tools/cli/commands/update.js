@@ -3,21 +3,91 @@ const { Installer } = require('../installers/lib/core/installer');
 
 const installer = new Installer();
 
+const ACTION_SYMBOLS = {
+  add: chalk.green('+'),
+  change: chalk.yellow('~'),
+  delete: chalk.red('-'),
+};
+
+/**
+ * Print the change plan returned by a dry run
+ */
+function printPlan(plan, showDiff) {
+  console.log(chalk.cyan('\n🔍 Update Preview (Dry Run)\n'));
+  console.log(chalk.bold('Current version:'), plan.currentVersion);
+  console.log(chalk.bold('New version:'), plan.newVersion);
+
+  let total = 0;
+  for (const group of plan.groups) {
+    let title;
+    switch (group.kind) {
+      case 'ide': {
+        title = `IDE: ${group.name}${group.paths.length > 0 ? ` (${group.paths.join(', ')})` : ''}`;
+        break;
+      }
+      case 'records': {
+        title = `Installation records (${group.name})`;
+        break;
+      }
+      case 'global': {
+        title = 'Outside the project (home directory)';
+        break;
+      }
+      default: {
+        title = `Module: ${group.name}`;
+      }
+    }
+
+    const counts = ['add', 'change', 'delete'].map((action) => group.changes.filter((change) => change.action === action).length);
+    console.log(`\n${chalk.bold(title)} ${chalk.dim(`+${counts[0]} ~${counts[1]} -${counts[2]}`)}`);
+    if (group.changes.length === 0) {
+      console.log(chalk.dim('  No changes'));
+    }
+
+    for (const change of group.changes) {
+      console.log(`  ${ACTION_SYMBOLS[change.action]} ${change.path}`);
+      if (showDiff && change.diff) {
+        console.log(chalk.dim(change.diff.replaceAll(/^/gm, '      ')));
+      } else if (showDiff && change.diff === null) {
+        console.log(chalk.dim('      (binary file)'));
+      }
+    }
+    total += group.changes.length;
+  }
+
+  if (plan.conflicts.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  Your edits would conflict with the update in ${plan.conflicts.length} file(s):`));
+    for (const file of plan.conflicts) {
+      console.log(chalk.dim(`  - ${file}`));
+    }
+  }
+
+  console.log(chalk.dim(`\n${total} file(s) would change. Nothing was written.`));
+}
+
 module.exports = {
   command: 'update',
   description: 'Update existing BMAD installation',
   options: [
     ['-d, --directory <path>', 'Installation directory', '.'],
-    ['--force', 'Force update, overwriting modified files'],
+    ['--force', 'Overwrite modified files instead of merging your edits (your copies are saved as .bak)'],
     ['--dry-run', 'Show what would be updated without making changes'],
+    ['--diff', 'With --dry-run, include a unified diff for each changed file'],
   ],
   action: async (options) => {
     try {
-      await installer.update({
+      const result = await installer.update({
         directory: options.directory,
         force: options.force,
         dryRun: options.dryRun,
+        diff: options.diff,
       });
+
+      if (options.dryRun) {
+        printPlan(result, options.diff);
+        process.exit(0);
+      }
+
       console.log(chalk.green('\n✨ Update complete!'));
       process.exit(0);
     } catch (error) {
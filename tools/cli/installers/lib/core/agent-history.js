@@ -0,0 +1,116 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { glob } = require('glob');
+
+const SNAPSHOT_FILE = 'snapshot.yaml';
+
+// Versions kept under _config/agent-history - older snapshots are pruned on update
+const HISTORY_LIMIT = 5;
+
+/**
+ * Compiled agents of earlier versions, kept so `bmad diff-agent` can show what an update changed
+ *
+ * Before an update overwrites the installation, its compiled agents are copied to
+ * _config/agent-history/<version>/<module>/agents/<name>.md, next to a snapshot.yaml
+ * recording the version and when the snapshot was taken.
+ */
+class AgentHistory {
+  /**
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string} Path to _config/agent-history
+   */
+  getHistoryDir(bmadDir) {
+    return path.join(bmadDir, '_config', 'agent-history');
+  }
+
+  /**
+   * Find the compiled agents of an installation
+   * @param {string} root - BMAD installation directory, or a snapshot directory
+   * @returns {Array<string>} Paths relative to root, e.g. bmm/agents/pm.md
+   */
+  async listAgents(root) {
+    const files = await glob('*/agents/**/*.md', { cwd: root, ignore: ['_config/**'] });
+    const agents = [];
+    for (const file of files.sort()) {
+      // Sidecar files can live below agents/ too
+      if (/<agent\s/.test(await fs.readFile(path.join(root, file), 'utf8'))) {
+        agents.push(file.split(path.sep).join('/'));
+      }
+    }
+    return agents;
+  }
+
+  /**
+   * Copy the installed compiled agents into the history
+   * A snapshot of the same version is replaced.
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} version - Version of the installation being replaced
+   * @returns {string|null} Snapshot directory, or null if there were no agents
+   */
+  async snapshot(bmadDir, version) {
+    const agents = await this.listAgents(bmadDir);
+    if (agents.length === 0) {
+      return null;
+    }
+
+    const snapshotDir = path.join(this.getHistoryDir(bmadDir), String(version || 'unknown'));
+    await fs.remove(snapshotDir);
+    for (const file of agents) {
+      await fs.copy(path.join(bmadDir, file), path.join(snapshotDir, file));
+    }
+    await fs.writeFile(
+      path.join(snapshotDir, SNAPSHOT_FILE),
+      yaml.stringify({ version: String(version || 'unknown'), date: new Date().toISOString(), agents: agents.length }),
+      'utf8',
+    );
+
+    await this.prune(bmadDir);
+    return snapshotDir;
+  }
+
+  /**
+   * List the snapshots, newest first
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Array<Object>} { version, date, dir }
+   */
+  async list(bmadDir) {
+    const historyDir = this.getHistoryDir(bmadDir);
+    if (!(await fs.pathExists(historyDir))) {
+      return [];
+    }
+
+    const snapshots = [];
+    for (const entry of await fs.readdir(historyDir, { withFileTypes: true })) {
+      const infoPath = path.join(historyDir, entry.name, SNAPSHOT_FILE);
+      if (entry.isDirectory() && (await fs.pathExists(infoPath))) {
+        const info = yaml.parse(await fs.readFile(infoPath, 'utf8')) || {};
+        snapshots.push({ version: String(info.version || entry.name), date: info.date || '', dir: path.join(historyDir, entry.name) });
+      }
+    }
+    return snapshots.sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} version - Version to look up
+   * @returns {Object|null} Snapshot of that version
+   */
+  async findVersion(bmadDir, version) {
+    const snapshots = await this.list(bmadDir);
+    return snapshots.find((snapshot) => snapshot.version === version || snapshot.version === version.replace(/^v/, '')) || null;
+  }
+
+  /**
+   * Remove all but the newest HISTORY_LIMIT snapshots
+   * @param {string} bmadDir - BMAD installation directory
+   */
+  async prune(bmadDir) {
+    const snapshots = await this.list(bmadDir);
+    for (const snapshot of snapshots.slice(HISTORY_LIMIT)) {
+      await fs.remove(snapshot.dir);
+    }
+  }
+}
+
+module.exports = { AgentHistory, HISTORY_LIMIT };
@@ -1,4 +1,5 @@
 const path = require('node:path');
+const { stripVTControlCharacters } = require('node:util');
 const fs = require('fs-extra');
 const yaml = require('yaml');
 const chalk = require('chalk');
@@ -6,11 +7,149 @@ const inquirer = require('inquirer');
 const { getProjectRoot, getModulePath } = require('../../../lib/project-root');
 const { CLIUtils } = require('../../../lib/cli-utils');
 
+// Question types a module.yaml item can declare with `type:`
+const QUESTION_TYPES = new Set(['string', 'number', 'boolean', 'path', 'url', 'regex', 'single-select', 'multi-select']);
+const URL_PROTOCOLS = new Set(['http:', 'https:']);
+
+// Answers to `secret: true` questions live here instead of the module config.yaml files
+const SECRETS_FILE = 'secrets.yaml';
+
 class ConfigCollector {
   constructor() {
     this.collectedConfig = {};
     this.existingConfig = null;
     this.currentProjectDir = null;
+    this.presetAnswers = null;
+    this.nonInteractive = false;
+    this.secrets = {};
+    this.existingSecrets = {};
+  }
+
+  /**
+   * Switch to non-interactive mode, answering questions from presets instead of prompting
+   * @param {Object} presets - Answers keyed by module name, then config key
+   */
+  setPresetAnswers(presets = {}) {
+    this.presetAnswers = presets || {};
+    this.nonInteractive = true;
+  }
+
+  /**
+   * Ask a batch of module questions, or resolve them from presets and defaults in non-interactive mode
+   * @param {string} moduleName - Module name (question names are prefixed with it)
+   * @param {Array} questions - Inquirer questions from buildQuestion()
+   * @returns {Object} Answers keyed by question name
+   */
+  async promptQuestions(moduleName, questions) {
+    if (!this.nonInteractive) {
+      return inquirer.prompt(questions);
+    }
+
+    const presets = this.presetAnswers[moduleName] || {};
+    const answers = {};
+    const problems = [];
+
+    for (const question of questions) {
+      const key = question.name.slice(moduleName.length + 1);
+      let value;
+
+      if (question.when && !question.when(answers)) {
+        continue;
+      }
+
+      if (presets[key] === undefined && question.secretEnv && process.env[question.secretEnv] !== undefined) {
+        value = process.env[question.secretEnv];
+      } else if (presets[key] === undefined) {
+        value = typeof question.default === 'function' ? question.default(answers) : question.default;
+        if (value === undefined && question.type === 'checkbox') {
+          value = question.choices.filter((choice) => choice.checked).map((choice) => choice.value);
+        }
+      } else {
+        value = presets[key];
+        // Result templates add {project-root}/ back, same as defaults
+        if (typeof value === 'string' && value.startsWith('{project-root}/')) {
+          value = value.replace('{project-root}/', '');
+        }
+      }
+
+      if (question.filter) {
+        value = question.filter(value);
+      }
+
+      const error = this.validatePresetAnswer(question, value, answers);
+      if (error) {
+        const prompt = stripVTControlCharacters(String(question.message).split('\n')[0]);
+        problems.push(`  - ${moduleName}.${key} (${prompt}): ${error}`);
+        continue;
+      }
+
+      answers[question.name] = value;
+    }
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Missing or invalid answers for module "${moduleName}":\n${problems.join('\n')}\n` +
+          `Provide them under "config.${moduleName}" in the --answers file.`,
+      );
+    }
+
+    return answers;
+  }
+
+  /**
+   * Check a non-interactive answer the same way inquirer would
+   * @param {Object} question - Inquirer question
+   * @param {*} value - Candidate answer
+   * @param {Object} answers - Answers given so far in the batch
+   * @returns {string|null} Error message, or null if the answer is acceptable
+   */
+  validatePresetAnswer(question, value, answers = {}) {
+    if (value === undefined || value === null) {
+      const envHint = question.secretEnv ? ` (or set ${question.secretEnv})` : '';
+      return `no answer provided and no default available${envHint}`;
+    }
+
+    if (question.type === 'confirm' && typeof value !== 'boolean') {
+      return 'expected true or false';
+    }
+
+    if (question.type === 'list') {
+      const allowed = question.choices.map((choice) => choice.value);
+      if (!allowed.includes(value)) {
+        return `expected one of: ${allowed.join(', ')}`;
+      }
+    }
+
+    if (question.type === 'checkbox') {
+      if (!Array.isArray(value)) {
+        return 'expected a list';
+      }
+      const allowed = question.choices.map((choice) => choice.value);
+      const invalid = value.filter((entry) => !allowed.includes(entry));
+      if (invalid.length > 0) {
+        return `unknown option(s) ${invalid.join(', ')}; expected any of: ${allowed.join(', ')}`;
+      }
+    }
+
+    if (question.validate) {
+      const textInput = (question.type === 'input' || question.type === 'password') && !question.filter;
+      const result = question.validate(textInput ? String(value) : value, answers);
+      if (result !== true) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Environment variable that answers a secret question in non-interactive mode
+   * @param {string} moduleName - Module name
+   * @param {string} key - Config key
+   * @returns {string} Variable name, e.g. BMAD_BMM_JIRA_TOKEN
+   */
+  getSecretEnvName(moduleName, key) {
+    return `BMAD_${moduleName}_${key}`.toUpperCase().replaceAll(/[^A-Z0-9]/g, '_');
   }
 
   /**
@@ -84,6 +223,7 @@ class ConfigCollector {
    */
   async loadExistingConfig(projectDir) {
     this.existingConfig = {};
+    this.existingSecrets = {};
 
     // Check if project directory exists first
     if (!(await fs.pathExists(projectDir))) {
@@ -127,6 +267,17 @@ class ConfigCollector {
       }
     }
 
+    // Secret answers are kept until their question is asked again
+    const secretsPath = path.join(bmadDir, '_config', SECRETS_FILE);
+    if (await fs.pathExists(secretsPath)) {
+      try {
+        this.existingSecrets = yaml.parse(await fs.readFile(secretsPath, 'utf8')) || {};
+      } catch {
+        // Ignore an unreadable secrets file; secret questions are asked again
+      }
+    }
+    this.secrets = structuredClone(this.existingSecrets);
+
     if (foundAny) {
       console.log(chalk.cyan('\n📋 Found existing BMAD module configurations'));
     }
@@ -333,7 +484,7 @@ class ConfigCollector {
         // Only show header if we actually have questions
         CLIUtils.displayModuleConfigHeader(moduleName, moduleConfig.header, moduleConfig.subheader);
         console.log(); // Line break before questions
-        const promptedAnswers = await inquirer.prompt(questions);
+        const promptedAnswers = await this.promptQuestions(moduleName, questions);
 
         // Merge prompted answers with static answers
         Object.assign(allAnswers, promptedAnswers);
@@ -360,10 +511,7 @@ class ConfigCollector {
           result = value;
         }
 
-        if (!this.collectedConfig[moduleName]) {
-          this.collectedConfig[moduleName] = {};
-        }
-        this.collectedConfig[moduleName][originalKey] = result;
+        this.storeAnswer(moduleName, originalKey, item, result);
       }
     }
 
@@ -383,6 +531,58 @@ class ConfigCollector {
     return newKeys.length > 0 || newStaticKeys.length > 0; // Return true if we had any new fields (interactive or static)
   }
 
+  /**
+   * Store a processed answer: secrets go to the secrets file, everything else to config.yaml
+   * @param {string} moduleName - Module name
+   * @param {string} key - Config key
+   * @param {Object} item - Config item definition
+   * @param {*} result - Processed value
+   */
+  storeAnswer(moduleName, key, item, result) {
+    const target = item.secret ? this.secrets : this.collectedConfig;
+    if (!target[moduleName]) {
+      target[moduleName] = {};
+    }
+    target[moduleName][key] = result;
+  }
+
+  /**
+   * Write the answers to secret questions to _config/secrets.yaml
+   * The file is only readable by its owner and is listed in _config/.gitignore, so secrets
+   * stay out of config.yaml, bmad.lock and version control.
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string|null} Path written, or null if there are no secrets
+   */
+  async writeSecrets(bmadDir) {
+    const cfgDir = path.join(bmadDir, '_config');
+    const secretsPath = path.join(cfgDir, SECRETS_FILE);
+
+    const secrets = {};
+    for (const [moduleName, values] of Object.entries(this.secrets)) {
+      if (values && Object.keys(values).length > 0 && (await fs.pathExists(path.join(bmadDir, moduleName)))) {
+        secrets[moduleName] = values;
+      }
+    }
+
+    if (Object.keys(secrets).length === 0) {
+      await fs.remove(secretsPath);
+      return null;
+    }
+
+    await fs.ensureDir(cfgDir);
+    const header = '# Answers to module.yaml questions marked secret: true\n# Generated by BMAD installer - do not commit\n\n';
+    await fs.writeFile(secretsPath, header + yaml.stringify(secrets, { indent: 2, lineWidth: 0 }), { mode: 0o600 });
+    await fs.chmod(secretsPath, 0o600);
+
+    const gitignorePath = path.join(cfgDir, '.gitignore');
+    const gitignore = (await fs.pathExists(gitignorePath)) ? await fs.readFile(gitignorePath, 'utf8') : '';
+    if (!gitignore.split(/\r?\n/).includes(SECRETS_FILE)) {
+      await fs.writeFile(gitignorePath, `${gitignore}${gitignore && !gitignore.endsWith('\n') ? '\n' : ''}${SECRETS_FILE}\n`);
+    }
+
+    return secretsPath;
+  }
+
   /**
    * Process a result template with value substitution
    * @param {*} resultTemplate - The result template
@@ -404,46 +604,57 @@ class ConfigCollector {
       } else {
         result = value;
       }
+    }
 
-      if (typeof result === 'string') {
-        result = result.replaceAll(/{([^}]+)}/g, (match, configKey) => {
-          if (configKey === 'project-root') {
-            return '{project-root}';
-          }
-          if (configKey === 'value') {
-            return match;
-          }
+    // Static values (no prompt) have no answer but may still reference other keys
+    if (typeof result === 'string') {
+      result = result.replaceAll(/{([^}]+)}/g, (match, configKey) => {
+        if (configKey === 'project-root') {
+          return '{project-root}';
+        }
+        if (configKey === 'value') {
+          return match;
+        }
 
-          let configValue = this.allAnswers[configKey] || this.allAnswers[`${configKey}`];
-          if (!configValue) {
-            for (const [answerKey, answerValue] of Object.entries(this.allAnswers)) {
-              if (answerKey.endsWith(`_${configKey}`)) {
-                configValue = answerValue;
-                break;
-              }
+        let configValue = this.allAnswers[configKey] || this.allAnswers[`${configKey}`];
+        if (!configValue) {
+          for (const [answerKey, answerValue] of Object.entries(this.allAnswers)) {
+            if (answerKey.endsWith(`_${configKey}`)) {
+              configValue = answerValue;
+              break;
             }
           }
+        }
 
-          if (!configValue) {
-            for (const mod of Object.keys(this.collectedConfig)) {
-              if (mod !== '_meta' && this.collectedConfig[mod] && this.collectedConfig[mod][configKey]) {
-                configValue = this.collectedConfig[mod][configKey];
-                if (typeof configValue === 'string' && configValue.includes('{project-root}/')) {
-                  configValue = configValue.replace('{project-root}/', '');
-                }
-                break;
-              }
-            }
-          }
+        if (!configValue) {
+          configValue = this.findConfiguredValue(configKey);
+        }
 
-          return configValue || match;
-        });
-      }
+        return configValue || match;
+      });
     }
 
     return result;
   }
 
+  /**
+   * Value of a config key in the collected config, then in the existing installation's config
+   * The {project-root}/ prefix is removed, as result templates add it back.
+   * @param {string} configKey - Config key without module prefix
+   * @returns {*} Value, or null when no module has it
+   */
+  findConfiguredValue(configKey) {
+    for (const config of [this.collectedConfig, this.existingConfig || {}]) {
+      for (const mod of Object.keys(config)) {
+        if (mod !== '_meta' && config[mod] && config[mod][configKey]) {
+          const configValue = config[mod][configKey];
+          return typeof configValue === 'string' ? configValue.replace('{project-root}/', '') : configValue;
+        }
+      }
+    }
+    return null;
+  }
+
   /**
    * Get the default username from the system
    * @returns {string} Capitalized username\
@@ -530,6 +741,7 @@ class ConfigCollector {
     const questions = [];
     const staticAnswers = {};
     const configKeys = Object.keys(moduleConfig).filter((key) => key !== 'prompt');
+    delete this.secrets[moduleName];
 
     for (const key of configKeys) {
       const item = moduleConfig[key];
@@ -562,7 +774,7 @@ class ConfigCollector {
     if (questions.length > 0) {
       CLIUtils.displayModuleConfigHeader(moduleName, moduleConfig.header, moduleConfig.subheader);
       console.log(); // Line break before questions
-      const promptedAnswers = await inquirer.prompt(questions);
+      const promptedAnswers = await this.promptQuestions(moduleName, questions);
 
       // Merge prompted answers with static answers
       Object.assign(allAnswers, promptedAnswers);
@@ -589,6 +801,9 @@ class ConfigCollector {
           // If there's a result template and it's a string, don't use it for arrays
           // Just use the array value directly
           result = value;
+        } else if (item.result && value === undefined) {
+          // Static value (no prompt): only references to other keys are resolved
+          result = this.processResultTemplate(item.result, value);
         } else if (item.result) {
           result = item.result;
 
@@ -641,16 +856,7 @@ class ConfigCollector {
 
                 // Check in already collected config
                 if (!configValue) {
-                  for (const mod of Object.keys(this.collectedConfig)) {
-                    if (mod !== '_meta' && this.collectedConfig[mod] && this.collectedConfig[mod][configKey]) {
-                      configValue = this.collectedConfig[mod][configKey];
-                      // Extract just the value part if it's a result template
-                      if (typeof configValue === 'string' && configValue.includes('{project-root}/')) {
-                        configValue = configValue.replace('{project-root}/', '');
-                      }
-                      break;
-                    }
-                  }
+                  configValue = this.findConfiguredValue(configKey);
                 }
 
                 return configValue || match;
@@ -663,10 +869,7 @@ class ConfigCollector {
         }
 
         // Store only the result value (no prompts, defaults, examples, etc.)
-        if (!this.collectedConfig[moduleName]) {
-          this.collectedConfig[moduleName] = {};
-        }
-        this.collectedConfig[moduleName][originalKey] = result;
+        this.storeAnswer(moduleName, originalKey, item, result);
       }
 
       // No longer display completion boxes - keep output clean
@@ -735,7 +938,9 @@ class ConfigCollector {
 
     // Check for existing value
     let existingValue = null;
-    if (this.existingConfig && this.existingConfig[moduleName]) {
+    if (item.secret) {
+      existingValue = this.existingSecrets[moduleName]?.[key] ?? null;
+    } else if (this.existingConfig && this.existingConfig[moduleName]) {
       existingValue = this.existingConfig[moduleName][key];
 
       // Clean up existing value - remove {project-root}/ prefix if present
@@ -751,7 +956,8 @@ class ConfigCollector {
     }
 
     // Determine question type and default value
-    let questionType = 'input';
+    const type = this.getQuestionType(moduleName, key, item);
+    let questionType = item.secret ? 'password' : 'input';
     let defaultValue = item.default;
     let choices = null;
 
@@ -794,53 +1000,60 @@ class ConfigCollector {
     }
 
     // Handle different question types
-    if (item['single-select']) {
-      questionType = 'list';
-      choices = item['single-select'].map((choice) => {
-        // If choice is an object with label and value
-        if (typeof choice === 'object' && choice.label && choice.value !== undefined) {
+    switch (type) {
+      case 'single-select': {
+        questionType = 'list';
+        choices = item['single-select'].map((choice) => {
+          // If choice is an object with label and value
+          if (typeof choice === 'object' && choice.label && choice.value !== undefined) {
+            return {
+              name: choice.label,
+              value: choice.value,
+            };
+          }
+          // Otherwise it's a simple string choice
           return {
-            name: choice.label,
-            value: choice.value,
+            name: choice,
+            value: choice,
           };
+        });
+        if (existingValue) {
+          defaultValue = existingValue;
         }
-        // Otherwise it's a simple string choice
-        return {
-          name: choice,
-          value: choice,
-        };
-      });
-      if (existingValue) {
-        defaultValue = existingValue;
-      }
-    } else if (item['multi-select']) {
-      questionType = 'checkbox';
-      choices = item['multi-select'].map((choice) => {
-        // If choice is an object with label and value
-        if (typeof choice === 'object' && choice.label && choice.value !== undefined) {
+        break;
+      }
+      case 'multi-select': {
+        questionType = 'checkbox';
+        choices = item['multi-select'].map((choice) => {
+          // If choice is an object with label and value
+          if (typeof choice === 'object' && choice.label && choice.value !== undefined) {
+            return {
+              name: choice.label,
+              value: choice.value,
+              checked: existingValue
+                ? existingValue.includes(choice.value)
+                : item.default && Array.isArray(item.default)
+                  ? item.default.includes(choice.value)
+                  : false,
+            };
+          }
+          // Otherwise it's a simple string choice
           return {
-            name: choice.label,
-            value: choice.value,
+            name: choice,
+            value: choice,
             checked: existingValue
-              ? existingValue.includes(choice.value)
+              ? existingValue.includes(choice)
               : item.default && Array.isArray(item.default)
-                ? item.default.includes(choice.value)
+                ? item.default.includes(choice)
                 : false,
           };
-        }
-        // Otherwise it's a simple string choice
-        return {
-          name: choice,
-          value: choice,
-          checked: existingValue
-            ? existingValue.includes(choice)
-            : item.default && Array.isArray(item.default)
-              ? item.default.includes(choice)
-              : false,
-        };
-      });
-    } else if (typeof defaultValue === 'boolean') {
-      questionType = 'confirm';
+        });
+        break;
+      }
+      case 'boolean': {
+        questionType = 'confirm';
+        break;
+      }
     }
 
     // Build the prompt message
@@ -860,7 +1073,9 @@ class ConfigCollector {
 
     // Add current value indicator for existing configs
     if (existingValue !== null && existingValue !== undefined) {
-      if (typeof existingValue === 'boolean') {
+      if (item.secret) {
+        message += chalk.dim(' (leave empty to keep the current value)');
+      } else if (typeof existingValue === 'boolean') {
         message += chalk.dim(` (current: ${existingValue ? 'true' : 'false'})`);
       } else if (Array.isArray(existingValue)) {
         message += chalk.dim(` (current: ${existingValue.join(', ')})`);
@@ -868,7 +1083,7 @@ class ConfigCollector {
         // Show the cleaned value (without {project-root}/) for display
         message += chalk.dim(` (current: ${existingValue})`);
       }
-    } else if (item.example && questionType === 'input') {
+    } else if (item.example && questionType === 'input' && !item.secret) {
       // Show example for input fields
       let exampleText = typeof item.example === 'string' ? item.example : JSON.stringify(item.example);
       // Replace placeholders in example
@@ -919,34 +1134,192 @@ class ConfigCollector {
       question.choices = choices;
     }
 
-    // Add validation for input fields
-    if (questionType === 'input') {
-      question.validate = (input) => {
-        if (!input && item.required) {
-          return 'This field is required';
-        }
-        // Validate against regex pattern if provided
-        if (input && item.regex) {
-          const regex = new RegExp(item.regex);
-          if (!regex.test(input)) {
-            return `Invalid format. Must match pattern: ${item.regex}`;
-          }
-        }
+    if (type === 'number') {
+      question.filter = (input) =>
+        typeof input === 'string' && input.trim() !== '' && !Number.isNaN(Number(input)) ? Number(input) : input;
+    }
+
+    // Add validation for typed input and multi-select fields
+    if (questionType === 'input' || questionType === 'password' || questionType === 'checkbox') {
+      question.validate = (input) => this.checkAnswer(type, item, input);
+    }
+
+    if (item.when !== undefined) {
+      question.when = (answers) => this.evaluateCondition(item.when, moduleName, answers);
+    }
+
+    if (item.secret) {
+      question.mask = '*';
+      question.secretEnv = this.getSecretEnvName(moduleName, key);
+    }
+
+    return question;
+  }
+
+  /**
+   * Determine the type of a config question, from `type:` or from the item's shape
+   * @param {string} moduleName - Module name
+   * @param {string} key - Config key
+   * @param {Object} item - Config item definition
+   * @returns {string} One of QUESTION_TYPES
+   */
+  getQuestionType(moduleName, key, item) {
+    if (item.type === undefined) {
+      if (item['single-select']) return 'single-select';
+      if (item['multi-select']) return 'multi-select';
+      return typeof item.default === 'boolean' ? 'boolean' : 'string';
+    }
+
+    if (!QUESTION_TYPES.has(item.type)) {
+      throw new Error(`${moduleName}.${key}: unknown question type '${item.type}' (expected one of: ${[...QUESTION_TYPES].join(', ')})`);
+    }
+    if ((item.type === 'single-select' || item.type === 'multi-select') && !Array.isArray(item[item.type])) {
+      throw new Error(`${moduleName}.${key}: type '${item.type}' needs a '${item.type}' list of options`);
+    }
+    return item.type;
+  }
+
+  /**
+   * Validate an answer against its question type, `required`, `regex` and `validate` rules
+   * @param {string} type - Question type from getQuestionType()
+   * @param {Object} item - Config item definition
+   * @param {*} value - Answer
+   * @returns {true|string} True, or the error message to show
+   */
+  checkAnswer(type, item, value) {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      if (!item.required) {
         return true;
-      };
+      }
+      return type === 'multi-select' ? 'At least one option must be selected' : 'This field is required';
     }
 
-    // Add validation for checkbox (multi-select) fields
-    if (questionType === 'checkbox' && item.required) {
-      question.validate = (answers) => {
-        if (!answers || answers.length === 0) {
-          return 'At least one option must be selected';
+    switch (type) {
+      case 'number': {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return 'Enter a number';
         }
-        return true;
-      };
+        break;
+      }
+      case 'path': {
+        if (path.isAbsolute(value) || String(value).split(/[\\/]/).includes('..')) {
+          return 'Enter a path inside the project, relative to its root';
+        }
+        break;
+      }
+      case 'url': {
+        let url;
+        try {
+          url = new URL(value);
+        } catch {
+          return 'Enter a valid URL';
+        }
+        if (!URL_PROTOCOLS.has(url.protocol)) {
+          return 'Enter an http:// or https:// URL';
+        }
+        break;
+      }
+      case 'regex': {
+        try {
+          new RegExp(value);
+        } catch (error) {
+          return `Invalid regular expression: ${error.message}`;
+        }
+        break;
+      }
     }
 
-    return question;
+    // Validate against regex pattern if provided
+    if (item.regex && typeof value === 'string' && !new RegExp(item.regex).test(value)) {
+      return `Invalid format. Must match pattern: ${item.regex}`;
+    }
+
+    for (const rule of [item.validate || []].flat()) {
+      const error = this.checkRule(rule, value);
+      if (error) {
+        return rule.message || error;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check a single `validate:` rule
+   * Supported keys: regex, min, max (numbers), min_length, max_length (text), min_items, max_items (lists)
+   * @param {Object} rule - Rule definition, optionally with a custom `message`
+   * @param {*} value - Answer
+   * @returns {string|null} Default error message, or null if the rule passes
+   */
+  checkRule(rule, value) {
+    if (rule.regex !== undefined && !new RegExp(rule.regex).test(String(value))) {
+      return `Must match pattern: ${rule.regex}`;
+    }
+    if (rule.min !== undefined && Number(value) < rule.min) {
+      return `Must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && Number(value) > rule.max) {
+      return `Must be at most ${rule.max}`;
+    }
+    if (rule.min_length !== undefined && String(value).length < rule.min_length) {
+      return `Must be at least ${rule.min_length} characters`;
+    }
+    if (rule.max_length !== undefined && String(value).length > rule.max_length) {
+      return `Must be at most ${rule.max_length} characters`;
+    }
+    if (rule.min_items !== undefined && [value].flat().length < rule.min_items) {
+      return `Select at least ${rule.min_items}`;
+    }
+    if (rule.max_items !== undefined && [value].flat().length > rule.max_items) {
+      return `Select at most ${rule.max_items}`;
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate a `when:` condition against the answers given so far
+   * A string names an answer that must be truthy (prefix with ! to negate). A mapping requires
+   * every listed answer to equal its value, or to be one of the values in a list. Keys refer to
+   * the same module, or to another module as `module.key`.
+   * @param {string|Object} condition - Condition from module.yaml
+   * @param {string} moduleName - Module the question belongs to
+   * @param {Object} answers - Answers of the current batch, keyed `${module}_${key}`
+   * @returns {boolean} True if the question should be asked
+   */
+  evaluateCondition(condition, moduleName, answers = {}) {
+    if (typeof condition === 'boolean') {
+      return condition;
+    }
+
+    if (typeof condition === 'string') {
+      const negate = condition.startsWith('!');
+      const value = this.lookupAnswer(negate ? condition.slice(1).trim() : condition.trim(), moduleName, answers);
+      return negate ? !value : Boolean(value);
+    }
+
+    return Object.entries(condition || {}).every(([reference, expected]) => {
+      const value = this.lookupAnswer(reference, moduleName, answers);
+      return Array.isArray(expected) ? expected.includes(value) : value === expected;
+    });
+  }
+
+  /**
+   * Find the raw answer a condition refers to
+   * @param {string} reference - `key` (same module) or `module.key`
+   * @param {string} moduleName - Module the question belongs to
+   * @param {Object} answers - Answers of the current batch
+   * @returns {*} Answer, or undefined if the question was not answered
+   */
+  lookupAnswer(reference, moduleName, answers) {
+    const [module, key] = reference.includes('.') ? reference.split('.', 2) : [moduleName, reference];
+    const name = `${module}_${key}`;
+
+    for (const source of [answers, this.allAnswers || {}]) {
+      if (source[name] !== undefined) {
+        return source[name];
+      }
+    }
+    return this.collectedConfig[module]?.[key] ?? this.existingConfig?.[module]?.[key];
   }
 
   /**
@@ -137,67 +137,82 @@ class DependencyResolver {
 
     for (const file of files) {
       const content = await fs.readFile(file.path, 'utf8');
+      for (const dep of this.parseContentDependencies(content, file)) {
+        allDeps.add(dep);
+      }
+    }
 
-      // Parse YAML frontmatter for explicit dependencies
-      const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-      if (frontmatterMatch) {
-        try {
-          // Pre-process to handle backticks in YAML values
-          let yamlContent = frontmatterMatch[1];
-          // Quote values with backticks to make them valid YAML
-          yamlContent = yamlContent.replaceAll(/: `([^`]+)`/g, ': "$1"');
-
-          const frontmatter = yaml.parse(yamlContent);
-          if (frontmatter.dependencies) {
-            const deps = Array.isArray(frontmatter.dependencies) ? frontmatter.dependencies : [frontmatter.dependencies];
-
-            for (const dep of deps) {
-              allDeps.add({
-                from: file.path,
-                dependency: dep,
-                type: 'explicit',
-              });
-            }
+    return allDeps;
+  }
+
+  /**
+   * Parse dependencies from content that is not (or not yet) on disk
+   * @param {string} content - File content
+   * @param {Object} file - Source file descriptor { path, name }; relative references resolve against path
+   * @returns {Set<Object>} Dependencies { from, dependency, type }
+   */
+  parseContentDependencies(content, file) {
+    const allDeps = new Set();
+
+    // Parse YAML frontmatter for explicit dependencies
+    const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
+    if (frontmatterMatch) {
+      try {
+        // Pre-process to handle backticks in YAML values
+        let yamlContent = frontmatterMatch[1];
+        // Quote values with backticks to make them valid YAML
+        yamlContent = yamlContent.replaceAll(/: `([^`]+)`/g, ': "$1"');
+
+        const frontmatter = yaml.parse(yamlContent);
+        if (frontmatter.dependencies) {
+          const deps = Array.isArray(frontmatter.dependencies) ? frontmatter.dependencies : [frontmatter.dependencies];
+
+          for (const dep of deps) {
+            allDeps.add({
+              from: file.path,
+              dependency: dep,
+              type: 'explicit',
+            });
           }
+        }
 
-          // Check for template dependencies
-          if (frontmatter.template) {
-            const templates = Array.isArray(frontmatter.template) ? frontmatter.template : [frontmatter.template];
-            for (const template of templates) {
-              allDeps.add({
-                from: file.path,
-                dependency: template,
-                type: 'template',
-              });
-            }
+        // Check for template dependencies
+        if (frontmatter.template) {
+          const templates = Array.isArray(frontmatter.template) ? frontmatter.template : [frontmatter.template];
+          for (const template of templates) {
+            allDeps.add({
+              from: file.path,
+              dependency: template,
+              type: 'template',
+            });
           }
-        } catch (error) {
-          console.warn(chalk.yellow(`Failed to parse frontmatter in ${file.name}: ${error.message}`));
         }
+      } catch (error) {
+        console.warn(chalk.yellow(`Failed to parse frontmatter in ${file.name}: ${error.message}`));
       }
+    }
 
-      // Parse content for command references (cross-module dependencies)
-      const commandRefs = this.parseCommandReferences(content);
-      for (const ref of commandRefs) {
-        allDeps.add({
-          from: file.path,
-          dependency: ref,
-          type: 'command',
-        });
-      }
+    // Parse content for command references (cross-module dependencies)
+    const commandRefs = this.parseCommandReferences(content);
+    for (const ref of commandRefs) {
+      allDeps.add({
+        from: file.path,
+        dependency: ref,
+        type: 'command',
+      });
+    }
 
-      // Parse for file path references
-      const fileRefs = this.parseFileReferences(content);
-      for (const ref of fileRefs) {
-        // Determine type based on path format
-        // Paths starting with bmad/ are absolute references to the bmad installation
-        const depType = ref.startsWith('bmad/') ? 'bmad-path' : 'file';
-        allDeps.add({
-          from: file.path,
-          dependency: ref,
-          type: depType,
-        });
-      }
+    // Parse for file path references
+    const fileRefs = this.parseFileReferences(content);
+    for (const ref of fileRefs) {
+      // Determine type based on path format
+      // Paths starting with bmad/ or _bmad/ are absolute references to the bmad installation
+      const depType = /^_?bmad\//.test(ref) ? 'bmad-path' : 'file';
+      allDeps.add({
+        from: file.path,
+        dependency: ref,
+        type: depType,
+      });
     }
 
     return allDeps;
@@ -241,15 +256,22 @@ class DependencyResolver {
       refs.add(match[1]);
     }
 
+    // Match installation paths like {project-root}/_bmad/core/tasks/workflow.xml wherever they appear
+    // (YAML values, XML attributes, prose), and quoted ones like the web_bundle_files entries
+    const installPathPattern = /(?:\{project-root\}\/|['"])(_?bmad\/[^\s'"`<>(){}]+\.(md|yaml|yml|xml|json|txt|csv))/g;
+    while ((match = installPathPattern.exec(content)) !== null) {
+      refs.add(match[1]);
+    }
+
     // Parse exec attributes in command tags
     const execPattern = /exec="([^"]+)"/g;
     while ((match = execPattern.exec(content)) !== null) {
       let execPath = match[1];
       if (execPath && execPath !== '*') {
         // Remove {project-root} prefix to get the actual path
-        // Usage is like {project-root}/bmad/core/tasks/foo.md
+        // Usage is like {project-root}/_bmad/core/tasks/foo.md
         if (execPath.includes('{project-root}')) {
-          execPath = execPath.replace('{project-root}', '');
+          execPath = execPath.replace(/^\{project-root\}\/?/, '');
         }
         refs.add(execPath);
       }
@@ -261,9 +283,9 @@ class DependencyResolver {
       let tmplPath = match[1];
       if (tmplPath && tmplPath !== '*') {
         // Remove {project-root} prefix to get the actual path
-        // Usage is like {project-root}/bmad/core/tasks/foo.md
+        // Usage is like {project-root}/_bmad/core/tasks/foo.md
         if (tmplPath.includes('{project-root}')) {
-          tmplPath = tmplPath.replace('{project-root}', '');
+          tmplPath = tmplPath.replace(/^\{project-root\}\/?/, '');
         }
         refs.add(tmplPath);
       }
@@ -385,34 +407,9 @@ class DependencyResolver {
         break;
       }
       case 'bmad-path': {
-        // Resolve bmad/ paths (from {project-root}/bmad/... references)
-        // These are paths relative to the src directory structure
-        const bmadPath = dep.dependency.replace(/^bmad\//, '');
-
-        // Try to resolve as if it's in src structure
-        // bmad/core/tasks/foo.md -> src/core/tasks/foo.md
-        // bmad/bmm/tasks/bar.md -> src/modules/bmm/tasks/bar.md
-
-        if (bmadPath.startsWith('core/')) {
-          const corePath = path.join(bmadDir, bmadPath);
-          if (await fs.pathExists(corePath)) {
-            paths.push(corePath);
-          } else {
-            // Not found, but don't report as missing since it might be installed later
-          }
-        } else {
-          // It's a module path like bmm/tasks/foo.md or cis/agents/bar.md
-          const parts = bmadPath.split('/');
-          const module = parts[0];
-          const rest = parts.slice(1).join('/');
-          const modulePath = path.join(bmadDir, 'modules', module, rest);
-
-          if (await fs.pathExists(modulePath)) {
-            paths.push(modulePath);
-          } else {
-            // Not found, but don't report as missing since it might be installed later
-          }
-        }
+        // Resolve bmad/ and _bmad/ paths (from {project-root}/_bmad/... references)
+        // Not found is not reported as missing since the file might be installed later
+        paths.push(...(await this.resolveBmadPath(bmadDir, dep.dependency.replace(/^_?bmad\//, ''))));
 
         break;
       }
@@ -466,6 +463,36 @@ class DependencyResolver {
     return paths;
   }
 
+  /**
+   * Resolve a path relative to the bmad folder (e.g. bmm/workflows/prd/workflow.md)
+   * Source trees map core/x to src/core/x and bmm/x to src/modules/bmm/x; installations
+   * map them to core/x and modules/bmm/x. Glob patterns in the file name are expanded.
+   * @param {string} bmadDir - Source root or installation directory
+   * @param {string} bmadPath - Path below the bmad folder, starting with the module name
+   * @returns {Array<string>} Existing files
+   */
+  async resolveBmadPath(bmadDir, bmadPath) {
+    const [module, ...rest] = bmadPath.split('/');
+    let moduleDir;
+    if (await fs.pathExists(path.join(bmadDir, 'src'))) {
+      moduleDir = module === 'core' ? path.join(bmadDir, 'src', 'core') : path.join(bmadDir, 'src', 'modules', module);
+    } else {
+      moduleDir = module === 'core' ? path.join(bmadDir, 'core') : path.join(bmadDir, 'modules', module);
+    }
+
+    const fullPath = path.join(moduleDir, ...rest);
+    if (bmadPath.includes('*')) {
+      const basePath = path.dirname(fullPath);
+      if (!(await fs.pathExists(basePath))) {
+        return [];
+      }
+      const files = await glob.glob(path.basename(fullPath), { cwd: basePath, nodir: true });
+      return files.map((file) => path.join(basePath, file));
+    }
+
+    return (await fs.pathExists(fullPath)) ? [fullPath] : [];
+  }
+
   /**
    * Resolve command reference to file path
    */
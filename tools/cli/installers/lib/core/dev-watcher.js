@@ -0,0 +1,565 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const { Lockfile } = require('./lockfile');
+const { ManifestGenerator } = require('./manifest-generator');
+const { FileMerger } = require('./file-merger');
+const { UpdatePlanner } = require('./update-planner');
+const { listAgentBases } = require('../../../lib/agent/inheritance');
+const { isAgentLocaleFile, getLocaleOverlayAgentPath } = require('../../../lib/agent/locale');
+const { getAgentSourceMapPath } = require('../../../lib/agent/source-map');
+
+// Hidden files, editor backups and swap files are never copied from workflows/
+const IGNORED_FILE = /^\.|~$|\.sw[op]$/;
+
+/**
+ * Keeps an installation in sync with the module sources it was built from (`bmad dev`)
+ *
+ * The source directory of every installed module is watched: core and built-in modules
+ * under src/, custom modules at the sourcePath recorded in manifest.yaml. When an
+ * *.agent.yaml changes, only that agent (and the agents that extend it) is recompiled and
+ * only its rows in agent-manifest.csv and files-manifest.csv are rewritten. A changed
+ * *.mixin.yaml recompiles the agents that extend it, a changed locale overlay
+ * (*.agent.<locale>.yaml) the agent it translates. IDE launchers are regenerated
+ * in a scratch copy of the project and only the launcher files whose content changed are
+ * written back, so the IDE folders see the smallest possible set of writes.
+ * A file changed under workflows/ is copied into the installation the way `bmad install`
+ * copies it, and a changed teams/<team>.yaml is recompiled. Their rows in the workflow, team
+ * and files manifests are refreshed, and only the launchers of the workflows and teams
+ * concerned are written back.
+ */
+class DevWatcher {
+  /**
+   * @param {Object} installer - Installer instance (provides module, IDE and config managers)
+   * @param {Object} options - { debounceMs }
+   */
+  constructor(installer, options = {}) {
+    this.installer = installer;
+    this.debounceMs = options.debounceMs ?? 150;
+    this.manifestGenerator = new ManifestGenerator();
+    this.fileMerger = new FileMerger();
+    this.planner = new UpdatePlanner(() => installer);
+    this.watchers = [];
+    this.pending = new Map();
+    this.timer = null;
+    this.busy = false;
+  }
+
+  /**
+   * Read the installation and locate the sources of its modules
+   * @param {string} directory - Project directory
+   * @returns {Object} { projectDir, bmadDir, modules: [{ name, sourcePath, custom }], missing, ides }
+   */
+  async load(directory) {
+    this.projectDir = path.resolve(directory);
+    const { bmadDir } = await this.installer.findBmadDir(this.projectDir);
+    const manifestPath = path.join(bmadDir, '_config', 'manifest.yaml');
+    if (!(await fs.pathExists(manifestPath))) {
+      throw new Error(`No BMAD installation found in ${this.projectDir}`);
+    }
+
+    this.bmadDir = bmadDir;
+    const bmadFolderName = path.basename(bmadDir);
+    this.installer.moduleManager.setBmadFolderName(bmadFolderName);
+    this.installer.ideManager.setBmadFolderName(bmadFolderName);
+    this.installer.ideManager.loadPlugins(this.projectDir, bmadDir);
+
+    const manifest = require('yaml').parse(await fs.readFile(manifestPath, 'utf8')) || {};
+    const moduleNames = ['core', ...(manifest.modules || []).filter((m) => m !== 'core')];
+    const lockfile = new Lockfile();
+
+    this.modules = [];
+    this.missing = [];
+    for (const name of moduleNames) {
+      const source = await lockfile.resolveModuleSource(name, this.installer.moduleManager, manifest.customModules || []);
+      if (source && (await fs.pathExists(source.path))) {
+        this.modules.push({ name, sourcePath: source.path, custom: source.custom });
+      } else {
+        this.missing.push(name);
+      }
+    }
+
+    this.selectedModules = moduleNames.filter((m) => m !== 'core');
+    this.ides = (manifest.ides || []).filter((ide) => this.installer.ideManager.handlers.has(ide));
+    this.ideConfigs = await this.installer.ideConfigManager.loadAllIdeConfigs(bmadDir);
+
+    return { projectDir: this.projectDir, bmadDir, modules: this.modules, missing: this.missing, ides: this.ides };
+  }
+
+  /**
+   * Recompile every agent and team of every module with a known source
+   * Workflow files are only copied as they change while watching: installed copies may have
+   * been edited by hand.
+   * @returns {Object} Sync result (see sync())
+   */
+  async syncAll() {
+    const changes = [];
+    for (const module of this.modules) {
+      const agentsDir = path.join(module.sourcePath, 'agents');
+      if (await fs.pathExists(agentsDir)) {
+        for (const file of await this.installer.moduleManager.findAgentFiles(agentsDir)) {
+          changes.push({ module: module.name, file });
+        }
+      }
+      const teamsDir = path.join(module.sourcePath, 'teams');
+      if (await fs.pathExists(teamsDir)) {
+        for (const file of (await fs.readdir(teamsDir)).filter((name) => name.endsWith('.yaml'))) {
+          changes.push({ module: module.name, file: path.join(teamsDir, file), kind: 'team' });
+        }
+      }
+    }
+    return this.sync(changes);
+  }
+
+  /**
+   * Bring the installation up to date with changed sources
+   * A source that no longer exists removes what was installed from it.
+   * @param {Array<Object>} changes - Entries { module, file, kind } where kind is agent (default, file is
+   *   the *.agent.yaml path), workflow (any file under workflows/) or team (teams/<team>.yaml)
+   * @returns {Object} { agents: [{ module, name, action: 'compiled'|'removed'|'failed', error? }],
+   *   workflows: [{ module, path, action: 'copied'|'removed'|'failed', error? }],
+   *   teams: [{ module, name, action: 'compiled'|'removed'|'failed', error? }], launchers: [{ ide, action, path }] }
+   */
+  async sync(changes) {
+    const { agents, touched } = await this.syncAgents(changes.filter((change) => !change.kind || change.kind === 'agent'));
+    const workflows = await this.syncWorkflowFiles(changes.filter((change) => change.kind === 'workflow'));
+    const teams = await this.syncTeams(changes.filter((change) => change.kind === 'team'));
+    const installed = [...touched, ...workflows, ...teams].filter((entry) => entry.file);
+
+    if (installed.length === 0) {
+      return { agents, workflows, teams, launchers: [] };
+    }
+
+    if (touched.length > 0) {
+      await this.manifestGenerator.refreshAgentEntries(this.bmadDir, touched);
+    }
+
+    // Launchers only depend on the workflow definitions; names are looked up before and after the
+    // refresh so renamed and removed workflows are covered
+    const definitions = workflows.filter((entry) => entry.file && /^workflow\.(yaml|md)$/.test(path.basename(entry.file)));
+    const names = new Set(teams.filter((entry) => entry.file).map((entry) => entry.name));
+    if (definitions.length > 0) {
+      const files = definitions.map((entry) => entry.file);
+      for (const name of await this.findWorkflowNames(files)) names.add(name);
+      await this.manifestGenerator.refreshWorkflowEntries(this.bmadDir, [...new Set(definitions.map((entry) => entry.module))]);
+      for (const name of await this.findWorkflowNames(files)) names.add(name);
+    }
+    if (teams.some((entry) => entry.file)) {
+      await this.manifestGenerator.refreshTeamEntries(this.bmadDir, [...new Set(teams.map((entry) => entry.module))]);
+    }
+
+    const files = installed.map((entry) => entry.file);
+    await this.manifestGenerator.refreshFileHashes(this.bmadDir, files, { track: true });
+    await this.refreshOriginals(files);
+
+    let launchers = [];
+    if (touched.length > 0) {
+      launchers = await this.refreshLaunchers();
+    } else if (names.size > 0) {
+      launchers = await this.refreshLaunchers([...names]);
+    }
+    return { agents, workflows, teams, launchers };
+  }
+
+  /**
+   * Recompile changed agents
+   * @param {Array<Object>} changes - Entries { module, file } where file is the *.agent.yaml path
+   * @returns {Object} { agents: results for sync(), touched: [{ module, file }] with file the compiled .md }
+   */
+  async syncAgents(changes) {
+    const agents = [];
+    const touched = [];
+
+    for (const { module: moduleName, file } of changes) {
+      const module = this.modules.find((m) => m.name === moduleName);
+      const sourceAgentsDir = path.join(module.sourcePath, 'agents');
+      const relativePath = path.relative(sourceAgentsDir, file);
+      const name = path.basename(file, '.agent.yaml');
+      const targetModulePath = path.join(this.bmadDir, moduleName);
+      const compiledPath = path.join(targetModulePath, 'agents', path.dirname(relativePath), `${name}.md`);
+
+      if (await fs.pathExists(file)) {
+        try {
+          await this.quietly(() =>
+            this.installer.moduleManager.compileModuleAgent(file, module.sourcePath, targetModulePath, moduleName, this.bmadDir),
+          );
+          agents.push({ module: moduleName, name, action: 'compiled' });
+        } catch (error) {
+          agents.push({ module: moduleName, name, action: 'failed', error: error.message });
+          continue;
+        }
+      } else {
+        await fs.remove(compiledPath);
+        await fs.remove(getAgentSourceMapPath(this.bmadDir, compiledPath));
+        agents.push({ module: moduleName, name, action: 'removed' });
+      }
+      touched.push({ module: moduleName, file: compiledPath });
+    }
+
+    return { agents, touched };
+  }
+
+  /**
+   * Copy changed workflow files into the installation, or remove them when the source is gone
+   * Files that `bmad install` leaves out (config.yaml, sidecars, game content turned off in the
+   * module config, ...) are skipped.
+   * @param {Array<Object>} changes - Entries { module, file } where file is below workflows/
+   * @returns {Array<Object>} Results for sync(), with file set to the installed path
+   */
+  async syncWorkflowFiles(changes) {
+    const results = [];
+
+    for (const { module: moduleName, file } of changes) {
+      const module = this.modules.find((m) => m.name === moduleName);
+      const relativePath = path.relative(module.sourcePath, file).split(path.sep).join('/');
+      const moduleConfig = await this.loadModuleConfig(moduleName);
+      if (await this.quietly(async () => this.installer.moduleManager.isSkippedModuleFile(relativePath, moduleConfig))) {
+        continue;
+      }
+
+      const target = path.join(this.bmadDir, moduleName, relativePath);
+      try {
+        if (await fs.pathExists(file)) {
+          await this.quietly(() => this.installer.moduleManager.copyModuleFile(file, target));
+          results.push({ module: moduleName, path: relativePath, action: 'copied', file: target });
+        } else if (await fs.pathExists(target)) {
+          await fs.remove(target);
+          results.push({ module: moduleName, path: relativePath, action: 'removed', file: target });
+        }
+      } catch (error) {
+        results.push({ module: moduleName, path: relativePath, action: 'failed', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Recompile changed teams, or remove them when the source is gone
+   * @param {Array<Object>} changes - Entries { module, file } where file is teams/<team>.yaml
+   * @returns {Array<Object>} Results for sync(), with file set to the compiled path
+   */
+  async syncTeams(changes) {
+    const results = [];
+
+    for (const { module: moduleName, file } of changes) {
+      const module = this.modules.find((m) => m.name === moduleName);
+      const name = path.basename(file, '.yaml');
+      const targetModulePath = path.join(this.bmadDir, moduleName);
+      const compiledPath = path.join(targetModulePath, 'teams', `${name}.md`);
+      try {
+        if (await fs.pathExists(file)) {
+          await this.quietly(() => this.installer.moduleManager.compileModuleTeam(file, module.sourcePath, targetModulePath, moduleName));
+          results.push({ module: moduleName, name, action: 'compiled', file: compiledPath });
+        } else {
+          await fs.remove(compiledPath);
+          results.push({ module: moduleName, name, action: 'removed', file: compiledPath });
+        }
+      } catch (error) {
+        results.push({ module: moduleName, name, action: 'failed', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Names of the workflows defined by installed files, from workflow-manifest.csv
+   * @param {Array<string>} files - Absolute paths of workflow.yaml or workflow.md files below bmadDir
+   * @returns {Array<string>} Workflow names
+   */
+  async findWorkflowNames(files) {
+    const csvPath = path.join(this.bmadDir, '_config', 'workflow-manifest.csv');
+    if (!(await fs.pathExists(csvPath))) {
+      return [];
+    }
+
+    const bmadFolderName = path.basename(this.bmadDir);
+    const paths = new Set(files.map((file) => `${bmadFolderName}/${path.relative(this.bmadDir, file).split(path.sep).join('/')}`));
+    const names = [];
+    for (const line of (await fs.readFile(csvPath, 'utf8')).split('\n').slice(1)) {
+      const parts = line.split('","');
+      if (parts.length >= 4 && paths.has(parts[3].replace(/"$/, ''))) {
+        names.push(parts[0].replace(/^"/, ''));
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Read the installed configuration of a module (install_user_docs, include_game_planning, ...)
+   * @param {string} moduleName - Module name
+   * @returns {Object} Configuration, empty if the module has none
+   */
+  async loadModuleConfig(moduleName) {
+    const configPath = path.join(this.bmadDir, moduleName, 'config.yaml');
+    if (!(await fs.pathExists(configPath))) {
+      return {};
+    }
+    return require('yaml').parse(await fs.readFile(configPath, 'utf8')) || {};
+  }
+
+  /**
+   * Keep stored originals (the merge base used by `bmad update`) in step with recompiled files
+   * Only files that already have an original are touched.
+   * @param {Array<string>} files - Absolute paths below bmadDir
+   */
+  async refreshOriginals(files) {
+    const originalsDir = this.fileMerger.getOriginalsDir(this.bmadDir);
+
+    for (const file of files) {
+      const originalPath = path.join(originalsDir, path.relative(this.bmadDir, file));
+      if (!(await fs.pathExists(originalPath))) {
+        continue;
+      }
+      await ((await fs.pathExists(file)) ? fs.copy(file, originalPath) : fs.remove(originalPath));
+    }
+  }
+
+  /**
+   * Regenerate IDE launchers in a scratch project and write back only the files that changed
+   * Global files (e.g. Codex prompts in the home directory) are left to `bmad install`.
+   * @param {Array<string>|null} names - Only write back the launchers of these workflows and teams
+   *   (files named <name> or ...-<name>); all launchers when null
+   * @returns {Array<Object>} Applied changes { ide, action: 'add'|'change'|'delete', path }
+   */
+  async refreshLaunchers(names = null) {
+    if (this.ides.length === 0) {
+      return [];
+    }
+
+    const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-dev-'));
+    const stagedProject = path.join(stagingDir, 'project');
+    const stagedBmadDir = path.join(stagedProject, path.basename(this.bmadDir));
+    const applied = [];
+
+    try {
+      await fs.copy(this.bmadDir, stagedBmadDir);
+      const idePaths = new Map();
+      for (const ide of this.ides) {
+        const relativePaths = this.installer.ideManager.handlers.get(ide).getProjectPaths();
+        idePaths.set(ide, relativePaths);
+        for (const relativePath of relativePaths) {
+          const source = path.join(this.projectDir, relativePath);
+          if (await fs.pathExists(source)) {
+            await fs.copy(source, path.join(stagedProject, relativePath));
+          }
+        }
+      }
+
+      await this.quietly(() =>
+        this.planner.withHome(path.join(stagingDir, 'home'), async () => {
+          for (const ide of this.ides) {
+            await this.installer.ideManager.setup(ide, stagedProject, stagedBmadDir, {
+              selectedModules: this.selectedModules,
+              skipModuleInstall: true,
+              preCollectedConfig: this.ideConfigs[ide] || { _alreadyConfigured: true },
+            });
+          }
+        }),
+      );
+
+      for (const [ide, relativePaths] of idePaths) {
+        for (const relativePath of relativePaths) {
+          const current = path.join(this.projectDir, relativePath);
+          const staged = path.join(stagedProject, relativePath);
+          for (const change of await this.planner.compare(current, staged, relativePath)) {
+            const base = path.basename(change.path).split('.')[0];
+            if (names && !names.some((name) => base === name || base.endsWith(`-${name}`))) {
+              continue;
+            }
+            const target = path.join(this.projectDir, change.path);
+            await (change.action === 'delete' ? fs.remove(target) : fs.copy(path.join(stagedProject, change.path), target));
+            applied.push({ ide, ...change });
+          }
+        }
+      }
+    } finally {
+      await fs.remove(stagingDir);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Watch the module sources and sync changed agents, workflows and teams until close() is called
+   * @param {Object} callbacks - { onSync(result), onError(error) }
+   * @returns {Array<string>} Watched agents, workflows and teams directories
+   */
+  watch(callbacks = {}) {
+    this.callbacks = callbacks;
+    const watched = [];
+
+    for (const module of this.modules) {
+      for (const [folder, kind] of [
+        ['agents', 'agent'],
+        ['workflows', 'workflow'],
+        ['teams', 'team'],
+      ]) {
+        const dir = path.join(module.sourcePath, folder);
+        if (fs.pathExistsSync(dir)) {
+          this.watchDirectory(dir, module.name, kind);
+          watched.push(dir);
+        }
+      }
+    }
+
+    return watched;
+  }
+
+  /**
+   * Watch a directory and its subdirectories
+   * Each directory gets its own watcher: recursive fs.watch loses track of files that editors
+   * replace on save (write to a temp file, then rename).
+   * @param {string} dir - Directory to watch
+   * @param {string} moduleName - Module the directory belongs to
+   * @param {string} kind - agent, workflow or team: what the files of the directory are
+   */
+  watchDirectory(dir, moduleName, kind = 'agent') {
+    const watcher = fs.watch(dir, (event, filename) => {
+      if (!filename) {
+        return;
+      }
+
+      const fullPath = path.join(dir, filename);
+      const isDirectory = fs.statSync(fullPath, { throwIfNoEntry: false })?.isDirectory();
+      if (kind === 'workflow' && !isDirectory && !IGNORED_FILE.test(filename)) {
+        this.enqueue(moduleName, fullPath, kind);
+      } else if (kind === 'team' && filename.endsWith('.yaml')) {
+        this.enqueue(moduleName, fullPath, kind);
+      } else if (kind === 'agent' && isAgentLocaleFile(filename)) {
+        const agentPath = getLocaleOverlayAgentPath(fullPath);
+        if (fs.existsSync(agentPath)) {
+          this.enqueue(moduleName, agentPath);
+        }
+      } else if (kind === 'agent' && (filename.endsWith('.agent.yaml') || filename.endsWith('.mixin.yaml'))) {
+        this.enqueueSource(moduleName, fullPath).catch((error) => this.callbacks.onError && this.callbacks.onError(error));
+      } else if (event === 'rename' && isDirectory && !this.watchers.some((w) => w.dir === fullPath)) {
+        this.watchDirectory(fullPath, moduleName, kind);
+      }
+    });
+    watcher.dir = dir;
+    watcher.on('error', (error) => this.callbacks.onError && this.callbacks.onError(error));
+    this.watchers.push(watcher);
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        this.watchDirectory(path.join(dir, entry.name), moduleName, kind);
+      }
+    }
+  }
+
+  /**
+   * Queue a changed agent or mixin together with every agent that extends it
+   * @param {string} moduleName - Module the source belongs to
+   * @param {string} file - Path of the *.agent.yaml or *.mixin.yaml
+   */
+  async enqueueSource(moduleName, file) {
+    if (file.endsWith('.agent.yaml')) {
+      this.enqueue(moduleName, file);
+    }
+    for (const dependent of await this.findDependents(file)) {
+      this.enqueue(dependent.module, dependent.file);
+    }
+  }
+
+  /**
+   * Find the agents of all watched modules that extend a file, directly or through other bases
+   * @param {string} file - Path of an agent or mixin
+   * @returns {Array<Object>} Entries { module, file }
+   */
+  async findDependents(file) {
+    const target = path.resolve(file);
+    const dependents = [];
+
+    for (const module of this.modules) {
+      const agentsDir = path.join(module.sourcePath, 'agents');
+      if (!(await fs.pathExists(agentsDir))) {
+        continue;
+      }
+      for (const agentFile of await this.installer.moduleManager.findAgentFiles(agentsDir)) {
+        let bases;
+        try {
+          bases = listAgentBases(agentFile);
+        } catch {
+          continue; // Broken bases are reported when the agent itself is compiled
+        }
+        if (bases.includes(target)) {
+          dependents.push({ module: module.name, file: agentFile });
+        }
+      }
+    }
+
+    return dependents;
+  }
+
+  /**
+   * Queue a changed source; editors often emit several events per save, so syncing is debounced
+   * @param {string} moduleName - Module the source belongs to
+   * @param {string} file - Path of the *.agent.yaml, workflow file or team yaml
+   * @param {string} kind - agent, workflow or team
+   */
+  enqueue(moduleName, file, kind = 'agent') {
+    this.pending.set(file, { module: moduleName, kind });
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Sync everything queued so far; runs again later if a sync is still in progress
+   */
+  async flush() {
+    if (this.busy) {
+      this.timer = setTimeout(() => this.flush(), this.debounceMs);
+      return;
+    }
+
+    const changes = [...this.pending].map(([file, { module, kind }]) => ({ module, file, kind }));
+    this.pending.clear();
+    if (changes.length === 0) {
+      return;
+    }
+
+    this.busy = true;
+    try {
+      const result = await this.sync(changes);
+      if (this.callbacks.onSync) {
+        this.callbacks.onSync(result);
+      }
+    } catch (error) {
+      if (this.callbacks.onError) {
+        this.callbacks.onError(error);
+      }
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+
+  /**
+   * Run a function without the progress output of the installer components it calls
+   * @param {Function} fn - Async function to run
+   * @returns {*} Result of fn
+   */
+  async quietly(fn) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = originalLog;
+    }
+  }
+}
+
+module.exports = { DevWatcher };
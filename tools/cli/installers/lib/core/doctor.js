@@ -0,0 +1,252 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const csv = require('csv-parse/sync');
+const { ManifestGenerator } = require('./manifest-generator');
+const { Manifest } = require('./manifest');
+const { IdeManager } = require('../ide/manager');
+
+/**
+ * Audits an installed _bmad tree against its own records
+ *
+ * Checks performed:
+ * - files: every file in files-manifest.csv is re-hashed (modified / missing), and
+ *   untracked files inside module folders are reported as orphaned
+ * - launchers: every _bmad path referenced by an IDE launcher must exist
+ * - config refs: every `{config_source}:key` must resolve to a key in the referenced config.yaml
+ */
+class Doctor {
+  constructor() {
+    this.manifestGenerator = new ManifestGenerator();
+    this.manifest = new Manifest();
+    this.ideManager = new IdeManager();
+  }
+
+  /**
+   * Run all checks
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Object} Report with per-check findings and an overall `ok` flag
+   */
+  async run(projectDir, bmadDir) {
+    this.ideManager.loadPlugins(projectDir, bmadDir);
+    const files = await this.checkFiles(bmadDir);
+    const launchers = await this.checkLaunchers(projectDir, bmadDir);
+    const configRefs = await this.checkConfigReferences(projectDir, bmadDir);
+
+    const issueCount =
+      files.modified.length + files.missing.length + files.orphaned.length + launchers.broken.length + configRefs.unresolved.length;
+
+    return {
+      projectDir,
+      bmadDir,
+      ok: issueCount === 0,
+      issueCount,
+      files,
+      launchers,
+      configRefs,
+    };
+  }
+
+  /**
+   * Re-hash tracked files and look for untracked ones
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Object} { checked, modified, missing, orphaned } (paths relative to bmadDir)
+   */
+  async checkFiles(bmadDir) {
+    const result = { checked: 0, modified: [], missing: [], orphaned: [] };
+    const manifestPath = path.join(bmadDir, '_config', 'files-manifest.csv');
+
+    if (!(await fs.pathExists(manifestPath))) {
+      result.missing.push('_config/files-manifest.csv');
+      return result;
+    }
+
+    const entries = csv.parse(await fs.readFile(manifestPath, 'utf8'), {
+      columns: true,
+      skip_empty_lines: true,
+    });
+
+    const tracked = new Set();
+    for (const entry of entries) {
+      // Legacy manifests prefixed paths with 'bmad/'
+      const relativePath = entry.path.startsWith('bmad/') ? entry.path.slice(5) : entry.path;
+      tracked.add(relativePath);
+
+      // Manifests under _config are rewritten after files-manifest.csv is hashed
+      if (relativePath.startsWith('_config/')) {
+        continue;
+      }
+
+      result.checked++;
+      const filePath = path.join(bmadDir, relativePath);
+      if (!(await fs.pathExists(filePath))) {
+        result.missing.push(relativePath);
+      } else if (entry.hash && (await this.manifestGenerator.calculateFileHash(filePath)) !== entry.hash) {
+        result.modified.push(relativePath);
+      }
+    }
+
+    for (const relativePath of await this.listFiles(bmadDir)) {
+      if (!tracked.has(relativePath) && !this.isGeneratedFile(relativePath)) {
+        result.orphaned.push(relativePath);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Files the installer regenerates on every run and never tracks
+   * Mirrors the exclusions in Installer.detectCustomFiles(), plus the IDE docs from copyIdeDocumentation()
+   * @param {string} relativePath - POSIX path relative to bmadDir
+   * @returns {boolean} True if the file is expected to be untracked
+   */
+  isGeneratedFile(relativePath) {
+    const fileName = path.posix.basename(relativePath);
+    return (
+      relativePath.startsWith('_config/') ||
+      relativePath.startsWith('docs/') ||
+      fileName === 'config.yaml' ||
+      (fileName.endsWith('.md') && (relativePath.includes('/agents/') || relativePath.includes('/teams/'))) ||
+      fileName.endsWith('.bak')
+    );
+  }
+
+  /**
+   * Check that IDE launchers only point at files that exist
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Object} { checked, broken: [{ ide, launcher, target }], skipped: [ide] }
+   */
+  async checkLaunchers(projectDir, bmadDir) {
+    const result = { checked: 0, broken: [], skipped: [] };
+    const manifest = await this.manifest.read(bmadDir);
+    const bmadFolderName = path.basename(bmadDir);
+    // Paths into the bmad folder; id="..." attributes in inlined task/tool XML are identifiers, not paths
+    const escapedFolder = bmadFolderName.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+    const referencePattern = new RegExp(String.raw`(?<!\bid=["'])${escapedFolder}/[\w./-]*\w`, 'g');
+
+    for (const ide of (manifest && manifest.ides) || []) {
+      const handler = this.ideManager.handlers.get(ide);
+      if (!handler || !handler.configDir) {
+        // Launchers live outside the project (or in a single shared file) - nothing to resolve here
+        result.skipped.push(ide);
+        continue;
+      }
+
+      const launcherDir = path.join(projectDir, handler.configDir);
+      if (!(await fs.pathExists(launcherDir))) {
+        result.broken.push({ ide, launcher: handler.configDir, target: null });
+        continue;
+      }
+
+      for (const file of await this.listFiles(launcherDir)) {
+        const launcherPath = path.join(launcherDir, file);
+        const content = await fs.readFile(launcherPath, 'utf8');
+        const targets = new Set(content.match(referencePattern) || []);
+        if (targets.size === 0) {
+          continue;
+        }
+
+        result.checked++;
+        for (const target of targets) {
+          if (!(await fs.pathExists(path.join(projectDir, target)))) {
+            result.broken.push({ ide, launcher: path.posix.join(handler.configDir, file), target });
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check that every `{config_source}:key` reference resolves
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Object} { checked, unresolved: [{ file, key, configSource, reason }] }
+   */
+  async checkConfigReferences(projectDir, bmadDir) {
+    const result = { checked: 0, unresolved: [] };
+    const configCache = new Map();
+
+    const loadConfig = async (configPath) => {
+      if (!configCache.has(configPath)) {
+        let data = null;
+        if (await fs.pathExists(configPath)) {
+          try {
+            data = yaml.parse(await fs.readFile(configPath, 'utf8')) || {};
+          } catch {
+            data = null;
+          }
+        }
+        configCache.set(configPath, data);
+      }
+      return configCache.get(configPath);
+    };
+
+    for (const file of await this.listFiles(bmadDir)) {
+      if (!file.endsWith('.yaml') || file.startsWith('_config/')) {
+        continue;
+      }
+
+      const content = await fs.readFile(path.join(bmadDir, file), 'utf8');
+      const keys = [...new Set([...content.matchAll(/\{config_source\}:([\w-]+)/g)].map((match) => match[1]))];
+      if (keys.length === 0) {
+        continue;
+      }
+
+      const sourceMatch = content.match(/^config_source:\s*["']?([^"'\n]+?)["']?\s*$/m);
+      const configSource = sourceMatch ? sourceMatch[1] : null;
+      const configPath = configSource ? path.resolve(projectDir, configSource.replace('{project-root}/', '')) : null;
+      const config = configPath ? await loadConfig(configPath) : null;
+
+      for (const key of keys) {
+        result.checked++;
+        let reason = null;
+        if (!configSource) {
+          reason = 'no config_source defined';
+        } else if (!config) {
+          reason = 'config_source file missing or unreadable';
+        } else if (!Object.prototype.hasOwnProperty.call(config, key)) {
+          reason = 'key not found in config';
+        }
+
+        if (reason) {
+          result.unresolved.push({ file, key, configSource, reason });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Recursively list files below a directory
+   * @param {string} dir - Directory to scan
+   * @param {string} relativeTo - Base for relative paths
+   * @returns {Array<string>} Sorted POSIX paths relative to `relativeTo`
+   */
+  async listFiles(dir, relativeTo = dir) {
+    const files = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (entry.name === 'node_modules' || entry.name === '.git') {
+        continue;
+      }
+
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await this.listFiles(fullPath, relativeTo)));
+      } else if (entry.isFile()) {
+        files.push(path.relative(relativeTo, fullPath).split(path.sep).join('/'));
+      }
+    }
+
+    return files.sort();
+  }
+}
+
+module.exports = { Doctor };
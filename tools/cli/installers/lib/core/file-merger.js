@@ -0,0 +1,474 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const crypto = require('node:crypto');
+
+const CONFLICT_SUFFIX = '.bmad-conflict';
+
+// Text files we can merge line by line
+const MERGEABLE_EXTENSIONS = new Set(['.md', '.mdc', '.xml', '.txt', '.yaml', '.yml', '.json', '.csv', '.toml']);
+
+// Files the installer or agents parse - conflict markers go to a sidecar so the file itself stays valid
+const SIDECAR_EXTENSIONS = new Set(['.yaml', '.yml', '.json', '.csv', '.toml']);
+
+// Above this many line comparisons a changed region is treated as a single hunk
+const MAX_DIFF_CELLS = 25_000_000;
+
+/**
+ * Three-way merge of user-modified files during updates
+ *
+ * Every install stores a pristine copy of each mergeable file under _config/originals/.
+ * On update, a file whose hash differs from files-manifest.csv is merged from:
+ * - base: the stored original (only trusted if it still matches the manifest hash)
+ * - yours: the file as the user left it
+ * - theirs: the freshly installed version
+ *
+ * Clean merges are written in place. Conflicts get git-style markers, either inline or,
+ * for structured files, in a `<file>.bmad-conflict` sidecar. Conflicts are recorded in
+ * _config/conflicts.yaml until `bmad resolve` finishes them.
+ */
+class FileMerger {
+  /**
+   * Directory holding pristine copies of installed files
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string} Path to _config/originals
+   */
+  getOriginalsDir(bmadDir) {
+    return path.join(bmadDir, '_config', 'originals');
+  }
+
+  /**
+   * Path of the conflict record
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string} Path to _config/conflicts.yaml
+   */
+  getConflictsPath(bmadDir) {
+    return path.join(bmadDir, '_config', 'conflicts.yaml');
+  }
+
+  /**
+   * Whether a file can be merged line by line
+   * @param {string} relativePath - Path relative to bmadDir
+   * @returns {boolean} True for known text formats
+   */
+  isMergeable(relativePath) {
+    return MERGEABLE_EXTENSIONS.has(path.extname(relativePath).toLowerCase());
+  }
+
+  /**
+   * Where the conflict markers for a file are written
+   * @param {string} relativePath - Path relative to bmadDir
+   * @returns {string} The file itself, or its .bmad-conflict sidecar for structured formats
+   */
+  getConflictFile(relativePath) {
+    return SIDECAR_EXTENSIONS.has(path.extname(relativePath).toLowerCase()) ? relativePath + CONFLICT_SUFFIX : relativePath;
+  }
+
+  /**
+   * Replace the stored originals with the files just installed
+   * Must run right after files-manifest.csv is written, before user files are restored.
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<string>} installedFiles - Absolute paths of installed files
+   */
+  async saveOriginals(bmadDir, installedFiles) {
+    const originalsDir = this.getOriginalsDir(bmadDir);
+    await fs.remove(originalsDir);
+
+    for (const filePath of installedFiles) {
+      const relativePath = path.relative(bmadDir, filePath);
+      if (relativePath.startsWith('..') || relativePath.startsWith('_config') || !this.isMergeable(relativePath)) {
+        continue;
+      }
+
+      if (await fs.pathExists(filePath)) {
+        await fs.copy(filePath, path.join(originalsDir, relativePath));
+      }
+    }
+  }
+
+  /**
+   * Copy the stored original of a modified file next to its backup
+   * The original is only kept if it still hashes to the value in files-manifest.csv.
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} modifiedFile - Entry from Installer.detectCustomFiles() ({ relativePath, hash })
+   * @param {string} backupDir - Temp directory holding the modified files
+   * @returns {boolean} True if a usable base was saved
+   */
+  async backupOriginal(bmadDir, modifiedFile, backupDir) {
+    const originalPath = path.join(this.getOriginalsDir(bmadDir), modifiedFile.relativePath);
+    if (!this.isMergeable(modifiedFile.relativePath) || !(await fs.pathExists(originalPath))) {
+      return false;
+    }
+
+    const hash = crypto
+      .createHash('sha256')
+      .update(await fs.readFile(originalPath))
+      .digest('hex');
+    if (modifiedFile.hash && hash !== modifiedFile.hash) {
+      return false;
+    }
+
+    await fs.copy(originalPath, this.getBasePath(backupDir, modifiedFile.relativePath), { overwrite: true });
+    return true;
+  }
+
+  /**
+   * Location of a saved base inside the modified-files backup
+   * @param {string} backupDir - Temp directory holding the modified files
+   * @param {string} relativePath - Path relative to bmadDir
+   * @returns {string} Absolute path
+   */
+  getBasePath(backupDir, relativePath) {
+    return path.join(backupDir, '.originals', relativePath);
+  }
+
+  /**
+   * Merge each modified file (backed up before the update) into its newly installed version
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array} modifiedFiles - Entries from Installer.detectCustomFiles()
+   * @param {string} backupDir - Temp directory holding the modified files and their bases
+   * @param {string} version - Version being installed (used in conflict markers)
+   * @param {Object} options - { overwrite: keep the new versions and only save the user's copies as .bak }
+   * @returns {Object} { merged, conflicted, backedUp } - lists of paths relative to bmadDir
+   */
+  async mergeModifiedFiles(bmadDir, modifiedFiles, backupDir, version, options = {}) {
+    const result = { merged: [], conflicted: [], backedUp: [] };
+    const conflicts = await this.readConflicts(bmadDir);
+
+    for (const modifiedFile of modifiedFiles) {
+      const { relativePath } = modifiedFile;
+      const targetPath = path.join(bmadDir, relativePath);
+      const yoursPath = path.join(backupDir, relativePath);
+      const basePath = this.getBasePath(backupDir, relativePath);
+
+      if (!(await fs.pathExists(yoursPath))) {
+        continue;
+      }
+
+      // Overwriting, or no trustworthy base or no new version - keep the user's copy as .bak like before
+      if (options.overwrite || !(await fs.pathExists(basePath)) || !(await fs.pathExists(targetPath))) {
+        await fs.copy(yoursPath, targetPath + '.bak', { overwrite: true });
+        result.backedUp.push(relativePath);
+        continue;
+      }
+
+      const merge = this.merge(
+        await fs.readFile(basePath, 'utf8'),
+        await fs.readFile(yoursPath, 'utf8'),
+        await fs.readFile(targetPath, 'utf8'),
+        { theirs: `bmad ${version}` },
+      );
+
+      if (merge.conflicts === 0) {
+        await fs.writeFile(targetPath, merge.content, 'utf8');
+        result.merged.push(relativePath);
+        continue;
+      }
+
+      const conflictFile = this.getConflictFile(relativePath);
+      await fs.writeFile(path.join(bmadDir, conflictFile), merge.content, 'utf8');
+      conflicts.push({ path: relativePath, conflictFile, hunks: merge.conflicts, version });
+      result.conflicted.push(relativePath);
+    }
+
+    await this.writeConflicts(bmadDir, conflicts);
+    return result;
+  }
+
+  /**
+   * Three-way line merge
+   * @param {string} base - Common ancestor
+   * @param {string} yours - User's version
+   * @param {string} theirs - New upstream version
+   * @param {Object} labels - Marker labels ({ yours, theirs })
+   * @returns {Object} { content, conflicts } - merged text and the number of conflicting hunks
+   */
+  merge(base, yours, theirs, labels = {}) {
+    if (yours === theirs || theirs === base) {
+      return { content: yours, conflicts: 0 };
+    }
+    if (yours === base) {
+      return { content: theirs, conflicts: 0 };
+    }
+
+    const baseLines = this.splitLines(base);
+    const sides = { yours: this.splitLines(yours), theirs: this.splitLines(theirs) };
+    const hunks = [
+      ...this.diff(baseLines, sides.yours).map((hunk) => ({ ...hunk, side: 'yours' })),
+      ...this.diff(baseLines, sides.theirs).map((hunk) => ({ ...hunk, side: 'theirs' })),
+    ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+    const output = [];
+    let conflicts = 0;
+    let baseIndex = 0;
+    let index = 0;
+
+    while (index < hunks.length) {
+      // Group hunks whose base ranges overlap or touch
+      const group = [hunks[index]];
+      const regionStart = hunks[index].baseStart;
+      let regionEnd = hunks[index].baseEnd;
+      index++;
+      while (index < hunks.length && hunks[index].baseStart <= regionEnd) {
+        regionEnd = Math.max(regionEnd, hunks[index].baseEnd);
+        group.push(hunks[index]);
+        index++;
+      }
+
+      output.push(...baseLines.slice(baseIndex, regionStart));
+      baseIndex = regionEnd;
+
+      const regions = {};
+      for (const side of ['yours', 'theirs']) {
+        const sideHunks = group.filter((hunk) => hunk.side === side);
+        if (sideHunks.length === 0) {
+          regions[side] = null;
+          continue;
+        }
+        // Outside its hunks a side matches base line for line, so widen to the whole region
+        const first = sideHunks[0];
+        const last = sideHunks.at(-1);
+        regions[side] = sides[side].slice(first.sideStart - (first.baseStart - regionStart), last.sideEnd + (regionEnd - last.baseEnd));
+      }
+
+      if (!regions.theirs || (regions.yours && regions.yours.join('') === regions.theirs.join(''))) {
+        output.push(...regions.yours);
+      } else if (regions.yours) {
+        conflicts++;
+        output.push(
+          `<<<<<<< ${labels.yours || 'yours'}\n`,
+          ...this.terminate(regions.yours),
+          '=======\n',
+          ...this.terminate(regions.theirs),
+          `>>>>>>> ${labels.theirs || 'theirs'}\n`,
+        );
+      } else {
+        output.push(...regions.theirs);
+      }
+    }
+
+    output.push(...baseLines.slice(baseIndex));
+    return { content: output.join(''), conflicts };
+  }
+
+  /**
+   * Split text into lines that keep their line endings
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Lines
+   */
+  splitLines(text) {
+    return text === '' ? [] : text.split(/(?<=\n)/);
+  }
+
+  /**
+   * Make sure the last line of a conflict section ends with a newline
+   * @param {Array<string>} lines - Section lines
+   * @returns {Array<string>} Lines safe to follow with a marker
+   */
+  terminate(lines) {
+    if (lines.length === 0 || lines.at(-1).endsWith('\n')) {
+      return lines;
+    }
+    return [...lines.slice(0, -1), lines.at(-1) + '\n'];
+  }
+
+  /**
+   * Line diff based on the longest common subsequence
+   * @param {Array<string>} base - Original lines
+   * @param {Array<string>} side - Changed lines
+   * @returns {Array<Object>} Hunks { baseStart, baseEnd, sideStart, sideEnd } (end exclusive)
+   */
+  diff(base, side) {
+    // Trim the common prefix and suffix - most edits are small
+    let start = 0;
+    while (start < base.length && start < side.length && base[start] === side[start]) {
+      start++;
+    }
+    let baseEnd = base.length;
+    let sideEnd = side.length;
+    while (baseEnd > start && sideEnd > start && base[baseEnd - 1] === side[sideEnd - 1]) {
+      baseEnd--;
+      sideEnd--;
+    }
+
+    const rows = baseEnd - start;
+    const cols = sideEnd - start;
+    if (rows === 0 && cols === 0) {
+      return [];
+    }
+    if (rows === 0 || cols === 0 || rows * cols > MAX_DIFF_CELLS) {
+      return [{ baseStart: start, baseEnd, sideStart: start, sideEnd }];
+    }
+
+    // lcs[i][j] = LCS length of base[start+i..] and side[start+j..]
+    const width = cols + 1;
+    const lcs = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i * width + j] =
+          base[start + i] === side[start + j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    const hunks = [];
+    let hunk = null;
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && base[start + i] === side[start + j]) {
+        if (hunk) {
+          hunks.push(hunk);
+          hunk = null;
+        }
+        i++;
+        j++;
+        continue;
+      }
+
+      if (!hunk) {
+        hunk = { baseStart: start + i, baseEnd: start + i, sideStart: start + j, sideEnd: start + j };
+      }
+      if (j < cols && (i >= rows || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+        j++;
+        hunk.sideEnd = start + j;
+      } else {
+        i++;
+        hunk.baseEnd = start + i;
+      }
+    }
+    if (hunk) {
+      hunks.push(hunk);
+    }
+
+    return hunks;
+  }
+
+  /**
+   * Whether text still contains conflict markers
+   * @param {string} content - File content
+   * @returns {boolean} True if an unresolved conflict block remains
+   */
+  hasConflictMarkers(content) {
+    return /^<{7} .*\n[\s\S]*?^={7}\n[\s\S]*?^>{7} /m.test(content);
+  }
+
+  /**
+   * Resolve every conflict block by taking one side
+   * @param {string} content - File content with conflict markers
+   * @param {string} side - 'yours' or 'theirs'
+   * @returns {string} Content without markers
+   */
+  takeSide(content, side) {
+    const output = [];
+    let section = null;
+
+    for (const line of this.splitLines(content)) {
+      if (section === null && line.startsWith('<<<<<<< ')) {
+        section = 'yours';
+      } else if (section === 'yours' && line.replace(/\r?\n$/, '') === '=======') {
+        section = 'theirs';
+      } else if (section === 'theirs' && line.startsWith('>>>>>>> ')) {
+        section = null;
+      } else if (section === null || section === side) {
+        output.push(line);
+      }
+    }
+
+    return output.join('');
+  }
+
+  /**
+   * Read recorded conflicts
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Array<Object>} Conflict entries { path, conflictFile, hunks, version }
+   */
+  async readConflicts(bmadDir) {
+    const conflictsPath = this.getConflictsPath(bmadDir);
+    if (!(await fs.pathExists(conflictsPath))) {
+      return [];
+    }
+
+    const data = yaml.parse(await fs.readFile(conflictsPath, 'utf8'));
+    return (data && Array.isArray(data.conflicts) && data.conflicts) || [];
+  }
+
+  /**
+   * Write the conflict record, removing it when nothing is left
+   * A path is recorded once: a later entry (e.g. from a newer merge) replaces an earlier one.
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<Object>} conflicts - Conflict entries
+   */
+  async writeConflicts(bmadDir, conflicts) {
+    const conflictsPath = this.getConflictsPath(bmadDir);
+    if (conflicts.length === 0) {
+      await fs.remove(conflictsPath);
+      return;
+    }
+
+    const unique = [...new Map(conflicts.map((entry) => [entry.path, entry])).values()];
+    await fs.ensureDir(path.dirname(conflictsPath));
+    await fs.writeFile(conflictsPath, yaml.stringify({ conflicts: unique }, { indent: 2, lineWidth: 0 }), 'utf8');
+  }
+
+  /**
+   * List recorded conflicts with their current state
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Array<Object>} Entries plus `resolved` (true once no markers remain)
+   */
+  async listConflicts(bmadDir) {
+    const entries = [];
+    for (const conflict of await this.readConflicts(bmadDir)) {
+      const conflictPath = path.join(bmadDir, conflict.conflictFile);
+      const exists = await fs.pathExists(conflictPath);
+      entries.push({
+        ...conflict,
+        missing: !exists,
+        resolved: exists && !this.hasConflictMarkers(await fs.readFile(conflictPath, 'utf8')),
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Finish a conflict: optionally take one side, then install the result and drop the record
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} relativePath - Conflicted file, relative to bmadDir
+   * @param {string|null} side - 'yours' or 'theirs' to resolve all blocks, or null if edited by hand
+   * @returns {Object} The resolved conflict entry
+   */
+  async resolve(bmadDir, relativePath, side = null) {
+    const conflicts = await this.readConflicts(bmadDir);
+    const conflict = conflicts.find((entry) => entry.path === relativePath || entry.conflictFile === relativePath);
+    if (!conflict) {
+      throw new Error(`No recorded conflict for ${relativePath}`);
+    }
+
+    const conflictPath = path.join(bmadDir, conflict.conflictFile);
+    const targetPath = path.join(bmadDir, conflict.path);
+    if (!(await fs.pathExists(conflictPath))) {
+      throw new Error(`${conflict.conflictFile} no longer exists`);
+    }
+
+    let content = await fs.readFile(conflictPath, 'utf8');
+    if (side) {
+      content = this.takeSide(content, side);
+    } else if (this.hasConflictMarkers(content)) {
+      throw new Error(`${conflict.conflictFile} still contains conflict markers`);
+    }
+
+    await fs.writeFile(targetPath, content, 'utf8');
+    if (conflictPath !== targetPath) {
+      await fs.remove(conflictPath);
+    }
+
+    await this.writeConflicts(
+      bmadDir,
+      conflicts.filter((entry) => entry !== conflict),
+    );
+    return conflict;
+  }
+}
+
+module.exports = { FileMerger, CONFLICT_SUFFIX };
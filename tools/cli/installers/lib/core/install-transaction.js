@@ -0,0 +1,107 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+
+/**
+ * Snapshot-based transaction around an install or update
+ *
+ * begin() copies every protected path (the _bmad tree, bmad.lock, IDE folders) to a temp
+ * directory. If the install fails, rollback() puts each path back exactly as it was - paths
+ * that did not exist before are removed. commit()/dispose() simply drop the snapshot.
+ */
+class InstallTransaction {
+  /**
+   * @param {string} projectDir - Project directory
+   * @param {Array<string>} relativePaths - Paths (relative to projectDir) the install may write
+   */
+  constructor(projectDir, relativePaths) {
+    this.projectDir = projectDir;
+    this.relativePaths = [...new Set(relativePaths.filter(Boolean))];
+    this.snapshotDir = null;
+    this.entries = [];
+  }
+
+  /**
+   * Whether a snapshot is currently held
+   * @returns {boolean} True between begin() and commit()/rollback()
+   */
+  get isActive() {
+    return this.snapshotDir !== null;
+  }
+
+  /**
+   * Snapshot all protected paths
+   */
+  async begin() {
+    this.snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-rollback-'));
+    this.entries = [];
+    await this.protect(this.relativePaths);
+  }
+
+  /**
+   * Add paths to the snapshot (e.g. IDE folders chosen after the transaction began)
+   * Must be called before anything is written to them. Already protected paths are ignored.
+   * @param {Array<string>} relativePaths - Paths relative to projectDir
+   */
+  async protect(relativePaths) {
+    for (const relativePath of relativePaths) {
+      if (!relativePath || this.entries.some((entry) => entry.relativePath === relativePath)) {
+        continue;
+      }
+
+      const target = path.join(this.projectDir, relativePath);
+      const existed = await fs.pathExists(target);
+      const backup = path.join(this.snapshotDir, String(this.entries.length));
+
+      if (existed) {
+        await fs.copy(target, backup, { preserveTimestamps: true });
+      }
+
+      this.entries.push({ relativePath, target, backup, existed });
+    }
+  }
+
+  /**
+   * Restore every protected path to its snapshot
+   * @returns {Array<string>} Relative paths that were restored or removed
+   */
+  async rollback() {
+    if (!this.isActive) {
+      return [];
+    }
+
+    const restored = [];
+    for (const entry of this.entries) {
+      const changed = entry.existed || (await fs.pathExists(entry.target));
+      await fs.remove(entry.target);
+      if (entry.existed) {
+        await fs.copy(entry.backup, entry.target, { preserveTimestamps: true });
+      }
+      if (changed) {
+        restored.push(entry.relativePath);
+      }
+    }
+
+    await this.dispose();
+    return restored;
+  }
+
+  /**
+   * Keep the new state and drop the snapshot
+   */
+  async commit() {
+    await this.dispose();
+  }
+
+  /**
+   * Remove the snapshot directory if one is still held
+   */
+  async dispose() {
+    if (this.snapshotDir) {
+      await fs.remove(this.snapshotDir);
+      this.snapshotDir = null;
+    }
+  }
+}
+
+module.exports = { InstallTransaction };
@@ -17,8 +17,15 @@ const { AgentPartyGenerator } = require('../../../lib/agent-party-generator');
 const { CLIUtils } = require('../../../lib/cli-utils');
 const { ManifestGenerator } = require('./manifest-generator');
 const { IdeConfigManager } = require('./ide-config-manager');
+const { Lockfile, LOCKFILE_NAME } = require('./lockfile');
+const { InstallTransaction } = require('./install-transaction');
+const { FileMerger } = require('./file-merger');
+const { UpdatePlanner } = require('./update-planner');
+const { AgentHistory } = require('./agent-history');
 const { CustomHandler } = require('../custom/handler');
 const { filterCustomizationData } = require('../../../lib/agent/compiler');
+const { isAgentLocaleFile } = require('../../../lib/agent/locale');
+const { buildAgentSourceMap, getAgentSourceMapPath, writeAgentSourceMap } = require('../../../lib/agent/source-map');
 
 class Installer {
   constructor() {
@@ -32,8 +39,27 @@ class Installer {
     this.dependencyResolver = new DependencyResolver();
     this.configCollector = new ConfigCollector();
     this.ideConfigManager = new IdeConfigManager();
+    this.lockfile = new Lockfile();
+    this.fileMerger = new FileMerger();
+    this.agentHistory = new AgentHistory();
+    this.updatePlanner = new UpdatePlanner(() => new Installer());
     this.installedFiles = []; // Track all installed files
     this.ttsInjectedFiles = []; // Track files with TTS injection applied
+    this.nonInteractive = false; // Answer from config instead of prompting (bmad install --yes/--answers)
+    this.ideAnswers = {}; // Pre-supplied IDE collectConfiguration answers, keyed by IDE
+  }
+
+  /**
+   * Switch prompting on or off based on the installer config
+   * Non-interactive configs come from InstallAnswers (CLI flags and/or an answers file)
+   * @param {Object} config - Installation configuration
+   */
+  applyNonInteractiveConfig(config) {
+    this.nonInteractive = Boolean(config.nonInteractive);
+    if (this.nonInteractive) {
+      this.ideAnswers = config.ideAnswers || {};
+      this.configCollector.setPresetAnswers(config.answers || {});
+    }
   }
 
   /**
@@ -328,30 +354,15 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
           if (needsPrompts) {
             // Get IDE handler and collect configuration
             try {
-              // Dynamically load the IDE setup module
-              const ideModule = require(`../ide/${ide}`);
-
-              // Get the setup class (handle different export formats)
-              let SetupClass;
-              const className =
-                ide
-                  .split('-')
-                  .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
-                  .join('') + 'Setup';
-
-              if (ideModule[className]) {
-                SetupClass = ideModule[className];
-              } else if (ideModule.default) {
-                SetupClass = ideModule.default;
-              } else {
-                // Skip if no setup class found
-                continue;
+              const ideSetup = this.ideManager.handlers.get(ide);
+              if (!ideSetup) {
+                throw new Error(`No handler for ${ide}`);
               }
 
-              const ideSetup = new SetupClass();
-
-              // Check if this IDE has a collectConfiguration method
-              if (typeof ideSetup.collectConfiguration === 'function') {
+              // Non-interactive: use supplied answers (an empty object means handler defaults)
+              if (this.nonInteractive) {
+                ideConfigurations[ide] = this.ideAnswers[ide] || {};
+              } else if (typeof ideSetup.collectConfiguration === 'function') {
                 console.log(chalk.cyan(`\nConfiguring ${ide}...`));
                 ideConfigurations[ide] = await ideSetup.collectConfiguration({
                   selectedModules: selectedModules || [],
@@ -393,6 +404,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
   async install(originalConfig) {
     // Clone config to avoid mutating the caller's object
     const config = { ...originalConfig };
+    this.applyNonInteractiveConfig(config);
 
     // Display BMAD logo
     CLIUtils.displayLogo();
@@ -467,6 +479,9 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
       moduleConfigs = await this.configCollector.collectAllConfigurations(allModulesForConfig, path.resolve(config.directory), {
         customModulePaths,
       });
+
+      // Non-interactive runs collect core here rather than in UI.promptInstall
+      config.coreConfig = config.coreConfig || moduleConfigs.core;
     }
 
     // Always use _bmad as the folder name
@@ -483,7 +498,9 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
 
     // Tool selection will be collected after we determine if it's a reinstall/update/new install
 
-    const spinner = ora('Preparing installation...').start();
+    const spinner = ora({ text: 'Preparing installation...', isSilent: Boolean(config._staging) }).start();
+    let transaction = null;
+    let keepSnapshot = false;
 
     try {
       // Resolve target directory (path.resolve handles platform differences)
@@ -519,11 +536,20 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
       }
 
       const bmadDir = path.join(projectDir, bmadFolderName);
+      this.ideManager.loadPlugins(projectDir, bmadDir);
 
       // Check existing installation
       spinner.text = 'Checking for existing installation...';
       const existingInstall = await this.detector.detect(bmadDir);
 
+      // Snapshot everything this run may write so a failure can be rolled back
+      spinner.text = 'Creating restore point...';
+      transaction = new InstallTransaction(
+        projectDir,
+        this.getTransactionPaths([bmadFolderName, existingBmadFolderName], [...(config.ides || []), ...(existingInstall.ides || [])]),
+      );
+      await transaction.begin();
+
       if (existingInstall.installed && !config.force && !config._quickUpdate) {
         spinner.stop();
 
@@ -553,15 +579,20 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
           console.log(chalk.red.bold('\n⚠️  WARNING: This is a destructive operation!'));
           console.log(chalk.red('All custom files and modifications in the bmad directory will be lost.'));
 
-          const inquirer = require('inquirer');
-          const { confirmReinstall } = await inquirer.prompt([
-            {
-              type: 'confirm',
-              name: 'confirmReinstall',
-              message: chalk.yellow('Are you sure you want to delete and reinstall?'),
-              default: false,
-            },
-          ]);
+          let confirmReinstall = config.assumeYes === true;
+          if (!this.nonInteractive) {
+            const inquirer = require('inquirer');
+            ({ confirmReinstall } = await inquirer.prompt([
+              {
+                type: 'confirm',
+                name: 'confirmReinstall',
+                message: chalk.yellow('Are you sure you want to delete and reinstall?'),
+                default: false,
+              },
+            ]));
+          } else if (!confirmReinstall) {
+            throw new Error('Reinstall deletes the existing installation. Re-run with --yes to confirm.');
+          }
 
           if (!confirmReinstall) {
             console.log('Installation cancelled.');
@@ -581,6 +612,10 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
           // Store that we're updating for later processing
           config._isUpdate = true;
           config._existingInstall = existingInstall;
+          await this.assertNoPendingConflicts(bmadDir);
+
+          // Keep the compiled agents of the version being replaced (bmad diff-agent)
+          await this.agentHistory.snapshot(bmadDir, existingInstall.version);
 
           // Detect custom and modified files BEFORE updating (compare current files vs files-manifest.csv)
           const existingFilesManifest = await this.readFilesManifest(bmadDir);
@@ -628,6 +663,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
               console.log(chalk.dim(`DEBUG: Backing up ${relativePath} to temp`));
               await fs.ensureDir(path.dirname(tempBackupPath));
               await fs.copy(modifiedFile.path, tempBackupPath, { overwrite: true });
+              await this.fileMerger.backupOriginal(bmadDir, modifiedFile, tempModifiedBackupDir);
             }
             spinner.succeed(`Backed up ${modifiedFiles.length} modified files`);
 
@@ -641,6 +677,8 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         spinner.text = 'Preparing quick update...';
         config._isUpdate = true;
         config._existingInstall = existingInstall;
+        await this.assertNoPendingConflicts(bmadDir);
+        await this.agentHistory.snapshot(bmadDir, existingInstall.version);
 
         // Detect custom and modified files BEFORE updating
         const existingFilesManifest = await this.readFilesManifest(bmadDir);
@@ -676,6 +714,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
             const tempBackupPath = path.join(tempModifiedBackupDir, relativePath);
             await fs.ensureDir(path.dirname(tempBackupPath));
             await fs.copy(modifiedFile.path, tempBackupPath, { overwrite: true });
+            await this.fileMerger.backupOriginal(bmadDir, modifiedFile, tempModifiedBackupDir);
           }
           spinner.succeed(`Backed up ${modifiedFiles.length} modified files`);
           config._tempModifiedBackupDir = tempModifiedBackupDir;
@@ -707,7 +746,8 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
       } else {
         // Pass pre-selected IDEs from early prompt (if available)
         // This allows IDE selection to happen before file copying, improving UX
-        const preSelectedIdes = config.ides && config.ides.length > 0 ? config.ides : null;
+        // Non-interactive installs never prompt: no --ides means no IDE
+        const preSelectedIdes = config.nonInteractive || (config.ides && config.ides.length > 0) ? config.ides || [] : null;
         toolSelection = await this.collectToolConfigurations(
           path.resolve(config.directory),
           config.modules,
@@ -717,6 +757,9 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         );
       }
 
+      // IDEs picked just now were not known when the restore point was created
+      await transaction.protect(this.getTransactionPaths([], toolSelection.ides || []));
+
       // Merge tool selection into config (for both quick update and regular flow)
       config.ides = toolSelection.ides;
       config.skipIde = toolSelection.skipIde;
@@ -1076,6 +1119,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
       // Generate clean config.yaml files for each installed module
       spinner.start('Generating module configurations...');
       await this.generateModuleConfigs(bmadDir, moduleConfigs);
+      await this.configCollector.writeSecrets(bmadDir);
       spinner.succeed('Module configurations generated');
 
       // Create agent configuration files
@@ -1089,6 +1133,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         path.join(cfgDir, 'workflow-manifest.csv'),
         path.join(cfgDir, 'agent-manifest.csv'),
         path.join(cfgDir, 'task-manifest.csv'),
+        path.join(cfgDir, 'team-manifest.csv'),
       );
 
       // Generate CSV manifests for workflows, agents, tasks AND ALL FILES with hashes BEFORE IDE setup
@@ -1118,6 +1163,9 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         preservedModules: modulesForCsvPreserve, // Scan these from installed bmad/ dir
       });
 
+      // Keep pristine copies of what was just installed - the merge base for the next update
+      await this.fileMerger.saveOriginals(bmadDir, this.installedFiles);
+
       // Add custom modules to manifest (now that it exists)
       if (config._customModulesToTrack && config._customModulesToTrack.length > 0) {
         spinner.text = 'Storing custom module sources...';
@@ -1127,7 +1175,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
       }
 
       spinner.succeed(
-        `Manifests generated: ${manifestStats.workflows} workflows, ${manifestStats.agents} agents, ${manifestStats.tasks} tasks, ${manifestStats.tools} tools, ${manifestStats.files} files`,
+        `Manifests generated: ${manifestStats.workflows} workflows, ${manifestStats.agents} agents, ${manifestStats.tasks} tasks, ${manifestStats.tools} tools, ${manifestStats.teams} teams, ${manifestStats.files} files`,
       );
 
       // Configure IDEs and copy documentation
@@ -1138,6 +1186,13 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         if (validIdes.length === 0) {
           console.log(chalk.yellow('⚠️  No valid IDEs selected. Skipping IDE configuration.'));
         } else {
+          // Non-interactive: give every IDE a config so handlers never fall back to prompting
+          if (this.nonInteractive) {
+            for (const ide of validIdes) {
+              ideConfigurations[ide] = ideConfigurations[ide] || this.ideAnswers[ide] || {};
+            }
+          }
+
           // Check if any IDE might need prompting (no pre-collected config)
           const needsPrompting = validIdes.some((ide) => !ideConfigurations[ide]);
 
@@ -1246,6 +1301,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
       // If this was an update, restore custom files
       let customFiles = [];
       let modifiedFiles = [];
+      let mergeResult = null;
       if (config._isUpdate) {
         if (config._customFiles && config._customFiles.length > 0) {
           spinner.start(`Restoring ${config._customFiles.length} custom files...`);
@@ -1272,29 +1328,36 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         if (config._modifiedFiles && config._modifiedFiles.length > 0) {
           modifiedFiles = config._modifiedFiles;
 
-          // Restore modified files as .bak files
+          // Merge user edits into the new versions (falls back to .bak when there is no merge base)
           if (config._tempModifiedBackupDir && (await fs.pathExists(config._tempModifiedBackupDir))) {
-            spinner.start(`Restoring ${modifiedFiles.length} modified files as .bak...`);
-
-            for (const modifiedFile of modifiedFiles) {
-              const relativePath = path.relative(bmadDir, modifiedFile.path);
-              const tempBackupPath = path.join(config._tempModifiedBackupDir, relativePath);
-              const bakPath = modifiedFile.path + '.bak';
-
-              if (await fs.pathExists(tempBackupPath)) {
-                await fs.ensureDir(path.dirname(bakPath));
-                await fs.copy(tempBackupPath, bakPath, { overwrite: true });
-              }
-            }
+            spinner.start(`Merging ${modifiedFiles.length} modified files...`);
+            const newVersion = require(path.join(getProjectRoot(), 'package.json')).version;
+            mergeResult = await this.fileMerger.mergeModifiedFiles(bmadDir, modifiedFiles, config._tempModifiedBackupDir, newVersion, {
+              overwrite: Boolean(config.force),
+            });
 
             // Clean up temp backup
             await fs.remove(config._tempModifiedBackupDir);
 
-            spinner.succeed(`Restored ${modifiedFiles.length} modified files as .bak`);
+            const { merged, conflicted, backedUp } = mergeResult;
+            const summary = [`Merged ${merged.length} of ${modifiedFiles.length} modified files`];
+            if (backedUp.length > 0) summary.push(`${backedUp.length} saved as .bak`);
+            if (conflicted.length > 0) {
+              spinner.warn([...summary, `${conflicted.length} with conflicts`].join(', '));
+            } else {
+              spinner.succeed(summary.join(', '));
+            }
           }
         }
       }
 
+      // Record what this install produced (a frozen install replays the existing lock instead)
+      if (!config.frozen) {
+        spinner.start('Writing bmad.lock...');
+        await this.writeLockfile(projectDir, bmadDir);
+        spinner.succeed('bmad.lock written');
+      }
+
       spinner.stop();
 
       // Report custom and modified files if any were found
@@ -1307,14 +1370,8 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         console.log('');
       }
 
-      if (modifiedFiles.length > 0) {
-        console.log(chalk.yellow(`\n⚠️  Modified files detected: ${modifiedFiles.length}`));
-        console.log(chalk.dim('The following files were modified and backed up with .bak extension:\n'));
-        for (const file of modifiedFiles) {
-          console.log(chalk.dim(`  - ${file.relativePath} → ${file.relativePath}.bak`));
-        }
-        console.log(chalk.dim('\nThese files have been updated with the new version.'));
-        console.log(chalk.dim('Review the .bak files to see your changes and merge if needed.\n'));
+      if (mergeResult) {
+        this.reportMergeResult(mergeResult);
       }
 
       // Display completion message
@@ -1336,18 +1393,136 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         ides: config.ides,
         needsAgentVibes: this.enableAgentVibes && !config.agentVibesInstalled,
         projectDir: projectDir,
+        conflicts: mergeResult ? mergeResult.conflicted : [],
       };
     } catch (error) {
       spinner.fail('Installation failed');
+      keepSnapshot = !(await this.rollbackTransaction(transaction));
       throw error;
+    } finally {
+      if (transaction && !keepSnapshot) {
+        await transaction.dispose();
+      }
+    }
+  }
+
+  /**
+   * Refuse to update while a previous update still has unresolved merge conflicts
+   * @param {string} bmadDir - BMAD installation directory
+   */
+  async assertNoPendingConflicts(bmadDir) {
+    const pending = await this.fileMerger.readConflicts(bmadDir);
+    if (pending.length > 0) {
+      throw new Error(
+        `${pending.length} file(s) still have merge conflicts from the last update (${pending.map((entry) => entry.path).join(', ')}). Run "bmad resolve" first.`,
+      );
+    }
+  }
+
+  /**
+   * Print the outcome of merging user-modified files
+   * @param {Object} mergeResult - Result of FileMerger.mergeModifiedFiles()
+   */
+  reportMergeResult(mergeResult) {
+    const { merged, conflicted, backedUp } = mergeResult;
+
+    if (merged.length > 0) {
+      console.log(chalk.green(`\n✓ Merged your changes into ${merged.length} updated file(s):\n`));
+      for (const file of merged) {
+        console.log(chalk.dim(`  - ${file}`));
+      }
+    }
+
+    if (conflicted.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  Merge conflicts in ${conflicted.length} file(s):\n`));
+      for (const file of conflicted) {
+        const conflictFile = this.fileMerger.getConflictFile(file);
+        console.log(chalk.dim(`  - ${file}${conflictFile === file ? '' : ` (markers in ${conflictFile})`}`));
+      }
+      console.log(chalk.dim('\nEdit the conflict markers, then run "bmad resolve" to finish.'));
+    }
+
+    if (backedUp.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  Modified files replaced with the new version: ${backedUp.length}`));
+      console.log(chalk.dim('Your copies were saved with a .bak extension:\n'));
+      for (const file of backedUp) {
+        console.log(chalk.dim(`  - ${file} → ${file}.bak`));
+      }
     }
+
+    console.log('');
+  }
+
+  /**
+   * Project-relative paths an install or update may write
+   * @param {Array<string>} bmadFolderNames - BMAD folder name(s), current and previous
+   * @param {Array<string>} ides - IDEs being configured or previously configured
+   * @returns {Array<string>} Relative paths to snapshot
+   */
+  getTransactionPaths(bmadFolderNames, ides = []) {
+    const paths = [...bmadFolderNames, LOCKFILE_NAME, '_bmad-custom-backup-temp', '_bmad-modified-backup-temp'];
+
+    for (const ide of ides) {
+      const handler = ide && this.ideManager.handlers.get(ide);
+      if (handler && typeof handler.getProjectPaths === 'function') {
+        paths.push(...handler.getProjectPaths());
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Restore the snapshot taken before a failed install or update
+   * @param {InstallTransaction|null} transaction - Active transaction (may be null if the failure came first)
+   * @returns {boolean} False if the rollback itself failed and the snapshot was kept for manual recovery
+   */
+  async rollbackTransaction(transaction) {
+    if (!transaction || !transaction.isActive) {
+      return true;
+    }
+
+    const rollbackSpinner = ora('Rolling back changes...').start();
+    try {
+      const restored = await transaction.rollback();
+      rollbackSpinner.succeed(`Rolled back ${restored.length} path(s) to their state before this run`);
+      return true;
+    } catch (rollbackError) {
+      rollbackSpinner.fail(`Rollback failed: ${rollbackError.message}`);
+      console.error(chalk.yellow(`The pre-install snapshot was kept at: ${transaction.snapshotDir}`));
+      return false;
+    }
+  }
+
+  /**
+   * Write bmad.lock for the installation in bmadDir
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string} Path to the lockfile
+   */
+  async writeLockfile(projectDir, bmadDir) {
+    const lockData = await this.lockfile.build({
+      projectDir,
+      bmadDir,
+      manifest: (await this.manifest.read(bmadDir)) || {},
+      collectedConfig: this.configCollector.collectedConfig,
+      ideConfigs: await this.ideConfigManager.loadAllIdeConfigs(bmadDir),
+      moduleManager: this.moduleManager,
+    });
+
+    return this.lockfile.write(projectDir, lockData);
   }
 
   /**
    * Update existing installation
+   * The update is a non-interactive quick update, so it goes through the same module installers,
+   * config handling, IDE setup and merging of modified files as `bmad install`.
+   * With `dryRun`, nothing is written and the change plan from UpdatePlanner is returned instead.
+   * @param {Object} config - Update configuration (directory, force, dryRun, diff)
+   * @returns {Object} Quick update result, or the plan for a dry run
    */
   async update(config) {
-    const spinner = ora('Checking installation...').start();
+    const spinner = ora({ text: 'Checking installation...', isSilent: Boolean(config._staging) }).start();
 
     try {
       const projectDir = path.resolve(config.directory);
@@ -1359,74 +1534,27 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         throw new Error(`No BMAD installation found at ${bmadDir}`);
       }
 
-      spinner.text = 'Analyzing update requirements...';
-
-      // Compare versions and determine what needs updating
-      const currentVersion = existingInstall.version;
-      const newVersion = require(path.join(getProjectRoot(), 'package.json')).version;
-
-      // Check for custom modules with missing sources before update
-      const customModuleSources = new Map();
-      if (existingInstall.customModules) {
-        for (const customModule of existingInstall.customModules) {
-          customModuleSources.set(customModule.id, customModule);
-        }
-      }
-
-      if (customModuleSources.size > 0) {
-        spinner.stop();
-        console.log(chalk.yellow('\nChecking custom module sources before update...'));
-
-        const projectRoot = getProjectRoot();
-        await this.handleMissingCustomSources(
-          customModuleSources,
-          bmadDir,
-          projectRoot,
-          'update',
-          existingInstall.modules.map((m) => m.id),
-        );
-
-        spinner.start('Preparing update...');
-      }
-
       if (config.dryRun) {
+        const newVersion = require(path.join(getProjectRoot(), 'package.json')).version;
+        spinner.text = `Planning update ${existingInstall.version} → ${newVersion}...`;
+        const plan = await this.updatePlanner.plan(config);
         spinner.stop();
-        console.log(chalk.cyan('\n🔍 Update Preview (Dry Run)\n'));
-        console.log(chalk.bold('Current version:'), currentVersion);
-        console.log(chalk.bold('New version:'), newVersion);
-        console.log(chalk.bold('Core:'), existingInstall.hasCore ? 'Will be updated' : 'Not installed');
-
-        if (existingInstall.modules.length > 0) {
-          console.log(chalk.bold('\nModules to update:'));
-          for (const mod of existingInstall.modules) {
-            console.log(`  - ${mod.id}`);
-          }
-        }
-        return;
-      }
-
-      // Perform actual update
-      if (existingInstall.hasCore) {
-        spinner.text = 'Updating core...';
-        await this.updateCore(bmadDir, config.force);
-      }
-
-      for (const module of existingInstall.modules) {
-        spinner.text = `Updating module: ${module.id}...`;
-        await this.moduleManager.update(module.id, bmadDir, config.force);
+        return plan;
       }
 
-      // Update manifest
-      spinner.text = 'Updating manifest...';
-      await this.manifest.update(bmadDir, {
-        version: newVersion,
-        updateDate: new Date().toISOString(),
+      spinner.stop();
+      return await this.quickUpdate({
+        directory: projectDir,
+        nonInteractive: true,
+        assumeYes: true,
+        force: config.force,
+        verbose: config.verbose,
+        _staging: config._staging,
       });
-
-      spinner.succeed('Update complete');
-      return { success: true };
     } catch (error) {
-      spinner.fail('Update failed');
+      if (spinner.isSpinning) {
+        spinner.fail('Update failed');
+      }
       throw error;
     }
   }
@@ -1728,6 +1856,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
     // Compile agents using the same compiler as modules
     const { ModuleManager } = require('../modules/manager');
     const moduleManager = new ModuleManager();
+    moduleManager.setBmadFolderName(path.basename(bmadDir));
     await moduleManager.compileModuleAgents(sourcePath, targetPath, 'core', bmadDir);
 
     // Process agent files to inject activation block
@@ -1770,7 +1899,9 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
       }
 
       // Skip .agent.yaml files - they will be compiled separately
-      if (file.endsWith('.agent.yaml')) {
+      // Skip .mixin.yaml files - they are merged into the agents that extend them
+      // Skip locale overlays (.agent.<locale>.yaml) - they are merged into the agents they translate
+      if (file.endsWith('.agent.yaml') || file.endsWith('.mixin.yaml') || isAgentLocaleFile(file)) {
         continue;
       }
 
@@ -2086,8 +2217,11 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
 
         // Compile using the same compiler as initial installation
         const { compileAgent } = require('../../../lib/agent/compiler');
-        const { xml } = await compileAgent(yamlContent, answers, agentName, path.relative(bmadDir, targetMdPath), {
+        const locale = await this.moduleManager.getAgentLanguage(bmadDir);
+        const { xml, processedYaml } = await compileAgent(yamlContent, answers, agentName, path.relative(bmadDir, targetMdPath), {
           config: coreConfig,
+          sourcePath: sourceYamlPath,
+          locale,
         });
 
         // Replace _bmad with actual folder name if needed
@@ -2096,6 +2230,10 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         // Write the rebuilt .md file with POSIX-compliant final newline
         const content = finalXml.endsWith('\n') ? finalXml : finalXml + '\n';
         await fs.writeFile(targetMdPath, content, 'utf8');
+        writeAgentSourceMap(
+          getAgentSourceMapPath(bmadDir, targetMdPath),
+          buildAgentSourceMap(content, processedYaml, { sourcePath: sourceYamlPath, locale, file: path.basename(targetMdPath) }),
+        );
 
         // Display result with customizations if any
         if (customizedFields.length > 0) {
@@ -2113,6 +2251,8 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
    * @returns {Object} Compilation results
    */
   async compileAgents(config) {
+    this.applyNonInteractiveConfig(config);
+
     try {
       const projectDir = path.resolve(config.directory);
       const { bmadDir } = await this.findBmadDir(projectDir);
@@ -2232,7 +2372,8 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
    */
   async quickUpdate(config) {
     const ora = require('ora');
-    const spinner = ora('Starting quick update...').start();
+    const spinner = ora({ text: 'Starting quick update...', isSilent: Boolean(config._staging) }).start();
+    this.applyNonInteractiveConfig(config);
 
     try {
       const projectDir = path.resolve(config.directory);
@@ -2336,7 +2477,15 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
       }
 
       // If we found untracked custom modules, offer to track them
-      if (untrackedCustomModules.length > 0) {
+      if (untrackedCustomModules.length > 0 && this.nonInteractive) {
+        spinner.stop();
+        console.log(chalk.yellow(`\n⚠️  Found ${untrackedCustomModules.length} custom module(s) not tracked in manifest:`));
+        for (const untracked of untrackedCustomModules) {
+          console.log(chalk.dim(`  • ${untracked.id} (installed at ${path.relative(projectRoot, untracked.path)})`));
+        }
+        console.log(chalk.dim('Untracked custom modules will remain installed but cannot be updated without their source.'));
+        spinner.start('Preparing update...');
+      } else if (untrackedCustomModules.length > 0) {
         spinner.stop();
         console.log(chalk.yellow(`\n⚠️  Found ${untrackedCustomModules.length} custom module(s) not tracked in manifest:`));
 
@@ -2530,6 +2679,13 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         _savedIdeConfigs: savedIdeConfigs, // Pass saved IDE configs to installer
         _customModuleSources: customModuleSources, // Pass custom module sources for updates
         _existingModules: installedModules, // Pass all installed modules for manifest generation
+        nonInteractive: config.nonInteractive,
+        assumeYes: config.assumeYes,
+        answers: config.answers,
+        ideAnswers: config.ideAnswers,
+        frozen: config.frozen,
+        force: config.force,
+        _staging: config._staging,
       };
 
       // Call the standard install method
@@ -2548,6 +2704,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
         modules: ['core', ...modulesToUpdate],
         skippedModules: skippedModules,
         ides: configuredIdes,
+        conflicts: result.conflicts || [],
       };
     } catch (error) {
       spinner.fail('Quick update failed');
@@ -2803,9 +2960,10 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
 
             if (!fileInfo) {
               // File not in manifest = custom file
-              // EXCEPT: Agent .md files in module folders are generated files, not custom
+              // EXCEPT: Agent and team .md files in module folders are generated files, not custom
               // Only treat .md files under _config/agents/ as custom
-              if (!(fileName.endsWith('.md') && relativePath.includes('/agents/') && !relativePath.startsWith('_config/'))) {
+              const isCompiled = fileName.endsWith('.md') && (relativePath.includes('/agents/') || relativePath.includes('/teams/'));
+              if (!(isCompiled && !relativePath.startsWith('_config/'))) {
                 customFiles.push(fullPath);
               }
             } else if (manifestHasHashes && fileInfo.hash) {
@@ -2816,6 +2974,7 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
                 modifiedFiles.push({
                   path: fullPath,
                   relativePath: fileInfo.relativePath,
+                  hash: fileInfo.hash,
                 });
               }
             }
@@ -3085,6 +3244,18 @@ If AgentVibes party mode is enabled, immediately trigger TTS with agent's voice:
 
     console.log(chalk.yellow(`\n⚠️  Found ${customModulesWithMissingSources.length} custom module(s) with missing sources:`));
 
+    // Non-interactive: never delete or relocate anything, keep every module as-is
+    if (this.nonInteractive) {
+      for (const missing of customModulesWithMissingSources) {
+        console.log(chalk.dim(`  • ${missing.name} (${missing.id}) kept as-is, source missing: ${missing.relativePath}`));
+        keptModulesWithoutSources.push(missing.id);
+      }
+      return {
+        validCustomModules,
+        keptModulesWithoutSources,
+      };
+    }
+
     const inquirer = require('inquirer');
     let keptCount = 0;
     let updatedCount = 0;
@@ -0,0 +1,272 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const crypto = require('node:crypto');
+const { getProjectRoot, getSourcePath } = require('../../../lib/project-root');
+
+const LOCKFILE_NAME = 'bmad.lock';
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Manages bmad.lock - a record of exactly what an install produced
+ *
+ * Lives in the project root next to the _bmad folder and records the package version,
+ * a content hash of every installed module's source, the collected config answers and
+ * the IDE handlers (with their configuration). `bmad install --frozen` replays it.
+ *
+ * The file contains no timestamps, so re-installing the same inputs yields an identical lock.
+ */
+class Lockfile {
+  /**
+   * Get path to the lockfile
+   * @param {string} projectDir - Project directory
+   * @returns {string} Path to bmad.lock
+   */
+  getLockPath(projectDir) {
+    return path.join(projectDir, LOCKFILE_NAME);
+  }
+
+  /**
+   * Hash a module source directory
+   * Every file contributes its POSIX relative path and content, in sorted order,
+   * so the hash only changes when the source itself changes.
+   * @param {string} sourcePath - Module source directory
+   * @returns {string|null} sha256 hex digest, or null if the source is missing
+   */
+  async hashSource(sourcePath) {
+    if (!sourcePath || !(await fs.pathExists(sourcePath))) {
+      return null;
+    }
+
+    const files = await this.listFiles(sourcePath);
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+      hash.update(file.split(path.sep).join('/'));
+      hash.update('\0');
+      hash.update(await fs.readFile(path.join(sourcePath, file)));
+      hash.update('\0');
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Recursively list files below a directory
+   * @param {string} dir - Directory to scan
+   * @param {string} relativeTo - Base for relative paths
+   * @returns {Array<string>} Sorted relative file paths
+   */
+  async listFiles(dir, relativeTo = dir) {
+    const files = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (entry.name === 'node_modules' || entry.name === '.DS_Store') {
+        continue;
+      }
+
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await this.listFiles(fullPath, relativeTo)));
+      } else if (entry.isFile()) {
+        files.push(path.relative(relativeTo, fullPath));
+      }
+    }
+
+    return files.sort();
+  }
+
+  /**
+   * Resolve the source directory of an installed module
+   * @param {string} moduleName - Module ID
+   * @param {Object} moduleManager - ModuleManager used to locate built-in module sources
+   * @param {Array} customModules - customModules entries from manifest.yaml
+   * @returns {Object|null} { path, custom } or null if the source cannot be found
+   */
+  async resolveModuleSource(moduleName, moduleManager, customModules = []) {
+    if (moduleName === 'core') {
+      return { path: getSourcePath('core'), custom: false };
+    }
+
+    const customModule = customModules.find((m) => m.id === moduleName);
+    if (customModule) {
+      return { path: customModule.sourcePath, custom: true };
+    }
+
+    const sourcePath = await moduleManager.findModuleSource(moduleName);
+    return sourcePath ? { path: sourcePath, custom: false } : null;
+  }
+
+  /**
+   * Describe a module source location portably
+   * Built-in sources are relative to the BMAD package, custom sources to the project
+   * @param {Object} source - Result of resolveModuleSource()
+   * @param {string} projectDir - Project directory
+   * @returns {string} POSIX path
+   */
+  describeSource(source, projectDir) {
+    const base = source.custom ? projectDir : getProjectRoot();
+    return path.relative(base, source.path).split(path.sep).join('/');
+  }
+
+  /**
+   * Build lock data for a finished installation
+   * @param {Object} options
+   * @param {string} options.projectDir - Project directory
+   * @param {string} options.bmadDir - BMAD installation directory
+   * @param {Object} options.manifest - Parsed manifest.yaml (Manifest.read())
+   * @param {Object} options.collectedConfig - ConfigCollector.collectedConfig
+   * @param {Object} options.ideConfigs - IDE configurations keyed by IDE (IdeConfigManager.loadAllIdeConfigs())
+   * @param {Object} options.moduleManager - ModuleManager for locating sources
+   * @returns {Object} Lock data
+   */
+  async build({ projectDir, bmadDir, manifest, collectedConfig = {}, ideConfigs = {}, moduleManager }) {
+    const moduleNames = ['core', ...(manifest.modules || []).filter((m) => m !== 'core')];
+    const customModules = manifest.customModules || [];
+    const coreAnswers = collectedConfig.core || (await this.readModuleConfig(bmadDir, 'core', new Set()));
+    const coreKeys = new Set(Object.keys(coreAnswers));
+
+    const modules = {};
+    const config = {};
+
+    for (const moduleName of moduleNames) {
+      const source = await this.resolveModuleSource(moduleName, moduleManager, customModules);
+      modules[moduleName] = {
+        source: source ? this.describeSource(source, projectDir) : null,
+        ...(source && source.custom ? { custom: true } : {}),
+        hash: source ? await this.hashSource(source.path) : null,
+      };
+
+      // Modules preserved rather than reconfigured fall back to their generated config.yaml
+      const answers =
+        moduleName === 'core' ? coreAnswers : collectedConfig[moduleName] || (await this.readModuleConfig(bmadDir, moduleName, coreKeys));
+      config[moduleName] = this.cleanAnswers(answers);
+    }
+
+    const ides = {};
+    for (const ide of [...(manifest.ides || [])].sort()) {
+      ides[ide] = ideConfigs[ide] || {};
+    }
+
+    return {
+      lockfileVersion: LOCKFILE_VERSION,
+      version: manifest.version,
+      modules,
+      config,
+      ides,
+    };
+  }
+
+  /**
+   * Read a module's generated config.yaml, minus inherited core values
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} moduleName - Module ID
+   * @param {Set} coreKeys - Keys inherited from core
+   * @returns {Object} Module answers
+   */
+  async readModuleConfig(bmadDir, moduleName, coreKeys) {
+    const configPath = path.join(bmadDir, moduleName, 'config.yaml');
+    if (!(await fs.pathExists(configPath))) {
+      return {};
+    }
+
+    const data = yaml.parse(await fs.readFile(configPath, 'utf8')) || {};
+    for (const key of coreKeys) {
+      delete data[key];
+    }
+    return data;
+  }
+
+  /**
+   * Drop internal bookkeeping keys from collected answers
+   * @param {Object} answers - Module answers
+   * @returns {Object} Answers safe to persist
+   */
+  cleanAnswers(answers = {}) {
+    const cleaned = {};
+    for (const [key, value] of Object.entries(answers)) {
+      if (!key.startsWith('_') && value !== undefined) {
+        cleaned[key] = value;
+      }
+    }
+    return cleaned;
+  }
+
+  /**
+   * Write bmad.lock
+   * @param {string} projectDir - Project directory
+   * @param {Object} lockData - Result of build()
+   * @returns {string} Path written
+   */
+  async write(projectDir, lockData) {
+    const lockPath = this.getLockPath(projectDir);
+    const yamlContent = yaml.stringify(lockData, {
+      indent: 2,
+      lineWidth: 0,
+      sortKeys: false,
+    });
+
+    const header = '# bmad.lock - generated by `bmad install`, do not edit by hand.\n# Replay with `bmad install --frozen`.\n';
+    await fs.writeFile(lockPath, header + (yamlContent.endsWith('\n') ? yamlContent : yamlContent + '\n'), 'utf8');
+    return lockPath;
+  }
+
+  /**
+   * Read bmad.lock
+   * @param {string} projectDir - Project directory
+   * @returns {Object|null} Lock data or null if there is no lockfile
+   */
+  async read(projectDir) {
+    const lockPath = this.getLockPath(projectDir);
+    if (!(await fs.pathExists(lockPath))) {
+      return null;
+    }
+
+    const data = yaml.parse(await fs.readFile(lockPath, 'utf8'));
+    if (!data || typeof data !== 'object' || !data.modules || typeof data.modules !== 'object') {
+      throw new Error(`${lockPath} is not a valid lockfile`);
+    }
+    if (data.lockfileVersion !== LOCKFILE_VERSION) {
+      throw new Error(`${lockPath} has unsupported lockfileVersion ${data.lockfileVersion} (expected ${LOCKFILE_VERSION})`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Compare the lock against what this machine would install
+   * @param {Object} lockData - Parsed lockfile
+   * @param {string} projectDir - Project directory
+   * @param {Object} moduleManager - ModuleManager for locating sources
+   * @returns {Array<string>} Human-readable drift descriptions (empty when in sync)
+   */
+  async findDrift(lockData, projectDir, moduleManager) {
+    const drift = [];
+    const packageVersion = require(path.join(getProjectRoot(), 'package.json')).version;
+
+    if (lockData.version !== packageVersion) {
+      drift.push(`BMAD version: locked ${lockData.version}, running ${packageVersion}`);
+    }
+
+    for (const [moduleName, locked] of Object.entries(lockData.modules)) {
+      let sourcePath = null;
+      if (locked.custom) {
+        sourcePath = locked.source ? path.resolve(projectDir, locked.source) : null;
+      } else {
+        const source = await this.resolveModuleSource(moduleName, moduleManager);
+        sourcePath = source && source.path;
+      }
+
+      const hash = await this.hashSource(sourcePath);
+      if (!hash) {
+        drift.push(`${moduleName}: source not found${locked.source ? ` (${locked.source})` : ''}`);
+      } else if (hash !== locked.hash) {
+        drift.push(`${moduleName}: source changed since lock (${locked.source})`);
+      }
+    }
+
+    return drift;
+  }
+}
+
+module.exports = { Lockfile, LOCKFILE_NAME };
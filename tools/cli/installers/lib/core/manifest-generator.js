@@ -7,6 +7,8 @@ const { getSourcePath, getModulePath } = require('../../../lib/project-root');
 // Load package.json for version info
 const packageJson = require('../../../../../package.json');
 
+const AGENT_MANIFEST_HEADER = 'name,displayName,title,icon,role,identity,communicationStyle,principles,module,path';
+
 /**
  * Generates manifest files for installed workflows, agents, and tasks
  */
@@ -16,6 +18,7 @@ class ManifestGenerator {
     this.agents = [];
     this.tasks = [];
     this.tools = [];
+    this.teams = [];
     this.modules = [];
     this.files = [];
     this.selectedIdes = [];
@@ -74,6 +77,9 @@ class ManifestGenerator {
     // Collect tool data
     await this.collectTools(this.updatedModules);
 
+    // Collect team data (after agents)
+    await this.collectTeams();
+
     // Write manifest files and collect their paths
     const manifestFiles = [
       await this.writeMainManifest(cfgDir),
@@ -81,6 +87,7 @@ class ManifestGenerator {
       await this.writeAgentManifest(cfgDir),
       await this.writeTaskManifest(cfgDir),
       await this.writeToolManifest(cfgDir),
+      await this.writeTeamManifest(cfgDir),
       await this.writeFilesManifest(cfgDir),
     ];
 
@@ -89,6 +96,7 @@ class ManifestGenerator {
       agents: this.agents.length,
       tasks: this.tasks.length,
       tools: this.tools.length,
+      teams: this.teams.length,
       files: this.files.length,
       manifestFiles: manifestFiles,
     };
@@ -241,65 +249,20 @@ class ManifestGenerator {
         agents.push(...subDirAgents);
       } else if (entry.name.endsWith('.md') && !entry.name.endsWith('.agent.yaml') && entry.name.toLowerCase() !== 'readme.md') {
         const content = await fs.readFile(fullPath, 'utf8');
-
-        // Skip files that don't contain <agent> tag (e.g., README files)
-        if (!content.includes('<agent')) {
-          continue;
-        }
-
-        // Skip web-only agents
-        if (content.includes('localskip="true"')) {
+        const fileRelativePath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+        const agent = this.buildAgentEntry(content, moduleName, fileRelativePath);
+        if (!agent) {
           continue;
         }
 
-        // Extract agent metadata from the XML structure
-        const nameMatch = content.match(/name="([^"]+)"/);
-        const titleMatch = content.match(/title="([^"]+)"/);
-        const iconMatch = content.match(/icon="([^"]+)"/);
-
-        // Extract persona fields
-        const roleMatch = content.match(/<role>([^<]+)<\/role>/);
-        const identityMatch = content.match(/<identity>([\s\S]*?)<\/identity>/);
-        const styleMatch = content.match(/<communication_style>([\s\S]*?)<\/communication_style>/);
-        const principlesMatch = content.match(/<principles>([\s\S]*?)<\/principles>/);
-
-        // Build relative path for installation
-        const fileRelativePath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
-        const installPath =
-          moduleName === 'core'
-            ? `${this.bmadFolderName}/core/agents/${fileRelativePath}`
-            : `${this.bmadFolderName}/${moduleName}/agents/${fileRelativePath}`;
-
-        const agentName = entry.name.replace('.md', '');
-
-        // Helper function to clean and escape CSV content
-        const cleanForCSV = (text) => {
-          if (!text) return '';
-          return text
-            .trim()
-            .replaceAll(/\s+/g, ' ') // Normalize whitespace
-            .replaceAll('"', '""'); // Escape quotes for CSV
-        };
-
-        agents.push({
-          name: agentName,
-          displayName: nameMatch ? nameMatch[1] : agentName,
-          title: titleMatch ? titleMatch[1] : '',
-          icon: iconMatch ? iconMatch[1] : '',
-          role: roleMatch ? cleanForCSV(roleMatch[1]) : '',
-          identity: identityMatch ? cleanForCSV(identityMatch[1]) : '',
-          communicationStyle: styleMatch ? cleanForCSV(styleMatch[1]) : '',
-          principles: principlesMatch ? cleanForCSV(principlesMatch[1]) : '',
-          module: moduleName,
-          path: installPath,
-        });
+        agents.push(agent);
 
         // Add to files list
         this.files.push({
           type: 'agent',
-          name: agentName,
+          name: agent.name,
           module: moduleName,
-          path: installPath,
+          path: agent.path,
         });
       }
     }
@@ -307,6 +270,66 @@ class ManifestGenerator {
     return agents;
   }
 
+  /**
+   * Build the agent manifest entry for a compiled agent file
+   * @param {string} content - Compiled agent .md content
+   * @param {string} moduleName - Module the agent belongs to
+   * @param {string} fileRelativePath - Path of the file below the module's agents/ directory
+   * @returns {Object|null} Agent entry, or null if the file is not a local agent
+   */
+  buildAgentEntry(content, moduleName, fileRelativePath) {
+    // Skip files that don't contain <agent> tag (e.g., README files)
+    if (!content.includes('<agent')) {
+      return null;
+    }
+
+    // Skip web-only agents
+    if (content.includes('localskip="true"')) {
+      return null;
+    }
+
+    // Extract agent metadata from the XML structure
+    const nameMatch = content.match(/name="([^"]+)"/);
+    const titleMatch = content.match(/title="([^"]+)"/);
+    const iconMatch = content.match(/icon="([^"]+)"/);
+
+    // Extract persona fields
+    const roleMatch = content.match(/<role>([^<]+)<\/role>/);
+    const identityMatch = content.match(/<identity>([\s\S]*?)<\/identity>/);
+    const styleMatch = content.match(/<communication_style>([\s\S]*?)<\/communication_style>/);
+    const principlesMatch = content.match(/<principles>([\s\S]*?)<\/principles>/);
+
+    // Build relative path for installation
+    const installPath =
+      moduleName === 'core'
+        ? `${this.bmadFolderName}/core/agents/${fileRelativePath}`
+        : `${this.bmadFolderName}/${moduleName}/agents/${fileRelativePath}`;
+
+    const agentName = path.basename(fileRelativePath).replace('.md', '');
+
+    // Helper function to clean and escape CSV content
+    const cleanForCSV = (text) => {
+      if (!text) return '';
+      return text
+        .trim()
+        .replaceAll(/\s+/g, ' ') // Normalize whitespace
+        .replaceAll('"', '""'); // Escape quotes for CSV
+    };
+
+    return {
+      name: agentName,
+      displayName: nameMatch ? nameMatch[1] : agentName,
+      title: titleMatch ? titleMatch[1] : '',
+      icon: iconMatch ? iconMatch[1] : '',
+      role: roleMatch ? cleanForCSV(roleMatch[1]) : '',
+      identity: identityMatch ? cleanForCSV(identityMatch[1]) : '',
+      communicationStyle: styleMatch ? cleanForCSV(styleMatch[1]) : '',
+      principles: principlesMatch ? cleanForCSV(principlesMatch[1]) : '',
+      module: moduleName,
+      path: installPath,
+    };
+  }
+
   /**
    * Collect all tasks from core and selected modules
    * Scans the INSTALLED bmad directory, not the source
@@ -671,7 +694,7 @@ class ManifestGenerator {
     }
 
     // Create CSV header with persona fields
-    let csv = 'name,displayName,title,icon,role,identity,communicationStyle,principles,module,path\n';
+    let csv = AGENT_MANIFEST_HEADER + '\n';
 
     // Combine existing and new agents, preferring new data for duplicates
     const allAgents = new Map();
@@ -684,10 +707,7 @@ class ManifestGenerator {
     // Add/update new agents
     for (const agent of this.agents) {
       const key = `${agent.module}:${agent.name}`;
-      allAgents.set(
-        key,
-        `"${agent.name}","${agent.displayName}","${agent.title}","${agent.icon}","${agent.role}","${agent.identity}","${agent.communicationStyle}","${agent.principles}","${agent.module}","${agent.path}"`,
-      );
+      allAgents.set(key, this.formatAgentRow(agent));
     }
 
     // Write all agents
@@ -699,6 +719,176 @@ class ManifestGenerator {
     return csvPath;
   }
 
+  /**
+   * Refresh the agent-manifest.csv rows of individual compiled agents
+   * Other rows keep their content and order. Agents whose compiled file is gone are removed.
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<Object>} agents - Entries { module, file } where file is the compiled .md path
+   */
+  async refreshAgentEntries(bmadDir, agents) {
+    this.bmadFolderName = path.basename(bmadDir);
+    const csvPath = path.join(bmadDir, '_config', 'agent-manifest.csv');
+
+    let header = AGENT_MANIFEST_HEADER;
+    const rows = new Map();
+    if (await fs.pathExists(csvPath)) {
+      const lines = (await fs.readFile(csvPath, 'utf8')).split('\n').filter((line) => line.trim());
+      header = lines.shift() || header;
+      for (const line of lines) {
+        const parts = line.split('","');
+        rows.set(`${parts[8]}:${parts[0].replace(/^"/, '')}`, line);
+      }
+    }
+
+    for (const { module, file } of agents) {
+      const relativePath = path
+        .relative(path.join(bmadDir, module, 'agents'), file)
+        .split(path.sep)
+        .join('/');
+      const entry = (await fs.pathExists(file)) ? this.buildAgentEntry(await fs.readFile(file, 'utf8'), module, relativePath) : null;
+      const key = `${module}:${path.basename(file, '.md')}`;
+      if (entry) {
+        rows.set(key, this.formatAgentRow(entry));
+      } else {
+        rows.delete(key);
+      }
+    }
+
+    await fs.writeFile(csvPath, [header, ...rows.values()].join('\n') + '\n');
+  }
+
+  /**
+   * Rescan the workflows of some modules and replace their rows in workflow-manifest.csv
+   * Rows keep their place; rows of other modules are left alone.
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<string>} modules - Modules to rescan
+   */
+  async refreshWorkflowEntries(bmadDir, modules) {
+    this.bmadDir = bmadDir;
+    this.bmadFolderName = path.basename(bmadDir);
+    this.updatedModules = modules;
+    this.files = [];
+    await this.collectWorkflows(modules);
+
+    const csvPath = path.join(bmadDir, '_config', 'workflow-manifest.csv');
+    const escapeCsv = (value) => `"${String(value ?? '').replaceAll('"', '""')}"`;
+    let header = 'name,description,module,path';
+    const rows = new Map();
+    if (await fs.pathExists(csvPath)) {
+      const lines = (await fs.readFile(csvPath, 'utf8')).split('\n').filter((line) => line.trim());
+      header = lines.shift() || header;
+      for (const line of lines) {
+        const parts = line.split('","');
+        rows.set(`${parts[2]}:${parts[0].replace(/^"/, '')}`, line);
+      }
+    }
+
+    const fresh = new Map(
+      this.workflows.map((workflow) => [
+        `${workflow.module}:${workflow.name}`,
+        [workflow.name, workflow.description, workflow.module, workflow.path].map((value) => escapeCsv(value)).join(','),
+      ]),
+    );
+    for (const key of rows.keys()) {
+      if (modules.includes(key.split(':')[0]) && !fresh.has(key)) {
+        rows.delete(key);
+      }
+    }
+    for (const [key, row] of fresh) {
+      rows.set(key, row);
+    }
+
+    await fs.writeFile(csvPath, [header, ...rows.values()].join('\n') + '\n');
+  }
+
+  /**
+   * Rescan the compiled teams of some modules and replace their rows in team-manifest.csv
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<string>} modules - Modules to rescan
+   */
+  async refreshTeamEntries(bmadDir, modules) {
+    this.bmadDir = bmadDir;
+    this.bmadFolderName = path.basename(bmadDir);
+    this.updatedModules = modules;
+    await this.collectTeams();
+    await this.writeTeamManifest(path.join(bmadDir, '_config'));
+  }
+
+  /**
+   * Format an agent manifest row
+   * @param {Object} agent - Entry from buildAgentEntry()
+   * @returns {string} CSV row
+   */
+  formatAgentRow(agent) {
+    return `"${agent.name}","${agent.displayName}","${agent.title}","${agent.icon}","${agent.role}","${agent.identity}","${agent.communicationStyle}","${agent.principles}","${agent.module}","${agent.path}"`;
+  }
+
+  /**
+   * Collect the compiled teams (<module>/teams/<team>.md) of all installed modules
+   * Members and workflows are read from the compiled file, so `agents: "*"` is already expanded
+   */
+  async collectTeams() {
+    this.teams = [];
+
+    for (const moduleName of this.updatedModules) {
+      const teamsPath = path.join(this.bmadDir, moduleName, 'teams');
+      if (!(await fs.pathExists(teamsPath))) {
+        continue;
+      }
+
+      for (const file of (await fs.readdir(teamsPath)).sort()) {
+        if (!file.endsWith('.md')) continue;
+
+        const content = await fs.readFile(path.join(teamsPath, file), 'utf8');
+        const teamTag = content.match(/<team [^>]*>/);
+        if (!teamTag) continue;
+
+        const attribute = (tag, name) => (tag.match(new RegExp(`${name}="([^"]*)"`)) || [])[1] || '';
+        const name = file.replace('.md', '');
+        this.teams.push({
+          name,
+          displayName: attribute(teamTag[0], 'name') || name,
+          icon: attribute(teamTag[0], 'icon'),
+          description: (content.match(/<description>([\s\S]*?)<\/description>/) || [])[1] || '',
+          module: moduleName,
+          agents: [...content.matchAll(/<member [^>]*>/g)].map((member) => attribute(member[0], 'name')).join(';'),
+          workflows: [...content.matchAll(/<workflow n="[^"]*" [^>]*>/g)].map((workflow) => attribute(workflow[0], 'name')).join(';'),
+          path: `${this.bmadFolderName}/${moduleName}/teams/${file}`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Write team manifest CSV
+   * Rows of modules that were not rescanned are kept.
+   * @returns {string} Path to the manifest file
+   */
+  async writeTeamManifest(cfgDir) {
+    const csvPath = path.join(cfgDir, 'team-manifest.csv');
+    const escapeCsv = (value) => `"${String(value ?? '').replaceAll('"', '""')}"`;
+    const columns = ['name', 'displayName', 'icon', 'description', 'module', 'agents', 'workflows', 'path'];
+
+    // Read existing manifest to preserve entries of other modules
+    const rows = [];
+    if (await fs.pathExists(csvPath)) {
+      const lines = (await fs.readFile(csvPath, 'utf8')).split('\n').filter((line) => line.trim());
+      for (const line of lines.slice(1)) {
+        const module = line.split('","')[4];
+        if (module && !this.updatedModules.includes(module)) {
+          rows.push(line);
+        }
+      }
+    }
+
+    for (const team of this.teams) {
+      rows.push(columns.map((column) => escapeCsv(team[column])).join(','));
+    }
+
+    await fs.writeFile(csvPath, [columns.join(','), ...rows].join('\n') + '\n');
+    return csvPath;
+  }
+
   /**
    * Write task manifest CSV
    * @returns {string} Path to the manifest file
@@ -836,8 +1026,8 @@ class ManifestGenerator {
     // If we have ALL installed files, use those instead of just workflows/agents/tasks
     const allFiles = [];
     if (this.allInstalledFiles && this.allInstalledFiles.length > 0) {
-      // Process all installed files
-      for (const filePath of this.allInstalledFiles) {
+      // Process all installed files (an update reports regenerated configs twice)
+      for (const filePath of new Set(this.allInstalledFiles)) {
         // Store paths relative to bmadDir (no folder prefix)
         const relativePath = filePath.replace(this.bmadDir, '').replaceAll('\\', '/').replace(/^\//, '');
         const ext = path.extname(filePath).toLowerCase();
@@ -889,6 +1079,50 @@ class ManifestGenerator {
     return csvPath;
   }
 
+  /**
+   * Re-hash files that are already tracked in files-manifest.csv
+   * Used when files are regenerated outside a full install (e.g. `bmad dev`), so they are not
+   * reported as user modifications afterwards. Rows of files that no longer exist are dropped;
+   * untracked files are ignored unless options.track is set, then they get a new row.
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<string>} filePaths - Absolute paths of the files below bmadDir
+   * @param {Object} options - { track: add rows for files that are not in the manifest yet }
+   */
+  async refreshFileHashes(bmadDir, filePaths, options = {}) {
+    const csvPath = path.join(bmadDir, '_config', 'files-manifest.csv');
+    if (!(await fs.pathExists(csvPath))) {
+      return;
+    }
+
+    const targets = new Map(filePaths.map((filePath) => [path.relative(bmadDir, filePath).split(path.sep).join('/'), filePath]));
+    const lines = (await fs.readFile(csvPath, 'utf8')).split('\n').filter((line) => line.trim());
+    const updated = [];
+
+    for (const [index, line] of lines.entries()) {
+      const parts = line.split('","');
+      const filePath = index > 0 && parts.length >= 5 ? targets.get(parts[3]) : undefined;
+      if (!filePath) {
+        updated.push(line);
+      } else if (await fs.pathExists(filePath)) {
+        parts[4] = `${await this.calculateFileHash(filePath)}"`;
+        updated.push(parts.join('","'));
+      }
+      if (filePath) {
+        targets.delete(parts[3]);
+      }
+    }
+
+    for (const [relativePath, filePath] of options.track ? targets : []) {
+      if (await fs.pathExists(filePath)) {
+        const ext = path.extname(filePath).toLowerCase();
+        const row = [ext.slice(1) || 'file', path.basename(filePath, ext), relativePath.split('/')[0], relativePath];
+        updated.push(`"${row.join('","')}","${await this.calculateFileHash(filePath)}"`);
+      }
+    }
+
+    await fs.writeFile(csvPath, updated.join('\n') + '\n');
+  }
+
   /**
    * Scan the bmad directory to find all installed modules
    * @param {string} bmadDir - Path to bmad directory
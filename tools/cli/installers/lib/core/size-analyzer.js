@@ -0,0 +1,404 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const csv = require('csv-parse/sync');
+const { glob } = require('glob');
+const { countTokens, TOKENIZER } = require('../../../lib/tokenizer');
+const { formatSize, percentile, mdTable } = require('../../../../flattener/stats.helpers.js');
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Token budgets per artifact kind, used for kinds a budgets file does not set
+ */
+const DEFAULT_BUDGETS = {
+  agent: 8000,
+  team: 4000,
+  workflow: 32_000,
+  inputs: 100_000,
+  bundle: 200_000,
+};
+
+/**
+ * Measures what an installation puts into an LLM's context, in tokens
+ *
+ * Artifacts (ids are project-relative paths):
+ * - agent: a compiled agent (agent-manifest.csv)
+ * - team: a compiled team launcher (team-manifest.csv)
+ * - workflow: a workflow entry file plus what running it loads up front: the workflow.xml
+ *   engine for workflow.yaml files, and its instructions, template and validation files
+ * - inputs: project documents a workflow loads through input_file_patterns (id `<workflow>#inputs`),
+ *   counted as the worst case of each load strategy
+ * - bundle: a web bundle (agent or team .xml), when a bundles directory is given (ids start with
+ *   the name of that directory)
+ */
+class SizeAnalyzer {
+  /**
+   * Measure every artifact of an installation
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} options - { bundlesDir } to also measure web bundles
+   * @returns {Object} Report { tokenizer, projectDir, artifacts, summary }
+   */
+  async analyze(projectDir, bmadDir, options = {}) {
+    this.projectDir = projectDir;
+    this.bmadDir = bmadDir;
+    this.tokenCache = new Map();
+    this.configCache = new Map();
+
+    const artifacts = [];
+    for (const entry of await this.readManifest('agent-manifest.csv')) {
+      artifacts.push(await this.measure('agent', entry.path, [this.toAbsolute(entry.path)]));
+    }
+    for (const entry of await this.readManifest('team-manifest.csv')) {
+      artifacts.push(await this.measure('team', entry.path, [this.toAbsolute(entry.path)]));
+    }
+    for (const entry of await this.readManifest('workflow-manifest.csv')) {
+      const workflowPath = this.toAbsolute(entry.path);
+      if (!(await fs.pathExists(workflowPath))) {
+        continue;
+      }
+      const workflow = workflowPath.endsWith('.yaml') ? yaml.parse(await fs.readFile(workflowPath, 'utf8')) || {} : {};
+      artifacts.push(await this.measure('workflow', entry.path, await this.getWorkflowFiles(workflowPath, workflow)));
+
+      if (workflow.input_file_patterns) {
+        const inputs = await this.getInputFiles(workflowPath, workflow);
+        if (inputs.length > 0) {
+          artifacts.push(await this.measure('inputs', `${entry.path}#inputs`, inputs));
+        }
+      }
+    }
+    if (options.bundlesDir) {
+      for (const file of (await glob('**/*.xml', { cwd: options.bundlesDir, absolute: true })).sort()) {
+        // Ids start at the bundles directory, so they do not depend on where it was built
+        const id = path.join(path.basename(options.bundlesDir), path.relative(options.bundlesDir, file));
+        artifacts.push(await this.measure('bundle', id, [file]));
+      }
+    }
+
+    return { tokenizer: TOKENIZER, projectDir, artifacts, summary: this.summarize(artifacts) };
+  }
+
+  /**
+   * Compare a report with budgets and a baseline
+   * @param {Object} report - Report from analyze()
+   * @param {Object} budgets - Budgets from loadBudgets()
+   * @param {Object} [baseline] - Baseline from createBaseline(), to detect regressions
+   * @param {number} [tolerance=5] - Growth over the baseline allowed, in percent
+   * @returns {Object} { ok, overBudget: [artifact], regressions: [{ id, kind, tokens, baseline, growth }] }
+   */
+  check(report, budgets, baseline = null, tolerance = 5) {
+    if (baseline && baseline.tokenizer !== report.tokenizer) {
+      throw new Error(`Baseline was counted with ${baseline.tokenizer}, this version counts with ${report.tokenizer}: update the baseline`);
+    }
+
+    const overBudget = [];
+    const regressions = [];
+
+    for (const artifact of report.artifacts) {
+      artifact.budget = this.getBudget(artifact, budgets);
+      if (artifact.budget && artifact.tokens > artifact.budget) {
+        overBudget.push(artifact);
+      }
+
+      const previous = baseline?.artifacts[artifact.id];
+      if (previous !== undefined && artifact.tokens > previous * (1 + tolerance / 100)) {
+        regressions.push({
+          id: artifact.id,
+          kind: artifact.kind,
+          tokens: artifact.tokens,
+          baseline: previous,
+          growth: growth(previous, artifact.tokens),
+        });
+      }
+    }
+
+    return { ok: overBudget.length === 0 && regressions.length === 0, overBudget, regressions };
+  }
+
+  /**
+   * Load budgets, falling back to DEFAULT_BUDGETS for kinds the file does not set
+   * A budgets file maps kinds to token limits; `files` sets limits for artifact ids,
+   * where `*` matches within a path segment and `**` across segments:
+   *
+   *   agent: 6000
+   *   files:
+   *     "_bmad/bmm/agents/dev.md": 9000
+   *     "web-bundles/*\/teams/*.xml": 200000
+   *
+   * @param {string} [budgetsPath] - YAML budgets file (optional)
+   * @returns {Object} Budgets
+   */
+  async loadBudgets(budgetsPath) {
+    let data = {};
+    if (budgetsPath) {
+      data = yaml.parse(await fs.readFile(budgetsPath, 'utf8')) || {};
+      for (const [key, value] of Object.entries(data)) {
+        if (key !== 'files' && !(key in DEFAULT_BUDGETS)) {
+          throw new Error(`${budgetsPath}: unknown budget "${key}" (kinds: ${Object.keys(DEFAULT_BUDGETS).join(', ')}, or files)`);
+        }
+        if (key !== 'files' && !Number.isInteger(value)) {
+          throw new TypeError(`${budgetsPath}: budget "${key}" must be a number of tokens`);
+        }
+      }
+    }
+    return { ...DEFAULT_BUDGETS, ...data, files: data.files || {} };
+  }
+
+  /**
+   * Baseline to commit and compare later runs against
+   * @param {Object} report - Report from analyze()
+   * @returns {Object} { version, tokenizer, artifacts: { id: tokens } }
+   */
+  createBaseline(report) {
+    const artifacts = {};
+    for (const artifact of report.artifacts) {
+      artifacts[artifact.id] = artifact.tokens;
+    }
+    return { version: BASELINE_VERSION, tokenizer: report.tokenizer, artifacts };
+  }
+
+  /**
+   * Markdown report in the style of the flattener statistics
+   * @param {Object} report - Report from analyze(), after check()
+   * @returns {string} Markdown
+   */
+  buildMarkdownReport(report) {
+    const { summary } = report;
+    const md = [
+      '# BMAD Token Report\n',
+      `Tokenizer: \`${report.tokenizer}\` · ${summary.count} artifacts · ${summary.tokens.toLocaleString()} tokens · ${formatSize(summary.bytes)}\n`,
+      '## By Kind\n',
+      mdTable(
+        summary.byKind.map((entry) => [
+          entry.kind,
+          String(entry.count),
+          entry.tokens.toLocaleString(),
+          entry.p90.toLocaleString(),
+          entry.max.toLocaleString(),
+        ]),
+        ['Kind', 'Artifacts', 'Tokens', 'p90', 'Largest'],
+      ),
+      '\n## Largest Artifacts (Top 50)\n',
+      mdTable(
+        [...report.artifacts]
+          .sort((a, b) => b.tokens - a.tokens)
+          .slice(0, 50)
+          .map((artifact) => [
+            artifact.id,
+            artifact.kind,
+            artifact.tokens.toLocaleString(),
+            artifact.budget ? `${((artifact.tokens / artifact.budget) * 100).toFixed(0)}%` : '',
+            formatSize(artifact.bytes),
+            String(artifact.files.length),
+          ]),
+        ['Artifact', 'Kind', 'Tokens', '% of budget', 'Size', 'Files'],
+      ),
+    ];
+    return md.join('\n') + '\n';
+  }
+
+  /**
+   * Budget that applies to an artifact: the first matching `files` pattern, else its kind's
+   */
+  getBudget(artifact, budgets) {
+    for (const [pattern, budget] of Object.entries(budgets.files || {})) {
+      if (globToRegExp(pattern).test(artifact.id)) {
+        return budget;
+      }
+    }
+    return budgets[artifact.kind];
+  }
+
+  /**
+   * Files a workflow loads when it starts
+   */
+  async getWorkflowFiles(workflowPath, workflow) {
+    const files = [workflowPath];
+    if (workflowPath.endsWith('.yaml')) {
+      files.push(path.join(this.bmadDir, 'core', 'tasks', 'workflow.xml'));
+    }
+    for (const key of ['instructions', 'template', 'validation']) {
+      if (typeof workflow[key] === 'string') {
+        const filePath = this.resolvePath(workflow[key], path.dirname(workflowPath));
+        if (filePath && (await fs.pathExists(filePath)) && (await fs.stat(filePath)).isFile()) {
+          files.push(filePath);
+        }
+      }
+    }
+    return [...new Set(files)];
+  }
+
+  /**
+   * Project documents matched by a workflow's input_file_patterns
+   * Sharded documents are tried first, then whole ones, as the workflow engine does. FULL_LOAD and
+   * INDEX_GUIDED count every shard (INDEX_GUIDED may load them all); SELECTIVE_LOAD counts the index
+   * and the largest single shard.
+   */
+  async getInputFiles(workflowPath, workflow) {
+    const config = await this.loadConfig(this.resolvePath(String(workflow.config_source || ''), path.dirname(workflowPath)));
+    const resolveVariable = (name) => {
+      const value = workflow[name] ?? config?.[name];
+      if (typeof value !== 'string') return null;
+      return value.startsWith('{config_source}:') ? config?.[value.slice('{config_source}:'.length)] : value;
+    };
+    const find = async (pattern) => {
+      for (const alternative of String(pattern || '').split('||')) {
+        const resolved = this.resolvePath(
+          alternative.trim().replaceAll(/\{\{[^}]+\}\}/g, '*'),
+          path.dirname(workflowPath),
+          resolveVariable,
+        );
+        const matches = resolved ? await glob(resolved.split(path.sep).join('/'), { absolute: true, nodir: true }) : [];
+        if (matches.length > 0) return matches.sort();
+      }
+      return [];
+    };
+
+    const files = new Set();
+    for (const input of Object.values(workflow.input_file_patterns)) {
+      let matches = [];
+      if ((input.load_strategy || 'FULL_LOAD') === 'SELECTIVE_LOAD' && input.sharded_single) {
+        const shards = await find(input.sharded_single);
+        if (shards.length > 0) {
+          const largest = await this.largestFile(shards);
+          matches = [...(await find(input.sharded_index)), largest];
+        }
+      } else if (input.sharded) {
+        for (const match of await find(input.sharded)) {
+          matches.push(...(path.basename(match) === 'index.md' ? await find(path.join(path.dirname(match), '*.md')) : [match]));
+        }
+      }
+      if (matches.length === 0) {
+        matches = await find(input.whole || input.pattern);
+      }
+      for (const match of matches) {
+        files.add(match);
+      }
+    }
+    return [...files];
+  }
+
+  /**
+   * Measure the files of an artifact
+   */
+  async measure(kind, id, files) {
+    const measured = [];
+    for (const file of files) {
+      if (!this.tokenCache.has(file)) {
+        const content = (await fs.pathExists(file)) ? await fs.readFile(file, 'utf8') : '';
+        this.tokenCache.set(file, { tokens: countTokens(content), bytes: Buffer.byteLength(content, 'utf8') });
+      }
+      measured.push({ path: this.toRelative(file), ...this.tokenCache.get(file) });
+    }
+    return {
+      id: id.split(path.sep).join('/'),
+      kind,
+      tokens: measured.reduce((sum, file) => sum + file.tokens, 0),
+      bytes: measured.reduce((sum, file) => sum + file.bytes, 0),
+      files: measured,
+    };
+  }
+
+  summarize(artifacts) {
+    const byKind = [];
+    for (const kind of new Set(artifacts.map((artifact) => artifact.kind))) {
+      const tokens = artifacts
+        .filter((artifact) => artifact.kind === kind)
+        .map((artifact) => artifact.tokens)
+        .sort((a, b) => a - b);
+      byKind.push({
+        kind,
+        count: tokens.length,
+        tokens: tokens.reduce((sum, value) => sum + value, 0),
+        median: percentile(tokens, 50),
+        p90: percentile(tokens, 90),
+        max: tokens.at(-1),
+      });
+    }
+    return {
+      count: artifacts.length,
+      tokens: artifacts.reduce((sum, artifact) => sum + artifact.tokens, 0),
+      bytes: artifacts.reduce((sum, artifact) => sum + artifact.bytes, 0),
+      byKind,
+    };
+  }
+
+  /**
+   * Resolve {project-root}, {installed_path} and other {variables} of a path
+   * @returns {string|null} Absolute path, or null when a variable is unknown
+   */
+  resolvePath(value, installedPath, resolveVariable = () => null) {
+    let unresolved = false;
+    let resolved = value;
+    for (let depth = 0; depth < 5 && /\{[\w-]+\}/.test(resolved); depth++) {
+      resolved = resolved.replaceAll(/\{([\w-]+)\}/g, (match, name) => {
+        if (name === 'project-root') return this.projectDir;
+        if (name === 'installed_path') return installedPath;
+        const variable = resolveVariable(name);
+        if (variable === null || variable === undefined) unresolved = true;
+        return variable ?? match;
+      });
+    }
+    if (unresolved || !resolved) {
+      return null;
+    }
+    return path.resolve(this.projectDir, resolved);
+  }
+
+  async loadConfig(configPath) {
+    if (!configPath) {
+      return null;
+    }
+    if (!this.configCache.has(configPath)) {
+      const exists = await fs.pathExists(configPath);
+      this.configCache.set(configPath, exists ? yaml.parse(await fs.readFile(configPath, 'utf8')) || {} : null);
+    }
+    return this.configCache.get(configPath);
+  }
+
+  async largestFile(files) {
+    let largest = files[0];
+    for (const file of files) {
+      if ((await fs.stat(file)).size > (await fs.stat(largest)).size) {
+        largest = file;
+      }
+    }
+    return largest;
+  }
+
+  async readManifest(name) {
+    const manifestPath = path.join(this.bmadDir, '_config', name);
+    if (!(await fs.pathExists(manifestPath))) {
+      return [];
+    }
+    return csv.parse(await fs.readFile(manifestPath, 'utf8'), { columns: true, skip_empty_lines: true }).filter((entry) => entry.path);
+  }
+
+  toAbsolute(manifestPath) {
+    return path.resolve(this.projectDir, manifestPath);
+  }
+
+  toRelative(file) {
+    return path.relative(this.projectDir, file).split(path.sep).join('/');
+  }
+}
+
+function growth(previous, current) {
+  return previous === 0 ? 100 : ((current - previous) / previous) * 100;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map((part) =>
+      part
+        .split('*')
+        .map((text) => text.replaceAll(/[.+?^${}()|[\]\\]/g, String.raw`\$&`))
+        .join('[^/]*'),
+    )
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = { SizeAnalyzer, DEFAULT_BUDGETS };
@@ -0,0 +1,327 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const { getProjectRoot } = require('../../../lib/project-root');
+const { FileMerger } = require('./file-merger');
+
+// Generated config files restamp this header line on every install
+const GENERATED_DATE = /^# Date: .*$/m;
+
+// Installation record that stores a hash per file, relative to the _bmad folder
+const FILES_MANIFEST = '_config/files-manifest.csv';
+
+/**
+ * Builds the change plan shown by `bmad update --dry-run`
+ *
+ * Rather than predicting what an update would do, the planner copies the installation and
+ * the project's IDE folders to a scratch directory, runs the real Installer.update() there
+ * and compares the result with the project. The preview therefore cannot drift from the
+ * actual update. The home directory is redirected to the scratch area for the run, so IDE
+ * handlers that write global files (e.g. Codex prompts) touch nothing outside it either.
+ */
+class UpdatePlanner {
+  /**
+   * @param {Function} createInstaller - Returns a fresh Installer, so the simulated run shares no state with the caller
+   */
+  constructor(createInstaller) {
+    this.createInstaller = createInstaller;
+    this.fileMerger = new FileMerger();
+  }
+
+  /**
+   * Simulate an update and describe what it would change
+   * @param {Object} config - Update configuration (directory, force, diff)
+   * @returns {Object} Plan { projectDir, bmadDir, currentVersion, newVersion, groups, conflicts }
+   */
+  async plan(config) {
+    const installer = this.createInstaller();
+    const projectDir = path.resolve(config.directory);
+    const { bmadDir } = await installer.findBmadDir(projectDir);
+    const existingInstall = await installer.detector.detect(bmadDir);
+    installer.ideManager.loadPlugins(projectDir, bmadDir);
+    const bmadFolderName = path.basename(bmadDir);
+    const ides = existingInstall.ides || [];
+
+    const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-plan-'));
+    const stagedProject = path.join(stagingDir, 'project');
+    const stagedHome = path.join(stagingDir, 'home');
+
+    try {
+      const idePaths = new Map();
+      for (const ide of ides) {
+        const handler = installer.ideManager.handlers.get(ide);
+        idePaths.set(ide, handler && typeof handler.getProjectPaths === 'function' ? handler.getProjectPaths() : []);
+      }
+
+      for (const relativePath of [bmadFolderName, ...[...idePaths.values()].flat()]) {
+        const source = path.join(projectDir, relativePath);
+        if (await fs.pathExists(source)) {
+          await fs.copy(source, path.join(stagedProject, relativePath), { preserveTimestamps: true });
+        }
+      }
+      await fs.ensureDir(stagedHome);
+
+      // The staged run must not report progress as if it were the real update
+      const originalLog = console.log;
+      console.log = () => {};
+      let result;
+      try {
+        result = await this.withHome(stagedHome, () =>
+          installer.update({ ...config, directory: stagedProject, dryRun: false, _staging: true }),
+        );
+      } finally {
+        console.log = originalLog;
+      }
+
+      const groups = [];
+      const bmadChanges = await this.compare(bmadDir, path.join(stagedProject, bmadFolderName), bmadFolderName, config.diff);
+      const byModule = new Map();
+      for (const change of bmadChanges) {
+        const moduleName = change.path.split('/')[1];
+        if (!byModule.has(moduleName)) {
+          byModule.set(moduleName, []);
+        }
+        byModule.get(moduleName).push(change);
+      }
+      for (const [name, changes] of byModule) {
+        groups.push({ kind: name === '_config' ? 'records' : 'module', name, changes });
+      }
+
+      for (const [ide, relativePaths] of idePaths) {
+        const changes = [];
+        for (const relativePath of relativePaths) {
+          changes.push(
+            ...(await this.compare(path.join(projectDir, relativePath), path.join(stagedProject, relativePath), relativePath, config.diff)),
+          );
+        }
+        groups.push({ kind: 'ide', name: ide, paths: relativePaths, changes });
+      }
+
+      // Global files: the scratch home started empty, so only additions and changes are visible
+      const globalChanges = await this.compare(os.homedir(), stagedHome, '~', config.diff, { ignoreDeleted: true });
+      if (globalChanges.length > 0) {
+        groups.push({ kind: 'global', name: '~', changes: globalChanges });
+      }
+
+      return {
+        projectDir,
+        bmadDir,
+        currentVersion: existingInstall.version,
+        newVersion: require(path.join(getProjectRoot(), 'package.json')).version,
+        groups,
+        conflicts: (result && result.conflicts) || [],
+      };
+    } finally {
+      await fs.remove(stagingDir);
+    }
+  }
+
+  /**
+   * Run a function with the home directory pointing somewhere else
+   * @param {string} home - Directory to use as home
+   * @param {Function} fn - Async function to run
+   * @returns {*} Result of fn
+   */
+  async withHome(home, fn) {
+    const saved = { HOME: process.env.HOME, USERPROFILE: process.env.USERPROFILE };
+    process.env.HOME = home;
+    process.env.USERPROFILE = home;
+
+    try {
+      return await fn();
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+    }
+  }
+
+  /**
+   * Compare a directory (or file) with its updated copy
+   * @param {string} currentRoot - Path in the project
+   * @param {string} updatedRoot - Same path after the simulated update
+   * @param {string} label - Prefix for reported paths
+   * @param {boolean} withDiff - Attach unified diffs to text changes
+   * @param {Object} options - { ignoreDeleted }
+   * @returns {Array<Object>} Changes { action: 'add'|'change'|'delete', path, diff? } sorted by path
+   */
+  async compare(currentRoot, updatedRoot, label, withDiff = false, options = {}) {
+    const updatedFiles = await this.listFiles(updatedRoot);
+    const currentFiles = options.ignoreDeleted
+      ? updatedFiles.filter((file) => fs.pathExistsSync(path.join(currentRoot, file)))
+      : await this.listFiles(currentRoot);
+
+    const changes = [];
+    const dateOnly = new Set();
+    for (const file of [...new Set([...currentFiles, ...updatedFiles])].sort()) {
+      const currentPath = path.join(currentRoot, file);
+      const updatedPath = path.join(updatedRoot, file);
+      const current = currentFiles.includes(file) ? await fs.readFile(currentPath) : null;
+      const updated = updatedFiles.includes(file) ? await fs.readFile(updatedPath) : null;
+
+      if (current && updated && this.differsOnlyInDate(current, updated)) {
+        dateOnly.add(file);
+        continue;
+      }
+      if (current && updated && current.equals(updated)) {
+        continue;
+      }
+
+      const action = current ? (updated ? 'change' : 'delete') : 'add';
+      const reportedPath = file ? `${label}/${file}` : label;
+      const change = { action, path: reportedPath };
+      if (withDiff) {
+        change.diff = this.isBinary(current) || this.isBinary(updated) ? null : this.unifiedDiff(current, updated, reportedPath);
+      }
+      changes.push(change);
+    }
+
+    // New hashes in the files manifest only restate the other changes (or a new date header), so
+    // the manifest is listed when it differs in something else
+    const manifestChange = changes.find((change) => change.action === 'change' && change.path === `${label}/${FILES_MANIFEST}`);
+    const accounted = new Set([
+      ...dateOnly,
+      ...changes.filter((change) => change.action === 'change').map((change) => change.path.slice(label.length + 1)),
+    ]);
+    if (
+      manifestChange &&
+      this.differsOnlyInHashesOf(
+        await fs.readFile(path.join(currentRoot, FILES_MANIFEST)),
+        await fs.readFile(path.join(updatedRoot, FILES_MANIFEST)),
+        accounted,
+      )
+    ) {
+      changes.splice(changes.indexOf(manifestChange), 1);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Whether two versions of a generated file differ only in their "# Date:" header
+   * @param {Buffer} current - Current content
+   * @param {Buffer} updated - Updated content
+   * @returns {boolean} True if the files are the same apart from the date
+   */
+  differsOnlyInDate(current, updated) {
+    const strip = (content) => content.toString('utf8').replace(GENERATED_DATE, '');
+    return GENERATED_DATE.test(current.toString('utf8')) && strip(current) === strip(updated);
+  }
+
+  /**
+   * Whether two versions of files-manifest.csv differ only in the hashes of some files
+   * @param {Buffer} current - Current content
+   * @param {Buffer} updated - Updated content
+   * @param {Set<string>} files - Paths, relative to the _bmad folder, whose hash may differ
+   * @returns {boolean} True if every other row is the same
+   */
+  differsOnlyInHashesOf(current, updated, files) {
+    const strip = (content) =>
+      content
+        .toString('utf8')
+        .split('\n')
+        .map((line) => {
+          const parts = line.split('","');
+          return parts.length >= 5 && files.has(parts[3]) ? parts.slice(0, 4).join('","') : line;
+        })
+        .join('\n');
+    return files.size > 0 && strip(current) === strip(updated);
+  }
+
+  /**
+   * List files below a path
+   * @param {string} root - Directory or single file
+   * @returns {Array<string>} POSIX paths relative to root ('' when root is a file)
+   */
+  async listFiles(root) {
+    if (!(await fs.pathExists(root))) {
+      return [];
+    }
+    if (!(await fs.stat(root)).isDirectory()) {
+      return [''];
+    }
+
+    const files = [];
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+    await walk(root);
+    return files.sort();
+  }
+
+  /**
+   * Whether file content looks binary
+   * @param {Buffer|null} content - File content
+   * @returns {boolean} True if the content contains a NUL byte
+   */
+  isBinary(content) {
+    return Boolean(content) && content.includes(0);
+  }
+
+  /**
+   * Unified diff between two versions of a file
+   * @param {Buffer|null} before - Current content (null if the file is added)
+   * @param {Buffer|null} after - Updated content (null if the file is deleted)
+   * @param {string} filePath - Path shown in the header
+   * @param {number} context - Lines of context around each change
+   * @returns {string} Diff text
+   */
+  unifiedDiff(before, after, filePath, context = 3) {
+    const oldLines = this.fileMerger.splitLines(before ? before.toString('utf8') : '');
+    const newLines = this.fileMerger.splitLines(after ? after.toString('utf8') : '');
+    const hunks = this.fileMerger.diff(oldLines, newLines);
+
+    const output = [`--- ${before ? `a/${filePath}` : '/dev/null'}`, `+++ ${after ? `b/${filePath}` : '/dev/null'}`];
+    const strip = (line) => line.replace(/\r?\n$/, '');
+
+    let index = 0;
+    while (index < hunks.length) {
+      // Join hunks whose context would overlap
+      let last = index;
+      while (last + 1 < hunks.length && hunks[last + 1].baseStart - hunks[last].baseEnd <= context * 2) {
+        last++;
+      }
+
+      const oldStart = Math.max(0, hunks[index].baseStart - context);
+      const oldEnd = Math.min(oldLines.length, hunks[last].baseEnd + context);
+      const newStart = hunks[index].sideStart - (hunks[index].baseStart - oldStart);
+      const newEnd = hunks[last].sideEnd + (oldEnd - hunks[last].baseEnd);
+
+      output.push(`@@ -${oldStart + 1},${oldEnd - oldStart} +${newStart + 1},${newEnd - newStart} @@`);
+      let oldIndex = oldStart;
+      for (let i = index; i <= last; i++) {
+        const hunk = hunks[i];
+        for (; oldIndex < hunk.baseStart; oldIndex++) {
+          output.push(` ${strip(oldLines[oldIndex])}`);
+        }
+        for (let j = hunk.baseStart; j < hunk.baseEnd; j++) {
+          output.push(`-${strip(oldLines[j])}`);
+        }
+        for (let j = hunk.sideStart; j < hunk.sideEnd; j++) {
+          output.push(`+${strip(newLines[j])}`);
+        }
+        oldIndex = hunk.baseEnd;
+      }
+      for (; oldIndex < oldEnd; oldIndex++) {
+        output.push(` ${strip(oldLines[oldIndex])}`);
+      }
+
+      index = last + 1;
+    }
+
+    return output.join('\n');
+  }
+}
+
+module.exports = { UpdatePlanner };
@@ -325,7 +325,7 @@ class CustomHandler {
         }
 
         // Compile the agent
-        const { xml } = compileAgent(yamlContent, {}, agentName, relativePath, { config });
+        const { xml } = compileAgent(yamlContent, {}, agentName, relativePath, { config, sourcePath: agentFile });
 
         // Replace placeholders in the compiled content
         let processedXml = xml;
@@ -29,12 +29,22 @@ class BaseIdeSetup {
     this.bmadFolderName = bmadFolderName;
   }
 
+  /**
+   * Project-relative paths this handler may write during setup
+   * Installs snapshot these so a failed run can restore them; override when writing elsewhere
+   * @returns {Array<string>} Relative paths
+   */
+  getProjectPaths() {
+    const candidates = [this.configDir, this.configFile, ...(Array.isArray(this.detectionPaths) ? this.detectionPaths : [])];
+    return candidates.filter((candidate) => candidate && !path.isAbsolute(candidate));
+  }
+
   /**
    * Get the agent command activation header from the central template
    * @returns {string} The activation header text
    */
   async getAgentCommandHeader() {
-    const headerPath = path.join(getSourcePath(), 'src', 'utility', 'agent-components', 'agent-command-header.md');
+    const headerPath = getSourcePath('utility', 'agent-components', 'agent-command-header.md');
     return await fs.readFile(headerPath, 'utf8');
   }
 
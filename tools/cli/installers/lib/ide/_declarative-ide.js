@@ -0,0 +1,645 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+const { BaseIdeSetup } = require('./_base-ide');
+const { AgentCommandGenerator } = require('./shared/agent-command-generator');
+const { WorkflowCommandGenerator } = require('./shared/workflow-command-generator');
+const { getTasksFromBmad } = require('./shared/bmad-artifacts');
+
+const ARTIFACT_KINDS = new Set(['agents', 'tasks', 'tools', 'workflows', 'workflow-commands']);
+const FORMATS = new Set(['md', 'toml', 'json', 'yaml']);
+const FRONTMATTER_PATTERN = /^---\s*\n[\s\S]*?\n---\s*\n/;
+
+/**
+ * Filters usable in target templates as {{ variable | filter }}
+ * Each receives the value and the artifact context
+ */
+const FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  title: (value) =>
+    value
+      .split('-')
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' '),
+  trim: (value) => value.trim(),
+  strip_frontmatter: (value) => value.replace(FRONTMATTER_PATTERN, ''),
+  process: (value, context, handler) => handler.processContent(value, { module: context.module, name: context.name }),
+};
+
+/**
+ * IDE handler driven by a target definition from targets/*.yaml
+ *
+ * A target lists the files to write for each kind of artifact (agents, tasks, tools,
+ * workflows): where they go, how they are named, their format and the template that
+ * renders them. Editors whose integration is "write one file per artifact" (or append
+ * entries to one file) need no code of their own - see "IDE Targets" in docs/installers-bundlers/installers-modules-platforms-reference.md.
+ */
+class DeclarativeIdeSetup extends BaseIdeSetup {
+  /**
+   * @param {Object} target - Parsed target definition
+   * @param {string} source - File the definition was read from, for error messages
+   */
+  constructor(target, source = 'target definition') {
+    const problems = DeclarativeIdeSetup.validateTarget(target);
+    if (problems.length > 0) {
+      throw new Error(`Invalid IDE target ${source}: ${problems.join('; ')}`);
+    }
+
+    super(target.code, target.name, target.preferred === true);
+    this.target = target;
+    this.scope = target.scope || 'project';
+    this.configDir = target.config_dir || null;
+    this.configFile = target.config_file || null;
+    this.detectionPaths = target.detection_paths || [];
+  }
+
+  /**
+   * Load a target definition file
+   * @param {string} filePath - Path to a targets/*.yaml file
+   * @returns {DeclarativeIdeSetup} Handler for the target
+   */
+  static fromFile(filePath) {
+    return new DeclarativeIdeSetup(yaml.parse(fs.readFileSync(filePath, 'utf8')), path.basename(filePath));
+  }
+
+  /**
+   * Check a target definition
+   * @param {Object} target - Parsed target definition
+   * @returns {Array<string>} Problems found (empty if valid)
+   */
+  static validateTarget(target) {
+    if (!target || typeof target !== 'object') {
+      return ['definition is not a mapping'];
+    }
+
+    const problems = [];
+    for (const field of ['code', 'name']) {
+      if (typeof target[field] !== 'string' || target[field] === '') {
+        problems.push(`missing '${field}'`);
+      }
+    }
+    if (target.scope && target.scope !== 'project' && target.scope !== 'global') {
+      problems.push(`scope must be 'project' or 'global', not '${target.scope}'`);
+    }
+    if (!Array.isArray(target.outputs) || target.outputs.length === 0) {
+      problems.push("'outputs' must list at least one output");
+    }
+
+    for (const [index, output] of (Array.isArray(target.outputs) ? target.outputs : []).entries()) {
+      if (!ARTIFACT_KINDS.has(output.artifacts)) {
+        problems.push(`outputs[${index}]: artifacts must be one of ${[...ARTIFACT_KINDS].join(', ')}`);
+      }
+      problems.push(...DeclarativeIdeSetup.validateFileSpec(output, `outputs[${index}]`));
+    }
+    if (target.custom_agent) {
+      problems.push(...DeclarativeIdeSetup.validateFileSpec(target.custom_agent, 'custom_agent'));
+    }
+
+    return problems;
+  }
+
+  /**
+   * Check the part of an output that says where and how to write
+   * @param {Object} spec - Output or custom_agent entry
+   * @param {string} label - Entry name for messages
+   * @returns {Array<string>} Problems found
+   */
+  static validateFileSpec(spec, label) {
+    const problems = [];
+    if (spec.file ? spec.dir || spec.filename : !(spec.dir && spec.filename)) {
+      problems.push(`${label}: give either 'file', or 'dir' and 'filename'`);
+    }
+    if (spec.format && !FORMATS.has(spec.format)) {
+      problems.push(`${label}: format must be one of ${[...FORMATS].join(', ')}`);
+    }
+    if (typeof spec.template !== 'string') {
+      problems.push(`${label}: missing 'template'`);
+    }
+    if (spec.file && !spec.id) {
+      problems.push(`${label}: outputs appending to a single file need an 'id'`);
+    }
+    return problems;
+  }
+
+  /**
+   * Directory that output paths are relative to
+   * @param {string} projectDir - Project directory
+   * @returns {string} Project directory, or the home directory for global targets
+   */
+  getRoot(projectDir) {
+    return this.scope === 'global' ? os.homedir() : projectDir;
+  }
+
+  /**
+   * Project-relative paths written by the target: its config paths, output roots and the
+   * files touched by cleanup actions
+   * @returns {Array<string>} Relative paths
+   */
+  getProjectPaths() {
+    if (this.scope === 'global') {
+      return [];
+    }
+
+    const paths = new Set(super.getProjectPaths());
+    const specs = [...this.target.outputs, this.target.custom_agent].filter(Boolean);
+    const actions = [...(this.target.prepare || []), ...(this.target.cleanup || [])];
+    const candidates = [...specs.map((spec) => spec.file || spec.dir), ...actions.map((action) => this.actionPath(action))];
+
+    for (const candidate of candidates) {
+      const first = candidate.split('/')[0];
+      if (first && !first.includes('{{') && !first.includes('*')) {
+        paths.add(first);
+      }
+    }
+
+    return [...paths];
+  }
+
+  /**
+   * Detect whether the target is configured
+   * @param {string} projectDir - Project directory
+   * @returns {boolean}
+   */
+  async detect(projectDir) {
+    return super.detect(this.getRoot(projectDir));
+  }
+
+  /**
+   * Write every output of the target
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} options - Setup options
+   */
+  async setup(projectDir, bmadDir, options = {}) {
+    console.log(chalk.cyan(`Setting up ${this.name}...`));
+
+    const root = this.getRoot(projectDir);
+    if (this.target.clean_before_setup) {
+      await this.cleanup(projectDir);
+    }
+    await this.runActions(this.target.prepare, root);
+
+    const counts = {};
+    let skipped = 0;
+    const locations = new Set();
+    for (const output of this.target.outputs) {
+      const artifacts = await this.collectArtifacts(output, bmadDir, options.selectedModules || []);
+      const contexts = [];
+      for (const artifact of artifacts) {
+        contexts.push(await this.createContext(artifact, projectDir));
+      }
+
+      const result = await this.writeOutput(output, contexts, root);
+      const kind = output.artifacts === 'workflow-commands' ? 'workflows' : output.artifacts;
+      counts[kind] = (counts[kind] || 0) + result.written;
+      skipped += result.skipped;
+      locations.add(output.file || output.dir.split('/{{')[0]);
+    }
+
+    console.log(chalk.green(`✓ ${this.name} configured:`));
+    for (const [kind, count] of Object.entries(counts)) {
+      console.log(chalk.dim(`  - ${count} ${kind} installed`));
+    }
+    if (skipped > 0) {
+      console.log(chalk.dim(`  - ${skipped} skipped (already exist)`));
+    }
+    console.log(chalk.dim(`  - Location: ${[...locations].map((location) => this.displayPath(location)).join(', ')}`));
+
+    return { success: true, ...counts, skipped };
+  }
+
+  /**
+   * Remove what the target installed
+   * @param {string} projectDir - Project directory
+   */
+  async cleanup(projectDir) {
+    await this.runActions(this.target.cleanup, this.getRoot(projectDir));
+  }
+
+  /**
+   * Install a launcher for a custom agent, when the target defines custom_agent
+   * @param {string} projectDir - Project directory
+   * @param {string} agentName - Agent name (e.g., "fred-commit-poet")
+   * @param {string} agentPath - Path to compiled agent (relative to project root)
+   * @param {Object} metadata - Agent metadata
+   * @returns {Object|null} Installation result
+   */
+  async installCustomAgentLauncher(projectDir, agentName, agentPath, metadata) {
+    const spec = this.target.custom_agent;
+    if (!spec) {
+      return null;
+    }
+
+    const context = await this.createContext(
+      { module: 'custom', name: agentName, content: '', sourcePath: path.join(projectDir, agentPath) },
+      projectDir,
+    );
+    context.source_path = agentPath;
+
+    const root = this.getRoot(projectDir);
+    const result = await this.writeOutput(spec, [context], root);
+    const filePath = this.resolvePath(root, spec.file || path.posix.join(spec.dir, spec.filename), context);
+
+    return {
+      ide: this.name,
+      path: this.scope === 'global' ? filePath : path.relative(projectDir, filePath),
+      command: this.render(spec.command || '{{name}}', context),
+      type: 'custom-agent-launcher',
+      ...(result.skipped > 0 && { alreadyExists: true }),
+    };
+  }
+
+  /**
+   * Gather the artifacts an output renders
+   * @param {Object} output - Output definition
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<string>} selectedModules - Modules chosen for the install
+   * @returns {Array<Object>} Artifacts { module, name, content?, sourcePath, description? }
+   */
+  async collectArtifacts(output, bmadDir, selectedModules) {
+    switch (output.artifacts) {
+      case 'agents': {
+        const { artifacts } = await new AgentCommandGenerator(this.bmadFolderName).collectAgentArtifacts(bmadDir, selectedModules);
+        return artifacts;
+      }
+      case 'tasks': {
+        // selected_modules_only reads .md tasks of the chosen modules instead of scanning every module
+        const tasks = output.selected_modules_only
+          ? await getTasksFromBmad(bmadDir, selectedModules)
+          : await this.getTasks(bmadDir, output.standalone === true);
+        return tasks.map((task) => ({ ...task, sourcePath: task.path }));
+      }
+      case 'tools': {
+        const tools = await this.getTools(bmadDir, output.standalone === true);
+        return tools.map((tool) => ({ ...tool, sourcePath: tool.path }));
+      }
+      case 'workflows': {
+        const workflows = await this.getWorkflows(bmadDir, output.standalone === true);
+        return workflows.map((workflow) => ({ ...workflow, sourcePath: workflow.path }));
+      }
+      default: {
+        const { artifacts } = await new WorkflowCommandGenerator(this.bmadFolderName).collectWorkflowArtifacts(bmadDir);
+        return artifacts
+          .filter((artifact) => artifact.type === 'workflow-command')
+          .map((artifact) => ({
+            module: artifact.module,
+            name: path.basename(artifact.relativePath, '.md'),
+            content: artifact.content,
+            sourcePath: artifact.sourcePath,
+          }));
+      }
+    }
+  }
+
+  /**
+   * Template variables shared by every file rendered for an artifact
+   * @param {Object} artifact - Collected artifact
+   * @param {string} projectDir - Project directory
+   * @returns {Object} Context
+   */
+  async createContext(artifact, projectDir) {
+    const source = artifact.sourcePath && (await fs.pathExists(artifact.sourcePath)) ? await fs.readFile(artifact.sourcePath, 'utf8') : '';
+    if (this.activationHeader === undefined) {
+      this.activationHeader = await this.getAgentCommandHeader();
+    }
+
+    return {
+      module: artifact.module,
+      name: artifact.name,
+      content: artifact.content === undefined ? source : artifact.content,
+      source,
+      source_path: artifact.sourcePath ? path.relative(projectDir, artifact.sourcePath).replaceAll('\\', '/') : '',
+      description: artifact.description || '',
+      activation_header: this.activationHeader,
+      bmad_folder: this.bmadFolderName,
+    };
+  }
+
+  /**
+   * Render and write the files of one output
+   * @param {Object} spec - Output or custom_agent definition
+   * @param {Array<Object>} contexts - One context per artifact
+   * @param {string} root - Directory paths are relative to
+   * @returns {Object} { written, skipped }
+   */
+  async writeOutput(spec, contexts, root) {
+    if (spec.file) {
+      return this.appendEntries(spec, contexts, root);
+    }
+
+    let written = 0;
+    let skipped = 0;
+    for (const baseContext of contexts) {
+      const context = this.resolveVars(spec.vars, baseContext);
+      const filePath = this.resolvePath(root, path.posix.join(spec.dir, spec.filename), context);
+
+      if (spec.skip_existing && (await this.pathExists(filePath))) {
+        skipped++;
+        continue;
+      }
+
+      await this.writeFile(filePath, this.formatFile(spec, context));
+      written++;
+    }
+
+    return { written, skipped };
+  }
+
+  /**
+   * Append one entry per artifact to a shared file (e.g. a YAML list of modes)
+   * Entries whose id already appears in the file are left alone
+   * @param {Object} spec - Output definition with file, id and optional list
+   * @param {Array<Object>} contexts - One context per artifact
+   * @param {string} root - Directory paths are relative to
+   * @returns {Object} { written, skipped }
+   */
+  async appendEntries(spec, contexts, root) {
+    const filePath = this.resolvePath(root, spec.file, {});
+    const existing = (await this.pathExists(filePath)) ? await this.readFile(filePath) : '';
+    const header = spec.list ? `${spec.list}:\n` : '';
+
+    const added = new Set();
+    let entries = '';
+    let skipped = 0;
+    for (const baseContext of contexts) {
+      const context = this.resolveVars(spec.vars, baseContext);
+      const id = this.render(spec.id, context);
+      const idPattern = new RegExp(`(^|[^\\w-])${id.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`)}($|[^\\w-])`, 'm');
+
+      if (idPattern.test(existing) || added.has(id)) {
+        skipped++;
+        continue;
+      }
+      added.add(id);
+      entries += this.render(spec.template, context);
+    }
+
+    if (entries === '') {
+      return { written: 0, skipped };
+    }
+
+    let content;
+    if (existing === '') {
+      content = header + entries;
+    } else if (header === '' || existing.includes(header)) {
+      content = `${existing.trimEnd()}\n${entries}`;
+    } else {
+      content = `${existing.trimEnd()}\n\n${header}${entries}`;
+    }
+    await this.writeFile(filePath, content);
+
+    return { written: contexts.length - skipped, skipped };
+  }
+
+  /**
+   * Render a file in the output's format
+   * md: optional --- frontmatter --- block, then the template
+   * toml/json/yaml: frontmatter fields as keys, the template under body_key (default "prompt")
+   * @param {Object} spec - Output definition
+   * @param {Object} context - Template variables
+   * @returns {string} File content
+   */
+  formatFile(spec, context) {
+    const body = this.render(spec.template, context);
+    const fields = Object.entries(spec.frontmatter || {}).map(([key, value]) => [key, this.render(String(value), context)]);
+    const bodyKey = spec.body_key || 'prompt';
+
+    switch (spec.format || 'md') {
+      case 'toml': {
+        const quote = (value) => `"${value.replaceAll('\\', '\\\\').replaceAll('"', String.raw`\"`)}"`;
+        const lines = fields.map(([key, value]) => `${key} = ${quote(value)}`);
+        return `${lines.join('\n')}${lines.length > 0 ? '\n' : ''}${bodyKey} = """\n${body}\n"""\n`;
+      }
+      case 'json': {
+        return `${JSON.stringify({ ...Object.fromEntries(fields), [bodyKey]: body }, null, 2)}\n`;
+      }
+      case 'yaml': {
+        return yaml.stringify({ ...Object.fromEntries(fields), [bodyKey]: body });
+      }
+      default: {
+        // Frontmatter values are written as given, so templates quote them when YAML needs it
+        if (fields.length === 0) {
+          return body;
+        }
+        return `---\n${fields.map(([key, value]) => `${key}: ${value}`).join('\n')}\n---\n\n${body}`;
+      }
+    }
+  }
+
+  /**
+   * Add the output's own variables to a context
+   * A variable is a template string, or a rule { from, when, match, value, default } -
+   * or a list of rules, of which the first whose `when` text occurs in the input applies.
+   * `match` is a regex run on the input (the artifact content, or its source file with
+   * from: source); its first group is available to `value` as {{match}}, and `default`
+   * is used when it does not match or `value` renders empty.
+   * @param {Object} vars - Variable definitions, evaluated in order
+   * @param {Object} baseContext - Artifact context
+   * @returns {Object} Context with the variables added
+   */
+  resolveVars(vars, baseContext) {
+    const context = { ...baseContext };
+
+    for (const [name, definition] of Object.entries(vars || {})) {
+      const rules = Array.isArray(definition) ? definition : [definition];
+      let value = '';
+
+      for (const rule of rules) {
+        if (typeof rule === 'string') {
+          value = this.render(rule, context);
+          break;
+        }
+
+        const input = rule.from === 'source' ? context.source : context.content;
+        const when = rule.when === undefined ? [] : [rule.when].flat();
+        if (when.length > 0 && !when.some((text) => input.includes(text))) {
+          continue;
+        }
+
+        if (rule.match) {
+          const found = input.match(new RegExp(rule.match));
+          value = found ? this.render(rule.value || '{{match}}', { ...context, match: found[1] ?? found[0] }) : '';
+        } else {
+          value = this.render(rule.value || '', context);
+        }
+        if (value === '' && rule.default !== undefined) {
+          value = this.render(rule.default, context);
+        }
+        break;
+      }
+
+      context[name] = value;
+    }
+
+    return context;
+  }
+
+  /**
+   * Replace {{ variable | filter | ... }} placeholders
+   * Single pass, so text inserted from artifacts is never expanded again
+   * @param {string} template - Template text
+   * @param {Object} context - Variables
+   * @returns {string} Rendered text
+   */
+  render(template, context) {
+    return template.replaceAll(/\{\{\s*([\w-]+)((?:\s*\|\s*\w+)*)\s*\}\}/g, (placeholder, name, filterList) => {
+      if (!(name in context)) {
+        throw new Error(`${this.name} target: unknown template variable "${name}"`);
+      }
+
+      let value = String(context[name] ?? '');
+      for (const filter of filterList
+        .split('|')
+        .map((entry) => entry.trim())
+        .filter(Boolean)) {
+        if (!FILTERS[filter]) {
+          throw new Error(`${this.name} target: unknown template filter "${filter}"`);
+        }
+        value = FILTERS[filter](value, context, this);
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Resolve a templated path below the target root
+   * @param {string} root - Project or home directory
+   * @param {string} relativePath - POSIX path template
+   * @param {Object} context - Variables
+   * @returns {string} Absolute path
+   */
+  resolvePath(root, relativePath, context) {
+    return path.join(root, ...this.render(relativePath, context).split('/'));
+  }
+
+  /**
+   * Show a target path the way users know it
+   */
+  displayPath(relativePath) {
+    return this.scope === 'global' ? `~/${relativePath}` : relativePath;
+  }
+
+  /**
+   * Path an action works on
+   * @param {Object} action - Cleanup or prepare action
+   * @returns {string} Relative path
+   */
+  actionPath(action) {
+    return action.remove || action.remove_modes || (action.prune_json_list && action.prune_json_list.file) || '';
+  }
+
+  /**
+   * Run cleanup or prepare actions
+   * - remove: path, or dir/pattern* to remove the matching files in dir
+   * - remove_modes: file - drop "- slug: bmad-*" entries from a Roo/Kilo style modes file
+   * - prune_json_list: { file, key, prefixes } - drop list entries starting with a prefix
+   * @param {Array<Object>} actions - Actions to run
+   * @param {string} root - Directory paths are relative to
+   */
+  async runActions(actions = [], root) {
+    for (const action of actions) {
+      if (action.remove) {
+        await this.removePath(root, action.remove);
+      } else if (action.remove_modes) {
+        await this.removeModes(path.join(root, action.remove_modes));
+      } else if (action.prune_json_list) {
+        await this.pruneJsonList(root, action.prune_json_list);
+      } else {
+        throw new Error(`${this.name} target: unknown action ${JSON.stringify(action)}`);
+      }
+    }
+  }
+
+  /**
+   * Remove a path, or the files matching a wildcard in its last segment
+   */
+  async removePath(root, relativePath) {
+    const target = path.join(root, relativePath);
+    const pattern = path.basename(target);
+
+    if (!pattern.includes('*')) {
+      if (await fs.pathExists(target)) {
+        await fs.remove(target);
+        console.log(chalk.dim(`  Removed ${this.displayPath(relativePath)}`));
+      }
+      return;
+    }
+
+    const dir = path.dirname(target);
+    if (!(await fs.pathExists(dir))) {
+      return;
+    }
+    const matcher = new RegExp(`^${pattern.replaceAll(/[.+?^${}()|[\]\\]/g, String.raw`\$&`).replaceAll('*', '.*')}$`);
+    let removed = 0;
+    for (const file of await fs.readdir(dir)) {
+      if (matcher.test(file)) {
+        await fs.remove(path.join(dir, file));
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      console.log(chalk.dim(`  Removed ${removed} BMAD file(s) from ${this.displayPath(path.posix.dirname(relativePath))}`));
+    }
+  }
+
+  /**
+   * Drop BMAD entries from a modes file, keeping everything else
+   */
+  async removeModes(filePath) {
+    if (!(await fs.pathExists(filePath))) {
+      return;
+    }
+
+    const filteredLines = [];
+    let skipMode = false;
+    let removed = 0;
+    for (const line of (await fs.readFile(filePath, 'utf8')).split('\n')) {
+      if (/^\s*- slug: bmad-/.test(line)) {
+        skipMode = true;
+        removed++;
+      } else if (skipMode && /^\s*- slug: /.test(line)) {
+        skipMode = false;
+      }
+
+      if (!skipMode) {
+        filteredLines.push(line);
+      }
+    }
+
+    await fs.writeFile(filePath, filteredLines.join('\n'));
+    if (removed > 0) {
+      console.log(chalk.dim(`  Removed ${removed} BMAD modes from ${path.basename(filePath)}`));
+    }
+  }
+
+  /**
+   * Drop entries from a list in a JSON settings file
+   */
+  async pruneJsonList(root, { file, key, prefixes = [] }) {
+    const filePath = path.join(root, file);
+    if (!(await fs.pathExists(filePath))) {
+      return;
+    }
+
+    try {
+      const settings = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (!Array.isArray(settings[key])) {
+        return;
+      }
+
+      const kept = settings[key].filter((entry) => !prefixes.some((prefix) => String(entry).startsWith(prefix)));
+      if (kept.length !== settings[key].length) {
+        settings[key] = kept;
+        await fs.writeFile(filePath, JSON.stringify(settings, null, 2));
+        console.log(chalk.green(`  ✓ Updated ${this.displayPath(file)}`));
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`  ⚠ Could not update ${file}:`), error.message);
+    }
+  }
+}
+
+module.exports = { DeclarativeIdeSetup };
@@ -205,6 +205,14 @@ class CodexSetup extends BaseIdeSetup {
     };
   }
 
+  /**
+   * Project-level installs write to .codex/ (global installs go to the home directory)
+   * @returns {Array<string>} Relative paths
+   */
+  getProjectPaths() {
+    return ['.codex'];
+  }
+
   getCodexPromptDir(projectDir = null, location = 'global') {
     if (location === 'project' && projectDir) {
       return path.join(projectDir, '.codex', 'prompts');
@@ -16,6 +16,14 @@ class GitHubCopilotSetup extends BaseIdeSetup {
     this.vscodeDir = '.vscode';
   }
 
+  /**
+   * Copilot also writes VS Code settings
+   * @returns {Array<string>} Relative paths
+   */
+  getProjectPaths() {
+    return [...super.getProjectPaths(), this.vscodeDir];
+  }
+
   /**
    * Collect configuration choices before installation
    * @param {Object} options - Configuration options
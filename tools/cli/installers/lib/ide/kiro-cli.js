@@ -3,6 +3,7 @@ const { BaseIdeSetup } = require('./_base-ide');
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const yaml = require('yaml');
+const { resolveAgentExtends } = require('../../../lib/agent/inheritance');
 
 /**
  * Kiro CLI setup handler for BMad Method
@@ -150,7 +151,7 @@ class KiroCliSetup extends BaseIdeSetup {
    */
   async processAgentFile(agentFile, agentsDir, projectDir) {
     const yamlContent = await fs.readFile(agentFile, 'utf8');
-    const agentData = yaml.parse(yamlContent);
+    const agentData = resolveAgentExtends(yaml.parse(yamlContent), agentFile);
 
     if (!this.validateBmadCompliance(agentData)) {
       return;
@@ -1,14 +1,26 @@
 const fs = require('fs-extra');
 const path = require('node:path');
 const chalk = require('chalk');
+const { BaseIdeSetup } = require('./_base-ide');
+const { DeclarativeIdeSetup } = require('./_declarative-ide');
+const platformCodes = require('../../../lib/platform-codes');
+const { getProjectRoot } = require('../../../lib/project-root');
+
+// npm packages named like this (optionally scoped) are loaded as IDE handler plugins
+const PLUGIN_PACKAGE_PATTERN = /^bmad-ide-[a-z0-9-]+$/;
+
+// Methods every handler must provide; subclasses of BaseIdeSetup inherit all but setup()
+const HANDLER_METHODS = ['setup', 'cleanup', 'detect', 'getProjectPaths', 'setBmadFolderName', 'installCustomAgentLauncher'];
 
 /**
  * IDE Manager - handles IDE-specific setup
- * Dynamically discovers and loads IDE handlers
+ * Dynamically discovers and loads IDE handlers, including third-party plugins
  */
 class IdeManager {
   constructor() {
     this.handlers = new Map();
+    this.pluginSources = new Map(); // handler name -> file or package it was loaded from
+    this.loadedPluginDirs = new Set();
     this.loadHandlers();
     this.bmadFolderName = 'bmad'; // Default, can be overridden
   }
@@ -76,6 +88,202 @@ class IdeManager {
     } catch (error) {
       console.error(chalk.red('Failed to load IDE handlers:'), error.message);
     }
+
+    this.loadTargets();
+  }
+
+  /**
+   * Load the declarative IDE targets in targets/*.yaml
+   * Each file describes an IDE that DeclarativeIdeSetup installs without a handler class
+   */
+  loadTargets() {
+    const targetsDir = path.join(__dirname, 'targets');
+
+    for (const file of this.readDirSafe(targetsDir)
+      .filter((entry) => entry.endsWith('.yaml'))
+      .sort()) {
+      try {
+        const handler = DeclarativeIdeSetup.fromFile(path.join(targetsDir, file));
+        if (this.handlers.has(handler.name)) {
+          throw new Error(`IDE "${handler.name}" already has a handler`);
+        }
+        this.handlers.set(handler.name, handler);
+      } catch (error) {
+        console.log(chalk.yellow(`  Warning: Could not load IDE target ${file}: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Load third-party IDE handlers for a project
+   * Plugins come from npm packages named bmad-ide-* (or @scope/bmad-ide-*) and from
+   * .js files or folders in _bmad/_config/ide-plugins/. A plugin exports a handler class
+   * the same way built-in handlers do (or `createHandler({ BaseIdeSetup })` returning one),
+   * plus an optional `platform` entry in platform-codes.yaml format. Handlers that break the BaseIdeSetup contract, or reuse
+   * the name of a loaded handler, are skipped with a warning. Safe to call repeatedly.
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory (defaults to <projectDir>/_bmad)
+   * @returns {Array<string>} Names of the handlers loaded by this call
+   */
+  loadPlugins(projectDir, bmadDir = path.join(projectDir, '_bmad')) {
+    const loaded = [];
+
+    for (const candidate of this.discoverPlugins(projectDir, bmadDir)) {
+      try {
+        const pluginPath = this.resolvePlugin(candidate);
+        if (pluginPath) {
+          loaded.push(this.registerPlugin(require(pluginPath), pluginPath));
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`  Warning: Skipped IDE plugin ${candidate.path}: ${error.message}`));
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Find plugin candidates; they are checked one by one in resolvePlugin()
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Array<Object>} Candidates { path, local } where local marks entries of ide-plugins/
+   */
+  discoverPlugins(projectDir, bmadDir) {
+    const candidates = [];
+
+    // npm packages: the project's own dependencies and the ones installed next to BMAD
+    const bmadRoot = getProjectRoot();
+    const nodeModulesDirs = [path.join(projectDir, 'node_modules'), path.join(bmadRoot, 'node_modules')];
+    if (path.basename(path.dirname(bmadRoot)) === 'node_modules') {
+      nodeModulesDirs.push(path.dirname(bmadRoot));
+    }
+    for (const dir of nodeModulesDirs) {
+      for (const entry of this.readDirSafe(dir)) {
+        if (entry.startsWith('@')) {
+          for (const scoped of this.readDirSafe(path.join(dir, entry))) {
+            if (PLUGIN_PACKAGE_PATTERN.test(scoped)) {
+              candidates.push({ path: path.join(dir, entry, scoped), local: false });
+            }
+          }
+        } else if (PLUGIN_PACKAGE_PATTERN.test(entry)) {
+          candidates.push({ path: path.join(dir, entry), local: false });
+        }
+      }
+    }
+
+    // Project-local plugins
+    const pluginDir = path.join(bmadDir, '_config', 'ide-plugins');
+    for (const entry of this.readDirSafe(pluginDir).sort()) {
+      candidates.push({ path: path.join(pluginDir, entry), local: true });
+    }
+    return candidates;
+  }
+
+  /**
+   * Path to require for a plugin candidate
+   * Throws for unreadable candidates such as dangling symlinks, so the caller skips them.
+   * @param {Object} candidate - Entry from discoverPlugins()
+   * @returns {string|null} Real path, or null if it is not a plugin or was loaded before
+   */
+  resolvePlugin(candidate) {
+    // ide-plugins/ holds .js files and folders; anything else there is ignored
+    if (candidate.local && !candidate.path.endsWith('.js') && !fs.statSync(candidate.path).isDirectory()) {
+      return null;
+    }
+    const resolved = fs.realpathSync(candidate.path);
+    if (this.loadedPluginDirs.has(resolved)) {
+      return null;
+    }
+    this.loadedPluginDirs.add(resolved);
+    return resolved;
+  }
+
+  /**
+   * Entries of a directory, or none if it does not exist
+   */
+  readDirSafe(dir) {
+    try {
+      return fs.readdirSync(dir);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Validate and register a plugin module
+   * @param {Object|Function} pluginModule - The module's exports
+   * @param {string} source - Where the module was loaded from
+   * @returns {string} Registered handler name
+   */
+  registerPlugin(pluginModule, source) {
+    let HandlerClass;
+    if (pluginModule && typeof pluginModule.createHandler === 'function') {
+      // Factory form, for plugins that cannot require BMAD themselves (e.g. files in ide-plugins/)
+      HandlerClass = pluginModule.createHandler({ BaseIdeSetup });
+    } else {
+      const exportsList = typeof pluginModule === 'function' ? [pluginModule] : Object.values(pluginModule || {});
+      HandlerClass = (pluginModule && pluginModule.default) || exportsList.find((value) => typeof value === 'function');
+    }
+    if (typeof HandlerClass !== 'function') {
+      throw new TypeError('no handler class exported');
+    }
+
+    const handler = new HandlerClass();
+    const problems = this.validateHandler(handler);
+    if (this.handlers.has(handler.name)) {
+      problems.push(`IDE "${handler.name}" is already provided by ${this.pluginSources.get(handler.name) || 'BMAD'}`);
+    }
+
+    const platform = {
+      name: handler.displayName || handler.name,
+      preferred: false,
+      category: 'ide',
+      ...pluginModule.platform,
+    };
+    problems.push(...platformCodes.validatePlatform(handler.name, platform));
+
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
+    handler.displayName = platform.name;
+    handler.preferred = platform.preferred;
+    handler.setBmadFolderName(this.bmadFolderName);
+    platformCodes.registerPlatform(handler.name, { ...platform, plugin: source });
+    this.handlers.set(handler.name, handler);
+    this.pluginSources.set(handler.name, source);
+    return handler.name;
+  }
+
+  /**
+   * Check a handler instance against the BaseIdeSetup contract
+   * @param {Object} handler - Handler instance
+   * @returns {Array<string>} Problems found (empty if valid)
+   */
+  validateHandler(handler) {
+    const problems = [];
+
+    if (typeof handler.name !== 'string' || handler.name === '') {
+      problems.push("handler has no 'name'");
+    }
+    for (const method of HANDLER_METHODS) {
+      if (typeof handler[method] !== 'function') {
+        problems.push(`missing ${method}()`);
+      }
+    }
+    if (handler.setup === BaseIdeSetup.prototype.setup) {
+      problems.push('setup() is not implemented');
+    }
+
+    if (typeof handler.getProjectPaths === 'function') {
+      // Installs snapshot these paths for rollback, so they must stay inside the project
+      const projectPaths = handler.getProjectPaths();
+      if (!Array.isArray(projectPaths) || projectPaths.some((entry) => typeof entry !== 'string' || path.isAbsolute(entry))) {
+        problems.push('getProjectPaths() must return project-relative paths');
+      }
+    }
+
+    return problems;
   }
 
   /**
@@ -98,6 +306,7 @@ class IdeManager {
         value: key,
         name: name,
         preferred: handler.preferred || false,
+        plugin: this.pluginSources.has(key),
       });
     }
 
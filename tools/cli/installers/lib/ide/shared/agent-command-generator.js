@@ -5,21 +5,23 @@ const chalk = require('chalk');
 /**
  * Generates launcher command files for each agent
  * Similar to WorkflowCommandGenerator but for agents
+ * Teams get a launcher too: it loads the compiled team file the way an agent launcher loads an agent.
  */
 class AgentCommandGenerator {
   constructor(bmadFolderName = 'bmad') {
     this.templatePath = path.join(__dirname, '../templates/agent-command-template.md');
+    this.teamTemplatePath = path.join(__dirname, '../templates/team-command-template.md');
     this.bmadFolderName = bmadFolderName;
   }
 
   /**
-   * Collect agent artifacts for IDE installation
+   * Collect agent and team launcher artifacts for IDE installation
    * @param {string} bmadDir - BMAD installation directory
    * @param {Array} selectedModules - Modules to include
    * @returns {Object} Artifacts array with metadata
    */
   async collectAgentArtifacts(bmadDir, selectedModules = []) {
-    const { getAgentsFromBmad } = require('./bmad-artifacts');
+    const { getAgentsFromBmad, getTeamsFromBmad } = require('./bmad-artifacts');
 
     // Get agents from INSTALLED bmad/ directory
     const agents = await getAgentsFromBmad(bmadDir, selectedModules);
@@ -40,10 +42,25 @@ class AgentCommandGenerator {
       });
     }
 
+    const teams = await getTeamsFromBmad(bmadDir, selectedModules);
+    for (const team of teams) {
+      artifacts.push({
+        type: 'agent-launcher',
+        team: true,
+        module: team.module,
+        name: team.name,
+        relativePath: path.join(team.module, 'teams', team.relativePath),
+        content: await this.generateLauncherContent(team, this.teamTemplatePath),
+        sourcePath: team.path,
+        description: team.description,
+      });
+    }
+
     return {
       artifacts,
       counts: {
         agents: agents.length,
+        teams: teams.length,
       },
     };
   }
@@ -51,11 +68,12 @@ class AgentCommandGenerator {
   /**
    * Generate launcher content for an agent
    * @param {Object} agent - Agent metadata
+   * @param {string} [templatePath] - Launcher template (defaults to the agent template)
    * @returns {string} Launcher file content
    */
-  async generateLauncherContent(agent) {
+  async generateLauncherContent(agent, templatePath = this.templatePath) {
     // Load the template
-    const template = await fs.readFile(this.templatePath, 'utf8');
+    const template = await fs.readFile(templatePath, 'utf8');
 
     // Replace template variables
     // Use relativePath if available (for nested agents), otherwise just name with .md
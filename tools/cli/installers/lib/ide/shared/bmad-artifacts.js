@@ -56,6 +56,39 @@ async function getAgentsFromBmad(bmadDir, selectedModules = []) {
   return agents;
 }
 
+/**
+ * Compiled team files (<module>/teams/<team>.md) of core and the selected modules
+ */
+async function getTeamsFromBmad(bmadDir, selectedModules = []) {
+  const teams = [];
+
+  for (const moduleName of ['core', ...selectedModules.filter((m) => m !== 'core')]) {
+    const teamsPath = path.join(bmadDir, moduleName, 'teams');
+    if (!(await fs.pathExists(teamsPath))) {
+      continue;
+    }
+
+    for (const file of (await fs.readdir(teamsPath)).sort()) {
+      if (!file.endsWith('.md')) continue;
+
+      const filePath = path.join(teamsPath, file);
+      const content = await fs.readFile(filePath, 'utf8');
+      if (!content.includes('<team')) continue;
+
+      const name = /<team [^>]*name="([^"]*)"/.exec(content);
+      teams.push({
+        path: filePath,
+        name: file.replace('.md', ''),
+        module: moduleName,
+        relativePath: file,
+        description: name ? `${name[1]} team` : undefined,
+      });
+    }
+  }
+
+  return teams;
+}
+
 async function getTasksFromBmad(bmadDir, selectedModules = []) {
   const tasks = [];
 
@@ -152,6 +185,7 @@ async function getTasksFromDir(dirPath, moduleName) {
 
 module.exports = {
   getAgentsFromBmad,
+  getTeamsFromBmad,
   getTasksFromBmad,
   getAgentsFromDir,
   getTasksFromDir,
@@ -5,6 +5,19 @@ const chalk = require('chalk');
 const { XmlHandler } = require('../../../lib/xml-handler');
 const { getProjectRoot, getSourcePath, getModulePath } = require('../../../lib/project-root');
 const { filterCustomizationData } = require('../../../lib/agent/compiler');
+const { compileTeamFile } = require('../../../lib/team-compiler');
+const { isAgentLocaleFile } = require('../../../lib/agent/locale');
+const { getAgentSourceMapPath } = require('../../../lib/agent/source-map');
+
+// Game development files to conditionally exclude
+const GAME_DEV_FILES = [
+  'agents/game-architect.agent.yaml',
+  'agents/game-designer.agent.yaml',
+  'agents/game-dev.agent.yaml',
+  'workflows/1-analysis/brainstorm-game',
+  'workflows/1-analysis/game-brief',
+  'workflows/2-plan-workflows/gdd',
+];
 
 /**
  * Manages the installation, updating, and removal of BMAD modules.
@@ -465,6 +478,9 @@ class ModuleManager {
     // Compile any .agent.yaml files to .md format
     await this.compileModuleAgents(sourcePath, targetPath, moduleName, bmadDir);
 
+    // Compile teams/*.yaml to the team files IDE launchers load
+    await this.compileModuleTeams(sourcePath, targetPath, moduleName);
+
     // Process agent files to inject activation block
     await this.processAgentFiles(targetPath, moduleName);
 
@@ -591,67 +607,11 @@ class ModuleManager {
     // Get all files in source
     const sourceFiles = await this.getFileList(sourcePath);
 
-    // Game development files to conditionally exclude
-    const gameDevFiles = [
-      'agents/game-architect.agent.yaml',
-      'agents/game-designer.agent.yaml',
-      'agents/game-dev.agent.yaml',
-      'workflows/1-analysis/brainstorm-game',
-      'workflows/1-analysis/game-brief',
-      'workflows/2-plan-workflows/gdd',
-    ];
-
     for (const file of sourceFiles) {
-      // Skip sub-modules directory - these are IDE-specific and handled separately
-      if (file.startsWith('sub-modules/')) {
-        continue;
-      }
-
-      // Skip sidecar directories - they are handled separately during agent compilation
-      if (
-        path
-          .dirname(file)
-          .split('/')
-          .some((dir) => dir.toLowerCase().includes('sidecar'))
-      ) {
-        continue;
-      }
-
-      // Skip _module-installer directory - it's only needed at install time
-      if (file.startsWith('_module-installer/') || file === 'module.yaml') {
-        continue;
-      }
-
-      // Skip config.yaml templates - we'll generate clean ones with actual values
-      // Also skip custom.yaml files - their values will be merged into core config
-      if (file === 'config.yaml' || file.endsWith('/config.yaml') || file === 'custom.yaml' || file.endsWith('/custom.yaml')) {
-        continue;
-      }
-
-      // Skip .agent.yaml files - they will be compiled separately
-      if (file.endsWith('.agent.yaml')) {
-        continue;
-      }
-
-      // Skip user documentation if install_user_docs is false
-      if (moduleConfig.install_user_docs === false && (file.startsWith('docs/') || file.startsWith('docs\\'))) {
-        console.log(chalk.dim(`  Skipping user documentation: ${file}`));
+      if (this.isSkippedModuleFile(file, moduleConfig)) {
         continue;
       }
 
-      // Skip game development content if include_game_planning is false
-      if (moduleConfig.include_game_planning === false) {
-        const shouldSkipGameDev = gameDevFiles.some((gamePath) => {
-          // Check if file path starts with or is within any game dev directory
-          return file === gamePath || file.startsWith(gamePath + '/') || file.startsWith(gamePath + '\\');
-        });
-
-        if (shouldSkipGameDev) {
-          console.log(chalk.dim(`  Skipping game dev content: ${file}`));
-          continue;
-        }
-      }
-
       const sourceFile = path.join(sourcePath, file);
       const targetFile = path.join(targetPath, file);
 
@@ -668,14 +628,7 @@ class ModuleManager {
         }
       }
 
-      // Check if this is a workflow.yaml file
-      if (file.endsWith('workflow.yaml')) {
-        await fs.ensureDir(path.dirname(targetFile));
-        await this.copyWorkflowYamlStripped(sourceFile, targetFile);
-      } else {
-        // Copy the file with placeholder replacement
-        await this.copyFileWithPlaceholderReplacement(sourceFile, targetFile);
-      }
+      await this.copyModuleFile(sourceFile, targetFile);
 
       // Track the file if callback provided
       if (fileTrackingCallback) {
@@ -684,6 +637,84 @@ class ModuleManager {
     }
   }
 
+  /**
+   * Check whether a module file is left out of the installation (or installed another way)
+   * @param {string} file - Path relative to the module source, with / separators
+   * @param {Object} moduleConfig - Module configuration with conditional flags
+   * @returns {boolean} True if copyModuleWithFiltering() does not copy the file
+   */
+  isSkippedModuleFile(file, moduleConfig = {}) {
+    // Skip sub-modules directory - these are IDE-specific and handled separately
+    if (file.startsWith('sub-modules/')) {
+      return true;
+    }
+
+    // Skip sidecar directories - they are handled separately during agent compilation
+    if (
+      path
+        .dirname(file)
+        .split('/')
+        .some((dir) => dir.toLowerCase().includes('sidecar'))
+    ) {
+      return true;
+    }
+
+    // Skip _module-installer directory - it's only needed at install time
+    if (file.startsWith('_module-installer/') || file === 'module.yaml') {
+      return true;
+    }
+
+    // Skip config.yaml templates - we'll generate clean ones with actual values
+    // Also skip custom.yaml files - their values will be merged into core config
+    if (file === 'config.yaml' || file.endsWith('/config.yaml') || file === 'custom.yaml' || file.endsWith('/custom.yaml')) {
+      return true;
+    }
+
+    // Skip .agent.yaml files - they will be compiled separately
+    // Skip .mixin.yaml files - they are merged into the agents that extend them
+    // Skip locale overlays (.agent.<locale>.yaml) - they are merged into the agents they translate
+    if (file.endsWith('.agent.yaml') || file.endsWith('.mixin.yaml') || isAgentLocaleFile(file)) {
+      return true;
+    }
+
+    // Skip user documentation if install_user_docs is false
+    if (moduleConfig.install_user_docs === false && (file.startsWith('docs/') || file.startsWith('docs\\'))) {
+      console.log(chalk.dim(`  Skipping user documentation: ${file}`));
+      return true;
+    }
+
+    // Skip game development content if include_game_planning is false
+    if (moduleConfig.include_game_planning === false) {
+      const shouldSkipGameDev = GAME_DEV_FILES.some((gamePath) => {
+        // Check if file path starts with or is within any game dev directory
+        return file === gamePath || file.startsWith(gamePath + '/') || file.startsWith(gamePath + '\\');
+      });
+
+      if (shouldSkipGameDev) {
+        console.log(chalk.dim(`  Skipping game dev content: ${file}`));
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Copy one module file into the installation
+   * workflow.yaml files lose their web_bundle section, text files get the bmad folder name.
+   * @param {string} sourceFile - Source file path
+   * @param {string} targetFile - Target file path
+   */
+  async copyModuleFile(sourceFile, targetFile) {
+    if (sourceFile.endsWith('workflow.yaml')) {
+      await fs.ensureDir(path.dirname(targetFile));
+      await this.copyWorkflowYamlStripped(sourceFile, targetFile);
+    } else {
+      // Copy the file with placeholder replacement
+      await this.copyFileWithPlaceholderReplacement(sourceFile, targetFile);
+    }
+  }
+
   /**
    * Copy workflow.yaml file with web_bundle section stripped
    * Preserves comments, formatting, and line breaks
@@ -784,8 +815,6 @@ class ModuleManager {
    */
   async compileModuleAgents(sourcePath, targetPath, moduleName, bmadDir) {
     const sourceAgentsPath = path.join(sourcePath, 'agents');
-    const targetAgentsPath = path.join(targetPath, 'agents');
-    const cfgAgentsDir = path.join(bmadDir, '_config', 'agents');
 
     // Check if agents directory exists in source
     if (!(await fs.pathExists(sourceAgentsPath))) {
@@ -798,119 +827,198 @@ class ModuleManager {
     for (const agentFile of agentFiles) {
       if (!agentFile.endsWith('.agent.yaml')) continue;
 
-      const relativePath = path.relative(sourceAgentsPath, agentFile);
-      const targetDir = path.join(targetAgentsPath, path.dirname(relativePath));
+      try {
+        await this.compileModuleAgent(agentFile, sourcePath, targetPath, moduleName, bmadDir);
+      } catch (error) {
+        console.warn(chalk.yellow(`    Failed to compile agent ${path.basename(agentFile, '.agent.yaml')}:`, error.message));
+      }
+    }
+  }
 
-      await fs.ensureDir(targetDir);
+  /**
+   * Compile teams/*.yaml files to .md team files in modules
+   * @param {string} sourcePath - Source module path
+   * @param {string} targetPath - Target module path
+   * @param {string} moduleName - Module name
+   */
+  async compileModuleTeams(sourcePath, targetPath, moduleName) {
+    const sourceTeamsPath = path.join(sourcePath, 'teams');
+    if (!(await fs.pathExists(sourceTeamsPath))) {
+      return; // No teams to compile
+    }
 
-      const agentName = path.basename(agentFile, '.agent.yaml');
-      const sourceYamlPath = agentFile;
-      const targetMdPath = path.join(targetDir, `${agentName}.md`);
-      const customizePath = path.join(cfgAgentsDir, `${moduleName}-${agentName}.customize.yaml`);
+    for (const file of await fs.readdir(sourceTeamsPath)) {
+      if (!file.endsWith('.yaml')) continue;
 
-      // Read and compile the YAML
+      const teamName = path.basename(file, '.yaml');
       try {
-        const yamlContent = await fs.readFile(sourceYamlPath, 'utf8');
-        const { compileAgent } = require('../../../lib/agent/compiler');
-
-        // Create customize template if it doesn't exist
-        if (!(await fs.pathExists(customizePath))) {
-          const { getSourcePath } = require('../../../lib/project-root');
-          const genericTemplatePath = getSourcePath('utility', 'agent-components', 'agent.customize.template.yaml');
-          if (await fs.pathExists(genericTemplatePath)) {
-            await this.copyFileWithPlaceholderReplacement(genericTemplatePath, customizePath);
-            console.log(chalk.dim(`  Created customize: ${moduleName}-${agentName}.customize.yaml`));
-
-            // Store original hash for modification detection
-            const crypto = require('node:crypto');
-            const customizeContent = await fs.readFile(customizePath, 'utf8');
-            const originalHash = crypto.createHash('sha256').update(customizeContent).digest('hex');
-
-            // Store in main manifest
-            const manifestPath = path.join(bmadDir, '_config', 'manifest.yaml');
-            let manifestData = {};
-            if (await fs.pathExists(manifestPath)) {
-              const manifestContent = await fs.readFile(manifestPath, 'utf8');
-              const yaml = require('yaml');
-              manifestData = yaml.parse(manifestContent);
-            }
-            if (!manifestData.agentCustomizations) {
-              manifestData.agentCustomizations = {};
-            }
-            manifestData.agentCustomizations[path.relative(bmadDir, customizePath)] = originalHash;
-
-            // Write back to manifest
-            const yaml = require('yaml');
-            const updatedContent = yaml.stringify(manifestData, {
-              indent: 2,
-              lineWidth: 0,
-            });
-            await fs.writeFile(manifestPath, updatedContent, 'utf8');
-          }
-        }
+        await this.compileModuleTeam(path.join(sourceTeamsPath, file), sourcePath, targetPath, moduleName);
+        console.log(chalk.dim(`    Compiled team: ${teamName} -> teams/${teamName}.md`));
+      } catch (error) {
+        console.warn(chalk.yellow(`    Failed to compile team ${teamName}:`, error.message));
+      }
+    }
+  }
 
-        // Check for customizations and build answers object
-        let customizedFields = [];
-        let answers = {};
-        if (await fs.pathExists(customizePath)) {
-          const customizeContent = await fs.readFile(customizePath, 'utf8');
-          const customizeData = yaml.parse(customizeContent);
-          customizedFields = customizeData.customized_fields || [];
-
-          // Build answers object from customizations (filter empty values)
-          if (customizeData.persona) {
-            Object.assign(answers, filterCustomizationData(customizeData.persona));
-          }
-          if (customizeData.agent?.metadata) {
-            const filteredMetadata = filterCustomizationData(customizeData.agent.metadata);
-            if (Object.keys(filteredMetadata).length > 0) {
-              Object.assign(answers, { metadata: filteredMetadata });
-            }
-          }
-          if (customizeData.critical_actions && customizeData.critical_actions.length > 0) {
-            answers.critical_actions = customizeData.critical_actions;
-          }
-          if (customizeData.memories && customizeData.memories.length > 0) {
-            answers.memories = customizeData.memories;
-          }
-        }
+  /**
+   * Compile a single teams/<team>.yaml of a module
+   * @param {string} teamFile - Path to the team yaml
+   * @param {string} sourcePath - Source module path
+   * @param {string} targetPath - Target module path
+   * @param {string} moduleName - Module name
+   * @returns {string} Path of the compiled .md file
+   */
+  async compileModuleTeam(teamFile, sourcePath, targetPath, moduleName) {
+    const outputPath = path.join(targetPath, 'teams', `${path.basename(teamFile, '.yaml')}.md`);
+    await compileTeamFile(teamFile, {
+      moduleName,
+      moduleSourcePath: sourcePath,
+      outputPath,
+      bmadFolderName: this.bmadFolderName,
+    });
+    return outputPath;
+  }
+
+  /**
+   * Compile a single .agent.yaml of a module to .md, applying the user's customize file
+   * @param {string} agentFile - Path to the .agent.yaml source
+   * @param {string} sourcePath - Source module path
+   * @param {string} targetPath - Target module path
+   * @param {string} moduleName - Module name
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string} Path of the compiled .md file
+   */
+  async compileModuleAgent(agentFile, sourcePath, targetPath, moduleName, bmadDir) {
+    const sourceAgentsPath = path.join(sourcePath, 'agents');
+    const targetAgentsPath = path.join(targetPath, 'agents');
+    const cfgAgentsDir = path.join(bmadDir, '_config', 'agents');
+    const relativePath = path.relative(sourceAgentsPath, agentFile);
+    const targetDir = path.join(targetAgentsPath, path.dirname(relativePath));
 
-        // Load core config to get bmad_memory
-        const coreConfigPath = path.join(bmadDir, 'bmb', 'config.yaml');
-        let coreConfig = {};
+    await fs.ensureDir(targetDir);
 
-        if (await fs.pathExists(coreConfigPath)) {
+    const agentName = path.basename(agentFile, '.agent.yaml');
+    const sourceYamlPath = agentFile;
+    const targetMdPath = path.join(targetDir, `${agentName}.md`);
+    const customizePath = path.join(cfgAgentsDir, `${moduleName}-${agentName}.customize.yaml`);
+
+    // Read and compile the YAML
+    const yamlContent = await fs.readFile(sourceYamlPath, 'utf8');
+    const { compileAgentFile } = require('../../../lib/agent/compiler');
+
+    // Create customize template if it doesn't exist
+    if (!(await fs.pathExists(customizePath))) {
+      const { getSourcePath } = require('../../../lib/project-root');
+      const genericTemplatePath = getSourcePath('utility', 'agent-components', 'agent.customize.template.yaml');
+      if (await fs.pathExists(genericTemplatePath)) {
+        await this.copyFileWithPlaceholderReplacement(genericTemplatePath, customizePath);
+        console.log(chalk.dim(`  Created customize: ${moduleName}-${agentName}.customize.yaml`));
+
+        // Store original hash for modification detection
+        const crypto = require('node:crypto');
+        const customizeContent = await fs.readFile(customizePath, 'utf8');
+        const originalHash = crypto.createHash('sha256').update(customizeContent).digest('hex');
+
+        // Store in main manifest
+        const manifestPath = path.join(bmadDir, '_config', 'manifest.yaml');
+        let manifestData = {};
+        if (await fs.pathExists(manifestPath)) {
+          const manifestContent = await fs.readFile(manifestPath, 'utf8');
           const yaml = require('yaml');
-          const coreConfigContent = await fs.readFile(coreConfigPath, 'utf8');
-          coreConfig = yaml.parse(coreConfigContent);
+          manifestData = yaml.parse(manifestContent);
         }
-
-        // Check if agent has sidecar
-        let hasSidecar = false;
-        try {
-          const agentYaml = yaml.parse(yamlContent);
-          hasSidecar = agentYaml?.agent?.metadata?.hasSidecar === true;
-        } catch {
-          // Continue without sidecar processing
+        if (!manifestData.agentCustomizations) {
+          manifestData.agentCustomizations = {};
         }
+        manifestData.agentCustomizations[path.relative(bmadDir, customizePath)] = originalHash;
 
-        // Compile with customizations if any
-        const { xml } = await compileAgent(yamlContent, answers, agentName, relativePath, { config: coreConfig });
+        // Write back to manifest
+        const yaml = require('yaml');
+        const updatedContent = yaml.stringify(manifestData, {
+          indent: 2,
+          lineWidth: 0,
+        });
+        await fs.writeFile(manifestPath, updatedContent, 'utf8');
+      }
+    }
 
-        // Replace _bmad placeholder if needed
-        if (xml.includes('_bmad') && this.bmadFolderName) {
-          const processedXml = xml.replaceAll('_bmad', this.bmadFolderName);
-          await fs.writeFile(targetMdPath, processedXml, 'utf8');
-        } else {
-          await fs.writeFile(targetMdPath, xml, 'utf8');
+    // Check for customizations and build answers object
+    let customizedFields = [];
+    let answers = {};
+    if (await fs.pathExists(customizePath)) {
+      const customizeContent = await fs.readFile(customizePath, 'utf8');
+      const customizeData = yaml.parse(customizeContent);
+      customizedFields = customizeData.customized_fields || [];
+
+      // Build answers object from customizations (filter empty values)
+      if (customizeData.persona) {
+        Object.assign(answers, filterCustomizationData(customizeData.persona));
+      }
+      if (customizeData.agent?.metadata) {
+        const filteredMetadata = filterCustomizationData(customizeData.agent.metadata);
+        if (Object.keys(filteredMetadata).length > 0) {
+          Object.assign(answers, { metadata: filteredMetadata });
         }
-
-        console.log(
-          chalk.dim(`    Compiled agent: ${agentName} -> ${path.relative(targetPath, targetMdPath)}${hasSidecar ? ' (with sidecar)' : ''}`),
-        );
-      } catch (error) {
-        console.warn(chalk.yellow(`    Failed to compile agent ${agentName}:`, error.message));
       }
+      if (customizeData.critical_actions && customizeData.critical_actions.length > 0) {
+        answers.critical_actions = customizeData.critical_actions;
+      }
+      if (customizeData.memories && customizeData.memories.length > 0) {
+        answers.memories = customizeData.memories;
+      }
+    }
+
+    // Load core config to get bmad_memory
+    const coreConfigPath = path.join(bmadDir, 'bmb', 'config.yaml');
+    let coreConfig = {};
+
+    if (await fs.pathExists(coreConfigPath)) {
+      const yaml = require('yaml');
+      const coreConfigContent = await fs.readFile(coreConfigPath, 'utf8');
+      coreConfig = yaml.parse(coreConfigContent);
+    }
+
+    // Check if agent has sidecar
+    let hasSidecar = false;
+    try {
+      const agentYaml = yaml.parse(yamlContent);
+      hasSidecar = agentYaml?.agent?.metadata?.hasSidecar === true;
+    } catch {
+      // Continue without sidecar processing
+    }
+
+    // Compile with customizations if any
+    await compileAgentFile(sourceYamlPath, {
+      answers,
+      outputPath: targetMdPath,
+      targetPath: relativePath,
+      config: coreConfig,
+      locale: await this.getAgentLanguage(bmadDir),
+      bmadFolderName: this.bmadFolderName,
+      sourceMapPath: getAgentSourceMapPath(bmadDir, targetMdPath),
+    });
+
+    console.log(
+      chalk.dim(`    Compiled agent: ${agentName} -> ${path.relative(targetPath, targetMdPath)}${hasSidecar ? ' (with sidecar)' : ''}`),
+    );
+
+    return targetMdPath;
+  }
+
+  /**
+   * Language agents are compiled in (selects their locale overlays): communication_language
+   * of the core config, read from the installation when no config was collected
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string|undefined} Configured language
+   */
+  async getAgentLanguage(bmadDir) {
+    if (this.coreConfig?.communication_language) {
+      return this.coreConfig.communication_language;
+    }
+
+    const coreConfigPath = path.join(bmadDir, 'core', 'config.yaml');
+    if (await fs.pathExists(coreConfigPath)) {
+      return yaml.parse(await fs.readFile(coreConfigPath, 'utf8'))?.communication_language;
     }
   }
 
@@ -116,6 +116,67 @@ const AgentPartyGenerator = {
     }
   },
 
+  /**
+   * Extract agent details plus the behaviour-defining parts of a compiled agent
+   * Steps 1-3 and the last four activation steps come from activation-steps.txt; the steps
+   * between them are the agent's critical actions. *menu and *dismiss are added by the compiler.
+   * @param {string} content - Full agent file content (markdown with XML)
+   * @param {string} moduleName - Module name
+   * @param {string} agentName - Agent name
+   * @returns {Object|null} Agent details with criticalActions, menu and prompts
+   */
+  extractAgentStructure(content, moduleName, agentName) {
+    const details = this.extractAgentDetails(content, moduleName, agentName);
+    if (!details) return null;
+
+    const activationMatch = content.match(/<activation[^>]*>([\s\S]*?)(?:<menu-handlers>|<\/activation>)/);
+    const steps = activationMatch ? [...activationMatch[1].matchAll(/<step n="\d+">([\s\S]*?)<\/step>/g)].map((m) => m[1].trim()) : [];
+
+    const menu = [];
+    const menuMatch = content.match(/<menu>([\s\S]*?)<\/menu>/);
+    if (menuMatch) {
+      for (const item of menuMatch[1].matchAll(/<item ([^>]*)>([\s\S]*?)<\/item>/g)) {
+        const attrs = this.parseAttributes(item[1]);
+        if (attrs.type === 'multi') {
+          // Nested handlers have no trigger name in the compiled output - they are keyed by their match text
+          const label = item[2].split('\n')[0].trim();
+          for (const handler of item[2].matchAll(/<handler ([^>]*)>/g)) {
+            const { match, ...targets } = this.parseAttributes(handler[1]);
+            menu.push({ trigger: match || '', description: label, targets });
+          }
+        } else if (attrs.cmd && attrs.cmd !== '*menu' && attrs.cmd !== '*dismiss') {
+          const { cmd, ...targets } = attrs;
+          menu.push({ trigger: cmd.replace(/^\*/, ''), description: item[2].trim(), targets });
+        }
+      }
+    }
+
+    const prompts = [...content.matchAll(/<prompt id="([^"]*)">\s*<content>\n?([\s\S]*?)\n?\s*<\/content>/g)].map((m) => ({
+      id: m[1],
+      content: m[2],
+    }));
+
+    return {
+      ...details,
+      criticalActions: steps.slice(3, -4),
+      menu,
+      prompts,
+    };
+  },
+
+  /**
+   * Parse the attributes of an XML tag
+   * @param {string} attributes - Text between the tag name and '>'
+   * @returns {Object} Attribute values by name
+   */
+  parseAttributes(attributes) {
+    const result = {};
+    for (const match of attributes.matchAll(/([\w-]+)="([^"]*)"/g)) {
+      result[match[1]] = match[2];
+    }
+    return result;
+  },
+
   /**
    * Extract attribute from XML tag
    */
@@ -0,0 +1,174 @@
+/**
+ * BMAD Agent Diff
+ * Compares two versions of an agent by what it does rather than by its text: persona fields,
+ * menu triggers and their targets, critical actions (including their order) and prompts.
+ *
+ * Both sides are read with AgentPartyGenerator.extractAgentStructure. Agent YAML sources are
+ * compiled first, so a .agent.yaml can be compared with a compiled .md.
+ */
+
+const fs = require('fs-extra');
+const path = require('node:path');
+const { compileAgent } = require('./compiler');
+const { AgentPartyGenerator } = require('../agent-party-generator');
+
+const METADATA_FIELDS = ['name', 'title', 'icon'];
+const PERSONA_FIELDS = ['role', 'identity', 'communicationStyle', 'principles'];
+
+/**
+ * Read the structure of a compiled agent (.md) or agent source (.agent.yaml)
+ * @param {string} filePath - Path of the agent
+ * @param {Object} options - { moduleName, agentName, locale } - locale applies to YAML sources only
+ * @returns {Promise<Object>} Agent structure
+ */
+async function loadAgentStructure(filePath, options = {}) {
+  const agentName = options.agentName || path.basename(filePath).replace(/(\.agent)?\.(md|ya?ml)$/, '');
+  let content = await fs.readFile(filePath, 'utf8');
+
+  if (/\.ya?ml$/.test(filePath)) {
+    ({ xml: content } = await compileAgent(content, {}, agentName, '', { sourcePath: filePath, locale: options.locale }));
+  }
+
+  const structure = AgentPartyGenerator.extractAgentStructure(content, options.moduleName || '', agentName);
+  if (!structure) {
+    throw new Error(`${filePath} is not a compiled agent`);
+  }
+  return structure;
+}
+
+/**
+ * Structural differences between two versions of an agent
+ * @param {Object} before - Structure of the older agent
+ * @param {Object} after - Structure of the newer agent
+ * @returns {Object} { changed, metadata, persona, menu, criticalActions, prompts }
+ */
+function diffAgents(before, after) {
+  const fieldChanges = (fields) =>
+    fields
+      .filter((field) => (before[field] || '') !== (after[field] || ''))
+      .map((field) => ({ field, before: before[field], after: after[field] }));
+
+  const diff = {
+    metadata: fieldChanges(METADATA_FIELDS),
+    persona: fieldChanges(PERSONA_FIELDS),
+    menu: diffMenu(before.menu || [], after.menu || []),
+    criticalActions: diffCriticalActions(before.criticalActions || [], after.criticalActions || []),
+    prompts: diffPrompts(before.prompts || [], after.prompts || []),
+  };
+
+  diff.changed =
+    diff.metadata.length > 0 ||
+    diff.persona.length > 0 ||
+    Object.values(diff.menu).some((list) => list.length > 0) ||
+    Object.values(diff.criticalActions).some((list) => list.length > 0) ||
+    Object.values(diff.prompts).some((list) => list.length > 0);
+
+  return diff;
+}
+
+/**
+ * Menu items matched by trigger
+ */
+function diffMenu(before, after) {
+  const beforeByTrigger = new Map(before.map((item) => [item.trigger, item]));
+  const afterByTrigger = new Map(after.map((item) => [item.trigger, item]));
+  const result = { added: [], removed: [], retargeted: [], redescribed: [] };
+
+  for (const item of after) {
+    const previous = beforeByTrigger.get(item.trigger);
+    if (!previous) {
+      result.added.push(item);
+      continue;
+    }
+    if (targetKey(previous.targets) !== targetKey(item.targets)) {
+      result.retargeted.push({ trigger: item.trigger, before: previous.targets, after: item.targets });
+    }
+    if (previous.description !== item.description) {
+      result.redescribed.push({ trigger: item.trigger, before: previous.description, after: item.description });
+    }
+  }
+  result.removed = before.filter((item) => !afterByTrigger.has(item.trigger));
+
+  return result;
+}
+
+function targetKey(targets = {}) {
+  return JSON.stringify(Object.entries(targets).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Critical actions matched by text; actions kept in both whose relative order changed are "moved"
+ */
+function diffCriticalActions(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  const keptBefore = before.filter((action) => afterSet.has(action));
+  const keptAfter = after.filter((action) => beforeSet.has(action));
+
+  // Actions outside the longest common subsequence are the ones that moved
+  const stayed = new Set(longestCommonSubsequence(keptBefore, keptAfter));
+  const moved = keptAfter
+    .filter((action) => !stayed.has(action))
+    .map((action) => ({ action, before: before.indexOf(action) + 1, after: after.indexOf(action) + 1 }));
+
+  return {
+    added: after.filter((action) => !beforeSet.has(action)),
+    removed: before.filter((action) => !afterSet.has(action)),
+    moved,
+  };
+}
+
+function longestCommonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => Array.from({ length: b.length + 1 }).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const sequence = [];
+  for (let i = 0, j = 0; i < a.length && j < b.length; ) {
+    if (a[i] === b[j]) {
+      sequence.push(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return sequence;
+}
+
+/**
+ * Prompts matched by id; edited prompts report how many lines were added and removed
+ */
+function diffPrompts(before, after) {
+  const beforeById = new Map(before.map((prompt) => [prompt.id, prompt]));
+  const afterIds = new Set(after.map((prompt) => prompt.id));
+  const result = { added: [], removed: [], edited: [] };
+
+  for (const prompt of after) {
+    const previous = beforeById.get(prompt.id);
+    if (!previous) {
+      result.added.push(prompt.id);
+    } else if (previous.content.trim() !== prompt.content.trim()) {
+      const oldLines = previous.content.trim().split('\n');
+      const newLines = prompt.content.trim().split('\n');
+      const common = longestCommonSubsequence(oldLines, newLines).length;
+      result.edited.push({
+        id: prompt.id,
+        linesAdded: newLines.length - common,
+        linesRemoved: oldLines.length - common,
+        before: previous.content,
+        after: prompt.content,
+      });
+    }
+  }
+  result.removed = before.filter((prompt) => !afterIds.has(prompt.id)).map((prompt) => prompt.id);
+
+  return result;
+}
+
+module.exports = { loadAgentStructure, diffAgents };
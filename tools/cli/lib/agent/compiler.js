@@ -8,6 +8,9 @@ const yaml = require('yaml');
 const fs = require('node:fs');
 const path = require('node:path');
 const { processAgentYaml, extractInstallConfig, stripInstallConfig, getDefaultValues } = require('./template-engine');
+const { resolveAgentExtends } = require('./inheritance');
+const { applyAgentLocale } = require('./locale');
+const { buildAgentSourceMap, writeAgentSourceMap } = require('./source-map');
 const { escapeXml } = require('../../../lib/xml-utils');
 const { ActivationBuilder } = require('../activation-builder');
 const { AgentAnalyzer } = require('../agent-analyzer');
@@ -303,12 +306,16 @@ async function compileToXml(agentYaml, agentName = '', targetPath = '') {
  * @param {Object} answers - Answers from install_config questions (or defaults)
  * @param {string} agentName - Optional final agent name (user's custom persona name)
  * @param {string} targetPath - Optional target path for agent ID
- * @param {Object} options - Additional options including config
+ * @param {Object} options - Additional options including config, sourcePath (needed to resolve `extends` and locale
+ *                           overlays) and locale (defaults to config.communication_language)
  * @returns {Promise<Object>} { xml: string, metadata: Object }
  */
 async function compileAgent(yamlContent, answers = {}, agentName = '', targetPath = '', options = {}) {
-  // Parse YAML
-  let agentYaml = yaml.parse(yamlContent);
+  // Parse YAML and apply the agents and mixins it extends
+  let agentYaml = resolveAgentExtends(yaml.parse(yamlContent), options.sourcePath);
+
+  // Translate persona, menu and prompts with the overlay of the configured locale, if any
+  agentYaml = applyAgentLocale(agentYaml, options.sourcePath, options.locale ?? options.config?.communication_language);
 
   // Apply customization merges before template processing
   // Handle metadata overrides (like name)
@@ -419,22 +426,28 @@ function processTTSInjectionPoints(content, enableAgentVibes) {
 /**
  * Compile agent file to .md
  * @param {string} yamlPath - Path to agent YAML file
- * @param {Object} options - { answers: {}, outputPath: string, enableAgentVibes: boolean }
+ * @param {Object} options - { answers: {}, outputPath: string, targetPath: string, config: {}, locale: string, bmadFolderName: string,
+ *                            enableAgentVibes: boolean, sourceMapPath: string (also write the source map there) }
  * @returns {Object} Compilation result
  */
-function compileAgentFile(yamlPath, options = {}) {
+async function compileAgentFile(yamlPath, options = {}) {
   const yamlContent = fs.readFileSync(yamlPath, 'utf8');
-  const result = compileAgent(yamlContent, options.answers || {});
+  const agentName = path.basename(yamlPath, '.agent.yaml');
 
   // Determine output path
   let outputPath = options.outputPath;
   if (!outputPath) {
     // Default: same directory, same name, .md extension
     const dir = path.dirname(yamlPath);
-    const basename = path.basename(yamlPath, '.agent.yaml');
-    outputPath = path.join(dir, `${basename}.md`);
+    outputPath = path.join(dir, `${agentName}.md`);
   }
 
+  const result = await compileAgent(yamlContent, options.answers || {}, agentName, options.targetPath || '', {
+    config: options.config || {},
+    sourcePath: yamlPath,
+    locale: options.locale,
+  });
+
   // Process TTS injection points if enableAgentVibes option is provided
   let xml = result.xml;
   let ttsInjected = false;
@@ -444,9 +457,27 @@ function compileAgentFile(yamlPath, options = {}) {
     ttsInjected = ttsResult.hadInjection;
   }
 
-  // Write compiled XML
+  // Replace _bmad with actual folder name if needed
+  if (options.bmadFolderName) {
+    xml = xml.replaceAll('_bmad', options.bmadFolderName);
+  }
+
+  // Write compiled XML with POSIX-compliant final newline
+  if (!xml.endsWith('\n')) {
+    xml += '\n';
+  }
   fs.writeFileSync(outputPath, xml, 'utf8');
 
+  // Map the final content, so TTS injection and folder renames are accounted for
+  if (options.sourceMapPath) {
+    const sourceMap = buildAgentSourceMap(xml, result.processedYaml, {
+      sourcePath: yamlPath,
+      locale: options.locale ?? options.config?.communication_language,
+      file: path.basename(outputPath),
+    });
+    writeAgentSourceMap(options.sourceMapPath, sourceMap);
+  }
+
   return {
     ...result,
     xml,
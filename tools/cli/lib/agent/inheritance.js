@@ -0,0 +1,229 @@
+/**
+ * BMAD Agent Inheritance
+ * Resolves `extends:` in *.agent.yaml files. An agent inherits from other agents or
+ * mixin files (*.mixin.yaml) and overrides or appends to what they define:
+ *
+ * - persona fields override; principles lists are appended (a string replaces)
+ * - critical_actions are appended (exact duplicates are dropped)
+ * - prompts are merged by id: same id replaces in place, new ids are appended
+ * - menu items are merged by trigger: same trigger replaces in place, new triggers are
+ *   appended, `{ trigger, remove: true }` drops an inherited item
+ * - any other key (webskip, discussion, install_config, ...) overrides
+ * - metadata is never inherited: every agent declares its own identity
+ */
+
+const yaml = require('yaml');
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Resolve `agent.extends` of a parsed agent YAML
+ * Bases are applied in order (a list of files), then the agent itself on top.
+ * @param {Object} agentYaml - Parsed agent YAML
+ * @param {string} sourcePath - Path of the agent file; `extends` paths are relative to it
+ * @returns {Object} Agent YAML without `extends` (the input itself when it extends nothing)
+ */
+function resolveAgentExtends(agentYaml, sourcePath) {
+  return resolveFile(agentYaml, sourcePath, []);
+}
+
+/**
+ * List every file an agent inherits from, directly or through its bases
+ * @param {string} sourcePath - Path of the agent file
+ * @returns {Array<string>} Absolute paths of base agents and mixins
+ */
+function listAgentBases(sourcePath) {
+  const bases = [];
+  const visit = (filePath, chain) => {
+    for (const basePath of getExtendsPaths(readAgentFile(filePath), filePath)) {
+      checkCycle(basePath, chain);
+      if (!bases.includes(basePath)) {
+        bases.push(basePath);
+      }
+      visit(basePath, [...chain, basePath]);
+    }
+  };
+
+  const absolutePath = path.resolve(sourcePath);
+  visit(absolutePath, [absolutePath]);
+  return bases;
+}
+
+/**
+ * List the files that make up an agent, in the order their definitions win: the agent
+ * itself, then its bases from the last listed to the first, each followed by its own bases
+ * @param {string} sourcePath - Path of the agent file
+ * @returns {Array<string>} Absolute paths, the agent first
+ */
+function listAgentSources(sourcePath) {
+  const sources = [];
+  const visit = (filePath, chain) => {
+    if (!sources.includes(filePath)) {
+      sources.push(filePath);
+    }
+    for (const basePath of getExtendsPaths(readAgentFile(filePath), filePath).toReversed()) {
+      checkCycle(basePath, chain);
+      visit(basePath, [...chain, basePath]);
+    }
+  };
+
+  const absolutePath = path.resolve(sourcePath);
+  visit(absolutePath, [absolutePath]);
+  return sources;
+}
+
+module.exports = { resolveAgentExtends, listAgentBases, listAgentSources };
+
+/**
+ * @param {Object} agentYaml - Parsed YAML of filePath
+ * @param {string} filePath - Agent or mixin file
+ * @param {Array<string>} chain - Files being resolved, outermost first
+ */
+function resolveFile(agentYaml, filePath, chain) {
+  if (!agentYaml?.agent?.extends) {
+    return agentYaml;
+  }
+  if (!filePath) {
+    throw new Error('Agent uses extends but its file path is unknown, so the bases cannot be located');
+  }
+
+  const absolutePath = path.resolve(filePath);
+  const currentChain = [...chain, absolutePath];
+  const { extends: _extends, ...own } = agentYaml.agent;
+
+  let inherited = {};
+  for (const basePath of getExtendsPaths(agentYaml, absolutePath)) {
+    checkCycle(basePath, currentChain);
+    const base = resolveFile(readAgentFile(basePath), basePath, currentChain);
+    const { metadata, ...baseAgent } = base.agent;
+    inherited = mergeAgent(inherited, baseAgent, basePath);
+  }
+
+  const { metadata, ...merged } = mergeAgent(inherited, own, absolutePath);
+  return { ...agentYaml, agent: metadata ? { metadata, ...merged } : merged };
+}
+
+/**
+ * Absolute paths named by `agent.extends` (a path or a list of paths)
+ */
+function getExtendsPaths(agentYaml, filePath) {
+  const value = agentYaml?.agent?.extends;
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const references = Array.isArray(value) ? value : [value];
+  return references.map((reference) => {
+    if (typeof reference !== 'string' || reference.trim() === '') {
+      throw new Error(`${displayPath(filePath)}: agent.extends must be a path or a list of paths`);
+    }
+    return path.resolve(path.dirname(filePath), reference.trim());
+  });
+}
+
+function checkCycle(basePath, chain) {
+  if (chain.includes(basePath)) {
+    const cycle = [...chain.slice(chain.indexOf(basePath)), basePath].map((file) => displayPath(file));
+    throw new Error(`Agent inheritance cycle: ${cycle.join(' -> ')}`);
+  }
+}
+
+function readAgentFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Agent base not found: ${displayPath(filePath)}`);
+  }
+
+  const content = yaml.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!content?.agent || typeof content.agent !== 'object') {
+    throw new Error(`${displayPath(filePath)} has no agent: section to inherit from`);
+  }
+  return content;
+}
+
+/**
+ * Apply one agent definition on top of another
+ * @param {Object} base - Inherited agent section
+ * @param {Object} override - Agent section applied on top
+ * @param {string} filePath - File the override comes from (for error messages)
+ * @returns {Object} Merged agent section
+ */
+function mergeAgent(base, override, filePath) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    switch (key) {
+      case 'persona': {
+        merged.persona = mergePersona(base.persona, value);
+        break;
+      }
+      case 'critical_actions': {
+        merged.critical_actions = appendUnique(base.critical_actions, value);
+        break;
+      }
+      case 'prompts': {
+        merged.prompts = mergeByKey(base.prompts, value, (prompt) => prompt?.id, `${displayPath(filePath)}: prompt id`);
+        break;
+      }
+      case 'menu': {
+        merged.menu = mergeByKey(base.menu, value, (item) => item?.trigger, `${displayPath(filePath)}: menu trigger`);
+        break;
+      }
+      default: {
+        merged[key] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+function mergePersona(base, override) {
+  if (!base || !override) {
+    return override || base;
+  }
+
+  const merged = { ...base, ...override };
+  if (Array.isArray(base.principles) && Array.isArray(override.principles)) {
+    merged.principles = appendUnique(base.principles, override.principles);
+  }
+  return merged;
+}
+
+function appendUnique(base, additions) {
+  if (!Array.isArray(base) || !Array.isArray(additions)) {
+    return additions;
+  }
+  return [...base, ...additions.filter((entry) => !base.includes(entry))];
+}
+
+/**
+ * Merge lists of objects by key: same key replaces in place, new keys are appended,
+ * `{ <key>, remove: true }` drops the inherited entry. Entries without a key are appended.
+ */
+function mergeByKey(base, overrides, getKey, label) {
+  if (!Array.isArray(overrides)) {
+    return overrides;
+  }
+
+  const merged = Array.isArray(base) ? [...base] : [];
+  for (const entry of overrides) {
+    const key = getKey(entry);
+    const index = key === undefined ? -1 : merged.findIndex((existing) => getKey(existing) === key);
+
+    if (entry?.remove === true) {
+      if (index === -1) {
+        throw new Error(`${label} "${key}" is removed but nothing inherited defines it`);
+      }
+      merged.splice(index, 1);
+    } else if (index === -1) {
+      merged.push(entry);
+    } else {
+      merged[index] = entry;
+    }
+  }
+  return merged;
+}
+
+function displayPath(filePath) {
+  return path.relative(process.cwd(), filePath) || filePath;
+}
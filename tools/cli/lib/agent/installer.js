@@ -239,7 +239,10 @@ async function promptInstallQuestions(installConfig, defaults, presetAnswers = {
  */
 function installAgent(agentInfo, answers, targetPath, options = {}) {
   // Compile the agent
-  const { xml, metadata, processedYaml } = compileAgent(fs.readFileSync(agentInfo.yamlFile, 'utf8'), answers);
+  const { xml, metadata, processedYaml } = compileAgent(fs.readFileSync(agentInfo.yamlFile, 'utf8'), answers, '', '', {
+    sourcePath: agentInfo.yamlFile,
+    locale: options.config?.communication_language,
+  });
 
   // Determine target agent folder name
   // Use the folder name from agentInfo, NOT the persona name from metadata
@@ -586,6 +589,7 @@ async function createIdeSlashCommands(projectRoot, agentName, agentPath, metadat
   // Use IdeManager to install custom agent launchers for all configured IDEs
   const { IdeManager } = require('../../installers/lib/ide/manager');
   const ideManager = new IdeManager();
+  ideManager.loadPlugins(projectRoot);
 
   const results = await ideManager.installCustomAgentLaunchers(installedIdes, projectRoot, agentName, agentPath, metadata);
 
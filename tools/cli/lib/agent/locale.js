@@ -0,0 +1,255 @@
+/**
+ * BMAD Agent Localisation
+ * A locale overlay (<name>.agent.<locale>.yaml next to <name>.agent.yaml) translates the
+ * text of an agent without changing what it does:
+ *
+ * - metadata.title and the persona fields replace the agent's own
+ * - menu items are matched by trigger: `description` translates a single item, `multi`
+ *   the label of a multi item (any of its triggers matches it)
+ * - prompts are matched by id: `content` and `description` replace the agent's own
+ *
+ * An overlay can only translate what the agent, with everything it extends, defines.
+ */
+
+const yaml = require('yaml');
+const fs = require('node:fs');
+const path = require('node:path');
+const { resolveLocale } = require('../i18n');
+
+const OVERLAY_PATTERN = /\.agent\.([a-z]{2,3}(?:-[A-Z]{2})?)\.yaml$/;
+const PERSONA_FIELDS = ['role', 'identity', 'communication_style', 'principles'];
+
+/**
+ * Apply the overlay of a locale to a parsed agent
+ * Falls back to the overlay of the language ("pt" for "pt-BR"). English is the source
+ * language, so "en" and agents without an overlay are returned unchanged.
+ * @param {Object} agentYaml - Parsed agent YAML, with `extends` already resolved
+ * @param {string} sourcePath - Path of the *.agent.yaml file
+ * @param {string} locale - Locale code or language name (communication_language)
+ * @returns {Object} Translated agent YAML (the input itself when nothing applies)
+ */
+function applyAgentLocale(agentYaml, sourcePath, locale) {
+  const overlayPath = findLocaleOverlay(sourcePath, locale);
+  if (!overlayPath) {
+    return agentYaml;
+  }
+  return applyOverlay(agentYaml, readOverlay(overlayPath), overlayPath);
+}
+
+/**
+ * Find the overlay file used for a locale
+ * @param {string} sourcePath - Path of the *.agent.yaml file
+ * @param {string} locale - Locale code or language name
+ * @returns {string|null} Overlay path, or null when the agent has no translation for it
+ */
+function findLocaleOverlay(sourcePath, locale) {
+  const resolved = resolveLocale(locale);
+  if (!sourcePath || !resolved || resolved.split('-')[0] === 'en') {
+    return null;
+  }
+
+  for (const candidate of new Set([resolved, resolved.split('-')[0]])) {
+    const overlayPath = getLocaleOverlayPath(sourcePath, candidate);
+    if (fs.existsSync(overlayPath)) {
+      return overlayPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Locales an agent has overlays for
+ * @param {string} sourcePath - Path of the *.agent.yaml file
+ * @returns {Array<string>} Locale codes, sorted
+ */
+function listAgentLocales(sourcePath) {
+  const prefix = `${path.basename(sourcePath, '.agent.yaml')}.agent.`;
+  return fs
+    .readdirSync(path.dirname(sourcePath))
+    .filter((file) => file.startsWith(prefix) && OVERLAY_PATTERN.test(file))
+    .map((file) => file.match(OVERLAY_PATTERN)[1])
+    .sort();
+}
+
+/**
+ * Check what an overlay leaves untranslated
+ * @param {Object} agentYaml - Parsed agent YAML, with `extends` already resolved
+ * @param {string} overlayPath - Path of the overlay file
+ * @returns {Object} { total, missing } where missing lists the untranslated items,
+ *                   e.g. 'persona.identity', 'menu.party-mode', 'prompts.welcome'
+ */
+function getLocaleCoverage(agentYaml, overlayPath) {
+  const overlay = readOverlay(overlayPath);
+  applyOverlay(agentYaml, overlay, overlayPath); // Throws on invalid overlays
+
+  const agent = agentYaml.agent;
+  const translation = overlay.agent;
+  const items = [];
+
+  if (agent.metadata?.title) {
+    items.push(['metadata.title', translation.metadata?.title !== undefined]);
+  }
+  for (const field of PERSONA_FIELDS) {
+    if (agent.persona?.[field] !== undefined) {
+      items.push([`persona.${field}`, translation.persona?.[field] !== undefined]);
+    }
+  }
+  for (const item of agent.menu || []) {
+    const triggers = getMenuTriggers(item);
+    const entry = (translation.menu || []).find((candidate) => triggers.includes(candidate.trigger));
+    items.push([`menu.${triggers[0]}`, Boolean(entry && (item.multi ? entry.multi : entry.description))]);
+  }
+  for (const prompt of agent.prompts || []) {
+    items.push([`prompts.${prompt.id}`, (translation.prompts || []).some((entry) => entry.id === prompt.id && entry.content)]);
+  }
+
+  return { total: items.length, missing: items.filter(([, translated]) => !translated).map(([item]) => item) };
+}
+
+/**
+ * @param {string} sourcePath - Path of the *.agent.yaml file
+ * @param {string} locale - Locale code
+ * @returns {string} Path of the agent's overlay for that locale
+ */
+function getLocaleOverlayPath(sourcePath, locale) {
+  return sourcePath.replace(/\.agent\.yaml$/, `.agent.${locale}.yaml`);
+}
+
+/**
+ * Whether a file is a locale overlay (these are not agents: they are never copied or compiled)
+ * @param {string} file - File name or path
+ * @returns {boolean}
+ */
+function isAgentLocaleFile(file) {
+  return OVERLAY_PATTERN.test(file);
+}
+
+/**
+ * @param {string} overlayPath - Path of a locale overlay
+ * @returns {string} Path of the agent it translates
+ */
+function getLocaleOverlayAgentPath(overlayPath) {
+  return overlayPath.replace(OVERLAY_PATTERN, '.agent.yaml');
+}
+
+module.exports = {
+  applyAgentLocale,
+  findLocaleOverlay,
+  listAgentLocales,
+  getLocaleCoverage,
+  getLocaleOverlayPath,
+  isAgentLocaleFile,
+  getLocaleOverlayAgentPath,
+  getMenuTriggers,
+};
+
+function readOverlay(overlayPath) {
+  const content = yaml.parse(fs.readFileSync(overlayPath, 'utf8'));
+  if (!content?.agent || typeof content.agent !== 'object') {
+    throw new Error(`${displayPath(overlayPath)} has no agent: section to translate with`);
+  }
+  return content;
+}
+
+/**
+ * Apply an overlay on top of an agent
+ * @param {Object} agentYaml - Parsed agent YAML
+ * @param {Object} overlay - Parsed overlay YAML
+ * @param {string} overlayPath - Overlay file (for error messages)
+ * @returns {Object} Translated agent YAML
+ */
+function applyOverlay(agentYaml, overlay, overlayPath) {
+  const label = displayPath(overlayPath);
+  const agent = { ...agentYaml.agent };
+
+  for (const [key, value] of Object.entries(overlay.agent)) {
+    switch (key) {
+      case 'metadata': {
+        checkKeys(value, ['title'], `${label}: agent.metadata`);
+        agent.metadata = { ...agent.metadata, ...value };
+        break;
+      }
+      case 'persona': {
+        checkKeys(value, PERSONA_FIELDS, `${label}: agent.persona`);
+        agent.persona = { ...agent.persona, ...value };
+        break;
+      }
+      case 'menu': {
+        agent.menu = translateMenu(agent.menu || [], value, label);
+        break;
+      }
+      case 'prompts': {
+        agent.prompts = translatePrompts(agent.prompts || [], value, label);
+        break;
+      }
+      default: {
+        throw new Error(`${label}: agent.${key} cannot be translated (overlays may contain metadata.title, persona, menu and prompts)`);
+      }
+    }
+  }
+
+  return { ...agentYaml, agent };
+}
+
+function translateMenu(menu, entries, label) {
+  const translated = [...menu];
+  for (const entry of asList(entries, `${label}: agent.menu`)) {
+    checkKeys(entry, ['trigger', 'description', 'multi'], `${label}: agent.menu[]`);
+    const index = translated.findIndex((item) => getMenuTriggers(item).includes(entry.trigger));
+    if (index === -1) {
+      throw new Error(`${label}: menu trigger "${entry.trigger}" is not defined by the agent`);
+    }
+
+    const { trigger, ...text } = entry;
+    const field = translated[index].multi ? 'multi' : 'description';
+    if (Object.keys(text).some((key) => key !== field)) {
+      throw new Error(`${label}: menu trigger "${trigger}" is translated with ${field}`);
+    }
+    translated[index] = { ...translated[index], ...text };
+  }
+  return translated;
+}
+
+function translatePrompts(prompts, entries, label) {
+  const translated = [...prompts];
+  for (const entry of asList(entries, `${label}: agent.prompts`)) {
+    checkKeys(entry, ['id', 'content', 'description'], `${label}: agent.prompts[]`);
+    const index = translated.findIndex((prompt) => prompt.id === entry.id);
+    if (index === -1) {
+      throw new Error(`${label}: prompt id "${entry.id}" is not defined by the agent`);
+    }
+    translated[index] = { ...translated[index], ...entry };
+  }
+  return translated;
+}
+
+/**
+ * Trigger names of a menu item: its trigger, or every trigger of a multi item
+ */
+function getMenuTriggers(item) {
+  if (item.trigger) {
+    return [item.trigger];
+  }
+  return (item.triggers || []).map((entry) => entry.trigger || Object.keys(entry)[0]);
+}
+
+function asList(value, label) {
+  if (!Array.isArray(value)) {
+    throw new TypeError(`${label} must be a list`);
+  }
+  return value;
+}
+
+function checkKeys(value, allowed, label) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TypeError(`${label} must be a mapping`);
+  }
+  const unknown = Object.keys(value).filter((key) => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label} cannot translate ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+  }
+}
+
+function displayPath(filePath) {
+  return path.relative(process.cwd(), filePath) || filePath;
+}
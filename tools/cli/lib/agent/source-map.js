@@ -0,0 +1,362 @@
+/**
+ * BMAD Agent Source Maps
+ * Maps line ranges of a compiled agent (.md) back to the YAML node that produced them.
+ * Lines the compiler adds itself (frontmatter, activation fragments, built-in menu items)
+ * are mapped to what generated them instead.
+ *
+ * Map format (JSON):
+ * {
+ *   "version": 1,
+ *   "file": "pm.md",
+ *   "sources": ["{bmad-source}/src/modules/bmm/agents/pm.agent.yaml", "{project-root}/_bmad/_config/agents/bmm-pm.customize.yaml"],
+ *   "mappings": [
+ *     { "lines": [40, 40], "source": 0, "path": "agent.menu[3]", "label": "trigger: create-prd",
+ *       "sourceLines": [31, 33], "translation": { "source": 1, "path": "agent.menu[0]", "sourceLines": [9, 10] } },
+ *     { "lines": [12, 30], "generated": "activation-steps.txt" }
+ *   ]
+ * }
+ *
+ * Maps are written to <bmad>/_config/source-maps/<compiled path>.map.json. Sources are stored
+ * relative to the project ({project-root}) or the BMAD package ({bmad-source}), so maps keep
+ * working when either moves; resolveSourcePath() turns them back into paths.
+ */
+
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const path = require('node:path');
+const { listAgentSources } = require('./inheritance');
+const { findLocaleOverlay, getMenuTriggers } = require('./locale');
+const { getProjectRoot } = require('../project-root');
+
+const SOURCE_MAP_VERSION = 1;
+const CRITICAL_ACTION_FIRST_STEP = 4; // Steps 1-3 of activation-steps.txt are standard
+const SOURCE_MAPS_DIR = path.join('_config', 'source-maps');
+
+/**
+ * Build the source map of a compiled agent
+ * @param {string} xml - Final content of the compiled agent
+ * @param {Object} agentYaml - Agent YAML the content was compiled from (compileAgent's processedYaml)
+ * @param {Object} options - { sourcePath, locale, file } where file is the name of the compiled agent
+ * @returns {Object} Source map
+ */
+function buildAgentSourceMap(xml, agentYaml, options = {}) {
+  const locator = new NodeLocator(options.sourcePath, options.locale);
+  const agent = agentYaml.agent;
+  const lines = xml.split('\n');
+  if (lines.at(-1) === '') {
+    lines.pop();
+  }
+
+  const mappings = [];
+  const map = (from, to, entry) => {
+    const previous = mappings.at(-1);
+    if (entry.generated && previous?.generated === entry.generated && previous.lines[1] === from) {
+      previous.lines[1] = to + 1;
+    } else {
+      mappings.push({ lines: [from + 1, to + 1], ...entry });
+    }
+  };
+  const generated = (from, to, label) => map(from, to, { generated: label });
+  const closingLine = (from, closingTag) => {
+    let index = from;
+    while (index < lines.length - 1 && !lines[index].includes(closingTag)) {
+      index++;
+    }
+    return index;
+  };
+
+  const criticalActions = agent.critical_actions || [];
+  const multiItems = (agent.menu || []).filter((item) => item.multi);
+  let section = null;
+  let handlerType = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+
+    // Frontmatter is built from the metadata
+    if (index === 0 && line === '---') {
+      const end = lines.indexOf('---', 1);
+      map(index, end, locator.metadata());
+      index = end;
+      continue;
+    }
+
+    if (line.startsWith('<agent ')) {
+      map(index, index, locator.metadata());
+      continue;
+    }
+
+    if (line.startsWith('<activation')) {
+      section = 'activation';
+    } else if (line === '<persona>' || line === '<prompts>' || line === '<menu>') {
+      section = line.slice(1, -1);
+    }
+
+    switch (section) {
+      case 'activation': {
+        const step = line.match(/^<step n="(\d+)">/);
+        const actionIndex = step ? Number(step[1]) - CRITICAL_ACTION_FIRST_STEP : -1;
+        if (line === '<menu-handlers>') {
+          handlerType = 'menu-handlers.txt';
+        } else if (line === '<rules>') {
+          handlerType = 'activation-rules.txt';
+        }
+
+        if (actionIndex >= 0 && actionIndex < criticalActions.length && !handlerType) {
+          const end = closingLine(index, '</step>');
+          map(index, end, locator.criticalAction(criticalActions[actionIndex], actionIndex));
+          index = end;
+        } else if (line.startsWith('<handler type="')) {
+          const end = closingLine(index, '</handler>');
+          generated(index, end, `handler-${line.match(/type="([^"]+)"/)[1]}.txt`);
+          index = end;
+        } else {
+          generated(index, index, handlerType || 'activation-steps.txt');
+        }
+
+        if (line === '</menu-handlers>' || line === '</rules>') {
+          handlerType = null;
+        } else if (line.startsWith('</activation>')) {
+          // The persona opens on the same line as the end of the activation block
+          section = line.endsWith('<persona>') ? 'persona' : null;
+        }
+        break;
+      }
+      case 'persona': {
+        const field = line.match(/^<(role|identity|communication_style|principles)>/);
+        if (field) {
+          map(index, closingLine(index, `</${field[1]}>`), locator.persona(field[1]));
+          index = closingLine(index, `</${field[1]}>`);
+        } else {
+          generated(index, index, 'compiler');
+        }
+        if (line === '</persona>') section = null;
+        break;
+      }
+      case 'prompts': {
+        const prompt = line.match(/^<prompt id="([^"]*)">/);
+        if (prompt) {
+          const end = closingLine(index, '</prompt>');
+          map(index, end, locator.prompt(prompt[1]));
+          index = end;
+        } else {
+          generated(index, index, 'compiler');
+        }
+        if (line === '</prompts>') section = null;
+        break;
+      }
+      case 'menu': {
+        const command = line.match(/^<item cmd="\*([^"]+)"/);
+        if (line.startsWith('<item type="multi">')) {
+          const end = closingLine(index, '</item>');
+          map(index, end, locator.menuItem(getMenuTriggers(multiItems.shift() || {})));
+          index = end;
+        } else if (command && command[1] !== 'menu' && command[1] !== 'dismiss') {
+          map(index, index, locator.menuItem([command[1]]));
+        } else {
+          generated(index, index, 'compiler');
+        }
+        if (line === '</menu>') section = null;
+        break;
+      }
+      default: {
+        generated(index, index, 'compiler');
+      }
+    }
+  }
+
+  return { version: SOURCE_MAP_VERSION, file: options.file || '', sources: locator.sources, mappings };
+}
+
+/**
+ * Find the mapping of a line of the compiled agent
+ * @param {Object} sourceMap - Source map
+ * @param {number} line - 1-based line number
+ * @returns {Object|null} Mapping, or null when the line is outside the file
+ */
+function findMapping(sourceMap, line) {
+  return sourceMap.mappings.find((mapping) => mapping.lines[0] <= line && line <= mapping.lines[1]) || null;
+}
+
+/**
+ * @param {string} bmadDir - BMAD installation directory
+ * @param {string} compiledPath - Path of the compiled agent below bmadDir
+ * @returns {string} Path of its source map
+ */
+function getAgentSourceMapPath(bmadDir, compiledPath) {
+  return path.join(bmadDir, SOURCE_MAPS_DIR, `${path.relative(bmadDir, compiledPath)}.map.json`);
+}
+
+/**
+ * @param {string} bmadDir - BMAD installation directory
+ * @param {string} mapPath - Path of a source map
+ * @returns {string} Path of the compiled agent it maps
+ */
+function getCompiledAgentPath(bmadDir, mapPath) {
+  return path.join(bmadDir, path.relative(path.join(bmadDir, SOURCE_MAPS_DIR), mapPath).replace(/\.map\.json$/, ''));
+}
+
+/**
+ * Roots sources are stored relative to, in the order they are tried
+ * @param {string|null} projectDir - Project the installation belongs to
+ */
+function sourceRoots(projectDir) {
+  return [
+    ['{project-root}', projectDir],
+    ['{bmad-source}', getProjectRoot()],
+  ].filter(([, root]) => root);
+}
+
+/**
+ * @param {string} bmadDir - BMAD installation directory
+ * @param {string} source - Entry of a source map's sources
+ * @returns {string} Absolute path of the source file
+ */
+function resolveSourcePath(bmadDir, source) {
+  const [token, ...rest] = source.split('/');
+  const root = sourceRoots(path.dirname(bmadDir)).find(([name]) => name === token);
+  return root ? path.join(root[1], ...rest) : source;
+}
+
+/**
+ * Write a source map, storing its sources relative to the project or the BMAD package
+ * (files outside both keep their absolute path)
+ * @param {string} mapPath - Target path, below <bmad>/_config/source-maps
+ * @param {Object} sourceMap - Source map
+ */
+function writeAgentSourceMap(mapPath, sourceMap) {
+  const marker = mapPath.lastIndexOf(`${path.sep}${SOURCE_MAPS_DIR}${path.sep}`);
+  const roots = sourceRoots(marker === -1 ? null : path.dirname(mapPath.slice(0, marker)));
+  const sources = sourceMap.sources.map((source) => {
+    for (const [token, root] of roots) {
+      const relative = path.relative(root, source);
+      if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return [token, ...relative.split(path.sep)].join('/');
+      }
+    }
+    return source;
+  });
+  fs.outputFileSync(mapPath, JSON.stringify({ ...sourceMap, sources }, null, 2) + '\n', 'utf8');
+}
+
+module.exports = {
+  buildAgentSourceMap,
+  findMapping,
+  getAgentSourceMapPath,
+  getCompiledAgentPath,
+  resolveSourcePath,
+  writeAgentSourceMap,
+  SOURCE_MAP_VERSION,
+};
+
+/**
+ * Locates YAML nodes in the files an agent is built from
+ * Definitions are searched in the order they win (see listAgentSources); text translated by
+ * a locale overlay also records the overlay node.
+ */
+class NodeLocator {
+  /**
+   * @param {string} sourcePath - Path of the *.agent.yaml file
+   * @param {string} locale - Locale the agent was compiled for
+   */
+  constructor(sourcePath, locale) {
+    this.chain = sourcePath ? listAgentSources(sourcePath) : [];
+    this.overlay = sourcePath ? findLocaleOverlay(sourcePath, locale) : null;
+    this.sources = [];
+    this.documents = new Map();
+  }
+
+  metadata() {
+    const location = this.locate(this.chain.slice(0, 1), (agent) => pairOf(agent, 'metadata'), 'agent.metadata');
+    return this.withTranslation(location, (agent) => pairOf(agent.get('metadata'), 'title'), 'agent.metadata.title');
+  }
+
+  persona(field) {
+    const find = (agent) => pairOf(agent.get('persona'), field);
+    return this.withTranslation(this.locate(this.chain, find, `agent.persona.${field}`), find, `agent.persona.${field}`);
+  }
+
+  criticalAction(text, index) {
+    const location = this.locateItem(this.chain, 'critical_actions', (item) => String(item) === text);
+    return location || { path: `agent.critical_actions[${index}]`, label: 'added by customization or templates' };
+  }
+
+  prompt(id) {
+    const matches = (item) => item?.id === id;
+    const location = this.locateItem(this.chain, 'prompts', matches) || { path: 'agent.prompts' };
+    return this.withTranslation({ ...location, label: `id: ${id}` }, null, null, 'prompts', matches);
+  }
+
+  menuItem(triggers) {
+    const matches = (item) =>
+      item?.trigger ? triggers.includes(item.trigger) : getMenuTriggers(item || {}).some((t) => triggers.includes(t));
+    const location = this.locateItem(this.chain, 'menu', matches) || { path: 'agent.menu' };
+    return this.withTranslation({ ...location, label: `trigger: ${triggers.join(', ')}` }, null, null, 'menu', matches);
+  }
+
+  /**
+   * First file of a list where find(agentNode) returns a node
+   */
+  locate(files, find, yamlPath) {
+    for (const file of files) {
+      const document = this.load(file);
+      const node = find(document.agent);
+      if (node) {
+        return { source: this.sourceIndex(file), path: yamlPath, sourceLines: document.lines(node) };
+      }
+    }
+    return { path: yamlPath };
+  }
+
+  /**
+   * First file of a list whose agent.<key> list has an item that matches
+   */
+  locateItem(files, key, matches) {
+    for (const file of files) {
+      const document = this.load(file);
+      const list = document.agent?.get(key);
+      const index = yaml.isSeq(list) ? list.items.findIndex((item) => matches(item?.toJSON?.() ?? item?.value)) : -1;
+      if (index !== -1) {
+        return { source: this.sourceIndex(file), path: `agent.${key}[${index}]`, sourceLines: document.lines(list.items[index]) };
+      }
+    }
+    return null;
+  }
+
+  withTranslation(location, find, yamlPath, listKey, matches) {
+    if (!this.overlay) {
+      return location;
+    }
+    const translation = listKey ? this.locateItem([this.overlay], listKey, matches) : this.locate([this.overlay], find, yamlPath);
+    return translation?.sourceLines ? { ...location, translation } : location;
+  }
+
+  load(file) {
+    if (!this.documents.has(file)) {
+      const text = fs.readFileSync(file, 'utf8');
+      const lineCounter = new yaml.LineCounter();
+      const document = yaml.parseDocument(text, { lineCounter });
+      const agent = document.get('agent');
+      this.documents.set(file, {
+        agent: yaml.isMap(agent) ? agent : null,
+        lines: (node) => {
+          const [start, end] = yaml.isPair(node) ? [node.key.range[0], (node.value || node.key).range[1]] : node.range;
+          const last = start + text.slice(start, end).trimEnd().length - 1;
+          return [lineCounter.linePos(start).line, lineCounter.linePos(Math.max(start, last)).line];
+        },
+      });
+    }
+    return this.documents.get(file);
+  }
+
+  sourceIndex(file) {
+    if (!this.sources.includes(file)) {
+      this.sources.push(file);
+    }
+    return this.sources.indexOf(file);
+  }
+}
+
+function pairOf(node, key) {
+  return yaml.isMap(node) ? node.items.find((pair) => pair.key?.value === key) : undefined;
+}
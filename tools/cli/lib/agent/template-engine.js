@@ -1,60 +1,84 @@
 /**
  * Template Engine for BMAD Agent Install Configuration
- * Processes {{variable}}, {{#if}}, {{#unless}}, and {{/if}} blocks
+ *
+ * Templates are parsed into a tree, so blocks nest and can be combined freely:
+ *   {{var}}  {{item.field}}                 - variable (left as-is when no answer exists)
+ *   {{#if var}} {{#if var == "x"}} {{#if var != "x"}} ... {{else if ...}} ... {{else}} ... {{/if}}
+ *   {{#unless var}} ... {{else}} ... {{/unless}}
+ *   {{#each list}} {{this}} {{@index}} ... {{else}} ... {{/each}}
+ *   {{> partial-name}}                       - snippet from src/utility/agent-components
+ *
+ * Text outside tags is kept byte for byte; anything in {{ }} that is not one of the tags above
+ * is kept as literal text.
  */
 
+const fs = require('node:fs');
+const path = require('node:path');
+const { getSourcePath } = require('../project-root');
+
+const TAG_PATTERN = /\{\{([^{}\n]*?)\}\}/g;
+const PATH_PATTERN = String.raw`@?\w+(?:\.\w+)*`;
+const VARIABLE_TAG = new RegExp(`^${PATH_PATTERN}$`);
+const OPEN_TAG = /^#(if|unless)(?:\s+(.*?))?\s*$/;
+const EACH_TAG = /^#each(?:\s+(.*?))?\s*$/;
+const ELSE_TAG = /^else(?:\s+if\s+(.*?))?\s*$/;
+const CLOSE_TAG = /^\/(if|unless|each)\s*$/;
+const PARTIAL_TAG = /^>\s*([\w./-]+)\s*$/;
+const CONDITION = new RegExp(`^(${PATH_PATTERN})\\s*(?:(==|!=)\\s*(.+?))?$`);
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Error in a template, with the 1-based line it occurred on
+ */
+class TemplateError extends Error {
+  /**
+   * @param {string} reason - What is wrong
+   * @param {number} line - Line of the template
+   * @param {string} [location] - Where the template comes from (e.g. agent.persona.identity)
+   */
+  constructor(reason, line, location) {
+    super(`${location ? `${location}, ` : ''}line ${line}: ${reason}`);
+    this.name = 'TemplateError';
+    this.reason = reason;
+    this.line = line;
+    this.location = location;
+  }
+}
+
 /**
  * Process all template syntax in a string
  * @param {string} content - Content with template syntax
  * @param {Object} variables - Key-value pairs from install_config answers
+ * @param {Object} options - { partialsDir }
  * @returns {string} Processed content
  */
-function processTemplate(content, variables = {}) {
-  let result = content;
-
-  // Process conditionals first (they may contain variables)
-  result = processConditionals(result, variables);
-
-  // Then process simple variable replacements
-  result = processVariables(result, variables);
-
-  // Clean up any empty lines left by removed conditionals
-  result = cleanupEmptyLines(result);
-
-  return result;
+function processTemplate(content, variables = {}, options = {}) {
+  return cleanupEmptyLines(renderTemplate(content, variables, options));
 }
 
 /**
- * Process {{#if}}, {{#unless}}, {{/if}}, {{/unless}} blocks
+ * Render a template without any post-processing
+ * @param {string} content - Content with template syntax
+ * @param {Object} variables - Key-value pairs from install_config answers
+ * @param {Object} options - { partialsDir, keepVariables }
+ * @returns {string} Rendered content
+ * @throws {TemplateError} On malformed templates, unknown partials or non-list {{#each}} values
  */
-function processConditionals(content, variables) {
-  let result = content;
-
-  // Process {{#if variable == "value"}} blocks
-  // Handle both regular quotes and JSON-escaped quotes (\")
-  const ifEqualsPattern = /\{\{#if\s+(\w+)\s*==\s*\\?"([^"\\]+)\\?"\s*\}\}([\s\S]*?)\{\{\/if\}\}/g;
-  result = result.replaceAll(ifEqualsPattern, (match, varName, value, block) => {
-    return variables[varName] === value ? block : '';
-  });
-
-  // Process {{#if variable}} blocks (boolean or truthy check)
-  const ifBoolPattern = /\{\{#if\s+(\w+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g;
-  result = result.replaceAll(ifBoolPattern, (match, varName, block) => {
-    const val = variables[varName];
-    // Treat as truthy: true, non-empty string, non-zero number
-    const isTruthy = val === true || (typeof val === 'string' && val.length > 0) || (typeof val === 'number' && val !== 0);
-    return isTruthy ? block : '';
-  });
-
-  // Process {{#unless variable}} blocks (inverse of if)
-  const unlessPattern = /\{\{#unless\s+(\w+)\s*\}\}([\s\S]*?)\{\{\/unless\}\}/g;
-  result = result.replaceAll(unlessPattern, (match, varName, block) => {
-    const val = variables[varName];
-    const isFalsy = val === false || val === '' || val === null || val === undefined || val === 0;
-    return isFalsy ? block : '';
-  });
+function renderTemplate(content, variables = {}, options = {}) {
+  const context = {
+    partialsDir: options.partialsDir || getSourcePath('utility', 'agent-components'),
+    keepVariables: options.keepVariables || false,
+    partials: new Map(),
+    depth: 0,
+  };
+  return renderNodes(parseTemplate(content), [variables], context);
+}
 
-  return result;
+/**
+ * Process {{#if}}, {{#unless}}, {{#each}} blocks and partials, leaving {{variable}} tags in place
+ */
+function processConditionals(content, variables, options = {}) {
+  return renderTemplate(content, variables, { ...options, keepVariables: true });
 }
 
 /**
@@ -76,6 +100,298 @@ function processVariables(content, variables) {
   return result;
 }
 
+/**
+ * Parse a template into a tree of text, variable, block and partial nodes
+ * @param {string} content - Template source
+ * @returns {Array<Object>} Nodes
+ * @throws {TemplateError} On unbalanced or malformed block tags
+ */
+function parseTemplate(content) {
+  const root = { nodes: [] };
+  const stack = [];
+  let current = root.nodes;
+  let lastIndex = 0;
+
+  const lineAt = (offset) => content.slice(0, offset).split('\n').length;
+
+  for (const match of content.matchAll(TAG_PATTERN)) {
+    const tag = match[1];
+    const line = lineAt(match.index);
+    const text = content.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+    if (text) {
+      current.push({ type: 'text', value: text });
+    }
+
+    let parts;
+    if ((parts = OPEN_TAG.exec(tag))) {
+      const block = {
+        type: parts[1],
+        tag: match[0],
+        line,
+        branches: [{ condition: parseCondition(parts[2], tag, line), nodes: [] }],
+        elseNodes: null,
+      };
+      current.push(block);
+      stack.push(block);
+      current = block.branches[0].nodes;
+    } else if ((parts = EACH_TAG.exec(tag))) {
+      if (!parts[1] || !VARIABLE_TAG.test(parts[1])) {
+        throw new TemplateError(`{{${tag}}} needs a list variable, e.g. {{#each items}}`, line);
+      }
+      const block = { type: 'each', tag: match[0], line, path: parts[1], nodes: [], elseNodes: null };
+      current.push(block);
+      stack.push(block);
+      current = block.nodes;
+    } else if ((parts = ELSE_TAG.exec(tag))) {
+      const block = stack.at(-1);
+      if (!block) {
+        throw new TemplateError(`{{${tag}}} outside of a block`, line);
+      }
+      if (block.elseNodes) {
+        throw new TemplateError(`{{${tag}}} after {{else}} in the block opened on line ${block.line}`, line);
+      }
+      if (parts[1] === undefined) {
+        block.elseNodes = [];
+        current = block.elseNodes;
+      } else {
+        if (block.type !== 'if') {
+          throw new TemplateError(`{{else if}} is only allowed in {{#if}} blocks`, line);
+        }
+        const branch = { condition: parseCondition(parts[1], tag, line), nodes: [] };
+        block.branches.push(branch);
+        current = branch.nodes;
+      }
+    } else if ((parts = CLOSE_TAG.exec(tag))) {
+      const block = stack.pop();
+      if (!block) {
+        throw new TemplateError(`{{/${parts[1]}}} without a matching {{#${parts[1]}}}`, line);
+      }
+      if (block.type !== parts[1]) {
+        throw new TemplateError(`{{/${parts[1]}}} closes ${block.tag} opened on line ${block.line}`, line);
+      }
+      const parent = stack.at(-1);
+      current = parent ? currentNodes(parent) : root.nodes;
+    } else if ((parts = PARTIAL_TAG.exec(tag))) {
+      current.push({ type: 'partial', name: parts[1], line });
+    } else if (VARIABLE_TAG.test(tag)) {
+      current.push({ type: 'variable', path: tag, raw: match[0] });
+    } else {
+      current.push({ type: 'text', value: match[0] });
+    }
+  }
+
+  if (stack.length > 0) {
+    const block = stack.at(-1);
+    throw new TemplateError(`${block.tag} is never closed with {{/${block.type}}}`, block.line);
+  }
+
+  const rest = content.slice(lastIndex);
+  if (rest) {
+    root.nodes.push({ type: 'text', value: rest });
+  }
+  return root.nodes;
+}
+
+/**
+ * The node list new content of an open block goes into
+ */
+function currentNodes(block) {
+  if (block.elseNodes) {
+    return block.elseNodes;
+  }
+  return block.type === 'each' ? block.nodes : block.branches.at(-1).nodes;
+}
+
+/**
+ * Parse `var`, `var == "x"` or `var != "x"` (quotes may be JSON-escaped)
+ */
+function parseCondition(expression, tag, line) {
+  const parts = expression ? CONDITION.exec(expression.trim()) : null;
+  if (!parts) {
+    throw new TemplateError(`cannot parse condition in {{${tag}}} (expected var, var == "value" or var != "value")`, line);
+  }
+
+  const condition = { path: parts[1], operator: parts[2] || null };
+  if (condition.operator) {
+    condition.value = parseLiteral(parts[3]);
+    if (condition.value === undefined) {
+      throw new TemplateError(`cannot parse value ${parts[3]} in {{${tag}}} (use a quoted string, number, true or false)`, line);
+    }
+  }
+  return condition;
+}
+
+function parseLiteral(text) {
+  const quoted = /^\\?"([^"\\]*)\\?"$/.exec(text) || /^'([^']*)'$/.exec(text);
+  if (quoted) {
+    return quoted[1];
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : undefined;
+}
+
+/**
+ * Render nodes against a stack of scopes (innermost last)
+ */
+function renderNodes(nodes, scopes, context) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text': {
+        output += node.value;
+        break;
+      }
+      case 'variable': {
+        const found = lookup(node.path, scopes);
+        output += !context.keepVariables && found.exists ? String(found.value) : node.raw;
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const branch = node.branches.find((candidate) => testCondition(candidate.condition, scopes) === (node.type === 'if'));
+        output += renderNodes(branch ? branch.nodes : node.elseNodes || [], scopes, context);
+        break;
+      }
+      case 'each': {
+        output += renderEach(node, scopes, context);
+        break;
+      }
+      case 'partial': {
+        output += renderPartial(node, scopes, context);
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+function renderEach(node, scopes, context) {
+  const { value } = lookup(node.path, scopes);
+  if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+    return renderNodes(node.elseNodes || [], scopes, context);
+  }
+  if (!Array.isArray(value)) {
+    throw new TemplateError(`{{#each ${node.path}}} expects a list, got ${typeof value}`, node.line);
+  }
+
+  return value
+    .map((item, index) => {
+      const scope = {
+        ...(item && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+        this: item,
+        '@index': index,
+        '@first': index === 0,
+        '@last': index === value.length - 1,
+      };
+      return renderNodes(node.nodes, [...scopes, scope], context);
+    })
+    .join('');
+}
+
+function renderPartial(node, scopes, context) {
+  if (context.depth >= MAX_PARTIAL_DEPTH) {
+    throw new TemplateError(`partials nested deeper than ${MAX_PARTIAL_DEPTH} levels at {{> ${node.name}}}`, node.line);
+  }
+
+  if (!context.partials.has(node.name)) {
+    const file = findPartial(context.partialsDir, node.name);
+    if (!file) {
+      throw new TemplateError(`partial "${node.name}" not found in ${context.partialsDir}`, node.line);
+    }
+    try {
+      context.partials.set(node.name, parseTemplate(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        throw new TemplateError(`in partial "${node.name}", ${error.message}`, node.line);
+      }
+      throw error;
+    }
+  }
+
+  context.depth++;
+  try {
+    return renderNodes(context.partials.get(node.name), scopes, context);
+  } finally {
+    context.depth--;
+  }
+}
+
+/**
+ * Resolve a partial name to a file: exact file name, or any extension (handler-action -> handler-action.txt)
+ */
+function findPartial(partialsDir, name) {
+  const resolved = path.resolve(partialsDir, name);
+  if (!resolved.startsWith(path.resolve(partialsDir) + path.sep)) {
+    return null;
+  }
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isFile()) {
+    return resolved;
+  }
+
+  const directory = path.dirname(resolved);
+  if (!fs.existsSync(directory)) {
+    return null;
+  }
+  const match = fs.readdirSync(directory).find((file) => path.parse(file).name === path.basename(resolved));
+  return match ? path.join(directory, match) : null;
+}
+
+/**
+ * Look a dotted path up in the scopes, innermost first
+ * @returns {Object} { exists, value }
+ */
+function lookup(variablePath, scopes) {
+  const [head, ...rest] = variablePath.split('.');
+
+  for (let index = scopes.length - 1; index >= 0; index--) {
+    const scope = scopes[index];
+    if (scope && typeof scope === 'object' && Object.hasOwn(scope, head)) {
+      let value = scope[head];
+      for (const key of rest) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+          return { exists: false, value: undefined };
+        }
+        value = value[key];
+      }
+      return { exists: true, value };
+    }
+  }
+
+  return { exists: false, value: undefined };
+}
+
+function testCondition(condition, scopes) {
+  const { value } = lookup(condition.path, scopes);
+  switch (condition.operator) {
+    case '==': {
+      return value === condition.value;
+    }
+    case '!=': {
+      return value !== condition.value;
+    }
+    default: {
+      return isTruthy(value);
+    }
+  }
+}
+
+/**
+ * Truthy: true, non-empty string, non-zero number, non-empty list
+ */
+function isTruthy(value) {
+  return (
+    value === true ||
+    (typeof value === 'string' && value.length > 0) ||
+    (typeof value === 'number' && value !== 0 && !Number.isNaN(value)) ||
+    (Array.isArray(value) && value.length > 0)
+  );
+}
+
 /**
  * Clean up excessive empty lines left after removing conditional blocks
  */
@@ -108,15 +424,38 @@ function stripInstallConfig(agentYaml) {
 
 /**
  * Process entire agent YAML object with template variables
+ * Every string (keys included) is rendered on its own, so answers containing quotes or
+ * newlines are safe and errors can name the field they occur in.
  * @param {Object} agentYaml - Parsed agent YAML
  * @param {Object} variables - Answers from install_config questions
+ * @param {Object} options - { partialsDir }
  * @returns {Object} Processed agent YAML
+ * @throws {TemplateError} "<field path>, line N: ..." on malformed templates
  */
-function processAgentYaml(agentYaml, variables) {
-  // Convert to JSON string, process templates, parse back
-  const jsonString = JSON.stringify(agentYaml, null, 2);
-  const processed = processTemplate(jsonString, variables);
-  return JSON.parse(processed);
+function processAgentYaml(agentYaml, variables, options = {}) {
+  const render = (value, fieldPath) => {
+    if (typeof value === 'string') {
+      try {
+        return renderTemplate(value, variables, options);
+      } catch (error) {
+        if (error instanceof TemplateError) {
+          throw new TemplateError(error.reason, error.line, fieldPath.join('.'));
+        }
+        throw error;
+      }
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => render(item, [...fieldPath, index]));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [render(key, [...fieldPath, key]), render(item, [...fieldPath, key])]),
+      );
+    }
+    return value;
+  };
+
+  return render(agentYaml, []);
 }
 
 /**
@@ -141,7 +480,10 @@ function getDefaultValues(installConfig) {
 }
 
 module.exports = {
+  TemplateError,
   processTemplate,
+  renderTemplate,
+  parseTemplate,
   processConditionals,
   processVariables,
   extractInstallConfig,
@@ -0,0 +1,294 @@
+/**
+ * Two-way sync between sprint-status.yaml and a Beads database
+ *
+ * Epics and stories are matched to Beads issues by the key labels the sprint-planning-beads
+ * workflow puts on them (epic-1, story-1-2). Story statuses map to the label taxonomy of
+ * dev.agent.yaml, epic statuses to the issue status. Retrospectives have no Beads equivalent.
+ *
+ * The statuses both sides last agreed on are kept in sprint-status.beads-sync.yaml next to
+ * sprint-status.yaml. A side that moved away from that base wins; when both moved to different
+ * statuses the entry is a conflict and neither side is touched. Running the sync again without
+ * changes does nothing.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+
+const SYNC_STATE_SUFFIX = '.beads-sync.yaml';
+
+// Workflow labels of a story, per sprint status (label taxonomy in dev.agent.yaml)
+const STORY_LABELS = {
+  backlog: ['needs-spec'],
+  'ready-for-dev': ['ready-for-dev'],
+  'in-progress': ['in-dev'],
+  review: ['needs-review'],
+  done: ['reviewed', 'done'],
+};
+const WORKFLOW_LABELS = new Set([
+  'needs-spec',
+  'needs-validation',
+  'ready-for-dev',
+  'in-dev',
+  'needs-review',
+  'needs-fix',
+  'reviewed',
+  'done',
+]);
+
+const CLOSE_REASON = 'Done (bmad beads sync)';
+
+/**
+ * Sprint status of a story issue, from its labels and status
+ * @param {Object} issue - Beads issue
+ * @returns {string} Story status
+ */
+function storyStatusOf(issue) {
+  const labels = new Set(issue.labels || []);
+  if (issue.status === 'closed' || labels.has('done')) return 'done';
+  if (labels.has('needs-review')) return 'review';
+  if (labels.has('in-dev') || labels.has('needs-fix') || issue.status === 'in_progress' || issue.status === 'blocked') return 'in-progress';
+  if (labels.has('ready-for-dev')) return 'ready-for-dev';
+  return 'backlog';
+}
+
+/**
+ * Sprint status of an epic issue
+ * @param {Object} issue - Beads issue
+ * @returns {string} Epic status
+ */
+function epicStatusOf(issue) {
+  if (issue.status === 'closed') return 'done';
+  if (issue.status === 'in_progress' || issue.status === 'blocked') return 'in-progress';
+  return 'backlog';
+}
+
+/**
+ * Key label of a sprint-status entry: epic-1 for epics, story-1-2 for story 1-2-login
+ */
+function keyLabelOf(entry) {
+  return entry.kind === 'epic' ? entry.key : `story-${entry.key.split('-').slice(0, 2).join('-')}`;
+}
+
+function titleOf(entry) {
+  if (entry.kind === 'epic') {
+    return `Epic ${entry.epic}`;
+  }
+  const [epic, story, ...words] = entry.key.split('-');
+  const title = words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  return `Story ${epic}.${story}${title ? `: ${title}` : ''}`;
+}
+
+class BeadsSync {
+  /**
+   * @param {BeadsClient} client - Beads CLI wrapper
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * @param {string} sprintStatusPath - Path of sprint-status.yaml
+   * @returns {string} Path of the sync state kept next to it
+   */
+  getStatePath(sprintStatusPath) {
+    return path.join(path.dirname(sprintStatusPath), path.basename(sprintStatusPath, path.extname(sprintStatusPath)) + SYNC_STATE_SUFFIX);
+  }
+
+  async loadState(statePath) {
+    if (!(await fs.pathExists(statePath))) {
+      return { entries: {} };
+    }
+    const state = yaml.parse(await fs.readFile(statePath, 'utf8')) || {};
+    return { ...state, entries: state.entries || {} };
+  }
+
+  async saveState(statePath, state) {
+    const header = '# Written by bmad beads sync: the statuses sprint-status.yaml and Beads last agreed on\n';
+    await fs.writeFile(statePath, header + yaml.stringify({ ...state, synced: new Date().toISOString() }), 'utf8');
+  }
+
+  /**
+   * Work out what the sync has to do
+   * @param {SprintStatus} status - Parsed sprint-status.yaml
+   * @param {Object} state - Sync state from loadState()
+   * @param {Object} options - { prefer: 'file' | 'beads' } resolves conflicts in favour of one side
+   * @returns {Promise<Object>} { actions, conflicts, onlyInBeads, agreed }
+   */
+  async plan(status, state, options = {}) {
+    const issues = await this.client.listIssues();
+    const byId = new Map(issues.map((issue) => [issue.id, issue]));
+    this.issues = byId;
+    const byLabel = new Map();
+    for (const issue of issues) {
+      for (const label of issue.labels || []) {
+        if (!byLabel.has(label)) byLabel.set(label, []);
+        byLabel.get(label).push(issue);
+      }
+    }
+
+    const result = { actions: [], conflicts: [], onlyInBeads: [], agreed: {} };
+    const matched = new Set();
+
+    for (const entry of status.entries) {
+      if (entry.kind !== 'epic' && entry.kind !== 'story') continue;
+
+      const base = state.entries[entry.key];
+      const keyLabel = keyLabelOf(entry);
+      const candidates = (byLabel.get(keyLabel) || []).filter((issue) =>
+        entry.kind === 'epic' ? issue.issue_type === 'epic' || (issue.labels || []).includes('bmad-epic') : true,
+      );
+      const issue = byId.get(base?.issue) || (candidates.length === 1 ? candidates[0] : null);
+
+      if (!issue && candidates.length > 1) {
+        result.conflicts.push({
+          key: entry.key,
+          reason: `several issues are labelled ${keyLabel}: ${candidates.map((c) => c.id).join(', ')}`,
+        });
+        for (const candidate of candidates) matched.add(candidate.id);
+        continue;
+      }
+      if (!issue) {
+        result.actions.push({
+          type: 'create',
+          key: entry.key,
+          kind: entry.kind,
+          epic: entry.epic,
+          status: entry.status,
+          title: titleOf(entry),
+        });
+        continue;
+      }
+      matched.add(issue.id);
+
+      const fileStatus = entry.status;
+      const beadsStatus = entry.kind === 'epic' ? epicStatusOf(issue) : storyStatusOf(issue);
+      const baseStatus = base?.issue === issue.id ? base.status : undefined;
+      const fileMoved = fileStatus !== baseStatus;
+      const beadsMoved = beadsStatus !== baseStatus;
+
+      if (fileStatus === beadsStatus) {
+        result.agreed[entry.key] = { issue: issue.id, status: fileStatus };
+      } else if ((fileMoved && !beadsMoved) || options.prefer === 'file') {
+        result.actions.push({ type: 'push', key: entry.key, kind: entry.kind, issue: issue.id, from: beadsStatus, to: fileStatus });
+      } else if ((beadsMoved && !fileMoved) || options.prefer === 'beads') {
+        result.actions.push({ type: 'pull', key: entry.key, kind: entry.kind, issue: issue.id, from: entry.state, to: beadsStatus });
+      } else {
+        result.conflicts.push({
+          key: entry.key,
+          issue: issue.id,
+          reason: baseStatus
+            ? `changed on both sides since ${baseStatus}: ${fileStatus} in the file, ${beadsStatus} in Beads`
+            : `${fileStatus} in the file, ${beadsStatus} in Beads, never synced`,
+        });
+      }
+    }
+
+    // Issues that look like BMAD epics and stories but have no entry in the file
+    for (const issue of issues) {
+      const labels = issue.labels || [];
+      const isTracked = labels.includes('bmad-story') || labels.includes('bmad-epic');
+      if (isTracked && !matched.has(issue.id) && labels.some((label) => /^(story|epic)-\d+(-\d+)?$/.test(label))) {
+        result.onlyInBeads.push({ issue: issue.id, title: issue.title });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Carry out a plan: create missing issues, update Beads and the file, and return the new sync state
+   * The caller writes status.toString() back to sprint-status.yaml.
+   * @param {SprintStatus} status - Parsed sprint-status.yaml (pulled statuses are written into it)
+   * @param {Object} plan - Result of the last plan() call
+   * @param {Object} state - Sync state the plan was made from; conflicting entries keep their last agreed status
+   * @returns {Promise<Object>} Sync state for saveState()
+   */
+  async apply(status, plan, state) {
+    const entries = { ...plan.agreed };
+    const epicIssues = new Map(Object.entries(plan.agreed).map(([key, value]) => [key, value.issue]));
+
+    for (const action of plan.actions) {
+      switch (action.type) {
+        case 'create': {
+          const labels =
+            action.kind === 'epic'
+              ? ['bmad-epic', action.key]
+              : ['bmad-story', `epic-${action.epic}`, keyLabelOf(action), ...STORY_LABELS[action.status]];
+          const issue = await this.client.createIssue(action.title, {
+            type: action.kind === 'epic' ? 'epic' : 'task',
+            description: `Created by bmad beads sync from ${path.basename(status.filePath)} (${action.key})`,
+            labels,
+          });
+          await this.setIssueStatus(issue, action.kind, action.status, false);
+          if (action.kind === 'epic') {
+            epicIssues.set(action.key, issue.id);
+          } else if (epicIssues.has(`epic-${action.epic}`)) {
+            await this.client.addDependency(epicIssues.get(`epic-${action.epic}`), issue.id, 'parent-child');
+          }
+          action.issue = issue.id;
+          entries[action.key] = { issue: issue.id, status: action.status };
+          break;
+        }
+        case 'push': {
+          await this.setIssueStatus(this.issues.get(action.issue), action.kind, action.to, true);
+          entries[action.key] = { issue: action.issue, status: action.to };
+          break;
+        }
+        case 'pull': {
+          status.move(action.key, action.to, { force: true });
+          entries[action.key] = { issue: action.issue, status: action.to };
+          break;
+        }
+      }
+      if (action.kind === 'epic' && entries[action.key]) {
+        epicIssues.set(action.key, entries[action.key].issue);
+      }
+    }
+
+    // Keep the order of sprint-status.yaml so unchanged state compares equal
+    const conflicts = new Set(plan.conflicts.map((conflict) => conflict.key));
+    const ordered = {};
+    for (const { key } of status.entries) {
+      const entry = entries[key] || (conflicts.has(key) && state?.entries[key]);
+      if (entry) ordered[key] = entry;
+    }
+    return { entries: ordered };
+  }
+
+  /**
+   * Bring an issue's labels and status in line with a sprint status
+   * @param {Object} issue - Beads issue
+   * @param {string} kind - epic or story
+   * @param {string} sprintStatus - Status to apply
+   * @param {boolean} updateLabels - Also replace the workflow labels of a story
+   * @returns {Promise<number>} Number of bd commands run
+   */
+  async setIssueStatus(issue, kind, sprintStatus, updateLabels) {
+    let commands = 0;
+    if (kind === 'story' && updateLabels) {
+      const target = STORY_LABELS[sprintStatus];
+      for (const label of issue.labels || []) {
+        if (WORKFLOW_LABELS.has(label) && !target.includes(label)) {
+          await this.client.removeLabel(issue.id, label);
+          commands++;
+        }
+      }
+      for (const label of target) {
+        if (!(issue.labels || []).includes(label)) {
+          await this.client.addLabel(issue.id, label);
+          commands++;
+        }
+      }
+    }
+
+    const beadsStatus = { done: 'closed', 'in-progress': 'in_progress' }[sprintStatus] || 'open';
+    if ((issue.status || 'open') === beadsStatus) {
+      return commands;
+    }
+    await (beadsStatus === 'closed' ? this.client.close(issue.id, CLOSE_REASON) : this.client.updateStatus(issue.id, beadsStatus));
+    return commands + 1;
+  }
+}
+
+module.exports = { BeadsSync, storyStatusOf, epicStatusOf, STORY_LABELS };
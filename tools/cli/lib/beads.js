@@ -0,0 +1,122 @@
+/**
+ * Thin wrapper around the Beads CLI (bd, https://github.com/steveyegge/beads)
+ * Uses the same commands the *-beads workflows tell agents to run; .beads/ is never read directly.
+ */
+
+const { execFile } = require('node:child_process');
+const { promisify } = require('node:util');
+
+const pExecFile = promisify(execFile);
+
+class BeadsClient {
+  /**
+   * @param {Object} options - { bin: bd executable (default "bd"), cwd: directory holding .beads }
+   */
+  constructor(options = {}) {
+    this.bin = options.bin || 'bd';
+    this.cwd = options.cwd || process.cwd();
+  }
+
+  /**
+   * Run bd and parse its --json output
+   * @param {Array<string>} args - Arguments, without --json
+   * @returns {Promise<*>} Parsed output, or null when bd printed nothing
+   */
+  async run(args) {
+    let stdout;
+    try {
+      ({ stdout } = await pExecFile(this.bin, [...args, '--json'], { cwd: this.cwd, maxBuffer: 64 * 1024 * 1024 }));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`"${this.bin}" not found. Install Beads (https://github.com/steveyegge/beads) or pass --bd <path>.`);
+      }
+      throw new Error(`${this.bin} ${args.join(' ')} failed: ${String(error.stderr || error.message).trim()}`);
+    }
+
+    const output = String(stdout || '').trim();
+    try {
+      return output ? JSON.parse(output) : null;
+    } catch {
+      throw new Error(`${this.bin} ${args.join(' ')} did not return JSON`);
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All issues ({ id, title, status, issue_type, labels, ... })
+   */
+  async listIssues() {
+    const issues = await this.run(['list']);
+    return Array.isArray(issues) ? issues : [];
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Open issues with no open blockers
+   */
+  async listReadyIssues() {
+    const issues = await this.run(['ready']);
+    return Array.isArray(issues) ? issues : [];
+  }
+
+  async showIssue(id) {
+    const issue = await this.run(['show', id]);
+    // Some bd versions print a one-element array
+    return Array.isArray(issue) ? issue[0] : issue;
+  }
+
+  /**
+   * Create an issue
+   * @param {string} title - Issue title
+   * @param {Object} options - { type, priority, description, labels }
+   * @returns {Promise<Object>} The created issue
+   */
+  async createIssue(title, options = {}) {
+    const args = ['create', title, '-t', options.type || 'task', '-p', String(options.priority ?? 2)];
+    if (options.description) args.push('-d', options.description);
+    const issue = await this.run(args);
+    if (!issue?.id) {
+      throw new Error(`${this.bin} create did not return an issue id`);
+    }
+    for (const label of options.labels || []) {
+      await this.addLabel(issue.id, label);
+    }
+    return { ...issue, labels: [...(issue.labels || []), ...(options.labels || [])] };
+  }
+
+  async addLabel(id, label) {
+    return this.run(['label', 'add', id, label]);
+  }
+
+  async removeLabel(id, label) {
+    return this.run(['label', 'remove', id, label]);
+  }
+
+  /**
+   * @param {string} id - Issue id
+   * @param {string} status - open, in_progress or blocked
+   */
+  async updateStatus(id, status) {
+    return this.run(['update', id, '--status', status]);
+  }
+
+  async close(id, reason) {
+    return this.run(['close', id, '--reason', reason]);
+  }
+
+  async addComment(id, text) {
+    return this.run(['comments', 'add', id, text]);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Comments of an issue ({ id, author, text, created_at })
+   */
+  async listComments(id) {
+    const comments = await this.run(['comments', id]);
+    return Array.isArray(comments) ? comments : [];
+  }
+
+  async addDependency(fromId, toId, type) {
+    return this.run(['dep', 'add', fromId, toId, '--type', type]);
+  }
+}
+
+module.exports = { BeadsClient };
@@ -4,6 +4,7 @@ const wrapAnsi = require('wrap-ansi');
 const figlet = require('figlet');
 const path = require('node:path');
 const os = require('node:os');
+const { t } = require('./i18n');
 
 const CLIUtils = {
   /**
@@ -39,7 +40,7 @@ const CLIUtils = {
     ╚═════╝ ╚═╝     ╚═╝╚═╝  ╚═╝╚═════╝`;
 
     console.log(chalk.cyan(logo));
-    console.log(chalk.dim(`    Build More, Architect Dreams`) + chalk.cyan.bold(` v${version}`) + '\n');
+    console.log(chalk.dim(`    ${t('logo.tagline')}`) + chalk.cyan.bold(` v${version}`) + '\n');
   },
 
   /**
@@ -91,7 +92,7 @@ const CLIUtils = {
   displayModuleConfigHeader(moduleName, header = null, subheader = null) {
     // Simple blue banner with custom header/subheader if provided
     console.log('\n' + chalk.cyan('─'.repeat(80)));
-    console.log(chalk.cyan(header || `Configuring ${moduleName.toUpperCase()} Module`));
+    console.log(chalk.cyan(header || t('moduleConfig.header', { module: moduleName.toUpperCase() })));
     if (subheader) {
       console.log(chalk.dim(`${subheader}`));
     }
@@ -107,7 +108,7 @@ const CLIUtils = {
   displayModuleNoConfig(moduleName, header = null, subheader = null) {
     // Show full banner with header/subheader, just like modules with config
     console.log('\n' + chalk.cyan('─'.repeat(80)));
-    console.log(chalk.cyan(header || `${moduleName.toUpperCase()} Module - No Custom Configuration`));
+    console.log(chalk.cyan(header || t('moduleConfig.noConfig', { module: moduleName.toUpperCase() })));
     if (subheader) {
       console.log(chalk.dim(`${subheader}`));
     }
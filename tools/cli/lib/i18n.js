@@ -0,0 +1,174 @@
+/**
+ * BMAD Installer Messages
+ * Installer text comes from the message catalogs in tools/cli/locales/<locale>.yaml.
+ * en.yaml is the reference catalog: other catalogs may leave keys out, which then
+ * fall back to English.
+ *
+ * The locale is taken from BMAD_LOCALE, else from the system locale (LC_ALL,
+ * LC_MESSAGES, LANG), until setLocale() is called.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+
+const CATALOG_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+const LOCALE_PATTERN = /^([a-z]{2,3})(?:[-_]([a-z]{2}))?$/i;
+
+// Language names accepted for communication_language, mapped to their locale
+const LANGUAGE_LOCALES = {
+  arabic: 'ar',
+  chinese: 'zh',
+  mandarin: 'zh',
+  dutch: 'nl',
+  english: 'en',
+  french: 'fr',
+  français: 'fr',
+  german: 'de',
+  deutsch: 'de',
+  hindi: 'hi',
+  indonesian: 'id',
+  italian: 'it',
+  italiano: 'it',
+  japanese: 'ja',
+  korean: 'ko',
+  polish: 'pl',
+  polski: 'pl',
+  portuguese: 'pt',
+  português: 'pt',
+  russian: 'ru',
+  spanish: 'es',
+  español: 'es',
+  turkish: 'tr',
+  ukrainian: 'uk',
+  vietnamese: 'vi',
+  'tiếng việt': 'vi',
+};
+
+const catalogs = new Map();
+let currentLocale = null;
+
+/**
+ * Normalize a locale code: "pt_BR.UTF-8" -> "pt-BR", "VI" -> "vi"
+ * @param {string} value - Locale code
+ * @returns {string|null} Normalized locale, or null when value is not a locale code
+ */
+function normalizeLocale(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().split('.')[0].split('@')[0].match(LOCALE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+/**
+ * Map a configured language (communication_language) to a locale
+ * Accepts locale codes ("vi", "pt-BR") and the language names in LANGUAGE_LOCALES.
+ * @param {string} language - Language name or locale code
+ * @returns {string|null} Locale, or null for languages without one (e.g. "English Pirate")
+ */
+function resolveLocale(language) {
+  if (typeof language !== 'string') {
+    return null;
+  }
+  return LANGUAGE_LOCALES[language.trim().toLowerCase()] || normalizeLocale(language);
+}
+
+/**
+ * Locale of the environment: BMAD_LOCALE, then the system locale
+ * @param {Object} env - Environment variables
+ * @returns {string} Locale, DEFAULT_LOCALE when none is set
+ */
+function detectLocale(env = process.env) {
+  for (const name of ['BMAD_LOCALE', 'LC_ALL', 'LC_MESSAGES', 'LANG']) {
+    const locale = name === 'BMAD_LOCALE' ? resolveLocale(env[name]) : normalizeLocale(env[name]);
+    if (locale) {
+      return locale;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Switch the locale of installer messages
+ * @param {string} locale - Locale code or language name
+ * @returns {string} The locale now in use
+ */
+function setLocale(locale) {
+  currentLocale = resolveLocale(locale) || DEFAULT_LOCALE;
+  return currentLocale;
+}
+
+/**
+ * @returns {string} Locale of installer messages
+ */
+function getLocale() {
+  if (!currentLocale) {
+    currentLocale = detectLocale();
+  }
+  return currentLocale;
+}
+
+/**
+ * Locales that have a message catalog
+ * @returns {Array<string>} Locale codes, sorted
+ */
+function listCatalogLocales() {
+  return fs
+    .readdirSync(CATALOG_DIR)
+    .filter((file) => file.endsWith('.yaml'))
+    .map((file) => path.basename(file, '.yaml'))
+    .sort();
+}
+
+/**
+ * Load a message catalog, flattened to dotted keys
+ * @param {string} locale - Locale code
+ * @returns {Object|null} { 'section.key': 'message' }, or null when the locale has no catalog
+ */
+function loadCatalog(locale) {
+  if (!catalogs.has(locale)) {
+    const catalogPath = path.join(CATALOG_DIR, `${locale}.yaml`);
+    catalogs.set(locale, fs.existsSync(catalogPath) ? flatten(yaml.parse(fs.readFileSync(catalogPath, 'utf8')) || {}) : null);
+  }
+  return catalogs.get(locale);
+}
+
+/**
+ * Translate a message key
+ * Looks the key up in the current locale, its language ("pt" for "pt-BR"), then English.
+ * @param {string} key - Dotted message key, e.g. 'directory.prompt'
+ * @param {Object} params - Values for {placeholders} in the message
+ * @returns {string} Message, or the key itself when no catalog defines it
+ */
+function t(key, params = {}) {
+  const locale = getLocale();
+  const chain = [locale, locale.split('-')[0], DEFAULT_LOCALE];
+
+  for (const candidate of chain) {
+    const message = loadCatalog(candidate)?.[key];
+    if (typeof message === 'string') {
+      return message.replaceAll(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+  }
+  return key;
+}
+
+function flatten(object, prefix = '', result = {}) {
+  for (const [key, value] of Object.entries(object)) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, fullKey, result);
+    } else {
+      result[fullKey] = value;
+    }
+  }
+  return result;
+}
+
+module.exports = { t, setLocale, getLocale, detectLocale, resolveLocale, normalizeLocale, listCatalogLocales, loadCatalog, DEFAULT_LOCALE };
@@ -0,0 +1,293 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+
+/**
+ * Valid actions for a non-interactive run against an existing installation
+ */
+const EXISTING_INSTALL_ACTIONS = ['update', 'quick-update', 'reinstall', 'compile'];
+
+/**
+ * Builds installer configuration from CLI flags and an answers file
+ * so `bmad install` can run without a TTY.
+ *
+ * Answers file format (YAML or JSON):
+ *
+ *   directory: ./my-project
+ *   modules: [bmm, cis]
+ *   ides: [claude-code, cursor]
+ *   action: update            # only used when an installation already exists
+ *   agent_vibes: false
+ *   config:                   # module.yaml answers, keyed by module then config key
+ *     core:
+ *       user_name: Jane
+ *     bmm:
+ *       project_name: My App
+ *   ide_config:               # answers for IDE collectConfiguration() hooks
+ *     claude-code:
+ *       subagentChoices: { install: all }
+ *       installLocation: project
+ *
+ * CLI flags always win over values from the answers file.
+ */
+const InstallAnswers = {
+  /**
+   * Whether the install command was invoked in non-interactive mode
+   * @param {Object} options - Parsed commander options
+   * @returns {boolean} True if any non-interactive flag was supplied
+   */
+  isRequested(options = {}) {
+    return Boolean(options.yes || options.answers || options.frozen || options.modules !== undefined || options.ides !== undefined);
+  },
+
+  /**
+   * Parse a comma separated CLI list
+   * @param {string|undefined} value - Raw flag value
+   * @returns {Array|undefined} Trimmed, non-empty entries (undefined if flag not given)
+   */
+  parseList(value) {
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (Array.isArray(value)) {
+      return value;
+    }
+    return String(value)
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter((entry) => entry && entry !== 'none');
+  },
+
+  /**
+   * Load and validate an answers file
+   * @param {string} filePath - Path to YAML or JSON answers file
+   * @returns {Object} Parsed answers
+   */
+  async load(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!(await fs.pathExists(resolved))) {
+      throw new Error(`Answers file not found: ${resolved}`);
+    }
+
+    let data;
+    try {
+      data = yaml.parse(await fs.readFile(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse answers file ${resolved}: ${error.message}`);
+    }
+
+    if (data === null || data === undefined) {
+      return {};
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      throw new TypeError(`Answers file ${resolved} must contain a mapping at the top level`);
+    }
+
+    for (const key of ['config', 'ide_config']) {
+      if (data[key] !== undefined && (typeof data[key] !== 'object' || Array.isArray(data[key]))) {
+        throw new TypeError(`Answers file ${resolved}: "${key}" must be a mapping keyed by ${key === 'config' ? 'module' : 'IDE'} name`);
+      }
+    }
+
+    return data;
+  },
+
+  /**
+   * Build the configuration object consumed by Installer.install() and friends
+   * @param {Object} options - Parsed commander options
+   * @returns {Object} Installer configuration (same shape as UI.promptInstall())
+   */
+  async buildConfig(options = {}) {
+    if (options.frozen) {
+      return this.buildFrozenConfig(options);
+    }
+
+    const data = options.answers ? await this.load(options.answers) : {};
+    const directory = path.resolve(options.directory || data.directory || '.');
+    const existingInstall = await this.detectInstall(directory);
+
+    const modules = await this.resolveModules(this.parseList(options.modules) ?? data.modules, existingInstall);
+    const ides = this.resolveIdes(this.parseList(options.ides) ?? data.ides ?? existingInstall.ides ?? [], directory);
+    const actionType = this.resolveAction(options.action || data.action, existingInstall);
+
+    return {
+      actionType,
+      directory,
+      installCore: true,
+      modules,
+      ides,
+      skipIde: ides.length === 0,
+      customContent: { hasCustomContent: false },
+      enableAgentVibes: data.agent_vibes === true,
+      agentVibesInstalled: false,
+      _requestedReinstall: actionType === 'reinstall',
+      nonInteractive: true,
+      assumeYes: Boolean(options.yes),
+      answers: data.config || {},
+      ideAnswers: data.ide_config || {},
+    };
+  },
+
+  /**
+   * Build installer configuration that replays bmad.lock exactly
+   * Fails if the BMAD version or any module source no longer matches the lock.
+   * @param {Object} options - Parsed commander options
+   * @returns {Object} Installer configuration
+   */
+  async buildFrozenConfig(options = {}) {
+    if (options.answers || options.modules !== undefined || options.ides !== undefined) {
+      throw new Error('--frozen installs exactly what bmad.lock records and cannot be combined with --answers, --modules or --ides');
+    }
+
+    const { Lockfile, LOCKFILE_NAME } = require('../installers/lib/core/lockfile');
+    const { ModuleManager } = require('../installers/lib/modules/manager');
+    const lockfile = new Lockfile();
+    const directory = path.resolve(options.directory || '.');
+
+    const lock = await lockfile.read(directory);
+    if (!lock) {
+      throw new Error(`No ${LOCKFILE_NAME} found in ${directory}. Run "bmad install" without --frozen to create one.`);
+    }
+
+    const drift = await lockfile.findDrift(lock, directory, new ModuleManager());
+    if (drift.length > 0) {
+      throw new Error(
+        `Sources have drifted from ${LOCKFILE_NAME}:\n` +
+          drift.map((entry) => `  - ${entry}`).join('\n') +
+          `\nRun "bmad install" without --frozen to install the current sources and refresh the lock.`,
+      );
+    }
+
+    const existingInstall = await this.detectInstall(directory);
+    const customModules = Object.keys(lock.modules).filter((id) => lock.modules[id].custom);
+    if (customModules.length > 0 && !existingInstall.installed) {
+      throw new Error(`Custom module(s) ${customModules.join(', ')} cannot be installed with --frozen. Install them interactively first.`);
+    }
+
+    const modules = Object.keys(lock.modules).filter((id) => id !== 'core' && !lock.modules[id].custom);
+    const ides = this.resolveIdes(Object.keys(lock.ides || {}), directory);
+    const actionType = this.resolveAction(options.action, existingInstall);
+
+    return {
+      actionType,
+      directory,
+      installCore: true,
+      modules,
+      ides,
+      skipIde: ides.length === 0,
+      customContent: { hasCustomContent: false },
+      enableAgentVibes: false,
+      agentVibesInstalled: false,
+      _requestedReinstall: actionType === 'reinstall',
+      nonInteractive: true,
+      frozen: true,
+      assumeYes: Boolean(options.yes),
+      answers: lock.config || {},
+      ideAnswers: lock.ides || {},
+    };
+  },
+
+  /**
+   * Detect an existing installation, refusing legacy layouts that need interactive migration
+   * @param {string} directory - Project directory
+   * @returns {Object} Detector result
+   */
+  async detectInstall(directory) {
+    const { Detector } = require('../installers/lib/core/detector');
+    const { Installer } = require('../installers/lib/core/installer');
+    const detector = new Detector();
+    const installer = new Installer();
+
+    if (await fs.pathExists(directory)) {
+      const legacyV4 = await detector.detectLegacyV4(directory);
+      if (legacyV4.hasLegacyV4) {
+        throw new Error(
+          `Legacy BMAD v4 installation detected in ${directory}:\n` +
+            legacyV4.offenders.map((p) => `  - ${p}`).join('\n') +
+            '\nRun "bmad install" interactively once to migrate it.',
+        );
+      }
+
+      const { hasLegacyCfg } = await installer.findBmadDir(directory);
+      if (hasLegacyCfg || (await fs.pathExists(path.join(directory, '.bmad')))) {
+        throw new Error(`Legacy ".bmad" or "_cfg" folder found in ${directory}. Run "bmad install" interactively once to rename it.`);
+      }
+    }
+
+    const { bmadDir } = await installer.findBmadDir(directory);
+    return detector.detect(bmadDir);
+  },
+
+  /**
+   * Pick the installer action: a fresh install, or the requested action on an existing one
+   * @param {string|undefined} requested - Action from --action or the answers file
+   * @param {Object} existingInstall - Detector result
+   * @returns {string} Action type
+   */
+  resolveAction(requested, existingInstall) {
+    if (!existingInstall.installed) {
+      return 'install';
+    }
+
+    const actionType = requested || 'update';
+    if (!EXISTING_INSTALL_ACTIONS.includes(actionType)) {
+      throw new Error(`Invalid action "${actionType}". Expected one of: ${EXISTING_INSTALL_ACTIONS.join(', ')}`);
+    }
+    return actionType;
+  },
+
+  /**
+   * Validate requested module IDs against the modules the installer can provide
+   * @param {Array|undefined} requested - Requested module IDs
+   * @param {Object} existingInstall - Detector result for the target directory
+   * @returns {Array} Module IDs (core excluded, it is always installed)
+   */
+  async resolveModules(requested, existingInstall) {
+    if (requested === undefined) {
+      // Keep what is already installed, otherwise core only
+      return existingInstall.modules.map((m) => m.id).filter((id) => id !== 'core');
+    }
+    if (!Array.isArray(requested)) {
+      throw new TypeError('"modules" must be a list of module IDs');
+    }
+
+    const { ModuleManager } = require('../installers/lib/modules/manager');
+    const { modules, customModules } = await new ModuleManager().listAvailable();
+    const available = new Set([...modules, ...customModules].map((m) => m.id));
+
+    const unknown = requested.filter((id) => id !== 'core' && !available.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown module(s): ${unknown.join(', ')}. Available: ${[...available].join(', ')}`);
+    }
+
+    return [...new Set(requested.filter((id) => id !== 'core'))];
+  },
+
+  /**
+   * Validate requested IDE IDs against the registered IDE handlers, including the project's IDE plugins
+   * @param {Array} requested - Requested IDE IDs
+   * @param {string} directory - Project directory
+   * @returns {Array} IDE IDs
+   */
+  resolveIdes(requested, directory) {
+    if (!Array.isArray(requested)) {
+      throw new TypeError('"ides" must be a list of IDE IDs');
+    }
+    if (requested.length === 0) {
+      return [];
+    }
+
+    const { IdeManager } = require('../installers/lib/ide/manager');
+    const ideManager = new IdeManager();
+    ideManager.loadPlugins(directory);
+
+    const unknown = requested.filter((ide) => !ideManager.isSupported(ide));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown IDE(s): ${unknown.join(', ')}. Supported: ${ideManager.getSupportedIdes().join(', ')}`);
+    }
+
+    return [...new Set(requested.map((ide) => ide.toLowerCase()))];
+  },
+};
+
+module.exports = { InstallAnswers, EXISTING_INSTALL_ACTIONS };
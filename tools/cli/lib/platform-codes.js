@@ -109,6 +109,45 @@ class PlatformCodes {
   getCodes() {
     return Object.keys(this.config.platforms);
   }
+
+  /**
+   * Check a platform entry against the conventions in platform-codes.yaml
+   * @param {string} code - Platform code
+   * @param {Object} platform - Entry with the same fields as platform-codes.yaml (name, preferred, category, description)
+   * @returns {Array<string>} Problems found (empty if valid)
+   */
+  validatePlatform(code, platform) {
+    const problems = [];
+    if (typeof code !== 'string' || !this.isValidFormat(code)) {
+      problems.push(
+        `code "${code}" must be lowercase-kebab-case, at most ${(this.config.conventions || {}).max_code_length || 20} characters`,
+      );
+    }
+    if (!platform || typeof platform !== 'object') {
+      problems.push('platform metadata must be an object');
+      return problems;
+    }
+    if (typeof platform.name !== 'string' || platform.name.trim() === '') {
+      problems.push('platform name is required');
+    }
+    if (platform.preferred !== undefined && typeof platform.preferred !== 'boolean') {
+      problems.push('platform preferred must be true or false');
+    }
+    const categories = Object.keys(this.config.categories || {});
+    if (platform.category !== undefined && categories.length > 0 && !categories.includes(platform.category)) {
+      problems.push(`platform category must be one of: ${categories.join(', ')}`);
+    }
+    return problems;
+  }
+
+  /**
+   * Register a platform that is not listed in platform-codes.yaml, such as one provided by an IDE plugin
+   * @param {string} code - Platform code
+   * @param {Object} platform - Entry with the same fields as platform-codes.yaml
+   */
+  registerPlatform(code, platform) {
+    this.config.platforms[code] = { ...platform };
+  }
   config = null;
 }
 
@@ -0,0 +1,276 @@
+/**
+ * Project progress through a workflow-status path
+ *
+ * The bmm workflow-status workflow records, per workflow of the chosen path
+ * (workflow-status/paths/<track>-<field_type>.yaml), either its requirement (required,
+ * optional, recommended, conditional), the file it produced, or "skipped". This module reads
+ * the same files without an LLM and also looks for artifacts the status file does not
+ * mention yet, so the report stays useful when workflows were run without updating it.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { glob } = require('glob');
+const csv = require('csv-parse/sync');
+const { getModulePath } = require('./project-root');
+const { loadSprintStatus, findSprintStatusFile } = require('./sprint-status');
+
+const STATUS_FILE = 'bmm-workflow-status.yaml';
+const DEFAULT_PATH = 'method-greenfield';
+const REQUIREMENTS = ['required', 'recommended', 'conditional', 'optional'];
+
+// Files each workflow writes, searched in planning_artifacts, implementation_artifacts and output_folder
+const ARTIFACT_PATTERNS = {
+  'document-project': ['project-overview.md', 'source-tree-analysis.md'],
+  'brainstorm-project': ['**/brainstorming-session*.md'],
+  research: ['**/*research*.md'],
+  'product-brief': ['**/*product-brief*.md'],
+  prd: ['**/*prd*.md', '**/prd/index.md'],
+  'create-ux-design': ['**/*ux-design*.md'],
+  'create-architecture': ['**/*architecture*.md', '**/architecture/index.md'],
+  'create-epics-and-stories': ['**/*epic*.md', '**/epics/index.md'],
+  'test-design': ['**/test-design*.md'],
+  'implementation-readiness': ['**/*readiness*.md'],
+  'sprint-planning': ['**/sprint-status.yaml'],
+};
+
+/**
+ * Resolve a bmm config value such as "{project-root}/docs"
+ */
+function resolveConfigPath(projectDir, value) {
+  return path.resolve(projectDir, String(value).replaceAll('{project-root}', projectDir));
+}
+
+/**
+ * Status value of a workflow, from workflow_status as a map or a list of { id, status }
+ */
+function readStatuses(statusDoc) {
+  const items = statusDoc?.workflow_status;
+  if (Array.isArray(items)) {
+    return Object.fromEntries(items.filter((item) => item?.id).map((item) => [item.id, item.status]));
+  }
+  return items && typeof items === 'object' ? items : {};
+}
+
+/**
+ * Module of each installed workflow, by launcher name, from _config/workflow-manifest.csv
+ */
+async function loadWorkflowModules(bmadDir) {
+  const manifestPath = path.join(bmadDir, '_config', 'workflow-manifest.csv');
+  if (!(await fs.pathExists(manifestPath))) {
+    return {};
+  }
+  const rows = csv.parse(await fs.readFile(manifestPath, 'utf8'), { columns: true, skip_empty_lines: true, relax_column_count: true });
+  return Object.fromEntries(rows.map((row) => [row.name, row.module]));
+}
+
+// Path files name workflows by the agent menu trigger; launchers are named after the workflow
+const LAUNCHER_NAMES = {
+  'brainstorm-project': 'brainstorming-session',
+  'product-brief': 'create-product-brief',
+  prd: 'create-prd',
+  'create-epics-and-stories': 'create-epics-stories',
+  'implementation-readiness': 'check-implementation-readiness',
+  'test-design': 'testarch-test-design',
+  // Architecture validation is a step of the create-architecture workflow
+  'validate-architecture': 'create-architecture',
+};
+
+/**
+ * Slash command of the launcher that runs a path file command, which may belong to core
+ * (brainstorm-project runs brainstorming-session)
+ */
+function workflowCommand(command, modules) {
+  const name = LAUNCHER_NAMES[command] || command;
+  return `/bmad:${modules[name] || 'bmm'}:workflows:${name}`;
+}
+
+function requirementOf(workflow) {
+  return REQUIREMENTS.find((requirement) => workflow[requirement]) || 'required';
+}
+
+/**
+ * Load the path file and status file and work out the state of every workflow
+ * @param {Object} options - { projectDir, bmadDir, statusFile, pathName }
+ * @returns {Promise<Object>} Report: { project, pathName, statusFile, phases, next, summary }
+ */
+async function loadProgress(options) {
+  const { projectDir, bmadDir } = options;
+  const configPath = path.join(bmadDir, 'bmm', 'config.yaml');
+  const config = (await fs.pathExists(configPath)) ? yaml.parse(await fs.readFile(configPath, 'utf8')) || {} : {};
+  const outputFolder = resolveConfigPath(projectDir, config.output_folder || 'docs');
+
+  const statusFile = options.statusFile ? path.resolve(options.statusFile) : path.join(outputFolder, STATUS_FILE);
+  const statusDoc = (await fs.pathExists(statusFile)) ? yaml.parse(await fs.readFile(statusFile, 'utf8')) || {} : null;
+  const statuses = readStatuses(statusDoc);
+
+  let pathName = options.pathName || (statusDoc?.workflow_path && path.basename(String(statusDoc.workflow_path), '.yaml'));
+  if (!pathName && statusDoc?.selected_track && statusDoc?.field_type) {
+    pathName = `${statusDoc.selected_track}-${statusDoc.field_type}`;
+  }
+  pathName = pathName || DEFAULT_PATH;
+
+  const installedPaths = path.join(bmadDir, 'bmm', 'workflows', 'workflow-status', 'paths');
+  const pathsDir = (await fs.pathExists(installedPaths)) ? installedPaths : getModulePath('bmm', 'workflows', 'workflow-status', 'paths');
+  const pathFile = path.join(pathsDir, `${pathName}.yaml`);
+  if (!(await fs.pathExists(pathFile))) {
+    const available = (await fs.readdir(pathsDir)).filter((file) => file.endsWith('.yaml')).map((file) => path.basename(file, '.yaml'));
+    throw new Error(`Unknown workflow path "${pathName}". Available: ${available.join(', ')}`);
+  }
+  const workflowPath = yaml.parse(await fs.readFile(pathFile, 'utf8'));
+  const modules = await loadWorkflowModules(bmadDir);
+
+  const artifactDirs = [config.planning_artifacts, config.implementation_artifacts, config.sprint_artifacts].filter(Boolean);
+  const searchDirs = [...new Set([...artifactDirs.map((value) => resolveConfigPath(projectDir, value)), outputFolder])];
+  const findArtifact = async (id) => {
+    for (const dir of searchDirs) {
+      if (!ARTIFACT_PATTERNS[id] || !(await fs.pathExists(dir))) continue;
+      const matches = await glob(ARTIFACT_PATTERNS[id], { cwd: dir, nocase: true, nodir: true, ignore: ['**/node_modules/**'] });
+      if (matches.length > 0) {
+        return path.relative(projectDir, path.join(dir, matches.sort()[0]));
+      }
+    }
+    return null;
+  };
+
+  const phases = [];
+  for (const phase of workflowPath.phases || []) {
+    const workflows = [];
+    for (const workflow of phase.workflows || []) {
+      const requirement = requirementOf(workflow);
+      const recorded = statuses[workflow.id];
+      // workflow-init records every workflow chosen for the project; without a status file, show the non-optional ones
+      if (statusDoc ? recorded === undefined : requirement === 'optional') continue;
+
+      let state = 'pending';
+      let artifact = null;
+      if (recorded === 'skipped') {
+        state = 'skipped';
+      } else if (recorded && !REQUIREMENTS.includes(recorded)) {
+        artifact = String(recorded);
+        state = (await fs.pathExists(resolveConfigPath(projectDir, artifact))) ? 'done' : 'missing';
+      } else {
+        artifact = await findArtifact(workflow.id);
+        state = artifact ? 'done' : 'pending';
+      }
+
+      workflows.push({
+        id: workflow.id,
+        agent: workflow.agent || null,
+        command: workflowCommand(workflow.command || workflow.id, modules),
+        requirement,
+        state,
+        artifact,
+        detected: state === 'done' && recorded !== artifact,
+        note: workflow.note || null,
+      });
+    }
+    if (workflows.length === 0) continue;
+    phases.push({
+      phase: phase.prerequisite ? 'prerequisite' : phase.phase,
+      name: phase.name,
+      optional: Boolean(phase.optional),
+      workflows,
+    });
+  }
+
+  const all = phases.flatMap((phase) => phase.workflows);
+  const open = all.filter((workflow) => workflow.state === 'pending' || workflow.state === 'missing');
+  const pick = open.find((workflow) => workflow.requirement === 'required' || workflow.requirement === 'recommended') || open[0];
+  let next = pick ? { workflow: pick.id, agent: pick.agent, command: pick.command, key: null } : null;
+
+  // Planning is complete: implementation continues from sprint-status.yaml
+  let sprint = null;
+  if (!next || next.workflow === 'sprint-planning') {
+    try {
+      const sprintStatus = await loadSprintStatus(await findSprintStatusFile(projectDir, bmadDir));
+      sprint = { file: path.relative(projectDir, sprintStatus.filePath), next: sprintStatus.next() };
+      if (sprint.next.key || !next) {
+        next = { ...sprint.next, command: workflowCommand(sprint.next.workflow, modules) };
+      }
+    } catch {
+      // No sprint-status.yaml yet
+    }
+  }
+
+  return {
+    project: statusDoc?.project || config.project_name || path.basename(projectDir),
+    pathName,
+    method: workflowPath.method_name || null,
+    statusFile: statusDoc ? path.relative(projectDir, statusFile) : null,
+    phases,
+    next,
+    sprint,
+    summary: {
+      done: all.filter((workflow) => workflow.state === 'done').length,
+      skipped: all.filter((workflow) => workflow.state === 'skipped').length,
+      total: all.length,
+    },
+  };
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replaceAll(/[&<>"']/g, (char) => `&#${char.codePointAt(0)};`);
+}
+
+/**
+ * Render a report as a self-contained HTML page
+ * @param {Object} report - Result of loadProgress()
+ * @returns {string} HTML
+ */
+function renderHtml(report) {
+  const marks = { done: '✅', skipped: '⏭️', missing: '⚠️', pending: '⬜' };
+  const phases = report.phases
+    .map((phase) => {
+      const rows = phase.workflows
+        .map(
+          (workflow) => `      <tr class="${workflow.state}">
+        <td>${marks[workflow.state]}</td>
+        <td><code>${escapeHtml(workflow.id)}</code></td>
+        <td>${escapeHtml(workflow.agent)}</td>
+        <td>${escapeHtml(workflow.requirement)}</td>
+        <td>${workflow.artifact ? `<code>${escapeHtml(workflow.artifact)}</code>` : ''}${workflow.detected ? ' <em>(found)</em>' : ''}</td>
+      </tr>`,
+        )
+        .join('\n');
+      const title = phase.phase === 'prerequisite' ? phase.name : `Phase ${phase.phase}: ${phase.name}`;
+      return `  <h2>${escapeHtml(title)}</h2>
+  <table>
+    <thead><tr><th></th><th>Workflow</th><th>Agent</th><th>Requirement</th><th>Artifact</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>`;
+    })
+    .join('\n');
+
+  const next = report.next
+    ? `<p class="next">Next: <code>${escapeHtml(report.next.command)}</code>${report.next.key ? ` for <code>${escapeHtml(report.next.key)}</code>` : ''} (${escapeHtml(report.next.agent || 'any agent')})</p>`
+    : '<p class="next">All workflows of the path are done.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(report.project)} - BMad progress</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+    th, td { text-align: left; padding: 0.35rem 0.6rem; border-bottom: 1px solid #ddd; }
+    tr.done td, tr.skipped td { color: #777; }
+    tr.missing td { background: #fff4e5; }
+    .next { font-size: 1.1rem; padding: 0.8rem; background: #eef6ff; border-radius: 6px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(report.project)}</h1>
+  <p>Path <code>${escapeHtml(report.pathName)}</code> &middot; ${report.summary.done} of ${report.summary.total} workflows done${report.summary.skipped > 0 ? `, ${report.summary.skipped} skipped` : ''}</p>
+  ${next}
+${phases}
+</body>
+</html>
+`;
+}
+
+module.exports = { loadProgress, renderHtml, workflowCommand, loadWorkflowModules, STATUS_FILE, ARTIFACT_PATTERNS };
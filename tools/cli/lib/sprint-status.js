@@ -0,0 +1,323 @@
+/**
+ * sprint-status.yaml reader and writer
+ *
+ * The file is created by the bmm sprint-planning workflow. Its development_status map holds
+ * one entry per epic (epic-1), story (1-2-user-authentication) and retrospective
+ * (epic-1-retrospective), in epic order. Status changes follow the state machine documented
+ * in sprint-planning/instructions.md; values are rewritten in place so comments, blank lines
+ * and key order are kept exactly.
+ */
+
+const path = require('node:path');
+const yaml = require('yaml');
+const fs = require('fs-extra');
+
+const SPRINT_STATUS_FILE = 'sprint-status.yaml';
+
+// bmm config keys that hold the folder of sprint-status.yaml, in order of preference
+const ARTIFACT_KEYS = ['sprint_artifacts', 'implementation_artifacts'];
+
+const STATES = {
+  epic: ['backlog', 'in-progress', 'done'],
+  story: ['backlog', 'ready-for-dev', 'in-progress', 'review', 'done'],
+  retrospective: ['optional', 'completed'],
+};
+
+// Values written by older workflows, read as their current equivalent
+const LEGACY_STATES = {
+  epic: { contexted: 'in-progress' },
+  story: { drafted: 'ready-for-dev' },
+  retrospective: { done: 'completed' },
+};
+
+const TRANSITIONS = {
+  epic: { backlog: ['in-progress'], 'in-progress': ['done'], done: ['in-progress'] },
+  // review → in-progress is code-review sending a story back
+  story: {
+    backlog: ['ready-for-dev'],
+    'ready-for-dev': ['in-progress'],
+    'in-progress': ['review'],
+    review: ['done', 'in-progress'],
+    done: [],
+  },
+  retrospective: { optional: ['completed'], completed: ['optional'] },
+};
+
+const KEY_PATTERNS = [
+  ['retrospective', /^epic-(\d+)-retrospective$/],
+  ['epic', /^epic-(\d+)$/],
+  ['story', /^(\d+)-\d+(?:-.+)?$/],
+];
+
+class SprintStatus {
+  /**
+   * @param {string} text - Content of sprint-status.yaml
+   * @param {string} filePath - Path of the file, used in messages
+   */
+  constructor(text, filePath = SPRINT_STATUS_FILE) {
+    this.filePath = filePath;
+    this.setText(text);
+  }
+
+  setText(text) {
+    this.text = text;
+    this.document = yaml.parseDocument(text);
+    this.errors = this.document.errors.map((error) => error.message.split('\n')[0]);
+  }
+
+  /**
+   * Entries of development_status, in file order
+   * @returns {Array<Object>} { key, kind, epic, state, status } - status is state with legacy values mapped
+   */
+  get entries() {
+    const map = this.document.get('development_status', true);
+    if (!yaml.isMap(map)) {
+      return [];
+    }
+
+    return map.items.map((pair) => {
+      const key = String(pair.key?.value ?? pair.key);
+      const state = pair.value?.value === undefined ? '' : String(pair.value.value);
+      const [kind, pattern] = KEY_PATTERNS.find(([, regex]) => regex.test(key)) || [null, null];
+      return {
+        key,
+        kind,
+        epic: pattern ? key.match(pattern)[1] : null,
+        state,
+        status: kind ? LEGACY_STATES[kind][state] || state : state,
+        pair,
+      };
+    });
+  }
+
+  /**
+   * Header field written by sprint-planning (project, tracking_system, ...)
+   */
+  getField(name) {
+    return this.document.get(name);
+  }
+
+  /**
+   * Find an entry by key, or a story by its number ("1-2" or "1.2")
+   * @param {string} key - Entry key
+   * @returns {Object} Entry
+   */
+  findEntry(key) {
+    const entries = this.entries;
+    const exact = entries.find((entry) => entry.key === key);
+    if (exact) {
+      return exact;
+    }
+
+    const number = key.match(/^(\d+)[.-](\d+)$/);
+    const stories = number ? entries.filter((entry) => entry.kind === 'story' && entry.key.startsWith(`${number[1]}-${number[2]}-`)) : [];
+    if (stories.length === 1) {
+      return stories[0];
+    }
+    throw new Error(`No entry "${key}" in development_status of ${this.filePath}`);
+  }
+
+  /**
+   * Change the status of an entry
+   * Starting a story also starts its epic; an epic is only done when all its stories are.
+   * @param {string} key - Entry key, or story number
+   * @param {string} state - New status
+   * @param {Object} options - { force } skips the transition and epic checks
+   * @returns {Array<Object>} Changes made: { key, from, to }
+   */
+  move(key, state, options = {}) {
+    const entry = this.findEntry(key);
+    if (!entry.kind) {
+      throw new Error(`"${entry.key}" is not an epic, story or retrospective key`);
+    }
+    if (!STATES[entry.kind].includes(state)) {
+      throw new Error(`"${state}" is not a ${entry.kind} status (${STATES[entry.kind].join(', ')})`);
+    }
+    if (!entry.pair.value) {
+      throw new Error(`${entry.key} has no status to replace in ${this.filePath}`);
+    }
+    if (entry.state === state) {
+      return [];
+    }
+    if (entry.status === state) {
+      // Same status under its legacy name
+      return [this.setState(entry, state)];
+    }
+
+    const allowed = TRANSITIONS[entry.kind][entry.status] || STATES[entry.kind];
+    if (!options.force && !allowed.includes(state)) {
+      const next = allowed.length > 0 ? allowed.join(', ') : 'none';
+      throw new Error(
+        `Cannot move ${entry.kind} ${entry.key} from ${entry.state} to ${state} (allowed: ${next}). Use --force to override.`,
+      );
+    }
+
+    const changes = [];
+    const epic = this.entries.find((candidate) => candidate.kind === 'epic' && candidate.epic === entry.epic);
+
+    if (entry.kind === 'story' && state !== 'backlog' && epic && !options.force) {
+      if (epic.status === 'done') {
+        throw new Error(`Epic ${epic.key} is done. Move it back to in-progress before working on ${entry.key}.`);
+      }
+      if (epic.status === 'backlog' || epic.state !== epic.status) {
+        changes.push(this.setState(epic, 'in-progress'));
+      }
+    }
+
+    if (entry.kind === 'epic' && state === 'done' && !options.force) {
+      const open = this.entries.filter((story) => story.kind === 'story' && story.epic === entry.epic && story.status !== 'done');
+      if (open.length > 0) {
+        throw new Error(`Epic ${entry.key} has stories that are not done: ${open.map((story) => story.key).join(', ')}`);
+      }
+    }
+
+    changes.unshift(this.setState(this.findEntry(entry.key), state));
+    return changes;
+  }
+
+  /**
+   * Replace the value of one entry in the text, leaving everything else untouched
+   */
+  setState(entry, state) {
+    const [start, end] = entry.pair.value.range;
+    this.setText(this.text.slice(0, start) + state + this.text.slice(end));
+    return { key: entry.key, from: entry.state, to: state };
+  }
+
+  /**
+   * Add a story after the last entry of its epic (before the retrospective)
+   * @param {string} epic - Epic number
+   * @param {string} slug - Story title in kebab case
+   * @param {string} state - Initial status
+   * @param {string} comment - Optional comment written after the value
+   * @returns {string} Key of the new story
+   */
+  addStory(epic, slug, state = 'backlog', comment = '') {
+    const entries = this.entries;
+    const related = entries.filter((entry) => entry.epic === epic && entry.kind !== 'retrospective');
+    if (related.length === 0) {
+      throw new Error(`No epic-${epic} in development_status of ${this.filePath}`);
+    }
+
+    const numbers = related.filter((entry) => entry.kind === 'story').map((entry) => Number(entry.key.split('-')[1]));
+    const key = `${epic}-${Math.max(0, ...numbers) + 1}${slug ? `-${slug}` : ''}`;
+    const last = related.at(-1);
+    const lineStart = this.text.lastIndexOf('\n', last.pair.value.range[0]) + 1;
+    const indent = this.text.slice(lineStart).match(/^\s*/)[0];
+    const lineEnd = this.text.indexOf('\n', last.pair.value.range[1]);
+    const at = lineEnd === -1 ? this.text.length : lineEnd;
+    const line = `${indent}${key}: ${state}${comment ? ` # ${comment}` : ''}`;
+    this.setText(`${this.text.slice(0, at)}\n${line}${this.text.slice(at)}`);
+    return key;
+  }
+
+  /**
+   * Recommended next workflow, using the priority of the sprint-status workflow
+   * @returns {Object} { workflow, key, agent }
+   */
+  next() {
+    const entries = this.entries;
+    const firstStory = (status) => entries.find((entry) => entry.kind === 'story' && entry.status === status);
+    const choices = [
+      ['in-progress', 'dev-story', 'dev'],
+      ['review', 'code-review', 'dev'],
+      ['ready-for-dev', 'dev-story', 'dev'],
+      ['backlog', 'create-story', 'sm'],
+    ];
+
+    for (const [status, workflow, agent] of choices) {
+      const story = firstStory(status);
+      if (story) {
+        return { workflow, key: story.key, agent };
+      }
+    }
+
+    const retrospective = entries.find((entry) => entry.kind === 'retrospective' && entry.status === 'optional');
+    if (retrospective) {
+      return { workflow: 'retrospective', key: retrospective.key, agent: 'sm' };
+    }
+    return { workflow: 'workflow-status', key: null, agent: null };
+  }
+
+  /**
+   * Check the file against the state machine
+   * @returns {Object} { errors, warnings } - arrays of messages
+   */
+  validate() {
+    const errors = [...this.errors];
+    const warnings = [];
+    const entries = this.entries;
+
+    if (errors.length === 0 && entries.length === 0) {
+      errors.push('development_status is missing or empty');
+    }
+
+    const epics = new Map(entries.filter((entry) => entry.kind === 'epic').map((entry) => [entry.epic, entry]));
+    for (const entry of entries) {
+      if (!entry.kind) {
+        errors.push(`${entry.key}: not an epic (epic-N), story (N-M-title) or retrospective (epic-N-retrospective) key`);
+        continue;
+      }
+
+      if (LEGACY_STATES[entry.kind][entry.state]) {
+        warnings.push(`${entry.key}: legacy status "${entry.state}", now "${entry.status}"`);
+      } else if (!STATES[entry.kind].includes(entry.state)) {
+        errors.push(`${entry.key}: "${entry.state}" is not a ${entry.kind} status (${STATES[entry.kind].join(', ')})`);
+        continue;
+      }
+
+      const epic = epics.get(entry.epic);
+      if (entry.kind !== 'epic' && !epic) {
+        errors.push(`${entry.key}: epic-${entry.epic} is not listed`);
+      } else if (entry.kind === 'story' && epic.status === 'done' && entry.status !== 'done') {
+        errors.push(`${entry.key}: ${entry.state} but epic-${entry.epic} is done`);
+      } else if (entry.kind === 'story' && epic.status === 'backlog' && entry.status !== 'backlog') {
+        warnings.push(`${entry.key}: ${entry.state} but epic-${entry.epic} is still backlog`);
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Read a sprint-status.yaml file
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<SprintStatus>} Parsed file
+ */
+async function loadSprintStatus(filePath) {
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`${filePath} not found. Run the sprint-planning workflow to create it.`);
+  }
+  return new SprintStatus(await fs.readFile(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Locate sprint-status.yaml from the bmm module configuration
+ * @param {string} projectDir - Project directory
+ * @param {string} bmadDir - BMAD installation directory
+ * @returns {Promise<string>} Path of the file (which may not exist yet)
+ */
+async function findSprintStatusFile(projectDir, bmadDir) {
+  const configPath = path.join(bmadDir, 'bmm', 'config.yaml');
+  const config = (await fs.pathExists(configPath)) ? yaml.parse(await fs.readFile(configPath, 'utf8')) || {} : {};
+
+  const candidates = ARTIFACT_KEYS.filter((key) => typeof config[key] === 'string').map((key) =>
+    path.resolve(projectDir, config[key].replaceAll('{project-root}', projectDir), SPRINT_STATUS_FILE),
+  );
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) {
+      return candidate;
+    }
+  }
+  if (candidates.length === 0) {
+    throw new Error(`No bmm configuration found in ${projectDir}. Use --file <path> to point to ${SPRINT_STATUS_FILE}.`);
+  }
+  return candidates[0];
+}
+
+module.exports = { SprintStatus, loadSprintStatus, findSprintStatusFile, SPRINT_STATUS_FILE, STATES, TRANSITIONS };
@@ -0,0 +1,137 @@
+/**
+ * BMAD Team Compiler
+ * Transforms teams/*.yaml into a team file (.md) that IDE launchers load like an agent:
+ * its activation loads the handoff protocol and every member's compiled persona, then
+ * walks the team's workflow sequence
+ */
+
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const path = require('node:path');
+const { glob } = require('glob');
+const { escapeXml } = require('../../lib/xml-utils');
+const { validateTeamFile } = require('../../schema/team');
+
+const HANDOFF_PROTOCOL_PATH = '_bmad/core/resources/team-handoff.md';
+
+/**
+ * Build the team file
+ * @param {Object} team - Parsed team YAML
+ * @param {Object} context - { teamName, moduleName, members: [{ name, displayName, title, icon, path }], workflows: [{ name, path }] }
+ *                           where paths are relative to the project root (_bmad/...)
+ * @returns {string} Team file content
+ */
+function compileTeam(team, context) {
+  const { teamName, moduleName, members, workflows } = context;
+  const info = team.bundle || {};
+  const attrs = [
+    `id="_bmad/${moduleName}/teams/${teamName}.md"`,
+    `name="${escapeXml(info.name || teamName)}"`,
+    `title="${escapeXml(info.name || teamName)}"`,
+    `icon="${escapeXml(info.icon || '👥')}"`,
+  ];
+
+  const firstStep =
+    workflows.length > 0
+      ? 'Make the member whose menu offers the first workflow of the sequence the active member'
+      : 'The team has no fixed sequence: ask the user what to work on and make the member best suited to it the active member';
+
+  const frontmatter = yaml.stringify({ name: teamName.replaceAll('-', ' '), description: info.name || teamName });
+  let xml = `---
+${frontmatter}---
+
+You must fully embody this team and follow all activation instructions exactly as specified. NEVER break character until given an exit command.
+
+\`\`\`xml
+<team ${attrs.join(' ')}>
+<activation critical="MANDATORY">
+  <step n="1">Load and read {project-root}/_bmad/${moduleName}/config.yaml NOW and store ALL fields as session variables: {user_name}, {communication_language}, {output_folder}</step>
+  <step n="2">Load {project-root}/${HANDOFF_PROTOCOL_PATH} and follow it for the whole session</step>
+  <step n="3">Load the FULL file of every member below. Learn each persona and menu, but do NOT run their activation steps - this activation replaces them</step>
+  <step n="4">Greet {user_name} in {communication_language} as the team: list every member with icon, name and title${workflows.length > 0 ? ', then the workflow sequence' : ''}</step>
+  <step n="5">${firstStep}</step>
+  <step n="6">STOP and WAIT for user input</step>
+</activation>
+<description>${escapeXml(info.description || '')}</description>
+<members>
+`;
+
+  for (const member of members) {
+    const memberAttrs = [
+      `name="${escapeXml(member.name)}"`,
+      `displayName="${escapeXml(member.displayName || member.name)}"`,
+      `title="${escapeXml(member.title || '')}"`,
+      `icon="${escapeXml(member.icon || '')}"`,
+      `file="{project-root}/${member.path}"`,
+    ];
+    xml += `  <member ${memberAttrs.join(' ')} />\n`;
+  }
+  xml += '</members>\n';
+
+  if (workflows.length > 0) {
+    xml += '<workflow-sequence>\n';
+    for (const [index, workflow] of workflows.entries()) {
+      xml += `  <workflow n="${index + 1}" name="${escapeXml(workflow.name)}" file="{project-root}/${workflow.path}" />\n`;
+    }
+    xml += '</workflow-sequence>\n';
+  }
+
+  xml += '</team>\n```\n';
+  return xml;
+}
+
+/**
+ * Compile a team file of a module
+ * Members and workflows are looked up in the module source; the written paths point at
+ * where the installer puts them.
+ * @param {string} teamPath - Path to teams/<team>.yaml in the module source
+ * @param {Object} options - { moduleName, moduleSourcePath, outputPath, bmadFolderName }
+ * @returns {Object} { content, outputPath, members, workflows }
+ */
+async function compileTeamFile(teamPath, options) {
+  const { moduleName, moduleSourcePath } = options;
+  const teamName = path.basename(teamPath, '.yaml');
+  const team = yaml.parse(await fs.readFile(teamPath, 'utf8'));
+
+  const agentFiles = (await glob('agents/**/*.agent.yaml', { cwd: moduleSourcePath, posix: true })).sort();
+  const workflowFiles = (await glob('workflows/**/workflow.{yaml,md}', { cwd: moduleSourcePath, posix: true })).sort();
+
+  const result = validateTeamFile(path.relative(process.cwd(), teamPath), team, {
+    agents: agentFiles.map((file) => path.posix.basename(file, '.agent.yaml')),
+    workflows: workflowFiles.map((file) => path.posix.basename(path.posix.dirname(file))),
+    fileExists: (file) => fs.existsSync(path.resolve(path.dirname(teamPath), file)),
+  });
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new Error(`Invalid team ${teamName}: ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  }
+
+  const names = team.agents === '*' ? agentFiles.map((file) => path.posix.basename(file, '.agent.yaml')) : team.agents;
+  const members = [];
+  for (const name of names) {
+    const file = agentFiles.find((agentFile) => path.posix.basename(agentFile, '.agent.yaml') === name);
+    const metadata = yaml.parse(await fs.readFile(path.join(moduleSourcePath, file), 'utf8'))?.agent?.metadata || {};
+    members.push({
+      name,
+      displayName: metadata.name,
+      title: metadata.title,
+      icon: metadata.icon,
+      path: `_bmad/${moduleName}/${file.replace(/\.agent\.yaml$/, '.md')}`,
+    });
+  }
+
+  const workflows = (team.workflows || []).map((name) => ({
+    name,
+    path: `_bmad/${moduleName}/${workflowFiles.find((file) => path.posix.basename(path.posix.dirname(file)) === name)}`,
+  }));
+
+  let content = compileTeam(team, { teamName, moduleName, members, workflows });
+  if (options.bmadFolderName) {
+    content = content.replaceAll('_bmad', options.bmadFolderName);
+  }
+
+  await fs.outputFile(options.outputPath, content, 'utf8');
+  return { content, outputPath: options.outputPath, members, workflows };
+}
+
+module.exports = { compileTeam, compileTeamFile };
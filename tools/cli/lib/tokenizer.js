@@ -0,0 +1,38 @@
+/**
+ * Local token counter
+ *
+ * Counts tokens with the o200k_base BPE vocabulary (the tokenizer of current OpenAI models),
+ * shipped with js-tiktoken, so no network call is made. Other model families tokenize
+ * differently and count somewhat more or fewer tokens for the same text: use these counts
+ * to compare artifacts against budgets and baselines counted the same way. Reports record
+ * TOKENIZER so counts made with different vocabularies are never compared.
+ */
+
+const { Tiktoken } = require('js-tiktoken/lite');
+
+const TOKENIZER = 'o200k_base';
+
+let encoder = null;
+
+/**
+ * BPE encoder, loaded on first use since building it from the ranks takes a moment
+ * @returns {Tiktoken} Encoder
+ */
+function getEncoder() {
+  if (!encoder) {
+    encoder = new Tiktoken(require('js-tiktoken/ranks/o200k_base'));
+  }
+  return encoder;
+}
+
+/**
+ * Token count of a text
+ * Special tokens such as <|endoftext|> are counted as the plain text they are in a file.
+ * @param {string} text - Text to count
+ * @returns {number} Tokens
+ */
+function countTokens(text) {
+  return getEncoder().encode(String(text), [], []).length;
+}
+
+module.exports = { countTokens, TOKENIZER };
@@ -0,0 +1,100 @@
+/**
+ * Base class for issue tracker adapters
+ *
+ * Implementation workflows talk to a tracker through these operations (via `bmad tracker`)
+ * instead of calling a tracker's own CLI. Items use the story vocabulary of sprint-status.yaml:
+ * { id, key, title, status, parent, labels } where status is backlog, ready-for-dev,
+ * in-progress, review or done, and key is the sprint-status story key when known.
+ * Adapters override the operations their tracker supports.
+ */
+class BaseTracker {
+  /**
+   * @param {string} name - Tracker name, as used in tracking_system
+   * @param {Object} options - Adapter options (projectDir, sprintStatusPath, ...)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All stories and follow-ups
+   */
+  async listItems() {
+    throw this.unsupported('list');
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Items that can be picked up by dev-story, next first
+   */
+  async listReady() {
+    const items = await this.listItems();
+    return items.filter((item) => item.status === 'ready-for-dev');
+  }
+
+  /**
+   * @param {string} id - Item id
+   * @returns {Promise<Object>} Item
+   */
+  async getItem(id) {
+    const item = (await this.listItems()).find((candidate) => candidate.id === id || candidate.key === id);
+    if (!item) {
+      throw new Error(`No item "${id}" in the ${this.name} tracker`);
+    }
+    return item;
+  }
+
+  /**
+   * @param {string} id - Item id
+   * @param {string} status - New story status; trackers with blocked issues also accept blocked
+   * @param {Object} options - { force } skips state machine checks where the tracker has them
+   * @returns {Promise<Array<Object>>} Changes made: { id, from, to }
+   */
+  async updateStatus(id, status, options = {}) {
+    throw this.unsupported('status');
+  }
+
+  /**
+   * @param {string} id - Item id
+   * @param {string} text - Comment text
+   */
+  async addComment(id, text) {
+    throw this.unsupported('comment');
+  }
+
+  /**
+   * @param {string} id - Item id
+   * @returns {Promise<Array<string>>} Comment texts, oldest first
+   */
+  async getComments(id) {
+    throw this.unsupported('comments');
+  }
+
+  /**
+   * Add and remove labels, for workflow states between two story statuses (needs-validation)
+   * @param {string} id - Item id
+   * @param {Object} labels - { add, remove } arrays of labels
+   * @returns {Promise<Array<string>>} Labels of the item afterwards
+   */
+  async updateLabels(id, labels) {
+    throw this.unsupported('label');
+  }
+
+  /**
+   * Create a follow-up item discovered while working on another one
+   * @param {string} parentId - Item the follow-up comes from
+   * @param {string} title - Follow-up title
+   * @param {Object} options - { description, blocks } where blocks makes the parent wait for the
+   *   follow-up, on trackers that have dependencies
+   * @returns {Promise<Object>} The new item
+   */
+  async createFollowUp(parentId, title, options = {}) {
+    throw this.unsupported('follow-up');
+  }
+
+  unsupported(operation) {
+    return new Error(`The ${this.name} tracker does not support ${operation}`);
+  }
+}
+
+module.exports = { BaseTracker };
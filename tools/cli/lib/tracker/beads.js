@@ -0,0 +1,138 @@
+const { BaseTracker } = require('./_base-tracker');
+const { BeadsClient } = require('../beads');
+const { BeadsSync, storyStatusOf } = require('../beads-sync');
+const { STATES } = require('../sprint-status');
+
+const FOLLOW_UP_LABEL = 'bmad-followup';
+
+// Numeric order of story keys ("7-2" before "7-10"); items without a key come last
+function compareKeys(a, b) {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  const [aEpic, aStory] = a.split('-').map(Number);
+  const [bEpic, bStory] = b.split('-').map(Number);
+  return aEpic - bEpic || aStory - bStory;
+}
+
+/**
+ * Tracker backed by a Beads database, through the bd CLI
+ * Statuses map to the label taxonomy of dev.agent.yaml the same way as `bmad beads sync`.
+ * Beads also knows blocked issues, and a story moved from review back to in-progress is
+ * labelled needs-fix so dev-story-beads picks it up first.
+ */
+class BeadsTracker extends BaseTracker {
+  /**
+   * @param {Object} options - { projectDir, bd: executable }
+   */
+  constructor(options = {}) {
+    super('beads', options);
+    this.client = new BeadsClient({ bin: options.bd, cwd: options.projectDir });
+    this.sync = new BeadsSync(this.client);
+  }
+
+  async listItems() {
+    const issues = await this.client.listIssues();
+    return issues.filter((issue) => this.isTracked(issue)).map((issue) => this.toItem(issue));
+  }
+
+  /**
+   * Ready issues as the dev-story-beads workflow picks them: fixes first, then ready stories and
+   * follow-ups, each by story key (story-7-1 before story-7-2)
+   */
+  async listReady() {
+    const issues = await this.client.listReadyIssues();
+    const rank = (item) => {
+      const labels = item.labels;
+      if (labels.includes('needs-fix')) return 0;
+      if (labels.includes('ready-for-dev')) return 1;
+      return labels.includes(FOLLOW_UP_LABEL) && !labels.includes('done') && !labels.includes('needs-review') ? 2 : null;
+    };
+    return issues
+      .filter((issue) => this.isTracked(issue))
+      .map((issue) => this.toItem(issue))
+      .filter((item) => rank(item) !== null)
+      .sort((a, b) => rank(a) - rank(b) || compareKeys(a.key, b.key));
+  }
+
+  async getItem(id) {
+    return this.toItem(await this.client.showIssue(id));
+  }
+
+  async updateStatus(id, status) {
+    if (status !== 'blocked' && !STATES.story.includes(status)) {
+      throw new Error(`"${status}" is not a story status (${[...STATES.story, 'blocked'].join(', ')})`);
+    }
+    const issue = await this.client.showIssue(id);
+    const from = issue.status === 'blocked' ? 'blocked' : storyStatusOf(issue);
+    if (status === 'blocked') {
+      if (from === 'blocked') return [];
+      await this.client.updateStatus(id, 'blocked');
+      return [{ id, from, to: status }];
+    }
+    if (status === 'in-progress' && from === 'review') {
+      await this.client.removeLabel(id, 'needs-review');
+      await this.client.addLabel(id, 'needs-fix');
+      if (issue.status !== 'open') await this.client.updateStatus(id, 'open');
+      return [{ id, from, to: status }];
+    }
+    // Labels are brought in line even when the status already matches (needs-fix → in-dev)
+    const commands = await this.sync.setIssueStatus(issue, 'story', status, true);
+    return commands > 0 ? [{ id, from, to: status }] : [];
+  }
+
+  async addComment(id, text) {
+    await this.client.addComment(id, text);
+  }
+
+  async getComments(id) {
+    const comments = await this.client.listComments(id);
+    return comments.map((comment) => comment.text);
+  }
+
+  async updateLabels(id, labels) {
+    const issue = await this.client.showIssue(id);
+    const current = new Set(issue.labels || []);
+    for (const label of labels.remove || []) {
+      if (current.delete(label)) await this.client.removeLabel(id, label);
+    }
+    for (const label of labels.add || []) {
+      if (!current.has(label)) {
+        await this.client.addLabel(id, label);
+        current.add(label);
+      }
+    }
+    return [...current];
+  }
+
+  async createFollowUp(parentId, title, options = {}) {
+    const issue = await this.client.createIssue(`Follow-up: ${title}`, {
+      type: 'task',
+      description: options.description,
+      labels: [FOLLOW_UP_LABEL],
+    });
+    await this.client.addDependency(issue.id, parentId, 'discovered-from');
+    if (options.blocks) {
+      await this.client.addDependency(issue.id, parentId, 'blocks');
+    }
+    return { ...this.toItem(issue), parent: parentId };
+  }
+
+  isTracked(issue) {
+    const labels = issue.labels || [];
+    return labels.includes('bmad-story') || labels.includes(FOLLOW_UP_LABEL);
+  }
+
+  toItem(issue) {
+    const labels = issue.labels || [];
+    const storyLabel = labels.find((label) => /^story-\d+-\d+$/.test(label));
+    return {
+      id: issue.id,
+      key: storyLabel ? storyLabel.slice('story-'.length) : null,
+      title: issue.title,
+      status: storyStatusOf(issue),
+      parent: null,
+      labels,
+    };
+  }
+}
+
+module.exports = { BeadsTracker };
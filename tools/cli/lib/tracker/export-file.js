@@ -0,0 +1,154 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const csv = require('csv-parse/sync');
+const { BaseTracker } = require('./_base-tracker');
+const { STATES } = require('../sprint-status');
+
+const CSV_COLUMNS = ['id', 'key', 'title', 'status', 'parent', 'labels', 'comments'];
+
+function escapeCsv(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Read items from a JSON or CSV interchange file
+ * JSON is an array of items. CSV has the columns id, key, title, status, parent, labels
+ * (separated by ;) and comments (separated by blank lines), so exports from Jira, Linear or
+ * GitHub Issues only need their columns renamed.
+ * @param {string} filePath - .json or .csv file
+ * @returns {Promise<Array<Object>>} Items
+ */
+async function readItems(filePath) {
+  if (!(await fs.pathExists(filePath))) {
+    return [];
+  }
+  const content = await fs.readFile(filePath, 'utf8');
+  const rows =
+    path.extname(filePath).toLowerCase() === '.csv'
+      ? csv.parse(content, { columns: true, skip_empty_lines: true }).map((row) => ({
+          ...row,
+          labels: row.labels ? row.labels.split(';').map((label) => label.trim()) : [],
+          comments: row.comments ? row.comments.split(/\n\s*\n/) : [],
+        }))
+      : JSON.parse(content || '[]');
+  if (!Array.isArray(rows)) {
+    throw new TypeError(`${filePath} must hold an array of items`);
+  }
+
+  return rows.map((row) => ({
+    id: String(row.id ?? row.key ?? ''),
+    key: row.key || null,
+    title: row.title || '',
+    status: row.status || 'backlog',
+    parent: row.parent || null,
+    labels: row.labels || [],
+    comments: row.comments || [],
+  }));
+}
+
+/**
+ * Write items to a JSON or CSV interchange file
+ * @param {string} filePath - .json or .csv file
+ * @param {Array<Object>} items - Items
+ */
+async function writeItems(filePath, items) {
+  await fs.ensureDir(path.dirname(filePath));
+  if (path.extname(filePath).toLowerCase() !== '.csv') {
+    await fs.writeFile(filePath, JSON.stringify(items, null, 2) + '\n', 'utf8');
+    return;
+  }
+
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const item of items) {
+    const row = { ...item, labels: (item.labels || []).join(';'), comments: (item.comments || []).join('\n\n') };
+    lines.push(CSV_COLUMNS.map((column) => escapeCsv(row[column])).join(','));
+  }
+  await fs.writeFile(filePath, lines.join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Tracker backed by a JSON or CSV file in the interchange format of readItems()
+ * Used on its own (tracking_system: json or csv) or to move items between trackers with
+ * `bmad tracker export` and `bmad tracker import`.
+ */
+class ExportFileTracker extends BaseTracker {
+  /**
+   * @param {string} name - json or csv
+   * @param {Object} options - { trackerFile }
+   */
+  constructor(name, options = {}) {
+    super(name, options);
+    if (!options.trackerFile) {
+      throw new Error(`The ${name} tracker needs a file (--tracker-file or tracker_file in sprint-status.yaml)`);
+    }
+    this.filePath = options.trackerFile;
+  }
+
+  async listItems() {
+    return readItems(this.filePath);
+  }
+
+  async updateStatus(id, status) {
+    if (!STATES.story.includes(status)) {
+      throw new Error(`"${status}" is not a story status (${STATES.story.join(', ')})`);
+    }
+    return this.change(id, (item) => {
+      if (item.status === status) return [];
+      const from = item.status;
+      item.status = status;
+      return [{ id: item.id, from, to: status }];
+    });
+  }
+
+  async addComment(id, text) {
+    await this.change(id, (item) => {
+      item.comments.push(`${new Date().toISOString()} ${text.trim()}`);
+    });
+  }
+
+  async getComments(id) {
+    return (await this.getItem(id)).comments;
+  }
+
+  async updateLabels(id, labels) {
+    return this.change(id, (item) => {
+      const remove = new Set(labels.remove || []);
+      item.labels = [...new Set([...item.labels.filter((label) => !remove.has(label)), ...(labels.add || [])])];
+      return item.labels;
+    });
+  }
+
+  async createFollowUp(parentId, title, options = {}) {
+    const items = await readItems(this.filePath);
+    const parent = await this.getItem(parentId);
+    const ids = new Set(items.map((item) => item.id));
+    let number = 1;
+    while (ids.has(`${parent.id}-followup-${number}`)) number++;
+
+    const item = {
+      id: `${parent.id}-followup-${number}`,
+      key: null,
+      title,
+      status: 'backlog',
+      parent: parent.id,
+      labels: ['bmad-followup'],
+      comments: options.description ? [options.description] : [],
+    };
+    await writeItems(this.filePath, [...items, item]);
+    return item;
+  }
+
+  async change(id, update) {
+    const items = await readItems(this.filePath);
+    const item = items.find((candidate) => candidate.id === id || candidate.key === id);
+    if (!item) {
+      throw new Error(`No item "${id}" in ${this.filePath}`);
+    }
+    const result = update(item);
+    await writeItems(this.filePath, items);
+    return result;
+  }
+}
+
+module.exports = { ExportFileTracker, readItems, writeItems };
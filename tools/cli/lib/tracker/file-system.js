@@ -0,0 +1,102 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const { BaseTracker } = require('./_base-tracker');
+const { loadSprintStatus } = require('../sprint-status');
+
+/**
+ * Tracker backed by sprint-status.yaml and the story files next to it
+ * Item ids are story keys; comments are appended to the story file.
+ */
+class FileSystemTracker extends BaseTracker {
+  /**
+   * @param {Object} options - { sprintStatusPath }
+   */
+  constructor(options = {}) {
+    super('file-system', options);
+    if (!options.sprintStatusPath) {
+      throw new Error('The file-system tracker needs the path of sprint-status.yaml');
+    }
+    this.sprintStatusPath = options.sprintStatusPath;
+  }
+
+  async listItems() {
+    const status = await loadSprintStatus(this.sprintStatusPath);
+    return status.entries.filter((entry) => entry.kind === 'story').map((entry) => this.toItem(entry));
+  }
+
+  async getItem(id) {
+    const status = await loadSprintStatus(this.sprintStatusPath);
+    return this.toItem(status.findEntry(id));
+  }
+
+  async updateStatus(id, state, options = {}) {
+    const status = await loadSprintStatus(this.sprintStatusPath);
+    const changes = status.move(id, state, { force: options.force });
+    if (changes.length > 0) {
+      await fs.writeFile(this.sprintStatusPath, status.toString(), 'utf8');
+    }
+    return changes.map(({ key, from, to }) => ({ id: key, from, to }));
+  }
+
+  async addComment(id, text) {
+    const status = await loadSprintStatus(this.sprintStatusPath);
+    const { key } = status.findEntry(id);
+    const storyPath = this.getStoryPath(key);
+    if (!(await fs.pathExists(storyPath))) {
+      throw new Error(`No story file for ${key} (${storyPath}). Run create-story first.`);
+    }
+
+    let content = await fs.readFile(storyPath, 'utf8');
+    if (!/^## Comments$/m.test(content)) {
+      content = `${content.trimEnd()}\n\n## Comments\n`;
+    }
+    const entry = `\n### ${new Date().toISOString()}\n\n${text.trim()}\n`;
+    await fs.writeFile(storyPath, `${content.trimEnd()}\n${entry}`, 'utf8');
+  }
+
+  async getComments(id) {
+    const status = await loadSprintStatus(this.sprintStatusPath);
+    const storyPath = this.getStoryPath(status.findEntry(id).key);
+    if (!(await fs.pathExists(storyPath))) {
+      return [];
+    }
+    const [, section = ''] = (await fs.readFile(storyPath, 'utf8')).split(/^## Comments$/m);
+    // A later ## heading ends the section
+    return section
+      .split(/^## /m)[0]
+      .split(/^### .*$/m)
+      .map((comment) => comment.trim())
+      .filter(Boolean);
+  }
+
+  async createFollowUp(parentId, title, options = {}) {
+    const status = await loadSprintStatus(this.sprintStatusPath);
+    const parent = status.findEntry(parentId);
+    const slug = title
+      .toLowerCase()
+      .replaceAll(/[^a-z0-9]+/g, '-')
+      .replaceAll(/^-|-$/g, '');
+    const key = status.addStory(parent.epic, slug, 'backlog', `follow-up of ${parent.key}`);
+    await fs.writeFile(this.sprintStatusPath, status.toString(), 'utf8');
+    return { ...this.toItem(status.findEntry(key)), parent: parent.key };
+  }
+
+  getStoryPath(key) {
+    return path.join(path.dirname(this.sprintStatusPath), `${key}.md`);
+  }
+
+  toItem(entry) {
+    const words = entry.key.split('-').slice(2);
+    return {
+      id: entry.key,
+      key: entry.key,
+      title: words.join(' '),
+      status: entry.status,
+      parent: null,
+      labels: [],
+      epic: entry.epic,
+    };
+  }
+}
+
+module.exports = { FileSystemTracker };
@@ -0,0 +1,29 @@
+const { FileSystemTracker } = require('./file-system');
+const { BeadsTracker } = require('./beads');
+const { ExportFileTracker } = require('./export-file');
+
+// tracking_system values of sprint-status.yaml and the adapters that implement them
+const TRACKERS = {
+  'file-system': (options) => new FileSystemTracker(options),
+  beads: (options) => new BeadsTracker(options),
+  json: (options) => new ExportFileTracker('json', options),
+  csv: (options) => new ExportFileTracker('csv', options),
+};
+
+const TRACKER_NAMES = Object.keys(TRACKERS);
+
+/**
+ * Create the adapter for a tracking system
+ * @param {string} name - Tracker name (file-system, beads, json, csv)
+ * @param {Object} options - { projectDir, sprintStatusPath, trackerFile, bd }
+ * @returns {BaseTracker} Adapter
+ */
+function createTracker(name, options = {}) {
+  const create = TRACKERS[name];
+  if (!create) {
+    throw new Error(`Unknown tracker "${name}". Available: ${TRACKER_NAMES.join(', ')}`);
+  }
+  return create(options);
+}
+
+module.exports = { createTracker, TRACKER_NAMES };
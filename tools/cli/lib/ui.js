@@ -4,6 +4,7 @@ const path = require('node:path');
 const os = require('node:os');
 const fs = require('fs-extra');
 const { CLIUtils } = require('./cli-utils');
+const { t, setLocale, resolveLocale } = require('./i18n');
 const { CustomHandler } = require('../installers/lib/custom/handler');
 
 /**
@@ -19,7 +20,7 @@ class UI {
   async promptInstall() {
     CLIUtils.displayLogo();
     const version = CLIUtils.getVersion();
-    CLIUtils.displaySection('BMAD™ Setup', `Build More, Architect Dreams v${version}`);
+    CLIUtils.displaySection(t('setup.title'), t('setup.subtitle', { version }));
 
     const confirmedDirectory = await this.getConfirmedDirectory();
 
@@ -64,9 +65,9 @@ class UI {
     }
 
     if (hasLegacyBmadFolder || hasLegacyCfg) {
-      console.log(chalk.yellow('\n⚠️  Legacy folder structure detected'));
+      console.log(chalk.yellow(`\n${t('legacy.detected')}`));
 
-      let message = 'The following folders need to be renamed:\n';
+      let message = `${t('legacy.renameList')}\n`;
       if (hasLegacyBmadFolder) {
         message += chalk.dim(`  • ".bmad" → "_bmad"\n`);
       }
@@ -79,19 +80,19 @@ class UI {
         {
           type: 'confirm',
           name: 'shouldRename',
-          message: 'Would you like the installer to rename these folders for you?',
+          message: t('legacy.confirmRename'),
           default: true,
         },
       ]);
 
       if (!shouldRename) {
-        console.log(chalk.red('\n❌ Installation cancelled'));
-        console.log(chalk.dim('You must manually rename the folders before proceeding:'));
+        console.log(chalk.red(`\n${t('legacy.cancelled')}`));
+        console.log(chalk.dim(t('legacy.manualRename')));
         if (hasLegacyBmadFolder) {
-          console.log(chalk.dim(`  • Rename ".bmad" to "_bmad"`));
+          console.log(chalk.dim(`  • ${t('legacy.renameItem', { from: '.bmad', to: '_bmad' })}`));
         }
         if (hasLegacyCfg) {
-          console.log(chalk.dim(`  • Rename "_cfg" to "_config"`));
+          console.log(chalk.dim(`  • ${t('legacy.renameItem', { from: '_cfg', to: '_config' })}`));
         }
         process.exit(0);
         return;
@@ -99,7 +100,7 @@ class UI {
 
       // Perform the renames
       const ora = require('ora');
-      const spinner = ora('Updating folder structure...').start();
+      const spinner = ora(t('legacy.updating')).start();
 
       try {
         // First rename .bmad to _bmad if needed
@@ -107,22 +108,22 @@ class UI {
           const newBmadPath = path.join(confirmedDirectory, '_bmad');
           await fs.move(legacyBmadPath, newBmadPath);
           bmadDir = newBmadPath;
-          spinner.succeed('Renamed ".bmad" to "_bmad"');
+          spinner.succeed(t('legacy.renamed', { from: '.bmad', to: '_bmad' }));
         }
 
         // Then rename _cfg to _config if needed
         if (hasLegacyCfg) {
-          spinner.start('Renaming configuration folder...');
+          spinner.start(t('legacy.renamingConfig'));
           const oldCfgPath = path.join(bmadDir, '_cfg');
           const newCfgPath = path.join(bmadDir, '_config');
           await fs.move(oldCfgPath, newCfgPath);
-          spinner.succeed('Renamed "_cfg" to "_config"');
+          spinner.succeed(t('legacy.renamed', { from: '_cfg', to: '_config' }));
         }
 
-        spinner.succeed('Folder structure updated successfully');
+        spinner.succeed(t('legacy.updated'));
       } catch (error) {
-        spinner.fail('Failed to update folder structure');
-        console.error(chalk.red(`Error: ${error.message}`));
+        spinner.fail(t('legacy.updateFailed'));
+        console.error(chalk.red(t('common.error', { message: error.message })));
         process.exit(1);
       }
     }
@@ -150,13 +151,13 @@ class UI {
         {
           type: 'list',
           name: 'actionType',
-          message: 'What would you like to do?',
+          message: t('action.prompt'),
           choices: [
-            { name: 'Quick Update (Settings Preserved)', value: 'quick-update' },
-            { name: 'Modify BMAD Installation (Confirm or change each setting)', value: 'update' },
-            { name: 'Remove BMad Folder and Reinstall (Full clean install - BMad Customization Will Be Lost)', value: 'reinstall' },
-            { name: 'Compile Agents (Quick rebuild of all agent .md files)', value: 'compile' },
-            { name: 'Cancel', value: 'cancel' },
+            { name: t('action.quickUpdate'), value: 'quick-update' },
+            { name: t('action.modify'), value: 'update' },
+            { name: t('action.reinstall'), value: 'reinstall' },
+            { name: t('action.compile'), value: 'compile' },
+            { name: t('action.cancel'), value: 'cancel' },
           ],
           default: 'quick-update',
         },
@@ -201,6 +202,11 @@ class UI {
     const { installedModuleIds } = await this.getExistingInstallation(confirmedDirectory);
     const coreConfig = await this.collectCoreConfig(confirmedDirectory);
 
+    // Continue in the configured language, unless BMAD_LOCALE pins the installer's language
+    if (!process.env.BMAD_LOCALE && resolveLocale(coreConfig.communication_language)) {
+      setLocale(coreConfig.communication_language);
+    }
+
     // Custom content will be handled during installation phase
     // Store the custom content config for later use
     if (customContentConfig._shouldAsk) {
@@ -212,7 +218,7 @@ class UI {
     if (actionType === 'update' || actionType === 'reinstall') {
       // Keep all existing installed modules during update/reinstall
       selectedModules = [...installedModuleIds];
-      console.log(chalk.cyan('\n📦 Keeping existing modules: ') + selectedModules.join(', '));
+      console.log(chalk.cyan(`\n${t('modules.keeping')}`) + selectedModules.join(', '));
     } else {
       // Only show module selection for new installs
       const moduleChoices = await this.getModuleChoices(installedModuleIds, customContentConfig);
@@ -289,17 +295,19 @@ class UI {
     // Get IDE manager to fetch available IDEs dynamically
     const { IdeManager } = require('../installers/lib/ide/manager');
     const ideManager = new IdeManager();
+    ideManager.loadPlugins(projectDir || process.cwd(), bmadDir);
 
     const preferredIdes = ideManager.getPreferredIdes();
     const otherIdes = ideManager.getOtherIdes();
 
     // Build IDE choices array with separators
     const ideChoices = [];
+    const ideLabel = (ide) => (ide.plugin ? `${ide.name} ${chalk.dim(t('tools.plugin'))}` : ide.name);
     const processedIdes = new Set();
 
     // First, add previously configured IDEs at the top, marked with ✅
     if (configuredIdes.length > 0) {
-      ideChoices.push(new inquirer.Separator('── Previously Configured ──'));
+      ideChoices.push(new inquirer.Separator(t('tools.previouslyConfigured')));
       for (const ideValue of configuredIdes) {
         // Skip empty or invalid IDE values
         if (!ideValue || typeof ideValue !== 'string') {
@@ -313,14 +321,14 @@ class UI {
 
         if (ide) {
           ideChoices.push({
-            name: `${ide.name} ✅`,
+            name: `${ideLabel(ide)} ✅`,
             value: ide.value,
             checked: true, // Previously configured IDEs are checked by default
           });
           processedIdes.add(ide.value);
         } else {
           // Warn about unrecognized IDE (but don't fail)
-          console.log(chalk.yellow(`⚠️  Previously configured IDE '${ideValue}' is no longer available`));
+          console.log(chalk.yellow(t('tools.unavailable', { ide: ideValue })));
         }
       }
     }
@@ -328,10 +336,10 @@ class UI {
     // Add preferred tools (excluding already processed)
     const remainingPreferred = preferredIdes.filter((ide) => !processedIdes.has(ide.value));
     if (remainingPreferred.length > 0) {
-      ideChoices.push(new inquirer.Separator('── Recommended Tools ──'));
+      ideChoices.push(new inquirer.Separator(t('tools.recommended')));
       for (const ide of remainingPreferred) {
         ideChoices.push({
-          name: `${ide.name} ⭐`,
+          name: `${ideLabel(ide)} ⭐`,
           value: ide.value,
           checked: false,
         });
@@ -342,17 +350,17 @@ class UI {
     // Add other tools (excluding already processed)
     const remainingOther = otherIdes.filter((ide) => !processedIdes.has(ide.value));
     if (remainingOther.length > 0) {
-      ideChoices.push(new inquirer.Separator('── Additional Tools ──'));
+      ideChoices.push(new inquirer.Separator(t('tools.additional')));
       for (const ide of remainingOther) {
         ideChoices.push({
-          name: ide.name,
+          name: ideLabel(ide),
           value: ide.value,
           checked: false,
         });
       }
     }
 
-    CLIUtils.displaySection('Tool Integration', 'Select AI coding assistants and IDEs to configure');
+    CLIUtils.displaySection(t('tools.title'), t('tools.subtitle'));
 
     let answers;
     let userConfirmedNoTools = false;
@@ -363,7 +371,7 @@ class UI {
         {
           type: 'checkbox',
           name: 'ides',
-          message: 'Select tools to configure:',
+          message: t('tools.prompt'),
           choices: ideChoices,
           pageSize: 15,
         },
@@ -376,16 +384,16 @@ class UI {
 
       // Warn that no tools were selected - users often miss the spacebar requirement
       console.log();
-      console.log(chalk.red.bold('⚠️  WARNING: No tools were selected!'));
-      console.log(chalk.red('   You must press SPACEBAR to select items, then ENTER to confirm.'));
-      console.log(chalk.red('   Simply highlighting an item does NOT select it.'));
+      console.log(chalk.red.bold(t('tools.noneSelected')));
+      console.log(chalk.red(t('tools.spacebarHint')));
+      console.log(chalk.red(t('tools.highlightHint')));
       console.log();
 
       const { goBack } = await inquirer.prompt([
         {
           type: 'confirm',
           name: 'goBack',
-          message: chalk.yellow('Would you like to go back and select at least one tool?'),
+          message: chalk.yellow(t('tools.goBack')),
           default: true,
         },
       ]);
@@ -393,7 +401,7 @@ class UI {
       if (goBack) {
         // Re-display the section header before looping back
         console.log();
-        CLIUtils.displaySection('Tool Integration', 'Select AI coding assistants and IDEs to configure');
+        CLIUtils.displaySection(t('tools.title'), t('tools.subtitle'));
       } else {
         // User explicitly chose to proceed without tools
         userConfirmedNoTools = true;
@@ -415,13 +423,13 @@ class UI {
       {
         type: 'confirm',
         name: 'backupFirst',
-        message: 'Create backup before updating?',
+        message: t('update.backupFirst'),
         default: true,
       },
       {
         type: 'confirm',
         name: 'preserveCustomizations',
-        message: 'Preserve local customizations?',
+        message: t('update.preserveCustomizations'),
         default: true,
       },
     ]);
@@ -445,11 +453,11 @@ class UI {
       {
         type: 'checkbox',
         name: 'selectedModules',
-        message: 'Select modules to add:',
+        message: t('modules.addPrompt'),
         choices,
         validate: (answer) => {
           if (answer.length === 0) {
-            return 'You must choose at least one module.';
+            return t('modules.chooseOne');
           }
           return true;
         },
@@ -483,17 +491,17 @@ class UI {
    * @param {Object} result - Installation result
    */
   showInstallSummary(result) {
-    CLIUtils.displaySection('Installation Complete', 'BMAD™ has been successfully installed');
+    CLIUtils.displaySection(t('summary.title'), t('summary.subtitle'));
 
     const summary = [
-      `📁 Installation Path: ${result.path}`,
-      `📦 Modules Installed: ${result.modules?.length > 0 ? result.modules.join(', ') : 'core only'}`,
-      `🔧 Tools Configured: ${result.ides?.length > 0 ? result.ides.join(', ') : 'none'}`,
+      t('summary.path', { path: result.path }),
+      t('summary.modules', { modules: result.modules?.length > 0 ? result.modules.join(', ') : t('summary.coreOnly') }),
+      t('summary.tools', { tools: result.ides?.length > 0 ? result.ides.join(', ') : t('common.none') }),
     ];
 
     // Add AgentVibes TTS info if enabled
     if (result.agentVibesEnabled) {
-      summary.push(`🎤 AgentVibes TTS: Enabled`);
+      summary.push(t('summary.tts'));
     }
 
     CLIUtils.displayBox(summary.join('\n\n'), {
@@ -504,48 +512,46 @@ class UI {
     // Display TTS injection details if present
     if (result.ttsInjectedFiles && result.ttsInjectedFiles.length > 0) {
       console.log('\n' + chalk.cyan.bold('═══════════════════════════════════════════════════'));
-      console.log(chalk.cyan.bold('            AgentVibes TTS Injection Summary'));
+      console.log(chalk.cyan.bold(t('tts.summaryTitle')));
       console.log(chalk.cyan.bold('═══════════════════════════════════════════════════\n'));
 
       // Explain what TTS injection is
-      console.log(chalk.white.bold('What is TTS Injection?\n'));
-      console.log(chalk.dim('  TTS (Text-to-Speech) injection adds voice instructions to BMAD agents,'));
-      console.log(chalk.dim('  enabling them to speak their responses aloud using AgentVibes.\n'));
-      console.log(chalk.dim('  Example: When you activate the PM agent, it will greet you with'));
-      console.log(chalk.dim('  spoken audio like "Hey! I\'m your Project Manager. How can I help?"\n'));
+      console.log(chalk.white.bold(`${t('tts.whatIs')}\n`));
+      console.log(chalk.dim(indentLines(t('tts.explanation'), '  ') + '\n'));
+      console.log(chalk.dim(indentLines(t('tts.example'), '  ') + '\n'));
 
-      console.log(chalk.green(`✅ TTS injection applied to ${result.ttsInjectedFiles.length} file(s):\n`));
+      console.log(chalk.green(`${t('tts.applied', { count: result.ttsInjectedFiles.length })}\n`));
 
       // Group by type
       const partyModeFiles = result.ttsInjectedFiles.filter((f) => f.type === 'party-mode');
       const agentTTSFiles = result.ttsInjectedFiles.filter((f) => f.type === 'agent-tts');
 
       if (partyModeFiles.length > 0) {
-        console.log(chalk.yellow('  Party Mode (multi-agent conversations):'));
+        console.log(chalk.yellow(t('tts.partyMode')));
         for (const file of partyModeFiles) {
           console.log(chalk.dim(`    • ${file.path}`));
         }
       }
 
       if (agentTTSFiles.length > 0) {
-        console.log(chalk.yellow('  Agent TTS (individual agent voices):'));
+        console.log(chalk.yellow(t('tts.agentTts')));
         for (const file of agentTTSFiles) {
           console.log(chalk.dim(`    • ${file.path}`));
         }
       }
 
       // Show backup info and restore command
-      console.log('\n' + chalk.white.bold('Backups & Recovery:\n'));
-      console.log(chalk.dim('  Pre-injection backups are stored in:'));
+      console.log('\n' + chalk.white.bold(`${t('tts.backups')}\n`));
+      console.log(chalk.dim(t('tts.backupLocation')));
       console.log(chalk.cyan('    ~/_bmad-tts-backups/\n'));
-      console.log(chalk.dim('  To restore original files (removes TTS instructions):'));
+      console.log(chalk.dim(t('tts.restoreHint')));
       console.log(chalk.cyan(`    bmad-tts-injector.sh --restore ${result.path}\n`));
 
-      console.log(chalk.cyan('💡 BMAD agents will now speak when activated!'));
-      console.log(chalk.dim('   Ensure AgentVibes is installed: https://agentvibes.org'));
+      console.log(chalk.cyan(t('tts.ready')));
+      console.log(chalk.dim(t('tts.ensureInstalled')));
     }
 
-    console.log('\n' + chalk.green.bold('✨ BMAD is ready to use!'));
+    console.log('\n' + chalk.green.bold(t('summary.ready')));
   }
 
   /**
@@ -665,9 +671,9 @@ class UI {
     if (allCustomModules.length > 0) {
       // Add separator for custom content, all custom modules, and official content separator
       moduleChoices.push(
-        new inquirer.Separator('── Custom Content ──'),
+        new inquirer.Separator(t('modules.customContent')),
         ...allCustomModules,
-        new inquirer.Separator('── Official Content ──'),
+        new inquirer.Separator(t('modules.officialContent')),
       );
     }
 
@@ -691,13 +697,13 @@ class UI {
    * @returns {Array} Selected module IDs
    */
   async selectModules(moduleChoices) {
-    CLIUtils.displaySection('Module Selection', 'Choose the BMAD modules to install');
+    CLIUtils.displaySection(t('modules.title'), t('modules.subtitle'));
 
     const moduleAnswer = await inquirer.prompt([
       {
         type: 'checkbox',
         name: 'modules',
-        message: 'Select modules to install:',
+        message: t('modules.prompt'),
         choices: moduleChoices,
       },
     ]);
@@ -714,7 +720,7 @@ class UI {
       {
         type: 'input',
         name: 'directory',
-        message: `Installation directory:`,
+        message: t('directory.prompt'),
         default: process.cwd(),
         validate: async (input) => this.validateDirectory(input),
         filter: (input) => {
@@ -733,7 +739,7 @@ class UI {
    * @param {string} directory - The directory path
    */
   async displayDirectoryInfo(directory) {
-    console.log(chalk.cyan('\nResolved installation path:'), chalk.bold(directory));
+    console.log(chalk.cyan(`\n${t('directory.resolved')}`), chalk.bold(directory));
 
     const dirExists = await fs.pathExists(directory);
     if (dirExists) {
@@ -749,11 +755,11 @@ class UI {
           const hasBmadInstall = (await fs.pathExists(bmadDir)) && (await fs.pathExists(path.join(bmadDir, '_config', 'manifest.yaml')));
 
           console.log(
-            chalk.gray(`Directory exists and contains ${files.length} item(s)`) +
-              (hasBmadInstall ? chalk.yellow(` including existing BMAD installation (${path.basename(bmadDir)})`) : ''),
+            chalk.gray(t('directory.contains', { count: files.length })) +
+              (hasBmadInstall ? chalk.yellow(t('directory.existingInstall', { folder: path.basename(bmadDir) })) : ''),
           );
         } else {
-          console.log(chalk.gray('Directory exists and is empty'));
+          console.log(chalk.gray(t('directory.empty')));
         }
       }
     }
@@ -772,13 +778,13 @@ class UI {
         {
           type: 'confirm',
           name: 'proceed',
-          message: `Install to this directory?`,
+          message: t('directory.confirm'),
           default: true,
         },
       ]);
 
       if (!confirmAnswer.proceed) {
-        console.log(chalk.yellow("\nLet's try again with a different path.\n"));
+        console.log(chalk.yellow(`\n${t('directory.tryAgain')}\n`));
       }
 
       return confirmAnswer.proceed;
@@ -788,13 +794,13 @@ class UI {
         {
           type: 'confirm',
           name: 'create',
-          message: `The directory '${directory}' doesn't exist. Would you like to create it?`,
+          message: t('directory.create', { directory }),
           default: false,
         },
       ]);
 
       if (!createConfirm.create) {
-        console.log(chalk.yellow("\nLet's try again with a different path.\n"));
+        console.log(chalk.yellow(`\n${t('directory.tryAgain')}\n`));
       }
 
       return createConfirm.create;
@@ -827,7 +833,7 @@ class UI {
       const existingParent = await this.findExistingParent(expandedPath);
 
       if (!existingParent) {
-        return 'Cannot create directory: no existing parent directory found';
+        return t('directory.noParent');
       }
 
       // Check if the existing parent is writable
@@ -837,21 +843,21 @@ class UI {
         return true;
       } catch {
         // Provide a detailed error message explaining both issues
-        return `Directory '${expandedPath}' does not exist and cannot be created: parent directory '${existingParent}' is not writable`;
+        return t('directory.parentNotWritable', { directory: expandedPath, parent: existingParent });
       }
     }
 
     // If it exists, validate it's a directory and writable
     const stat = await fs.stat(expandedPath);
     if (!stat.isDirectory()) {
-      return `Path exists but is not a directory: ${expandedPath}`;
+      return t('directory.notADirectory', { path: expandedPath });
     }
 
     // Check write permissions
     try {
       await fs.access(expandedPath, fs.constants.W_OK);
     } catch {
-      return `Directory is not writable: ${expandedPath}`;
+      return t('directory.notWritable', { path: expandedPath });
     }
 
     return true;
@@ -902,7 +908,7 @@ class UI {
         const separatorIndex = restOfPath.indexOf(path.sep);
         const username = separatorIndex === -1 ? restOfPath : restOfPath.slice(0, separatorIndex);
         if (username) {
-          throw new Error(`Path expansion for ~${username} is not supported. Please use an absolute path or ~${path.sep}`);
+          throw new Error(t('directory.tildeUser', { user: username, separator: path.sep }));
         }
       }
     }
@@ -951,29 +957,29 @@ class UI {
    * - GitHub Issue: paulpreibisch/AgentVibes#36
    */
   async promptAgentVibes(projectDir) {
-    CLIUtils.displaySection('🎤 Voice Features', 'Enable TTS for multi-agent conversations');
+    CLIUtils.displaySection(t('tts.title'), t('tts.subtitle'));
 
     // Check if AgentVibes is already installed
     const agentVibesInstalled = await this.checkAgentVibesInstalled(projectDir);
 
     if (agentVibesInstalled) {
-      console.log(chalk.green('  ✓ AgentVibes detected'));
+      console.log(chalk.green(t('tts.detected')));
     } else {
-      console.log(chalk.dim('  AgentVibes not detected'));
+      console.log(chalk.dim(t('tts.notDetected')));
     }
 
     const answers = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'enableTts',
-        message: 'Enable Agents to Speak Out loud (powered by Agent Vibes? Claude Code only currently)',
+        message: t('tts.prompt'),
         default: false, // Default to yes - recommended for best experience
       },
     ]);
 
     if (answers.enableTts && !agentVibesInstalled) {
-      console.log(chalk.yellow('\n  ⚠️  AgentVibes not installed'));
-      console.log(chalk.dim('  Install AgentVibes separately to enable TTS:'));
+      console.log(chalk.yellow(`\n${t('tts.notInstalled')}`));
+      console.log(chalk.dim(t('tts.installHint')));
       console.log(chalk.dim('  https://github.com/paulpreibisch/AgentVibes\n'));
     }
 
@@ -1180,10 +1186,23 @@ class UI {
       //   selectedFiles: selectedFiles,
       // };
     } catch (error) {
-      console.error(chalk.red('Error configuring custom content:'), error);
+      console.error(chalk.red(t('modules.customContentError')), error);
       return { hasCustomContent: false };
     }
   }
 }
 
+/**
+ * Indent every line of a multi-line message
+ * @param {string} text - Message
+ * @param {string} indent - Prefix for each line
+ * @returns {string} Indented message
+ */
+function indentLines(text, indent) {
+  return text
+    .split('\n')
+    .map((line) => indent + line)
+    .join('\n');
+}
+
 module.exports = { UI };
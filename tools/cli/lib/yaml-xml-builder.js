@@ -4,6 +4,7 @@ const path = require('node:path');
 const crypto = require('node:crypto');
 const { AgentAnalyzer } = require('./agent-analyzer');
 const { ActivationBuilder } = require('./activation-builder');
+const { resolveAgentExtends } = require('./agent/inheritance');
 const { escapeXml } = require('../../lib/xml-utils');
 
 /**
@@ -64,7 +65,7 @@ class YamlXmlBuilder {
   async loadAndMergeAgent(agentYamlPath, customizeYamlPath = null) {
     // Load base agent
     const agentContent = await fs.readFile(agentYamlPath, 'utf8');
-    const agentYaml = yaml.parse(agentContent);
+    const agentYaml = resolveAgentExtends(yaml.parse(agentContent), agentYamlPath);
 
     // Load customization if exists
     let merged = agentYaml;
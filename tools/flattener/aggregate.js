@@ -2,21 +2,30 @@ const fs = require('fs-extra');
 const path = require('node:path');
 const os = require('node:os');
 const { isBinaryFile } = require('./binary.js');
+const { lookupEntry, hashContent } = require('./cache.js');
+const { compressedSampleSize } = require('./stats.helpers.js');
 
 /**
  * Aggregate file contents with bounded concurrency.
  * Returns text files, binary files (with size), and errors.
+ * With a cache, files whose mtime and size are unchanged skip binary detection and hashing.
+ * With reusable XML blocks (--update), such files are not read at all: their existing
+ * block is written again. When `changed` is given (--since), files outside it count as
+ * unchanged whatever their mtime.
  * @param {string[]} files absolute file paths
  * @param {string} rootDir
  * @param {{ text?: string, warn?: (msg: string) => void } | null} spinner
+ * @param {{ cache?: object | null, reuse?: Map<string, string> | null, changed?: Set<string> | null }} [options]
  */
-async function aggregateFileContents(files, rootDir, spinner = null) {
+async function aggregateFileContents(files, rootDir, spinner = null, options = {}) {
+  const { cache = null, reuse = null, changed = null } = options;
   const results = {
     textFiles: [],
     binaryFiles: [],
     errors: [],
     totalFiles: files.length,
     processedFiles: 0,
+    cachedFiles: 0,
   };
 
   // Automatic concurrency selection based on CPU count and workload size.
@@ -35,19 +44,56 @@ async function aggregateFileContents(files, rootDir, spinner = null) {
         spinner.text = `Processing: ${relativePath} (${results.processedFiles + 1}/${results.totalFiles})`;
       }
 
-      const binary = await isBinaryFile(filePath);
+      const stat = await fs.stat(filePath);
+      const fresh = lookupEntry(cache, relativePath, stat);
+      const cached = fresh || (changed && !changed.has(relativePath) ? cache?.files[relativePath] : null);
+
+      if (cached?.binary) {
+        results.binaryFiles.push({ path: relativePath, absolutePath: filePath, size: stat.size });
+        results.cachedFiles++;
+        return;
+      }
+      if (cached && reuse?.has(relativePath)) {
+        results.textFiles.push({
+          path: relativePath,
+          absolutePath: filePath,
+          size: cached.length,
+          lines: cached.lines,
+          hash: cached.hash,
+          compressedSample: cached.compressedSample,
+          xml: reuse.get(relativePath),
+        });
+        results.cachedFiles++;
+        return;
+      }
+
+      const binary = cached ? false : await isBinaryFile(filePath);
+      let file = null;
       if (binary) {
-        const { size } = await fs.stat(filePath);
-        results.binaryFiles.push({ path: relativePath, absolutePath: filePath, size });
+        results.binaryFiles.push({ path: relativePath, absolutePath: filePath, size: stat.size });
       } else {
         const content = await fs.readFile(filePath, 'utf8');
-        results.textFiles.push({
+        file = {
           path: relativePath,
           absolutePath: filePath,
           content,
           size: content.length,
           lines: content.split('\n').length,
-        });
+          hash: fresh ? fresh.hash : hashContent(content),
+          compressedSample: cache ? compressedSampleSize(content) : undefined,
+        };
+        results.textFiles.push(file);
+      }
+      if (cache) {
+        cache.files[relativePath] = {
+          mtimeMs: stat.mtimeMs,
+          size: stat.size,
+          binary,
+          hash: file?.hash ?? null,
+          lines: file?.lines ?? 0,
+          length: file?.size ?? 0,
+          compressedSample: file?.compressedSample ?? 0,
+        };
       }
     } catch (error) {
       const relativePath = path.relative(rootDir, filePath);
@@ -0,0 +1,69 @@
+const fs = require('fs-extra');
+const crypto = require('node:crypto');
+
+const CACHE_VERSION = 2;
+
+/**
+ * Cache file kept next to the output, e.g. flattened-codebase.flatten-cache.json
+ * @param {string} outputPath
+ * @returns {string}
+ */
+function cachePathFor(outputPath) {
+  return outputPath.replace(/\.xml$/i, '') + '.flatten-cache.json';
+}
+
+/**
+ * Load the content-hash cache; a missing, unreadable or older cache starts empty.
+ * Entries are keyed by relative path: { mtimeMs, size, binary, hash, lines, length, compressedSample }
+ * where compressedSample is the gzipped size used by the compressibility statistic
+ * @param {string} cachePath
+ * @returns {Promise<{ version: number, files: Record<string, object> }>}
+ */
+async function loadCache(cachePath) {
+  try {
+    const cache = await fs.readJson(cachePath);
+    if (cache && cache.version === CACHE_VERSION && cache.files && typeof cache.files === 'object') {
+      return cache;
+    }
+  } catch {
+    /* start with an empty cache */
+  }
+  return { version: CACHE_VERSION, files: {} };
+}
+
+/**
+ * Drop entries of files that are no longer part of the flattened set, then write the cache
+ * @param {string} cachePath
+ * @param {{ files: Record<string, object> }} cache
+ * @param {string[]} relativePaths - All files that are still included
+ */
+async function saveCache(cachePath, cache, relativePaths) {
+  const keep = new Set(relativePaths);
+  for (const key of Object.keys(cache.files)) {
+    if (!keep.has(key)) delete cache.files[key];
+  }
+  await fs.writeJson(cachePath, cache);
+}
+
+/**
+ * Cached entry of a file, if its mtime and size are unchanged
+ * @param {{ files: Record<string, object> } | null} cache
+ * @param {string} relativePath
+ * @param {{ mtimeMs: number, size: number }} stat
+ */
+function lookupEntry(cache, relativePath, stat) {
+  const entry = cache?.files[relativePath];
+  return entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size ? entry : null;
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = {
+  cachePathFor,
+  loadCache,
+  saveCache,
+  lookupEntry,
+  hashContent,
+};
@@ -35,6 +35,28 @@ async function gitListFiles(rootDir) {
   }
 }
 
+/**
+ * Files changed since a git ref: committed, staged and unstaged changes (including
+ * deletions) plus untracked files, relative to rootDir
+ * @param {string} rootDir
+ * @param {string} ref - Commit, branch or tag
+ * @returns {Promise<string[]>} relative file paths
+ */
+async function gitChangedFiles(rootDir, ref) {
+  if (!(await isGitRepo(rootDir))) {
+    throw new Error(`--since needs a git repository: ${rootDir}`);
+  }
+  const options = { cwd: rootDir, maxBuffer: 64 * 1024 * 1024 };
+  let diff;
+  try {
+    ({ stdout: diff } = await pExecFile('git', ['diff', '--name-only', '--relative', '--no-renames', '-z', ref, '--'], options));
+  } catch (error) {
+    throw new Error(`Cannot list changes since "${ref}": ${String(error.stderr || error.message).trim()}`);
+  }
+  const { stdout: untracked } = await pExecFile('git', ['ls-files', '-o', '--exclude-standard', '-z'], options);
+  return [...new Set([...String(diff).split('\0'), ...String(untracked).split('\0')].filter(Boolean))];
+}
+
 /**
  * Discover files under rootDir.
  * - Prefer git ls-files when available for speed/correctness
@@ -68,4 +90,5 @@ async function discoverFiles(rootDir, options = {}) {
 
 module.exports = {
   discoverFiles,
+  gitChangedFiles,
 };
@@ -19,6 +19,10 @@ async function discoverFiles(rootDir) {
   }
 }
 
+async function discoverChangedFiles(rootDir, ref) {
+  return (await discovery.gitChangedFiles(rootDir, ref)).map((p) => path.resolve(rootDir, p));
+}
+
 async function filterFiles(files, rootDir) {
   const { filter } = await ignoreRules.loadIgnore(rootDir);
   const relativeFiles = files.map((f) => path.relative(rootDir, f));
@@ -29,6 +33,7 @@ async function filterFiles(files, rootDir) {
 module.exports = {
   parseGitignore,
   discoverFiles,
+  discoverChangedFiles,
   isBinaryFile,
   aggregateFileContents,
   filterFiles,
@@ -94,6 +94,7 @@ const DEFAULT_PATTERNS = [
   '**/desktop.ini',
   // XML outputs
   '**/flattened-codebase.xml',
+  '**/*.flatten-cache.json',
   '**/repomix-output.xml',
   // Images, media, fonts, archives, docs, dylibs
   '**/*.jpg',
@@ -6,8 +6,9 @@ const process = require('node:process');
 // Modularized components
 const { findProjectRoot } = require('./projectRoot.js');
 const { promptYesNo, promptPath } = require('./prompts.js');
-const { discoverFiles, filterFiles, aggregateFileContents } = require('./files.js');
-const { generateXMLOutput } = require('./xml.js');
+const { discoverFiles, discoverChangedFiles, filterFiles, aggregateFileContents } = require('./files.js');
+const { generateXMLOutput, readXMLBlocks } = require('./xml.js');
+const { cachePathFor, loadCache, saveCache } = require('./cache.js');
 const { calculateStatistics } = require('./stats.js');
 
 /**
@@ -72,6 +73,9 @@ program
   .version('1.0.0')
   .option('-i, --input <path>', 'Input directory to flatten', process.cwd())
   .option('-o, --output <path>', 'Output file path', 'flattened-codebase.xml')
+  .option('--since <ref>', 'Only flatten files changed since a git ref (with --update, only re-read those)')
+  .option('--update', 'Update an existing output file in place, re-reading only changed files')
+  .option('--no-cache', 'Do not read or write the content-hash cache next to the output file')
   .action(async (options) => {
     let inputDir = path.resolve(options.input);
     let outputPath = path.resolve(options.output);
@@ -122,21 +126,59 @@ program
       const discoverySpinner = ora('🔍 Discovering files...').start();
       const files = await discoverFiles(inputDir);
       const filteredFiles = await filterFiles(files, inputDir);
-      discoverySpinner.succeed(`📁 Found ${filteredFiles.length} files to include`);
+
+      // --since: files changed since the ref; without --update only those are flattened
+      let selectedFiles = filteredFiles;
+      let changed = null;
+      if (options.since) {
+        const changedFiles = await discoverChangedFiles(inputDir, options.since);
+        changed = new Set(changedFiles.map((f) => path.relative(inputDir, f)));
+        if (!options.update) {
+          selectedFiles = filteredFiles.filter((f) => changed.has(path.relative(inputDir, f)));
+        }
+      }
+      discoverySpinner.succeed(
+        selectedFiles === filteredFiles
+          ? `📁 Found ${filteredFiles.length} files to include`
+          : `📁 Found ${selectedFiles.length} files changed since ${options.since}`,
+      );
+
+      // Cache of mtime, size and content hash per file; --update also reuses the blocks of the existing output
+      const cachePath = cachePathFor(outputPath);
+      const cache = options.cache ? await loadCache(cachePath) : null;
+      const reuse = options.update ? await readXMLBlocks(outputPath) : null;
 
       // Process files with progress tracking
       console.log('Reading file contents');
       const processingSpinner = ora('📄 Processing files...').start();
-      const aggregatedContent = await aggregateFileContents(filteredFiles, inputDir, processingSpinner);
-      processingSpinner.succeed(`✅ Processed ${aggregatedContent.processedFiles}/${filteredFiles.length} files`);
+      const aggregatedContent = await aggregateFileContents(selectedFiles, inputDir, processingSpinner, {
+        cache,
+        reuse,
+        changed: options.update ? changed : null,
+      });
+      const fromCache = aggregatedContent.cachedFiles > 0 ? ` (${aggregatedContent.cachedFiles} unchanged)` : '';
+      processingSpinner.succeed(`✅ Processed ${aggregatedContent.processedFiles}/${selectedFiles.length} files${fromCache}`);
       if (aggregatedContent.errors.length > 0) {
         console.log(`Errors: ${aggregatedContent.errors.length}`);
       }
+      if (cache) {
+        await saveCache(
+          cachePath,
+          cache,
+          filteredFiles.map((f) => path.relative(inputDir, f)),
+        );
+      }
 
-      // Generate XML output using streaming
-      const xmlSpinner = ora('🔧 Generating XML output...').start();
-      await generateXMLOutput(aggregatedContent, outputPath);
-      xmlSpinner.succeed('📝 XML generation completed');
+      // Generate XML output using streaming; an update is written next to the output, then moved over it
+      const xmlSpinner = ora(options.update ? '🔧 Updating XML output...' : '🔧 Generating XML output...').start();
+      if (options.update) {
+        const tempPath = `${outputPath}.tmp`;
+        await generateXMLOutput(aggregatedContent, tempPath);
+        await fs.move(tempPath, outputPath, { overwrite: true });
+      } else {
+        await generateXMLOutput(aggregatedContent, outputPath);
+      }
+      xmlSpinner.succeed(options.update ? '📝 XML update completed' : '📝 XML generation completed');
 
       // Calculate and display statistics
       const outputStats = await fs.stat(outputPath);
@@ -144,7 +186,7 @@ program
 
       // Display completion summary
       console.log('\n📊 Completion Summary:');
-      console.log(`✅ Successfully processed ${filteredFiles.length} files into ${path.basename(outputPath)}`);
+      console.log(`✅ Successfully processed ${selectedFiles.length} files into ${path.basename(outputPath)}`);
       console.log(`📁 Output file: ${outputPath}`);
       console.log(`📏 Total source size: ${stats.totalSize}`);
       console.log(`📄 Generated XML size: ${stats.xmlSize}`);
@@ -9,6 +9,7 @@ const cp = require('node:child_process');
 
 const KB = 1024;
 const MB = 1024 * KB;
+const COMPRESSION_SAMPLE_CHARS = 256 * KB;
 
 const formatSize = (bytes) => {
   if (bytes < 1024) return `${bytes} B`;
@@ -186,6 +187,7 @@ function computeQuality(allFiles, textFiles) {
 }
 
 function computeDuplicates(allFiles, textFiles) {
+  const textByPath = new Map(textFiles.map((f) => [f.absolutePath, f]));
   const duplicatesBySize = new Map();
   for (const f of allFiles) {
     const key = String(f.size);
@@ -201,9 +203,14 @@ function computeDuplicates(allFiles, textFiles) {
     const contentHashGroups = new Map();
     for (const tf of textGroup) {
       try {
-        const src = textFiles.find((x) => x.absolutePath === tf.absolutePath);
-        const content = src ? src.content : '';
-        const h = crypto.createHash('sha1').update(content).digest('hex');
+        const src = textByPath.get(tf.absolutePath);
+        // Reuse the hash computed (or cached) while aggregating
+        const h =
+          src?.hash ||
+          crypto
+            .createHash('sha256')
+            .update(src ? src.content : '')
+            .digest('hex');
         const g = contentHashGroups.get(h) || [];
         g.push(tf);
         contentHashGroups.set(h, g);
@@ -232,17 +239,26 @@ function computeDuplicates(allFiles, textFiles) {
   return duplicateCandidates;
 }
 
+/**
+ * Gzipped size of the start of a file, as sampled by estimateCompressibility
+ * @param {string} content
+ * @returns {number}
+ */
+function compressedSampleSize(content) {
+  return zlib.gzipSync(Buffer.from(content.slice(0, COMPRESSION_SAMPLE_CHARS), 'utf8')).length;
+}
+
 function estimateCompressibility(textFiles) {
   let compSampleBytes = 0;
   let compCompressedBytes = 0;
   for (const tf of textFiles) {
     try {
-      const sampleLen = Math.min(256 * 1024, tf.size || 0);
+      const sampleLen = Math.min(COMPRESSION_SAMPLE_CHARS, tf.size || 0);
       if (sampleLen <= 0) continue;
-      const sample = tf.content.slice(0, sampleLen);
-      const gz = zlib.gzipSync(Buffer.from(sample, 'utf8'));
+      // Blocks reused from the cache have no content, only the size measured when it was read
+      const compressed = tf.compressedSample ?? compressedSampleSize(tf.content);
       compSampleBytes += sampleLen;
-      compCompressedBytes += gz.length;
+      compCompressedBytes += compressed;
     } catch {
       /* ignore compression errors during sampling */
     }
@@ -361,8 +377,10 @@ module.exports = {
   computeTemporal,
   computeQuality,
   computeDuplicates,
+  compressedSampleSize,
   estimateCompressibility,
   computeGitInfo,
   computeLargestFiles,
+  mdTable,
   buildMarkdownReport,
 };
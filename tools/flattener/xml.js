@@ -8,6 +8,70 @@ function indentFileContent(content) {
   return content.split('\n').map((line) => `    ${line}`);
 }
 
+/**
+ * Serialize one text file as its <file> block, including the trailing newline
+ * @param {{ path: string, content?: string }} file
+ * @returns {string}
+ */
+function serializeFile(file) {
+  const p = escapeXml(file.path);
+  const content = typeof file.content === 'string' ? file.content : '';
+
+  if (content.length === 0) {
+    return `\t<file path='${p}'/>\n`;
+  }
+
+  const indent = (text) =>
+    text.length > 0
+      ? text
+          .split('\n')
+          .map((line) => `\t\t${line}`)
+          .join('\n')
+      : '';
+
+  const needsCdata = content.includes('<') || content.includes('&') || content.includes(']]>');
+  if (needsCdata) {
+    // Open tag and CDATA on their own line with tab indent; content lines indented with two tabs
+    // Safely split any occurrences of "]]>" inside content, trim trailing newlines, indent each line with two tabs
+    const safe = content.replaceAll(']]>', ']]]]><![CDATA[>');
+    // Close CDATA and attach closing tag directly after the last content line
+    return `\t<file path='${p}'><![CDATA[\n${indent(safe.replace(/[\r\n]+$/, ''))}]]></file>\n`;
+  }
+  // Opening tag then newline; indent content with two tabs; attach closing tag directly after last content char
+  return `\t<file path='${p}'>\n${indent(content.replace(/[\r\n]+$/, ''))}</file>\n`;
+}
+
+function unescapeXml(text) {
+  return text.replaceAll('&apos;', "'").replaceAll('&quot;', '"').replaceAll('&gt;', '>').replaceAll('&lt;', '<').replaceAll('&amp;', '&');
+}
+
+/**
+ * Read the <file> blocks of an existing output, keyed by file path.
+ * Content lines are always indented, so a block starts at each line beginning with
+ * a tab and <file path=' and runs up to the next one or the closing </files>.
+ * @param {string} outputPath
+ * @returns {Promise<Map<string, string>>} Empty when the output does not exist
+ */
+async function readXMLBlocks(outputPath) {
+  const blocks = new Map();
+  if (!(await fs.pathExists(outputPath))) {
+    return blocks;
+  }
+
+  const xml = await fs.readFile(outputPath, 'utf8');
+  const marker = "\n\t<file path='";
+  const end = xml.lastIndexOf('\n</files>');
+  let start = xml.indexOf(marker);
+  while (start !== -1 && start < end) {
+    const next = xml.indexOf(marker, start + 1);
+    const block = xml.slice(start + 1, next === -1 || next > end ? end + 1 : next + 1);
+    const filePath = unescapeXml(block.slice(marker.length - 1, block.indexOf("'", marker.length - 1)));
+    blocks.set(filePath, block);
+    start = next;
+  }
+  return blocks;
+}
+
 function generateXMLOutput(aggregatedContent, outputPath) {
   const { textFiles } = aggregatedContent;
   const writeStream = fs.createWriteStream(outputPath, { encoding: 'utf8' });
@@ -31,47 +95,8 @@ function generateXMLOutput(aggregatedContent, outputPath) {
       }
 
       const file = filesSorted[index++];
-      const p = escapeXml(file.path);
-      const content = typeof file.content === 'string' ? file.content : '';
-
-      if (content.length === 0) {
-        writeStream.write(`\t<file path='${p}'/>\n`);
-        setTimeout(writeNext, 0);
-        return;
-      }
-
-      const needsCdata = content.includes('<') || content.includes('&') || content.includes(']]>');
-      if (needsCdata) {
-        // Open tag and CDATA on their own line with tab indent; content lines indented with two tabs
-        writeStream.write(`\t<file path='${p}'><![CDATA[\n`);
-        // Safely split any occurrences of "]]>" inside content, trim trailing newlines, indent each line with two tabs
-        const safe = content.replaceAll(']]>', ']]]]><![CDATA[>');
-        const trimmed = safe.replace(/[\r\n]+$/, '');
-        const indented =
-          trimmed.length > 0
-            ? trimmed
-                .split('\n')
-                .map((line) => `\t\t${line}`)
-                .join('\n')
-            : '';
-        writeStream.write(indented);
-        // Close CDATA and attach closing tag directly after the last content line
-        writeStream.write(']]></file>\n');
-      } else {
-        // Write opening tag then newline; indent content with two tabs; attach closing tag directly after last content char
-        writeStream.write(`\t<file path='${p}'>\n`);
-        const trimmed = content.replace(/[\r\n]+$/, '');
-        const indented =
-          trimmed.length > 0
-            ? trimmed
-                .split('\n')
-                .map((line) => `\t\t${line}`)
-                .join('\n')
-            : '';
-        writeStream.write(indented);
-        writeStream.write(`</file>\n`);
-      }
-
+      // Blocks reused from an existing output (--update) are written as they were
+      writeStream.write(typeof file.xml === 'string' ? file.xml : serializeFile(file));
       setTimeout(writeNext, 0);
     };
 
@@ -79,4 +104,4 @@ function generateXMLOutput(aggregatedContent, outputPath) {
   });
 }
 
-module.exports = { generateXMLOutput };
+module.exports = { generateXMLOutput, serializeFile, readXMLBlocks };
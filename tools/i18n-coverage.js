@@ -0,0 +1,156 @@
+/**
+ * Translation Coverage Report
+ *
+ * Shows, for every locale, how much of BMAD is translated:
+ * - installer messages: keys of tools/cli/locales/en.yaml that the locale's catalog defines
+ * - agents: which agents in src/{core,modules/*}/agents/ have a locale overlay
+ *   (*.agent.<locale>.yaml), and what a partial overlay leaves untranslated
+ *
+ * Locales are those with a message catalog or at least one agent overlay.
+ *
+ * Usage: node tools/i18n-coverage.js [--locale <code>]
+ * Exit codes: 0 = report printed, 1 = invalid catalogs or overlays
+ */
+
+const { glob } = require('glob');
+const yaml = require('yaml');
+const fs = require('node:fs');
+const path = require('node:path');
+const { listCatalogLocales, loadCatalog, DEFAULT_LOCALE } = require('./cli/lib/i18n.js');
+const { resolveAgentExtends } = require('./cli/lib/agent/inheritance.js');
+const { listAgentLocales, findLocaleOverlay, getLocaleCoverage } = require('./cli/lib/agent/locale.js');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+/**
+ * Compare a catalog with the English reference
+ * @param {string} locale - Locale code
+ * @returns {Object} { total, missing: [key], errors: [message] }
+ */
+function checkCatalog(locale) {
+  const reference = loadCatalog(DEFAULT_LOCALE);
+  const catalog = loadCatalog(locale) || {};
+  const errors = [];
+
+  for (const [key, message] of Object.entries(catalog)) {
+    if (!(key in reference)) {
+      errors.push(`${key}: not defined in ${DEFAULT_LOCALE}.yaml`);
+    } else if (placeholders(message).join(',') !== placeholders(reference[key]).join(',')) {
+      errors.push(`${key}: placeholders {${placeholders(message).join('}, {')}} differ from ${DEFAULT_LOCALE}.yaml`);
+    }
+  }
+
+  return {
+    total: Object.keys(reference).length,
+    missing: Object.keys(reference).filter((key) => !(key in catalog)),
+    errors,
+  };
+}
+
+function placeholders(message) {
+  return [...String(message).matchAll(/\{(\w+)\}/g)].map((match) => match[1]).sort();
+}
+
+/**
+ * Main report routine
+ * @param {string} [onlyLocale] - Report a single locale
+ */
+async function main(onlyLocale) {
+  console.log('🌐 Checking translation coverage...\n');
+
+  const agentFiles = (await glob('src/{core,modules/*}/agents/**/*.agent.yaml', { cwd: PROJECT_ROOT, absolute: true })).sort();
+  const agents = agentFiles.map((file) => {
+    const relative = path.relative(path.join(PROJECT_ROOT, 'src'), file).replaceAll('\\', '/');
+    return {
+      file,
+      name: relative
+        .replace(/^modules\//, '')
+        .replace('/agents/', '/')
+        .replace(/\.agent\.yaml$/, ''),
+    };
+  });
+
+  const locales = new Set(listCatalogLocales().filter((locale) => locale !== DEFAULT_LOCALE));
+  for (const { file } of agents) {
+    for (const locale of listAgentLocales(file)) {
+      locales.add(locale);
+    }
+  }
+
+  const selected = onlyLocale ? [onlyLocale] : [...locales].sort();
+  if (selected.length === 0) {
+    console.log('No translations found: add tools/cli/locales/<locale>.yaml or an agent overlay <name>.agent.<locale>.yaml');
+    process.exit(0);
+  }
+
+  let errorCount = 0;
+
+  for (const locale of selected) {
+    console.log(`━━ ${locale} ━━\n`);
+
+    // Installer messages
+    if (loadCatalog(locale)) {
+      const { total, missing, errors } = checkCatalog(locale);
+      const icon = missing.length === 0 ? '✅' : '⚠️ ';
+      console.log(`${icon} Installer messages: ${total - missing.length}/${total} translated`);
+      for (const key of missing) {
+        console.log(`   missing: ${key}`);
+      }
+      for (const error of errors) {
+        console.log(`   ❌ ${error}`);
+      }
+      errorCount += errors.length;
+    } else {
+      console.log(`❌ Installer messages: no catalog (tools/cli/locales/${locale}.yaml), English is shown`);
+    }
+
+    // Agents
+    const untranslated = [];
+    const partial = [];
+    let complete = 0;
+
+    for (const agent of agents) {
+      const overlayPath = findLocaleOverlay(agent.file, locale);
+      if (!overlayPath) {
+        untranslated.push(agent.name);
+        continue;
+      }
+
+      try {
+        const agentYaml = resolveAgentExtends(yaml.parse(fs.readFileSync(agent.file, 'utf8')), agent.file);
+        const { missing } = getLocaleCoverage(agentYaml, overlayPath);
+        if (missing.length === 0) {
+          complete++;
+        } else {
+          partial.push({ name: agent.name, missing });
+        }
+      } catch (error) {
+        console.log(`   ❌ ${agent.name}: ${error.message}`);
+        errorCount++;
+      }
+    }
+
+    console.log(
+      `${untranslated.length === 0 && partial.length === 0 ? '✅' : '⚠️ '} Agents: ${complete}/${agents.length} fully translated`,
+    );
+    for (const { name, missing } of partial) {
+      console.log(`   partial: ${name} (missing ${missing.join(', ')})`);
+    }
+    if (untranslated.length > 0) {
+      console.log(`   no overlay: ${untranslated.join(', ')}`);
+    }
+    console.log('');
+  }
+
+  if (errorCount > 0) {
+    console.log(`💥 ${errorCount} invalid translation(s)`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+const localeIndex = process.argv.indexOf('--locale');
+main(localeIndex === -1 ? undefined : process.argv[localeIndex + 1]).catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,327 @@
+// Zod schema definition for module.yaml files (module metadata and install config questions)
+const assert = require('node:assert');
+const { z } = require('zod');
+
+const QUESTION_TYPES = ['string', 'number', 'boolean', 'path', 'url', 'regex', 'single-select', 'multi-select'];
+const SELECT_TYPES = new Set(['single-select', 'multi-select']);
+const MODULE_CODE_PATTERN = /^[a-z][a-z0-9-]*$/;
+const CONFIG_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /{([^{}]+)}/g;
+const BUILTIN_PLACEHOLDERS = new Set(['value', 'project-root', 'directory_name']);
+
+// Keys with a fixed meaning at the top level of module.yaml; every other key is a config question
+const MODULE_KEYS = {
+  code: z
+    .string()
+    .regex(MODULE_CODE_PATTERN, { message: 'code must be a lowercase slug (letters, digits, hyphens)' })
+    .describe('Module id'),
+  name: createNonEmptyString('name').describe('Display name shown in the module picker'),
+  description: z.string().optional().describe('Short description shown in the module picker'),
+  version: z.string().optional().describe('Module version'),
+  header: z.string().optional().describe('Heading shown before the module questions'),
+  subheader: z.string().optional().describe('Text shown under the heading'),
+  default_selected: z.boolean().optional().describe('Pre-select the module for new installations'),
+  dependencies: z.array(createNonEmptyString('dependencies[]')).optional().describe('Modules this module needs'),
+  prompt: z
+    .union([z.string(), z.array(z.string())])
+    .optional()
+    .describe('Module-level prompt text (not a question)'),
+};
+
+// Public API ---------------------------------------------------------------
+
+/**
+ * Validate a module.yaml payload.
+ * Module code, placeholders, `when:` references and select defaults are cross-checked
+ * against the file location and the core module questions.
+ *
+ * @param {string} filePath Path to the module.yaml (used to infer the expected module code).
+ * @param {unknown} moduleYaml Parsed YAML content.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.coreKeys] Question keys defined by the core module; other modules may reference them.
+ * @returns {import('zod').ZodSafeParseResult<unknown>} SafeParse result.
+ */
+function validateModuleFile(filePath, moduleYaml, options = {}) {
+  const expectedCode = deriveModuleFromPath(filePath);
+  const schema = moduleSchema({ code: expectedCode, coreKeys: options.coreKeys || [] });
+  return schema.safeParse(moduleYaml);
+}
+
+/**
+ * JSON Schema for module.yaml, for editor completion and hover docs.
+ * Only the structural rules are included; cross-field checks need `npm run validate:modules`.
+ * @returns {Object} JSON Schema (draft-07)
+ */
+function buildModuleJsonSchema() {
+  return {
+    ...z.toJSONSchema(buildModuleShapeSchema(), { target: 'draft-7', unrepresentable: 'any' }),
+    title: 'BMAD module.yaml',
+    description: 'Module metadata and the configuration questions asked when the module is installed',
+  };
+}
+
+module.exports = { validateModuleFile, buildModuleJsonSchema };
+
+// Internal helpers ---------------------------------------------------------
+
+/**
+ * Build the full module schema: structure plus cross-field refinements.
+ * @param {Object} options
+ * @param {string|null} options.code Expected module code, or null when it cannot be derived from the path.
+ * @param {Array<string>} options.coreKeys Core question keys.
+ */
+function moduleSchema({ code, coreKeys }) {
+  return (
+    buildModuleShapeSchema()
+      // Refinement: checks that span several keys of the file.
+      .superRefine((value, ctx) => {
+        if (code && value.code !== code) {
+          ctx.addIssue({ code: 'custom', path: ['code'], message: `code must equal "${code}" (the module directory name)` });
+        }
+
+        const questionKeys = Object.keys(value).filter((key) => !(key in MODULE_KEYS));
+        const knownKeys = new Set([...questionKeys, ...coreKeys]);
+
+        for (const key of questionKeys) {
+          if (!CONFIG_KEY_PATTERN.test(key)) {
+            ctx.addIssue({ code: 'custom', path: [key], message: `config key "${key}" must be snake_case` });
+          }
+          refineQuestion(value[key], [key], { moduleCode: value.code, knownKeys, coreKeys: new Set(coreKeys) }, ctx);
+        }
+      })
+  );
+}
+
+/**
+ * Structural schema shared by validation and the JSON Schema export.
+ */
+function buildModuleShapeSchema() {
+  return z.object(MODULE_KEYS).catchall(buildQuestionSchema());
+}
+
+/**
+ * Schema for a single config question (or static value when it has only `result`).
+ */
+function buildQuestionSchema() {
+  const scalar = z.union([z.string(), z.number(), z.boolean()]);
+  const option = z.union([
+    z.string(),
+    z
+      .object({
+        value: scalar.describe('Stored value'),
+        label: createNonEmptyString('label').describe('Text shown in the list'),
+      })
+      .strict(),
+  ]);
+  const rule = z
+    .object({
+      regex: z.string().optional().describe('Pattern the answer must match'),
+      min: z.number().optional().describe('Smallest allowed number'),
+      max: z.number().optional().describe('Largest allowed number'),
+      min_length: z.number().int().nonnegative().optional().describe('Shortest allowed text'),
+      max_length: z.number().int().nonnegative().optional().describe('Longest allowed text'),
+      min_items: z.number().int().nonnegative().optional().describe('Fewest selected options'),
+      max_items: z.number().int().nonnegative().optional().describe('Most selected options'),
+      message: z.string().optional().describe('Error shown when the rule fails'),
+    })
+    .strict()
+    .refine((value) => Object.keys(value).some((key) => key !== 'message'), {
+      message: 'validate[] rule must contain at least one check besides message',
+    });
+
+  return z
+    .object({
+      prompt: z
+        .union([createNonEmptyString('prompt'), z.array(z.string()).min(1, { message: 'prompt must include at least one line' })])
+        .optional()
+        .describe('Question text; a list is shown as several lines'),
+      type: z.enum(QUESTION_TYPES).optional().describe('Answer type (inferred from the item shape when omitted)'),
+      default: z
+        .union([scalar, z.array(scalar)])
+        .optional()
+        .describe('Default answer; may reference other keys as {key}'),
+      result: z
+        .union([z.string(), z.number(), z.boolean()])
+        .optional()
+        .describe('Value written to config.yaml, e.g. "{project-root}/{value}"'),
+      required: z.boolean().optional().describe('Reject empty answers'),
+      example: z.string().optional().describe('Example shown next to the prompt'),
+      regex: z.string().optional().describe('Legacy: pattern the answer must match'),
+      'single-select': z.array(option).min(1).optional().describe('Options for a single choice'),
+      'multi-select': z.array(option).min(1).optional().describe('Options for a multiple choice'),
+      when: z
+        .union([z.boolean(), z.string(), z.record(z.string(), z.union([scalar, z.array(scalar)]))])
+        .optional()
+        .describe('Only ask when this holds: a key ("!key" negates) or a mapping of keys to expected values'),
+      validate: z.array(rule).optional().describe('Extra rules the answer must pass'),
+      secret: z.boolean().optional().describe('Store in _config/secrets.yaml instead of config.yaml'),
+    })
+    .strict()
+    .refine((value) => value.prompt !== undefined || value.result !== undefined, {
+      message: 'config item needs a prompt (question) or a result (static value)',
+    });
+}
+
+/**
+ * Cross-field checks for one question.
+ * @param {Object} item Parsed question
+ * @param {Array<string>} path Issue path of the question
+ * @param {Object} context { moduleCode, knownKeys, coreKeys }
+ * @param {import('zod').RefinementCtx} ctx
+ */
+function refineQuestion(item, path, context, ctx) {
+  const addIssue = (subPath, message) => ctx.addIssue({ code: 'custom', path: [...path, ...subPath], message });
+  const type = item.type || (item['single-select'] && 'single-select') || (item['multi-select'] && 'multi-select');
+
+  if (SELECT_TYPES.has(type) && !item[type]) {
+    addIssue(['type'], `type "${type}" needs a "${type}" list of options`);
+  }
+  if (item['single-select'] && item['multi-select']) {
+    addIssue([], 'use either single-select or multi-select, not both');
+  }
+  if (item.type && !SELECT_TYPES.has(item.type) && (item['single-select'] || item['multi-select'])) {
+    addIssue(['type'], `type "${item.type}" cannot have a list of options`);
+  }
+
+  if (SELECT_TYPES.has(type) && item[type]) {
+    const values = item[type].map((option) => (typeof option === 'object' ? option.value : option));
+    const seen = new Set();
+    for (const [index, value] of values.entries()) {
+      if (seen.has(value)) {
+        addIssue([type, index], `duplicate option "${value}"`);
+      }
+      seen.add(value);
+    }
+
+    const defaults = item.default === undefined ? [] : [item.default].flat();
+    if (type === 'single-select' && Array.isArray(item.default)) {
+      addIssue(['default'], 'single-select default must be a single option');
+    }
+    for (const value of defaults) {
+      if (!seen.has(value) && !hasPlaceholder(value)) {
+        addIssue(['default'], `default "${value}" is not one of the options`);
+      }
+    }
+  }
+
+  if (item.type === 'number' && item.default !== undefined && typeof item.default !== 'number' && !hasPlaceholder(item.default)) {
+    addIssue(['default'], 'number default must be a number');
+  }
+  if (item.type === 'boolean' && item.default !== undefined && typeof item.default !== 'boolean') {
+    addIssue(['default'], 'boolean default must be true or false');
+  }
+  if (item.secret && (type === 'boolean' || SELECT_TYPES.has(type) || typeof item.default === 'boolean')) {
+    addIssue(['secret'], 'only text answers can be secret');
+  }
+
+  if (item.prompt !== undefined && typeof item.result === 'string' && !item.result.includes('{value}')) {
+    addIssue(['result'], 'result must use {value}, otherwise the answer is discarded');
+  }
+
+  for (const field of ['result', 'default']) {
+    for (const [index, value] of [item[field]].flat().entries()) {
+      for (const placeholder of findPlaceholders(value)) {
+        if (!isKnownPlaceholder(placeholder, field, context)) {
+          addIssue(Array.isArray(item[field]) ? [field, index] : [field], `unknown placeholder {${placeholder}}`);
+        }
+      }
+    }
+  }
+
+  if (item.when !== undefined && typeof item.when !== 'boolean') {
+    const references = typeof item.when === 'string' ? [item.when.replace(/^!/, '').trim()] : Object.keys(item.when);
+    for (const reference of references) {
+      if (!isKnownReference(reference, context)) {
+        addIssue(['when'], `when refers to unknown key "${reference}"`);
+      }
+    }
+  }
+
+  const patterns = [[['regex'], item.regex], ...(item.validate || []).map((rule, index) => [['validate', index, 'regex'], rule.regex])];
+  for (const [subPath, pattern] of patterns) {
+    if (pattern !== undefined) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        addIssue(subPath, `invalid regex: ${error.message}`);
+      }
+    }
+  }
+
+  for (const [index, rule] of (item.validate || []).entries()) {
+    for (const [low, high] of [
+      ['min', 'max'],
+      ['min_length', 'max_length'],
+      ['min_items', 'max_items'],
+    ]) {
+      if (rule[low] !== undefined && rule[high] !== undefined && rule[low] > rule[high]) {
+        addIssue(['validate', index], `${low} must not be greater than ${high}`);
+      }
+    }
+  }
+}
+
+/**
+ * Whether a {placeholder} can be resolved at install time.
+ * `result` templates see {value}; defaults may only reference other answers.
+ */
+function isKnownPlaceholder(placeholder, field, context) {
+  if (placeholder === 'value') {
+    return field === 'result';
+  }
+  if (BUILTIN_PLACEHOLDERS.has(placeholder) || context.knownKeys.has(placeholder)) {
+    return true;
+  }
+  return placeholder.startsWith('core:') && context.coreKeys.has(placeholder.slice('core:'.length));
+}
+
+/**
+ * Whether a `when:` reference (key or module.key) names a question.
+ * Keys of modules other than this one and core cannot be checked here and are accepted.
+ */
+function isKnownReference(reference, context) {
+  const dot = reference.indexOf('.');
+  if (dot === -1) {
+    return context.knownKeys.has(reference);
+  }
+
+  const moduleName = reference.slice(0, dot);
+  const key = reference.slice(dot + 1);
+  if (moduleName === 'core') {
+    return context.coreKeys.has(key);
+  }
+  return moduleName !== context.moduleCode || context.knownKeys.has(key);
+}
+
+function findPlaceholders(value) {
+  return typeof value === 'string' ? [...value.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]) : [];
+}
+
+function hasPlaceholder(value) {
+  return findPlaceholders(value).length > 0;
+}
+
+/**
+ * Derive the expected module code from a path like src/core/module.yaml or src/modules/<code>/module.yaml.
+ * @param {string} filePath Relative module.yaml path.
+ * @returns {string|null} Module code if identifiable, otherwise null.
+ */
+function deriveModuleFromPath(filePath) {
+  assert(typeof filePath === 'string', 'validateModuleFile expects filePath to be a string');
+
+  const normalized = filePath.replaceAll('\\', '/');
+  if (normalized.startsWith('src/core/')) {
+    return 'core';
+  }
+
+  const match = normalized.match(/^src\/modules\/([^/]+)\//);
+  return match ? match[1] : null;
+}
+
+// Primitive validators -----------------------------------------------------
+
+function createNonEmptyString(label) {
+  return z.string().refine((value) => value.trim().length > 0, {
+    message: `${label} must be a non-empty string`,
+  });
+}
@@ -0,0 +1,103 @@
+// Zod schema definition for teams/*.yaml files (multi-agent team definitions)
+const path = require('node:path');
+const { z } = require('zod');
+
+const NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Public API ---------------------------------------------------------------
+
+/**
+ * Validate a team YAML payload.
+ * Agent and workflow names are cross-checked against what the team's module provides
+ * when the caller passes them. A team may not share its file name with an agent of the
+ * module, since both get an IDE launcher under that name.
+ *
+ * @param {string} filePath Path to the team file (used in messages).
+ * @param {unknown} teamYaml Parsed YAML content.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.agents] Agent names of the team's module.
+ * @param {Array<string>} [options.workflows] Workflow names of the team's module.
+ * @param {Function} [options.fileExists] (relativePath) => boolean, resolves paths against the team file.
+ * @returns {import('zod').ZodSafeParseResult<unknown>} SafeParse result.
+ */
+function validateTeamFile(filePath, teamYaml, options = {}) {
+  return teamSchema({ filePath, ...options }).safeParse(teamYaml);
+}
+
+module.exports = { validateTeamFile };
+
+// Internal helpers ---------------------------------------------------------
+
+/**
+ * Build the team schema.
+ * @param {Object} options See validateTeamFile.
+ */
+function teamSchema({ filePath, agents, workflows, fileExists }) {
+  return (
+    z
+      .object({
+        bundle: z
+          .object({
+            name: createNonEmptyString('bundle.name'),
+            icon: createNonEmptyString('bundle.icon'),
+            description: createNonEmptyString('bundle.description'),
+          })
+          .strict(),
+        agents: z.union([
+          z.literal('*'),
+          z
+            .array(createName('agents[]'))
+            .min(1, { message: 'agents must list at least one agent, or be "*" for all agents of the module' }),
+        ]),
+        workflows: z.array(createName('workflows[]')).optional(),
+        party: z
+          .string()
+          .regex(/\.csv$/, { message: 'party must point at a .csv file' })
+          .optional(),
+      })
+      .strict()
+      // Refinement: names must be unique and exist in the team's module.
+      .superRefine((value, ctx) => {
+        const teamName = path.basename(filePath, '.yaml');
+        if (agents && agents.includes(teamName)) {
+          ctx.addIssue({
+            code: 'custom',
+            path: [],
+            message: `team "${teamName}" has the name of an agent of its module, whose IDE launcher it would overwrite`,
+          });
+        }
+        if (Array.isArray(value.agents)) {
+          checkNames(ctx, 'agents', value.agents, agents, 'agent');
+        }
+        checkNames(ctx, 'workflows', value.workflows || [], workflows, 'workflow');
+
+        if (value.party && fileExists && !fileExists(value.party)) {
+          ctx.addIssue({ code: 'custom', path: ['party'], message: `party file "${value.party}" does not exist next to ${filePath}` });
+        }
+      })
+  );
+}
+
+function checkNames(ctx, key, names, available, label) {
+  const seen = new Set();
+  for (const [index, name] of names.entries()) {
+    if (seen.has(name)) {
+      ctx.addIssue({ code: 'custom', path: [key, index], message: `${key}[] duplicates "${name}"` });
+    } else if (available && !available.includes(name)) {
+      ctx.addIssue({ code: 'custom', path: [key, index], message: `${label} "${name}" is not part of the team's module` });
+    }
+    seen.add(name);
+  }
+}
+
+// Primitive validators -----------------------------------------------------
+
+function createName(label) {
+  return z.string().regex(NAME_PATTERN, { message: `${label} must be kebab-case (lowercase words separated by hyphen)` });
+}
+
+function createNonEmptyString(label) {
+  return z.string().refine((value) => value.trim().length > 0, {
+    message: `${label} must be a non-empty string`,
+  });
+}
@@ -0,0 +1,270 @@
+// Zod schema and source-tree checks for workflow.yaml files
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { z } = require('zod');
+
+const CONFIG_SOURCE_PATTERN = /^\{project-root\}\/_bmad\/([a-z0-9-]+)\/config\.yaml$/;
+const INSTALLED_PATH_PATTERN = /^\{project-root\}\/_bmad\/[^{}]+$/;
+const CONFIG_REFERENCE_PATTERN = /\{config_source\}:([\w-]+)/g;
+const VARIABLE_PATTERN = /\{([\w-]+)\}/g;
+const LOAD_STRATEGIES = ['FULL_LOAD', 'INDEX_GUIDED', 'SELECTIVE_LOAD'];
+// Installed files that do not exist in the source tree (generated at install time)
+const GENERATED_PATH_PATTERN = /^(_config|_memory)\/|(^|\/)config\.yaml$/;
+
+// Public API ---------------------------------------------------------------
+
+/**
+ * Validate a workflow YAML payload against the schema.
+ * `installed_path` is cross-checked against the location of the file in the source tree.
+ *
+ * @param {string} filePath Path to the workflow.yaml relative to the repo root (src/...).
+ * @param {unknown} workflowYaml Parsed YAML content.
+ * @returns {import('zod').ZodSafeParseResult<unknown>} SafeParse result.
+ */
+function validateWorkflowFile(filePath, workflowYaml) {
+  const schema = workflowSchema({ installedPath: deriveInstalledPath(filePath) });
+  return schema.safeParse(workflowYaml);
+}
+
+/**
+ * Check what a workflow points at: every file it references through `{installed_path}`,
+ * `{project-root}/_bmad/...` or a web bundle `_bmad/...` path must exist in the source tree,
+ * and every `{config_source}:key` must be a question of the module config_source names
+ * (or of core, whose answers are copied into every module config).
+ *
+ * @param {unknown} workflowYaml Parsed YAML content.
+ * @param {Object} options
+ * @param {string} options.projectRoot Repository root containing src/.
+ * @param {Function} options.getModuleKeys (moduleName) => Set of config keys, or null when the module has no module.yaml.
+ * @returns {Array<Object>} Issues { path: Array<string|number>, message }
+ */
+function checkWorkflowReferences(workflowYaml, options) {
+  const issues = [];
+  const workflow = workflowYaml || {};
+  const configModule = CONFIG_SOURCE_PATTERN.exec(workflow.config_source || '')?.[1];
+
+  // {config_source}:key references
+  if (configModule) {
+    const moduleKeys = options.getModuleKeys(configModule);
+    const coreKeys = options.getModuleKeys('core') || new Set();
+    for (const [valuePath, value] of collectStrings(workflow)) {
+      for (const [, key] of value.matchAll(CONFIG_REFERENCE_PATTERN)) {
+        if (!moduleKeys) {
+          issues.push({ path: valuePath, message: `config_source module "${configModule}" has no module.yaml` });
+        } else if (!moduleKeys.has(key) && !coreKeys.has(key)) {
+          issues.push({
+            path: valuePath,
+            message: `{config_source}:${key} is not defined in ${configModule}/module.yaml or core/module.yaml`,
+          });
+        }
+      }
+    }
+  }
+
+  // File references
+  const variables = collectPathVariables(workflow);
+  for (const [valuePath, value] of collectStrings(workflow)) {
+    if (valuePath[0] === 'input_file_patterns' || value.includes('{config_source}:')) {
+      continue;
+    }
+
+    const installedRelative = toInstalledRelative(resolveVariables(value, variables));
+    if (!installedRelative || /[*?{}]/.test(installedRelative) || GENERATED_PATH_PATTERN.test(installedRelative)) {
+      continue;
+    }
+
+    const sourcePath = toSourcePath(options.projectRoot, installedRelative);
+    if (!fs.existsSync(sourcePath) && !isCompiledAgent(sourcePath)) {
+      issues.push({ path: valuePath, message: `${value} does not exist (expected ${path.relative(options.projectRoot, sourcePath)})` });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Map a `{project-root}/_bmad/<module>/...` path to the source file it is installed from
+ * @param {string} projectRoot Repository root containing src/.
+ * @param {string} installedPath Installed path
+ * @returns {string|null} Absolute source path, or null when the path is not below _bmad/
+ */
+function installedToSourcePath(projectRoot, installedPath) {
+  const installedRelative = toInstalledRelative(installedPath);
+  return installedRelative ? toSourcePath(projectRoot, installedRelative) : null;
+}
+
+module.exports = { validateWorkflowFile, checkWorkflowReferences, installedToSourcePath };
+
+// Internal helpers ---------------------------------------------------------
+
+/**
+ * Build the workflow schema.
+ * @param {Object} options
+ * @param {string|null} options.installedPath Expected installed_path, or null when it cannot be derived.
+ */
+function workflowSchema({ installedPath }) {
+  const optionalFile = z.union([createNonEmptyString('path'), z.literal(false)]).optional();
+
+  return (
+    z
+      .object({
+        name: createNonEmptyString('name'),
+        description: createNonEmptyString('description'),
+        author: z.string().optional(),
+        version: z.union([z.string(), z.number()]).optional(),
+        config_source: z.string().regex(CONFIG_SOURCE_PATTERN, {
+          message: 'config_source must be "{project-root}/_bmad/<module>/config.yaml"',
+        }),
+        installed_path: z.string().regex(INSTALLED_PATH_PATTERN, {
+          message: 'installed_path must be "{project-root}/_bmad/<module>/<path to the workflow folder>"',
+        }),
+        instructions: createNonEmptyString('instructions'),
+        template: optionalFile,
+        validation: optionalFile,
+        checklist: optionalFile,
+        date: z.literal('system-generated').optional(),
+        standalone: z.boolean().optional(),
+        web_bundle: z.union([z.boolean(), buildWebBundleSchema()]).optional(),
+        input_file_patterns: z.record(z.string(), buildInputFilePatternSchema()).optional(),
+        variables: z.record(z.string(), z.unknown()).optional(),
+        required_tools: z.array(createNonEmptyString('required_tools[]')).optional(),
+        tags: z.array(createNonEmptyString('tags[]')).optional(),
+        execution_hints: z.record(z.string(), z.boolean()).optional(),
+      })
+      // Any other key is a workflow variable
+      .catchall(z.unknown())
+      // Refinement: the workflow must say where it is installed.
+      .superRefine((value, ctx) => {
+        if (installedPath && value.installed_path !== installedPath) {
+          ctx.addIssue({
+            code: 'custom',
+            path: ['installed_path'],
+            message: `installed_path must equal "${installedPath}" (the workflow's location)`,
+          });
+        }
+      })
+  );
+}
+
+function buildWebBundleSchema() {
+  return z
+    .object({
+      name: createNonEmptyString('web_bundle.name'),
+      description: createNonEmptyString('web_bundle.description'),
+      author: z.string().optional(),
+      instructions: createNonEmptyString('web_bundle.instructions'),
+      template: z.union([z.string(), z.literal(false)]).optional(),
+      validation: z.union([z.string(), z.literal(false)]).optional(),
+      web_bundle_files: z.array(createNonEmptyString('web_bundle.web_bundle_files[]')),
+      existing_workflows: z.array(z.record(z.string(), z.string())).optional(),
+    })
+    .strict();
+}
+
+function buildInputFilePatternSchema() {
+  return z
+    .object({
+      description: createNonEmptyString('input_file_patterns.description'),
+      whole: z.string().optional(),
+      sharded: z.string().optional(),
+      sharded_index: z.string().optional(),
+      sharded_single: z.string().optional(),
+      pattern: z.string().optional(),
+      load_strategy: z.enum(LOAD_STRATEGIES),
+    })
+    .strict()
+    .refine((value) => ['whole', 'sharded', 'sharded_index', 'sharded_single', 'pattern'].some((key) => value[key]), {
+      message: 'input_file_patterns entries need at least one of whole, sharded, sharded_index, sharded_single or pattern',
+    });
+}
+
+/**
+ * Derive the installed_path a workflow must declare from its source location.
+ * src/core/... installs to _bmad/core/..., src/modules/<module>/... to _bmad/<module>/...
+ * @param {string} filePath Relative workflow.yaml path.
+ * @returns {string|null} Expected installed_path, or null for files outside src/.
+ */
+function deriveInstalledPath(filePath) {
+  assert(typeof filePath === 'string', 'validateWorkflowFile expects filePath to be a string');
+
+  const directory = path.posix.dirname(filePath.replaceAll('\\', '/'));
+  if (directory.startsWith('src/core/')) {
+    return `{project-root}/_bmad/${directory.slice('src/'.length)}`;
+  }
+  if (directory.startsWith('src/modules/')) {
+    return `{project-root}/_bmad/${directory.slice('src/modules/'.length)}`;
+  }
+  return null;
+}
+
+/**
+ * All string values of a parsed YAML document with their paths
+ * @returns {Array<[Array<string|number>, string]>}
+ */
+function collectStrings(value, valuePath = []) {
+  if (typeof value === 'string') {
+    return [[valuePath, value]];
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, child]) => collectStrings(child, [...valuePath, Array.isArray(value) ? Number(key) : key]));
+  }
+  return [];
+}
+
+/**
+ * Top-level string values usable as {variables} in paths (config answers are only known at install time)
+ */
+function collectPathVariables(workflow) {
+  const variables = new Map();
+  for (const [key, value] of Object.entries(workflow)) {
+    if (typeof value === 'string' && !value.includes('{config_source}')) {
+      variables.set(key, value);
+    }
+  }
+  return variables;
+}
+
+function resolveVariables(value, variables) {
+  let resolved = value;
+  // Variables may point at each other ({instructions} -> {installed_path} -> ...); stop at a fixed depth
+  for (let depth = 0; depth < 5; depth++) {
+    const next = resolved.replaceAll(VARIABLE_PATTERN, (match, name) => (variables.has(name) ? variables.get(name) : match));
+    if (next === resolved) {
+      break;
+    }
+    resolved = next;
+  }
+  return resolved;
+}
+
+/**
+ * Path below _bmad/ for installed-path strings ("{project-root}/_bmad/..." or web bundle "_bmad/...")
+ * @returns {string|null}
+ */
+function toInstalledRelative(value) {
+  const match = /^(?:\{project-root\}\/)?_bmad\/(.+)$/.exec(value.trim());
+  return match ? match[1].replace(/\/$/, '') : null;
+}
+
+function toSourcePath(projectRoot, installedRelative) {
+  const [moduleName, ...rest] = installedRelative.split('/');
+  return moduleName === 'core'
+    ? path.join(projectRoot, 'src', 'core', ...rest)
+    : path.join(projectRoot, 'src', 'modules', moduleName, ...rest);
+}
+
+/**
+ * Agents are installed as compiled .md files from *.agent.yaml sources
+ */
+function isCompiledAgent(sourcePath) {
+  return sourcePath.endsWith('.md') && fs.existsSync(sourcePath.replace(/\.md$/, '.agent.yaml'));
+}
+
+// Primitive validators -----------------------------------------------------
+
+function createNonEmptyString(label) {
+  return z.string().refine((value) => value.trim().length > 0, {
+    message: `${label} must be a non-empty string`,
+  });
+}
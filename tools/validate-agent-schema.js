@@ -2,7 +2,9 @@
  * Agent Schema Validator CLI
  *
  * Scans all *.agent.yaml files in src/{core,modules/*}/agents/
- * and validates them against the Zod schema.
+ * and validates them against the Zod schema, after merging in the agents and mixins
+ * they extend. Each locale overlay (*.agent.<locale>.yaml) is applied to its agent and
+ * the translated agent is validated too.
  *
  * Usage: node tools/validate-agent-schema.js [project_root]
  * Exit codes: 0 = success, 1 = validation failures
@@ -16,6 +18,8 @@ const yaml = require('yaml');
 const fs = require('node:fs');
 const path = require('node:path');
 const { validateAgentFile } = require('./schema/agent.js');
+const { resolveAgentExtends } = require('./cli/lib/agent/inheritance.js');
+const { applyAgentLocale, listAgentLocales, getLocaleOverlayPath } = require('./cli/lib/agent/locale.js');
 
 /**
  * Main validation routine
@@ -49,7 +53,15 @@ async function main(customProjectRoot) {
 
     try {
       const fileContent = fs.readFileSync(filePath, 'utf8');
-      const agentData = yaml.parse(fileContent);
+      let agentData = yaml.parse(fileContent);
+
+      // Agents are validated as compiled: with everything they extend merged in
+      try {
+        agentData = resolveAgentExtends(agentData, filePath);
+      } catch (error) {
+        errors.push({ file: relativePath, issues: [{ code: 'extends', message: error.message, path: ['agent', 'extends'] }] });
+        continue;
+      }
 
       // Convert absolute path to relative src/ path for module detection
       const srcRelativePath = relativePath.startsWith('src/') ? relativePath : path.relative(project_root, filePath).replaceAll('\\', '/');
@@ -64,6 +76,21 @@ async function main(customProjectRoot) {
           issues: result.error.issues,
         });
       }
+
+      // Overlays may only translate what the agent defines, and must leave a valid agent
+      for (const locale of listAgentLocales(filePath)) {
+        const overlayPath = path.relative(process.cwd(), getLocaleOverlayPath(filePath, locale));
+        try {
+          const overlayResult = validateAgentFile(srcRelativePath, applyAgentLocale(agentData, filePath, locale));
+          if (overlayResult.success) {
+            console.log(`✅ ${overlayPath}`);
+          } else {
+            errors.push({ file: overlayPath, issues: overlayResult.error.issues });
+          }
+        } catch (error) {
+          errors.push({ file: overlayPath, issues: [{ code: 'locale', message: error.message, path: [] }] });
+        }
+      }
     } catch (error) {
       errors.push({
         file: relativePath,
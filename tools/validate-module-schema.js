@@ -0,0 +1,143 @@
+/**
+ * Module Schema Validator CLI
+ *
+ * Scans all module.yaml files in src/{core,modules/*}/ (and their _module-installer/)
+ * and validates them against the Zod schema. Also checks that the JSON Schema used by
+ * editors (tools/schema/module.schema.json) matches the Zod schema.
+ *
+ * Usage: node tools/validate-module-schema.js [--write-json-schema] [project_root]
+ * Exit codes: 0 = success, 1 = validation failures
+ *
+ * Options:
+ *   --write-json-schema - Regenerate tools/schema/module.schema.json instead of checking it
+ *   project_root        - Directory to scan (defaults to BMAD repo root)
+ */
+
+const { glob } = require('glob');
+const prettier = require('prettier');
+const yaml = require('yaml');
+const fs = require('node:fs');
+const path = require('node:path');
+const { validateModuleFile, buildModuleJsonSchema } = require('./schema/module.js');
+
+const JSON_SCHEMA_PATH = path.join(__dirname, 'schema', 'module.schema.json');
+
+/**
+ * Write or verify the editor JSON Schema (formatted like the rest of the repo)
+ * @param {boolean} write - Regenerate the file instead of comparing
+ * @returns {boolean} True when the file is current
+ */
+async function syncJsonSchema(write) {
+  const options = await prettier.resolveConfig(JSON_SCHEMA_PATH);
+  const expected = await prettier.format(JSON.stringify(buildModuleJsonSchema()), { ...options, filepath: JSON_SCHEMA_PATH });
+
+  if (write) {
+    fs.writeFileSync(JSON_SCHEMA_PATH, expected);
+    console.log(`📝 Wrote ${path.relative(process.cwd(), JSON_SCHEMA_PATH)}\n`);
+    return true;
+  }
+
+  const current = fs.existsSync(JSON_SCHEMA_PATH) ? fs.readFileSync(JSON_SCHEMA_PATH, 'utf8') : null;
+  return current === expected;
+}
+
+/**
+ * Main validation routine
+ * @param {string} [customProjectRoot] - Optional project root to scan (for testing)
+ * @param {boolean} [writeJsonSchema] - Regenerate the editor JSON Schema
+ */
+async function main(customProjectRoot, writeJsonSchema) {
+  console.log('🔍 Scanning for module.yaml files...\n');
+
+  const project_root = customProjectRoot || path.join(__dirname, '..');
+
+  const moduleFiles = await glob('src/{core,modules/*}/{,_module-installer/}module.yaml', {
+    cwd: project_root,
+    absolute: true,
+  });
+
+  if (moduleFiles.length === 0) {
+    console.log('❌ No module.yaml files found. This likely indicates a configuration error.');
+    console.log('   Expected to find module.yaml files in src/{core,modules/*}/');
+    process.exit(1);
+  }
+
+  console.log(`Found ${moduleFiles.length} module file(s)\n`);
+
+  // Core questions can be referenced from every module ({output_folder}, when: core.user_name, ...)
+  const corePath = moduleFiles.find((file) => path.relative(project_root, file).replaceAll('\\', '/').startsWith('src/core/'));
+  let coreKeys = [];
+  if (corePath) {
+    try {
+      coreKeys = Object.keys(yaml.parse(fs.readFileSync(corePath, 'utf8')) || {});
+    } catch {
+      // Reported below when the core file itself is validated
+    }
+  }
+
+  const errors = [];
+
+  for (const filePath of moduleFiles) {
+    const relativePath = path.relative(process.cwd(), filePath);
+
+    try {
+      const moduleData = yaml.parse(fs.readFileSync(filePath, 'utf8'));
+      const srcRelativePath = path.relative(project_root, filePath).replaceAll('\\', '/');
+      const result = validateModuleFile(srcRelativePath, moduleData, { coreKeys });
+
+      if (result.success) {
+        console.log(`✅ ${relativePath}`);
+      } else {
+        errors.push({ file: relativePath, issues: result.error.issues });
+      }
+    } catch (error) {
+      errors.push({
+        file: relativePath,
+        issues: [{ code: 'parse_error', message: `Failed to parse YAML: ${error.message}`, path: [] }],
+      });
+    }
+  }
+
+  if (!(await syncJsonSchema(writeJsonSchema))) {
+    errors.push({
+      file: path.relative(process.cwd(), JSON_SCHEMA_PATH),
+      issues: [
+        {
+          code: 'stale',
+          message: 'JSON Schema is out of date, run: node tools/validate-module-schema.js --write-json-schema',
+          path: [],
+        },
+      ],
+    });
+  }
+
+  if (errors.length > 0) {
+    console.log('\n❌ Validation failed for the following files:\n');
+
+    for (const { file, issues } of errors) {
+      console.log(`\n📄 ${file}`);
+      for (const issue of issues) {
+        const pathString = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+        console.log(`   Path: ${pathString}`);
+        console.log(`   Error: ${issue.message}`);
+        if (issue.code) {
+          console.log(`   Code: ${issue.code}`);
+        }
+      }
+    }
+
+    console.log(`\n\n💥 ${errors.length} file(s) failed validation`);
+    process.exit(1);
+  }
+
+  console.log(`\n✨ All ${moduleFiles.length} module file(s) passed validation!\n`);
+  process.exit(0);
+}
+
+const args = process.argv.slice(2);
+const writeJsonSchema = args.includes('--write-json-schema');
+const customProjectRoot = args.find((arg) => !arg.startsWith('--'));
+main(customProjectRoot, writeJsonSchema).catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+/**
+ * Team Schema Validator CLI
+ *
+ * Scans all team definitions in src/{core,modules/*}/teams/ and validates them against
+ * the Zod schema. Listed agents and workflows must exist in the team's module and the
+ * party file must exist next to the team file.
+ *
+ * Usage: node tools/validate-team-schema.js [project_root]
+ * Exit codes: 0 = success, 1 = validation failures
+ *
+ * Optional argument:
+ *   project_root - Directory to scan (defaults to BMAD repo root)
+ */
+
+const { glob } = require('glob');
+const yaml = require('yaml');
+const fs = require('node:fs');
+const path = require('node:path');
+const { validateTeamFile } = require('./schema/team.js');
+
+/**
+ * Agent and workflow names a module provides
+ * @param {string} moduleDir - Module source directory
+ * @returns {Object} { agents, workflows }
+ */
+async function getModuleNames(moduleDir) {
+  const agentFiles = await glob('agents/**/*.agent.yaml', { cwd: moduleDir });
+  const workflowFiles = await glob('workflows/**/workflow.{yaml,md}', { cwd: moduleDir });
+
+  return {
+    agents: agentFiles.map((file) => path.basename(file, '.agent.yaml')),
+    workflows: workflowFiles.map((file) => path.basename(path.dirname(file))),
+  };
+}
+
+/**
+ * Main validation routine
+ * @param {string} [customProjectRoot] - Optional project root to scan (for testing)
+ */
+async function main(customProjectRoot) {
+  console.log('🔍 Scanning for team files...\n');
+
+  const project_root = customProjectRoot || path.join(__dirname, '..');
+
+  const teamFiles = await glob('src/{core,modules/*}/teams/*.yaml', {
+    cwd: project_root,
+    absolute: true,
+  });
+
+  if (teamFiles.length === 0) {
+    console.log('❌ No team files found. This likely indicates a configuration error.');
+    console.log('   Expected to find team files in src/{core,modules/*}/teams/');
+    process.exit(1);
+  }
+
+  console.log(`Found ${teamFiles.length} team file(s)\n`);
+
+  const errors = [];
+
+  for (const filePath of teamFiles) {
+    const relativePath = path.relative(process.cwd(), filePath);
+
+    try {
+      const teamData = yaml.parse(fs.readFileSync(filePath, 'utf8'));
+      const teamDir = path.dirname(filePath);
+      const result = validateTeamFile(relativePath, teamData, {
+        ...(await getModuleNames(path.dirname(teamDir))),
+        fileExists: (file) => fs.existsSync(path.resolve(teamDir, file)),
+      });
+
+      if (result.success) {
+        console.log(`✅ ${relativePath}`);
+      } else {
+        errors.push({ file: relativePath, issues: result.error.issues });
+      }
+    } catch (error) {
+      errors.push({
+        file: relativePath,
+        issues: [{ code: 'parse_error', message: `Failed to parse YAML: ${error.message}`, path: [] }],
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    console.log('\n❌ Validation failed for the following files:\n');
+
+    for (const { file, issues } of errors) {
+      console.log(`\n📄 ${file}`);
+      for (const issue of issues) {
+        const pathString = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+        console.log(`   Path: ${pathString}`);
+        console.log(`   Error: ${issue.message}`);
+        if (issue.code) {
+          console.log(`   Code: ${issue.code}`);
+        }
+      }
+    }
+
+    console.log(`\n\n💥 ${errors.length} file(s) failed validation`);
+    process.exit(1);
+  }
+
+  console.log(`\n✨ All ${teamFiles.length} team file(s) passed validation!\n`);
+  process.exit(0);
+}
+
+// Run with optional command-line argument for project root
+const customProjectRoot = process.argv[2];
+main(customProjectRoot).catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
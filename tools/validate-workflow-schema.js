@@ -0,0 +1,181 @@
+/**
+ * Workflow Schema Validator CLI
+ *
+ * Scans all workflow.yaml files in src/{core,modules/*}/ and validates them against the
+ * Zod schema, then checks their references against the source tree:
+ * - installed_path matches the folder the workflow is installed to
+ * - every file referenced through {installed_path}, {project-root}/_bmad/... or a web
+ *   bundle _bmad/... path exists
+ * - every {config_source}:key is a question of the referenced module's module.yaml
+ *
+ * Workflows that agents vendor into another module (`workflow-install`) are replaced by
+ * the vendored source at install time, so the source is checked in their place, against
+ * the config of the module it is vendored into.
+ *
+ * Usage: node tools/validate-workflow-schema.js [project_root]
+ * Exit codes: 0 = success, 1 = validation failures
+ *
+ * Optional argument:
+ *   project_root - Directory to scan (defaults to BMAD repo root)
+ */
+
+const { glob } = require('glob');
+const yaml = require('yaml');
+const fs = require('node:fs');
+const path = require('node:path');
+const { validateWorkflowFile, checkWorkflowReferences, installedToSourcePath } = require('./schema/workflow.js');
+
+/**
+ * Find workflows that agents vendor from another module
+ * @param {string} projectRoot - Repository root
+ * @returns {Map<string, string>} Absolute vendored workflow.yaml path -> absolute source workflow.yaml path
+ */
+async function findVendoredWorkflows(projectRoot) {
+  const vendored = new Map();
+  const agentFiles = await glob('src/{core,modules/*}/agents/**/*.agent.yaml', { cwd: projectRoot, absolute: true });
+
+  for (const agentFile of agentFiles) {
+    let agent;
+    try {
+      agent = yaml.parse(fs.readFileSync(agentFile, 'utf8'));
+    } catch {
+      continue; // Reported by validate:schemas
+    }
+
+    for (const item of agent?.agent?.menu || []) {
+      if (typeof item.workflow === 'string' && typeof item['workflow-install'] === 'string') {
+        const source = installedToSourcePath(projectRoot, item.workflow);
+        const target = installedToSourcePath(projectRoot, item['workflow-install']);
+        if (source && target && source !== target) {
+          vendored.set(target, source);
+        }
+      }
+    }
+  }
+
+  return vendored;
+}
+
+/**
+ * Main validation routine
+ * @param {string} [customProjectRoot] - Optional project root to scan (for testing)
+ */
+async function main(customProjectRoot) {
+  console.log('🔍 Scanning for workflow.yaml files...\n');
+
+  const project_root = customProjectRoot || path.join(__dirname, '..');
+
+  const workflowFiles = await glob('src/{core,modules/*}/**/workflow.yaml', {
+    cwd: project_root,
+    absolute: true,
+  });
+
+  if (workflowFiles.length === 0) {
+    console.log('❌ No workflow.yaml files found. This likely indicates a configuration error.');
+    console.log('   Expected to find workflow.yaml files in src/{core,modules/*}/');
+    process.exit(1);
+  }
+
+  console.log(`Found ${workflowFiles.length} workflow file(s)\n`);
+
+  const moduleKeys = new Map();
+  const getModuleKeys = (moduleName) => {
+    if (!moduleKeys.has(moduleName)) {
+      const moduleFile =
+        moduleName === 'core'
+          ? path.join(project_root, 'src', 'core', 'module.yaml')
+          : path.join(project_root, 'src', 'modules', moduleName, 'module.yaml');
+      let keys = null;
+      if (fs.existsSync(moduleFile)) {
+        try {
+          keys = new Set(Object.keys(yaml.parse(fs.readFileSync(moduleFile, 'utf8')) || {}));
+        } catch {
+          keys = new Set(); // Reported by validate:modules
+        }
+      }
+      moduleKeys.set(moduleName, keys);
+    }
+    return moduleKeys.get(moduleName);
+  };
+
+  const vendored = await findVendoredWorkflows(project_root);
+  const errors = [];
+
+  for (const filePath of workflowFiles) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    const vendoredFrom = vendored.get(filePath);
+
+    try {
+      if (vendoredFrom && fs.existsSync(vendoredFrom)) {
+        // The installer replaces this copy with the source and points config_source at this module
+        const sourceData = yaml.parse(fs.readFileSync(vendoredFrom, 'utf8'));
+        const targetModule = path.relative(project_root, filePath).replaceAll('\\', '/').split('/')[2];
+        const issues = checkWorkflowReferences(
+          { ...sourceData, config_source: `{project-root}/_bmad/${targetModule}/config.yaml` },
+          { projectRoot: project_root, getModuleKeys },
+        );
+
+        if (issues.length === 0) {
+          console.log(`✅ ${relativePath} (vendored from ${path.relative(process.cwd(), vendoredFrom)})`);
+        } else {
+          errors.push({
+            file: `${relativePath} (vendored from ${path.relative(process.cwd(), vendoredFrom)})`,
+            issues: issues.map((issue) => ({ code: 'reference', ...issue })),
+          });
+        }
+        continue;
+      }
+
+      const workflowData = yaml.parse(fs.readFileSync(filePath, 'utf8'));
+      const srcRelativePath = path.relative(project_root, filePath).replaceAll('\\', '/');
+      const result = validateWorkflowFile(srcRelativePath, workflowData);
+      const issues = [
+        ...(result.success ? [] : result.error.issues),
+        ...checkWorkflowReferences(workflowData, { projectRoot: project_root, getModuleKeys }).map((issue) => ({
+          code: 'reference',
+          ...issue,
+        })),
+      ];
+
+      if (issues.length === 0) {
+        console.log(`✅ ${relativePath}`);
+      } else {
+        errors.push({ file: relativePath, issues });
+      }
+    } catch (error) {
+      errors.push({
+        file: relativePath,
+        issues: [{ code: 'parse_error', message: `Failed to parse YAML: ${error.message}`, path: [] }],
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    console.log('\n❌ Validation failed for the following files:\n');
+
+    for (const { file, issues } of errors) {
+      console.log(`\n📄 ${file}`);
+      for (const issue of issues) {
+        const pathString = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+        console.log(`   Path: ${pathString}`);
+        console.log(`   Error: ${issue.message}`);
+        if (issue.code) {
+          console.log(`   Code: ${issue.code}`);
+        }
+      }
+    }
+
+    console.log(`\n\n💥 ${errors.length} file(s) failed validation`);
+    process.exit(1);
+  }
+
+  console.log(`\n✨ All ${workflowFiles.length} workflow file(s) passed validation!\n`);
+  process.exit(0);
+}
+
+// Run with optional command-line argument for project root
+const customProjectRoot = process.argv[2];
+main(customProjectRoot).catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});